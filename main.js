@@ -5,6 +5,9 @@
  * - Connection to Eufy Security devices
  * - Video stream transcoding
  * - REST API for client communication
+ * - RTSP server for NVRs and media players
+ * - Continuous recording to disk, event clips and timelapses
+ * - Snapshot history for the gallery
  */
 
 // Import required modules
@@ -12,6 +15,11 @@ const utils = require('./server/utils');
 const transcode = require('./server/transcode');
 const eufy = require('./server/eufy-client');
 const restServer = require('./server/rest');
+const rtspServer = require('./server/rtsp');
+const recorder = require('./server/recorder');
+const clips = require('./server/clips');
+const timelapse = require('./server/timelapse');
+const snapshotHistory = require('./server/snapshot-history');
 
 // Load configuration from config file
 let CONFIG = utils.loadConfig();
@@ -20,6 +28,11 @@ let CONFIG = utils.loadConfig();
 eufy.connect(CONFIG.EUFY_CONFIG);          // Connect to Eufy Security system
 transcode.initTranscode();                 // Initialize video transcoding service
 restServer.initRestServer();               // Start REST API server
+rtspServer.initRtspServer();               // Start RTSP server
+recorder.initRecorder();                   // Start continuous recording of configured devices
+clips.initClips();                         // Load event clip rules
+timelapse.initTimelapse();                 // Start timelapse frame sampling and daily renders
+snapshotHistory.initSnapshotHistory();     // Apply the snapshot history limits
 
 utils.log('🚀 eufy-security-client Streaming Proxy started', 'info');
 
@@ -29,7 +42,7 @@ utils.log('🚀 eufy-security-client Streaming Proxy started', 'info');
  */
 process.on('SIGINT', async () => {
     utils.log('\n🛑 Shutting down...', 'warn');
-    transcode.stopTranscoding();           // Stop all active transcoding processes
+    transcode.stopAllTranscoding();        // Stop all active transcoding processes
     await eufy.close();                    // Close Eufy connection gracefully
     process.exit(0);
 });
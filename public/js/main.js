@@ -52,7 +52,7 @@ function restGetConfig(callback) {
  */
 function restPostConfig(newConfig) {
     // Send POST request to save config
-    fetch('/config', {
+    return fetch('/config', {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
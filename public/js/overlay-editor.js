@@ -0,0 +1,389 @@
+/**
+ * Overlay Editor
+ *
+ * Edits the overlay of the selected device: burned-in text (camera name and
+ * timestamp) and privacy masks drawn on the current snapshot.
+ *
+ * Features:
+ * - Rectangle tool: drag to draw a mask
+ * - Polygon tool: click the corners, click the first corner (or double-click) to close
+ * - Undo (last corner or mask), clear all masks
+ * - Text format with strftime codes and {name}, position and font size, previewed on the snapshot
+ * - Masks are stored as fractions of the picture, so they fit every camera resolution
+ *
+ * Dependencies: main.js, ui.js (inConfig), video.js (transcodeServerUrl)
+ */
+
+// Text format proposed for devices without overlay text
+const OVERLAY_DEFAULT_TEXT = '{name} %Y-%m-%d %H:%M:%S';
+
+// Distance (fraction of the picture width) to the first corner that closes a polygon
+const OVERLAY_CLOSE_DISTANCE = 0.02;
+
+let overlayDevice = null;           // Serial number of the edited device
+let overlayMasks = [];              // Masks of the edited overlay (fractions of the picture)
+let overlayTool = 'rect';           // 'rect' or 'polygon'
+let overlayDraft = null;            // Rectangle being dragged or polygon being clicked
+
+// ============================================================================
+// Modal
+// ============================================================================
+
+/**
+ * Open Overlay Editor
+ * Loads the overlay settings and the current snapshot of a device
+ * @param {string} deviceSn - Device serial number
+ */
+async function overlayEditorOpen(deviceSn) {
+    overlayDevice = deviceSn;
+    overlayDraft = null;
+
+    let settings;
+    try {
+        const response = await fetch(`${transcodeServerUrl}/overlays/${deviceSn}`);
+        settings = await response.json();
+        if (!response.ok) throw new Error(settings.message);
+    } catch (err) {
+        debugConsoleLog('Error loading overlay:', err);
+        alert('Overlay settings not available');
+        return;
+    }
+
+    overlayMasks = settings.masks;
+    document.getElementById('overlay-text').value = settings.text;
+    document.getElementById('overlay-text').placeholder = OVERLAY_DEFAULT_TEXT;
+    document.getElementById('overlay-position').value = settings.position;
+    document.getElementById('overlay-font-size').value = settings.fontSize || '';
+    document.getElementById('overlay-device').textContent = deviceSn;
+    overlaySetTool('rect');
+
+    // Snapshot to draw on (a fresh request, the browser may have cached an older one)
+    const snapshot = document.getElementById('overlay-snapshot');
+    const message = document.getElementById('overlay-message');
+    snapshot.onload = () => {
+        message.textContent = '';
+        overlayRedraw();
+    };
+    snapshot.onerror = () => {
+        message.textContent = 'No snapshot yet, start the video once to draw on the camera picture';
+        snapshot.removeAttribute('src');
+        overlayRedraw();
+    };
+    snapshot.src = `${transcodeServerUrl}/${deviceSn}.jpg?t=${Date.now()}`;
+
+    const modal = document.getElementById('overlay-modal');
+    modal.classList.add('show');
+    inConfig = true;  // Disable keyboard shortcuts
+    overlayRedraw();
+}
+
+/**
+ * Initialize Overlay Editor
+ * Sets up tool buttons, drawing and modal event handlers
+ * Called once from uiInit()
+ */
+function overlayEditorInit() {
+    const modal = document.getElementById('overlay-modal');
+    const canvas = document.getElementById('overlay-canvas');
+
+    const closeModal = () => {
+        modal.classList.remove('show');
+        inConfig = false;  // Re-enable keyboard shortcuts
+        overlayDevice = null;
+    };
+    modal.querySelector('.modal-close').onclick = closeModal;
+    document.getElementById('overlay-cancel-btn').onclick = closeModal;
+    modal.onclick = (e) => {
+        if (e.target === modal) closeModal();
+    };
+
+    document.getElementById('overlay-save-btn').onclick = async () => {
+        const err = await overlaySave();
+        if (err) {
+            alert('Error saving overlay: ' + err);
+        } else {
+            closeModal();
+        }
+    };
+
+    // Tools
+    document.getElementById('overlay-rect-btn').onclick = () => overlaySetTool('rect');
+    document.getElementById('overlay-polygon-btn').onclick = () => overlaySetTool('polygon');
+    document.getElementById('overlay-undo-btn').onclick = () => overlayUndo();
+    document.getElementById('overlay-clear-btn').onclick = () => {
+        overlayMasks = [];
+        overlayDraft = null;
+        overlayRedraw();
+    };
+
+    // Text preview
+    ['overlay-text', 'overlay-position', 'overlay-font-size'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => overlayRedraw());
+    });
+
+    // Drawing
+    canvas.addEventListener('pointerdown', (e) => overlayPointerDown(e));
+    canvas.addEventListener('pointermove', (e) => overlayPointerMove(e));
+    canvas.addEventListener('pointerup', (e) => overlayPointerUp(e));
+    canvas.addEventListener('dblclick', () => overlayClosePolygon());
+    window.addEventListener('resize', () => {
+        if (overlayDevice) overlayRedraw();
+    });
+}
+
+/**
+ * Save Overlay
+ * Sends the overlay settings to the server (PUT /overlays/:sn)
+ * @returns {Promise<string|undefined>} Error message or undefined on success
+ */
+async function overlaySave() {
+    const fontSize = document.getElementById('overlay-font-size').value;
+    const settings = {
+        text: document.getElementById('overlay-text').value,
+        position: document.getElementById('overlay-position').value,
+        fontSize: fontSize ? parseInt(fontSize, 10) : null,
+        masks: overlayMasks
+    };
+
+    try {
+        const response = await fetch(`${transcodeServerUrl}/overlays/${overlayDevice}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        const data = await response.json();
+        debugConsoleLog('Overlay saved:', data);
+        if (!response.ok) return data.message;
+    } catch (err) {
+        debugConsoleLog('Error in PUT /overlays:', err);
+        return err.message;
+    }
+}
+
+// ============================================================================
+// Drawing
+// ============================================================================
+
+/**
+ * Set Tool
+ * @param {string} tool - 'rect' or 'polygon'
+ */
+function overlaySetTool(tool) {
+    overlayTool = tool;
+    overlayDraft = null;
+    document.getElementById('overlay-rect-btn').classList.toggle('active', tool === 'rect');
+    document.getElementById('overlay-polygon-btn').classList.toggle('active', tool === 'polygon');
+    overlayRedraw();
+}
+
+/**
+ * Get Pointer Position
+ * @param {PointerEvent} e - Pointer event on the canvas
+ * @returns {Array<number>} Position as fractions of the picture ([x, y], 0-1)
+ */
+function overlayGetPosition(e) {
+    const rect = e.target.getBoundingClientRect();
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+    return [
+        Number(clamp((e.clientX - rect.left) / rect.width).toFixed(4)),
+        Number(clamp((e.clientY - rect.top) / rect.height).toFixed(4))
+    ];
+}
+
+/**
+ * Pointer Down Handler
+ * Starts a rectangle or adds a polygon corner
+ * @param {PointerEvent} e - Pointer event
+ */
+function overlayPointerDown(e) {
+    const [x, y] = overlayGetPosition(e);
+
+    if (overlayTool === 'rect') {
+        e.target.setPointerCapture(e.pointerId);
+        overlayDraft = { type: 'rect', startX: x, startY: y, x: x, y: y, width: 0, height: 0 };
+    } else {
+        if (!overlayDraft) overlayDraft = { type: 'polygon', points: [] };
+
+        // Clicking the first corner closes the polygon
+        const first = overlayDraft.points[0];
+        if (first && overlayDraft.points.length >= 3 && Math.hypot(first[0] - x, first[1] - y) < OVERLAY_CLOSE_DISTANCE) {
+            overlayClosePolygon();
+            return;
+        }
+        overlayDraft.points.push([x, y]);
+    }
+    overlayRedraw();
+}
+
+/**
+ * Pointer Move Handler
+ * Resizes the rectangle being dragged
+ * @param {PointerEvent} e - Pointer event
+ */
+function overlayPointerMove(e) {
+    if (!overlayDraft || overlayDraft.type !== 'rect') return;
+
+    const [x, y] = overlayGetPosition(e);
+    overlayDraft.x = Math.min(x, overlayDraft.startX);
+    overlayDraft.y = Math.min(y, overlayDraft.startY);
+    overlayDraft.width = Number(Math.abs(x - overlayDraft.startX).toFixed(4));
+    overlayDraft.height = Number(Math.abs(y - overlayDraft.startY).toFixed(4));
+    overlayRedraw();
+}
+
+/**
+ * Pointer Up Handler
+ * Adds the dragged rectangle (ignores clicks without size)
+ * @param {PointerEvent} e - Pointer event
+ */
+function overlayPointerUp(e) {
+    if (!overlayDraft || overlayDraft.type !== 'rect') return;
+
+    overlayPointerMove(e);
+    const { x, y, width, height } = overlayDraft;
+    if (width > 0.005 && height > 0.005) {
+        overlayMasks.push({ type: 'rect', x, y, width, height });
+    }
+    overlayDraft = null;
+    overlayRedraw();
+}
+
+/**
+ * Close Polygon
+ * Adds the polygon being clicked as mask (needs at least 3 corners)
+ */
+function overlayClosePolygon() {
+    if (!overlayDraft || overlayDraft.type !== 'polygon') return;
+
+    // A double-click also added its position twice
+    const points = overlayDraft.points.filter((point, index, all) =>
+        index === 0 || point[0] !== all[index - 1][0] || point[1] !== all[index - 1][1]);
+    if (points.length >= 3) {
+        overlayMasks.push({ type: 'polygon', points });
+        overlayDraft = null;
+    }
+    overlayRedraw();
+}
+
+/**
+ * Undo
+ * Removes the last corner of the polygon being clicked, otherwise the last mask
+ */
+function overlayUndo() {
+    if (overlayDraft && overlayDraft.type === 'polygon' && overlayDraft.points.length > 0) {
+        overlayDraft.points.pop();
+        if (overlayDraft.points.length === 0) overlayDraft = null;
+    } else {
+        overlayMasks.pop();
+    }
+    overlayRedraw();
+}
+
+/**
+ * Redraw
+ * Draws masks, the shape being drawn and the text preview over the snapshot
+ */
+function overlayRedraw() {
+    const snapshot = document.getElementById('overlay-snapshot');
+    const canvas = document.getElementById('overlay-canvas');
+
+    // Canvas in the displayed size of the snapshot (16:9 without snapshot)
+    const width = snapshot.clientWidth || canvas.parentElement.clientWidth;
+    const height = snapshot.getAttribute('src') ? snapshot.clientHeight : Math.round(width * 9 / 16);
+    canvas.width = width;
+    canvas.height = height;
+    canvas.parentElement.style.minHeight = `${height}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    const masks = overlayDraft && overlayDraft.type === 'rect' ? [...overlayMasks, overlayDraft] : overlayMasks;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.strokeStyle = '#ff4444';
+    ctx.lineWidth = 2;
+    masks.forEach(mask => {
+        ctx.beginPath();
+        if (mask.type === 'rect') {
+            ctx.rect(mask.x * width, mask.y * height, mask.width * width, mask.height * height);
+        } else {
+            mask.points.forEach(([x, y], index) => {
+                if (index === 0) ctx.moveTo(x * width, y * height);
+                else ctx.lineTo(x * width, y * height);
+            });
+            ctx.closePath();
+        }
+        ctx.fill();
+        ctx.stroke();
+    });
+
+    // Polygon being clicked: open outline with corners
+    if (overlayDraft && overlayDraft.type === 'polygon') {
+        ctx.beginPath();
+        overlayDraft.points.forEach(([x, y], index) => {
+            if (index === 0) ctx.moveTo(x * width, y * height);
+            else ctx.lineTo(x * width, y * height);
+        });
+        ctx.stroke();
+        ctx.fillStyle = '#ff4444';
+        overlayDraft.points.forEach(([x, y]) => {
+            ctx.fillRect(x * width - 3, y * height - 3, 6, 6);
+        });
+    }
+
+    overlayDrawTextPreview(ctx, width, height);
+}
+
+/**
+ * Draw Text Preview
+ * Approximates the burned-in text (font size relative to the camera picture)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function overlayDrawTextPreview(ctx, width, height) {
+    const format = document.getElementById('overlay-text').value;
+    if (!format) return;
+
+    const snapshot = document.getElementById('overlay-snapshot');
+    const fontSize = parseInt(document.getElementById('overlay-font-size').value, 10);
+    const scale = snapshot.naturalHeight ? height / snapshot.naturalHeight : height / 1080;
+    const size = Math.max(fontSize ? fontSize * scale : height / 30, 6);
+    const margin = height / 50;
+
+    const text = overlayFormatText(format, new Date());
+    ctx.font = `${size}px sans-serif`;
+    ctx.textBaseline = 'top';
+    const textWidth = ctx.measureText(text).width;
+
+    const position = document.getElementById('overlay-position').value;
+    const x = position.endsWith('right') ? width - textWidth - margin : margin;
+    const y = position.startsWith('bottom') ? height - size - margin : margin;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(x - 4, y - 4, textWidth + 8, size + 8);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, x, y);
+}
+
+/**
+ * Format Text
+ * Expands {name} and the common strftime codes for the preview
+ * @param {string} format - Overlay text format
+ * @param {Date} date - Time to show
+ * @returns {string} Preview text
+ */
+function overlayFormatText(format, date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const codes = {
+        Y: date.getFullYear(),
+        m: pad(date.getMonth() + 1),
+        d: pad(date.getDate()),
+        H: pad(date.getHours()),
+        M: pad(date.getMinutes()),
+        S: pad(date.getSeconds()),
+        '%': '%'
+    };
+    return format
+        .split('{name}').join(overlayDevice)
+        .replace(/%(.)/g, (match, code) => codes[code] !== undefined ? codes[code] : match);
+}
@@ -0,0 +1,253 @@
+/**
+ * Recording Playback
+ *
+ * Plays the continuous recordings of the selected device next to the live view.
+ *
+ * Features:
+ * - Day selection with the recorded time ranges highlighted on a timeline
+ * - Timeline scrubber, seeking loads the recording containing the selected time
+ *   (the browser fetches the file with HTTP Range requests)
+ * - Continues with the next recording when one ends
+ *
+ * Dependencies: main.js, video.js (transcodeServerUrl)
+ */
+
+const PLAYBACK_DAY = 24 * 3600 * 1000;
+
+let playbackDevice = null;          // Serial number of the shown device
+let playbackDayStart = 0;           // Local midnight of the selected day (ms)
+let playbackRecordings = [];        // Recordings of the selected day (oldest first)
+let playbackCurrent = null;         // Recording loaded in the player
+let playbackScrubbing = false;      // True while the scrubber is dragged
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+/**
+ * Initialize Playback
+ * Sets up the day selector, scrubber and player event handlers
+ * Called once from uiInit()
+ */
+function playbackInit() {
+    const dateInput = document.getElementById('playback-date');
+    const scrubber = document.getElementById('playback-scrubber');
+    const video = document.getElementById('playback-video');
+
+    dateInput.value = playbackFormatDate(new Date());
+    dateInput.addEventListener('change', () => playbackLoadDay());
+
+    // Show the time while dragging, seek when released
+    scrubber.addEventListener('input', () => {
+        playbackScrubbing = true;
+        playbackShowTime(playbackDayStart + scrubber.value * 1000);
+    });
+    scrubber.addEventListener('change', () => {
+        playbackScrubbing = false;
+        playbackSeek(playbackDayStart + scrubber.value * 1000);
+    });
+
+    video.addEventListener('timeupdate', () => playbackUpdatePosition());
+    video.addEventListener('ended', () => playbackPlayNext());
+}
+
+/**
+ * Set Playback Device
+ * Shows the recordings of a device (called when the selected device changes)
+ * @param {string} deviceSn - Device serial number
+ */
+function playbackSetDevice(deviceSn) {
+    if (playbackDevice === deviceSn) return;
+
+    playbackDevice = deviceSn;
+    playbackStop();
+    document.getElementById('playback-view').style.display = '';
+    playbackLoadDay();
+}
+
+// ============================================================================
+// Timeline
+// ============================================================================
+
+/**
+ * Load Day
+ * Fetches timeline and recordings of the selected day and renders the timeline
+ */
+async function playbackLoadDay() {
+    if (!playbackDevice) return;
+
+    const dateValue = document.getElementById('playback-date').value;
+    playbackDayStart = new Date(`${dateValue}T00:00:00`).getTime();
+    if (Number.isNaN(playbackDayStart)) return;
+
+    const period = `from=${playbackDayStart}&to=${playbackDayStart + PLAYBACK_DAY}`;
+    const device = playbackDevice;
+
+    try {
+        const [timeline, recordings] = await Promise.all([
+            fetch(`${transcodeServerUrl}/recordings/${device}/timeline?${period}`).then(response => response.json()),
+            fetch(`${transcodeServerUrl}/recordings?device=${device}&${period}`).then(response => response.json())
+        ]);
+        if (device !== playbackDevice) return;   // Device changed meanwhile
+
+        playbackRecordings = recordings;
+        playbackRenderTimeline(timeline);
+        playbackSetMessage(recordings.length > 0 ? '' : 'No recordings on this day');
+        debugConsoleLog('Playback timeline loaded:', timeline);
+    } catch (err) {
+        debugConsoleLog('Error loading recordings:', err);
+        playbackSetMessage('Recordings could not be loaded');
+    }
+}
+
+/**
+ * Render Timeline
+ * Highlights the recorded ranges of the selected day
+ * @param {Object} timeline - Timeline from GET /recordings/:sn/timeline
+ */
+function playbackRenderTimeline(timeline) {
+    const container = document.getElementById('playback-ranges');
+    container.replaceChildren();
+
+    timeline.ranges.forEach(range => {
+        const start = Math.max(Date.parse(range.start), playbackDayStart);
+        const end = Math.min(Date.parse(range.end), playbackDayStart + PLAYBACK_DAY);
+        if (end <= start) return;
+
+        const div = document.createElement('div');
+        div.className = 'playback-range';
+        div.style.left = `${(start - playbackDayStart) / PLAYBACK_DAY * 100}%`;
+        div.style.width = `${Math.max((end - start) / PLAYBACK_DAY * 100, 0.1)}%`;
+        div.title = `${playbackFormatTime(start)} - ${playbackFormatTime(end)}`;
+        container.appendChild(div);
+    });
+}
+
+// ============================================================================
+// Player
+// ============================================================================
+
+/**
+ * Seek
+ * Plays the recording containing a point in time, or the next recording after it
+ * @param {number} time - Point in time (ms)
+ */
+function playbackSeek(time) {
+    let recording = playbackRecordings.find(r => Date.parse(r.start) <= time && time < Date.parse(r.end));
+    if (!recording) {
+        recording = playbackRecordings.find(r => Date.parse(r.start) > time);
+        if (!recording) {
+            playbackSetMessage('No recording at or after this time');
+            return;
+        }
+        time = Date.parse(recording.start);
+    }
+
+    playbackSetMessage('');
+    playbackLoad(recording, (time - Date.parse(recording.start)) / 1000);
+}
+
+/**
+ * Load Recording
+ * @param {Object} recording - Recording from GET /recordings
+ * @param {number} offset - Start position within the recording (s)
+ */
+function playbackLoad(recording, offset) {
+    const video = document.getElementById('playback-video');
+
+    if (playbackCurrent && playbackCurrent.id === recording.id) {
+        video.currentTime = offset;
+        video.play().catch(err => debugConsoleLog('Playback prevented:', err));
+        return;
+    }
+
+    playbackCurrent = recording;
+    video.src = `${transcodeServerUrl}${recording.url}`;
+    video.addEventListener('loadedmetadata', () => {
+        video.currentTime = offset;
+        video.play().catch(err => debugConsoleLog('Playback prevented:', err));
+    }, { once: true });
+}
+
+/**
+ * Play Next
+ * Continues with the recording following the current one
+ */
+function playbackPlayNext() {
+    if (!playbackCurrent) return;
+
+    const index = playbackRecordings.findIndex(r => r.id === playbackCurrent.id);
+    const next = playbackRecordings[index + 1];
+    if (next) {
+        playbackLoad(next, 0);
+    } else {
+        playbackSetMessage('End of recordings');
+    }
+}
+
+/**
+ * Update Position
+ * Moves the scrubber along with the playback position
+ */
+function playbackUpdatePosition() {
+    if (!playbackCurrent || playbackScrubbing) return;
+
+    const video = document.getElementById('playback-video');
+    const time = Date.parse(playbackCurrent.start) + video.currentTime * 1000;
+    document.getElementById('playback-scrubber').value = Math.round((time - playbackDayStart) / 1000);
+    playbackShowTime(time);
+}
+
+/**
+ * Stop Playback
+ * Unloads the current recording
+ */
+function playbackStop() {
+    const video = document.getElementById('playback-video');
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    playbackCurrent = null;
+    playbackRecordings = [];
+    document.getElementById('playback-ranges').replaceChildren();
+    playbackShowTime(null);
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Show Time
+ * @param {number|null} time - Displayed point in time (ms) or null
+ */
+function playbackShowTime(time) {
+    document.getElementById('playback-time').textContent = time === null ? '--:--:--' : playbackFormatTime(time);
+}
+
+/**
+ * Set Message
+ * @param {string} message - Status message below the player (empty to clear)
+ */
+function playbackSetMessage(message) {
+    document.getElementById('playback-message').textContent = message;
+}
+
+/**
+ * Format Date
+ * @param {Date} date - Date
+ * @returns {string} Local date as YYYY-MM-DD (date input value)
+ */
+function playbackFormatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format Time
+ * @param {number} time - Point in time (ms)
+ * @returns {string} Local time (HH:MM:SS)
+ */
+function playbackFormatTime(time) {
+    return new Date(time).toLocaleTimeString([], { hour12: false });
+}
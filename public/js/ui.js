@@ -8,6 +8,7 @@
  * - Device selection and property display
  * - Video streaming controls
  * - PTZ camera controls (presets, pan/tilt)
+ * - Snapshot gallery (picture history with the producing event)
  * - Configuration modal
  * - Browser notifications
  * - Keyboard shortcuts
@@ -20,6 +21,7 @@
 let presetButtons = null;   // Number of preset position buttons to display
 let inConfig = false;       // True when config modal is open (disables keyboard shortcuts)
 let lastDeviceInfo = null   // Last displayed device properties serial number
+let galleryDevice = null;   // Serial number of the device shown in the snapshot gallery
 
 // ============================================================================
 // Debug and Initialization
@@ -48,6 +50,9 @@ function uiDebugLog(message) {
  * - Device dropdown change handler
  * - Update device button handler
  * - Video start/stop button handler
+ * - Recording playback view
+ * - Snapshot gallery
+ * - Overlay editor
  */
 function uiInit() {
     // Configure debug info panel visibility
@@ -79,12 +84,17 @@ function uiInit() {
             if (deviceSn) {
                 // Hide buttons until properties are loaded
                 document.getElementById('device-update-btn').style.display = "none";
-                document.getElementById('device-video-btn').style.display = "none";
+                document.getElementById('device-overlay-btn').style.display = "none";
+                uiShowVideoButton(false);
                 uiChangePositionPresetError(null);
 
                 // Fetch device properties and available commands
                 eufyDeviceGetProperties(deviceSn);
                 eufyDeviceGetCommands(deviceSn);
+
+                // Show recordings and picture history of the selected device
+                playbackSetDevice(deviceSn);
+                uiLoadGallery(deviceSn);
             }
         });
     }
@@ -94,6 +104,19 @@ function uiInit() {
         document.getElementById('device-select').dispatchEvent(new Event('change'));
     });
 
+    // Overlay button: edit text and privacy masks of the selected device
+    document.getElementById('device-overlay-btn').addEventListener('click', function () {
+        const deviceSn = uiGetDeviceSn();
+        if (deviceSn) overlayEditorOpen(deviceSn);
+    });
+    overlayEditorInit();
+
+    // Video mode selector: MSE or WebRTC player (persisted in browser)
+    videoInitModeSelect();
+
+    // Recording playback: day selector, timeline scrubber and player
+    playbackInit();
+
     // Video button: start/stop livestream
     document.getElementById('device-video-btn').addEventListener('click', function () {
         const videoBtn = document.getElementById('device-video-btn');
@@ -259,12 +282,16 @@ function uiReset() {
     document.getElementById('device-picture').replaceChildren();
     document.getElementById('device-select-container').style.display = "none"
     document.getElementById('device-update-btn').style.display = "none"
-    document.getElementById('device-video-btn').style.display = "none"
+    document.getElementById('device-overlay-btn').style.display = "none"
+    uiShowVideoButton(false);
     uiUpdateConnectButtonState();
     uiUpdateDeviceToolBar(false);
     uiChangePositionPresetError(null);
     uiShowConfigButton(!!transcodeConfig);
+    document.getElementById('gallery-view').style.display = 'none';
+    document.getElementById('gallery-list').replaceChildren();
     lastDeviceInfo = null;
+    galleryDevice = null;
 }
 
 /**
@@ -272,14 +299,18 @@ function uiReset() {
  * Shows browser notification if permission is granted
  * @param {string} title - Notification title
  * @param {string} body - Notification body text
+ * @param {string|null} [url] - Page opened when the notification is clicked
  */
-function uiSendNotification(title, body) {
+function uiSendNotification(title, body, url) {
     if (Notification.permission === "granted") {
-        new Notification(title, {
+        const notification = new Notification(title, {
             body: body,
             requireInteraction: false,
             icon: 'favicon.ico'
         });
+        if (url) {
+            notification.onclick = () => window.open(url, '_blank');
+        }
         debugConsoleLog("Notification sent:", title, body);
     }
 }
@@ -442,6 +473,7 @@ function uiMakeDeviceList(devices) {
 function uiLockDeviceList(lock) {
     const select = document.getElementById('device-select');
     select.disabled = lock;
+    document.getElementById('device-video-mode').disabled = lock;
 }
 
 /**
@@ -556,8 +588,9 @@ function uiShowPicture(picture) {
         }
     }
 
-    // Show update button
+    // Show update and overlay buttons
     document.getElementById('device-update-btn').style.display = "block";
+    document.getElementById('device-overlay-btn').style.display = "block";
 }
 
 /**
@@ -779,6 +812,7 @@ function uiUpdateDeviceVideo() {
  */
 function uiShowVideoButton(show) {
     document.getElementById('device-video-btn').style.display = show ? 'block' : 'none';
+    document.getElementById('device-video-mode').style.display = show ? 'block' : 'none';
 }
 
 /**
@@ -862,6 +896,92 @@ function uiShowPanTiltControls(show) {
     // document.getElementById('device-pan-tilt-controls').style.display = show ? 'block' : 'none';
 }
 
+// ============================================================================
+// Snapshot Gallery
+// ============================================================================
+
+/**
+ * Load Gallery
+ * Fetches the picture history of a device (GET /snapshots/:sn) and shows it
+ * @param {string} deviceSn - Device serial number
+ */
+async function uiLoadGallery(deviceSn) {
+    galleryDevice = deviceSn;
+    document.getElementById('gallery-view').style.display = '';
+
+    try {
+        const response = await fetch(`${transcodeServerUrl}/snapshots/${deviceSn}`);
+        const pictures = await response.json();
+        if (deviceSn !== galleryDevice) return;   // Device changed meanwhile
+
+        document.getElementById('gallery-list').replaceChildren(...pictures.map(uiCreateGalleryItem));
+        uiUpdateGalleryCount();
+        debugConsoleLog('Snapshot gallery loaded:', pictures);
+    } catch (err) {
+        debugConsoleLog('Error loading snapshot gallery:', err);
+        document.getElementById('gallery-list').replaceChildren();
+        document.getElementById('gallery-count').textContent = 'Pictures could not be loaded';
+    }
+}
+
+/**
+ * Add Gallery Picture
+ * Shows a new picture of the history ('snapshot added' event) if its device is selected
+ * @param {Object} picture - Picture from the snapshot history
+ */
+function uiAddGalleryPicture(picture) {
+    if (!picture || picture.serialNumber !== galleryDevice) return;
+
+    document.getElementById('gallery-list').prepend(uiCreateGalleryItem(picture));
+    uiUpdateGalleryCount();
+}
+
+/**
+ * Create Gallery Item
+ * @param {Object} picture - Picture from the snapshot history
+ * @returns {HTMLElement} Thumbnail with event type and time, linked to the full picture
+ */
+function uiCreateGalleryItem(picture) {
+    const url = `${transcodeServerUrl}${picture.url}`;
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+
+    const img = document.createElement('img');
+    img.src = url;
+    img.loading = 'lazy';
+    img.alt = picture.event;
+    link.appendChild(img);
+
+    const event = document.createElement('span');
+    event.className = `gallery-event gallery-source-${picture.source}`;
+    event.textContent = picture.event;
+
+    const time = document.createElement('span');
+    time.className = 'gallery-time';
+    time.textContent = new Date(picture.datetime).toLocaleString([], { hour12: false });
+
+    const caption = document.createElement('figcaption');
+    caption.append(event, time);
+
+    const figure = document.createElement('figure');
+    figure.className = 'gallery-item';
+    figure.title = `${picture.event} (${picture.source === 'cloud' ? 'cloud picture' : 'snapshot'})`;
+    figure.append(link, caption);
+    return figure;
+}
+
+/**
+ * Update Gallery Count
+ * Shows the number of pictures in the gallery header
+ */
+function uiUpdateGalleryCount() {
+    const count = document.getElementById('gallery-list').children.length;
+    document.getElementById('gallery-count').textContent = count > 0 ? `${count} pictures` : 'No pictures yet';
+}
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -890,7 +1010,9 @@ function uiGetDeviceSn() {
  * - FFmpeg transcoding preset (ultrafast, veryfast, fast, medium)
  * - FFmpeg CRF quality (0-51, lower = better quality)
  * - FFmpeg thread count
+ * - Maximum number of concurrently streaming devices
  * - Short keyframe intervals (for lower latency)
+ * - Transcoding profiles and their assignment to devices (rotation, crop)
  * 
  * @param {Object} config - Current configuration object
  */
@@ -910,7 +1032,9 @@ function uiOpenConfigModal(config) {
     document.getElementById('config-transcoding-preset').value = config.TRANSCODING_PRESET || 'ultrafast';
     document.getElementById('config-transcoding-crf').value = config.TRANSCODING_CRF || '';
     document.getElementById('config-ffmpeg-threads').value = config.FFMPEG_THREADS || '';
+    document.getElementById('config-max-streams').value = config.MAX_CONCURRENT_STREAMS || '';
     document.getElementById('config-short-keyframes').checked = config.FFMPEG_SHORT_KEYFRAMES || false;
+    uiShowProfiles(config.TRANSCODING_PROFILES || {}, config.DEVICE_PROFILES || {});
 
     // Display modal
     const modal = document.getElementById('config-modal');
@@ -958,7 +1082,13 @@ function uiOpenConfigModal(config) {
     };
 
     // Save configuration handler
-    saveBtn.onclick = () => {
+    saveBtn.onclick = async () => {
+        const profiles = uiReadProfiles();
+        if (profiles.error) {
+            alert('Error saving configuration: ' + profiles.error);
+            return;
+        }
+
         // Build new configuration object from form inputs
         const newConfig = {
             EUFY_CONFIG: {
@@ -971,15 +1101,262 @@ function uiOpenConfigModal(config) {
             TRANSCODING_PRESET: document.getElementById('config-transcoding-preset').value,
             TRANSCODING_CRF: document.getElementById('config-transcoding-crf').value,
             FFMPEG_THREADS: document.getElementById('config-ffmpeg-threads').value,
-            FFMPEG_SHORT_KEYFRAMES: document.getElementById('config-short-keyframes').checked
+            MAX_CONCURRENT_STREAMS: document.getElementById('config-max-streams').value,
+            FFMPEG_SHORT_KEYFRAMES: document.getElementById('config-short-keyframes').checked,
+            TRANSCODING_PROFILES: profiles.profiles,
+            DEVICE_PROFILES: profiles.assignments
         };
 
         // Send updated config to server
-        const err = restPostConfig(newConfig);
+        const err = await restPostConfig(newConfig);
         if (err) {
             alert('Error saving configuration: ' + err);
         } else {
             closeModal();
         }
     };
-}
\ No newline at end of file
+}
+
+// ============================================================================
+// Transcoding Profiles
+// ============================================================================
+
+const PROFILE_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+/**
+ * Show Profiles
+ * Fills the profile editor and the device assignments of the configuration modal
+ * @param {Object} profiles - Profile name -> profile settings (TRANSCODING_PROFILES)
+ * @param {Object} assignments - Serial number -> device settings (DEVICE_PROFILES)
+ */
+function uiShowProfiles(profiles, assignments) {
+    const profileList = document.getElementById('config-profiles');
+    profileList.replaceChildren(...Object.entries(profiles).map(([name, profile]) => uiCreateProfileRow(name, profile)));
+
+    // Known devices and devices with settings that are currently not connected
+    const devices = Array.from(document.getElementById('device-select').options).map(opt => opt.value);
+    Object.keys(assignments).forEach(sn => {
+        if (!devices.includes(sn)) devices.push(sn);
+    });
+
+    const deviceList = document.getElementById('config-device-profiles');
+    deviceList.replaceChildren(...devices.map(sn => uiCreateDeviceProfileRow(sn, assignments[sn] || {})));
+    if (devices.length === 0) {
+        deviceList.textContent = 'No devices';
+    }
+    uiUpdateProfileSelects();
+
+    document.getElementById('config-profile-add-btn').onclick = () => {
+        let index = profileList.children.length + 1;
+        while (uiGetProfileNames().includes(`profile${index}`)) index++;
+        profileList.appendChild(uiCreateProfileRow(`profile${index}`, {}));
+        uiUpdateProfileSelects();
+    };
+}
+
+/**
+ * Create Field
+ * @param {string} label - Field label
+ * @param {HTMLElement} control - Input or select
+ * @returns {HTMLElement} Labeled config field
+ */
+function uiCreateField(label, control) {
+    const field = document.createElement('div');
+    field.className = 'config-field';
+    const labelElement = document.createElement('label');
+    labelElement.textContent = label;
+    labelElement.appendChild(control);
+    field.appendChild(labelElement);
+    return field;
+}
+
+/**
+ * Create Input
+ * @param {string} field - Setting name (data-field)
+ * @param {string} type - Input type
+ * @param {*} value - Current value, null or undefined for empty
+ * @param {Object} [attributes] - Additional attributes (min, max, placeholder)
+ * @returns {HTMLInputElement} Input element
+ */
+function uiCreateInput(field, type, value, attributes = {}) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.dataset.field = field;
+    input.value = value === null || value === undefined ? '' : value;
+    Object.entries(attributes).forEach(([key, attr]) => input.setAttribute(key, attr));
+    return input;
+}
+
+/**
+ * Create Select
+ * @param {string} field - Setting name (data-field)
+ * @param {Array<Array<string>>} options - Options ([value, text])
+ * @param {*} value - Selected value
+ * @returns {HTMLSelectElement} Select element
+ */
+function uiCreateSelect(field, options, value) {
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    options.forEach(([optValue, text]) => select.appendChild(new Option(text, optValue)));
+    select.value = value === null || value === undefined ? '' : String(value);
+    return select;
+}
+
+/**
+ * Create Profile Row
+ * Empty fields use the global transcoding settings
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile settings
+ * @returns {HTMLElement} Profile editor row
+ */
+function uiCreateProfileRow(name, profile) {
+    const row = document.createElement('div');
+    row.className = 'profile-row';
+
+    const nameInput = uiCreateInput('name', 'text', name, { maxlength: 32, placeholder: 'name' });
+    nameInput.dataset.name = name;
+    nameInput.onchange = () => {
+        uiUpdateProfileSelects(nameInput.dataset.name, nameInput.value.trim());
+        nameInput.dataset.name = nameInput.value.trim();
+    };
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'profile-delete-btn';
+    deleteBtn.title = 'Delete profile';
+    deleteBtn.textContent = '✕';
+    deleteBtn.onclick = () => {
+        row.remove();
+        uiUpdateProfileSelects();
+    };
+
+    row.append(
+        uiCreateField('Name', nameInput),
+        uiCreateField('Preset', uiCreateSelect('preset', [['', 'global'], ...PROFILE_PRESETS.map(p => [p, p])], profile.preset)),
+        uiCreateField('CRF', uiCreateInput('crf', 'number', profile.crf, { min: 0, max: 51, placeholder: 'global' })),
+        uiCreateField('Scale', uiCreateInput('scale', 'text', profile.scale === '' ? 'original' : profile.scale, { placeholder: 'global' })),
+        uiCreateField('Short Keyframes', uiCreateSelect('shortKeyframes', [['', 'global'], ['true', 'yes'], ['false', 'no']], profile.shortKeyframes)),
+        uiCreateField('Bitrate Mode', uiCreateSelect('bitrateMode', [['crf', 'CRF'], ['vbr', 'VBR'], ['cbr', 'CBR']], profile.bitrateMode || 'crf')),
+        uiCreateField('Bitrate (kbit/s)', uiCreateInput('bitrate', 'number', profile.bitrate, { min: 100, max: 50000 })),
+        uiCreateField('Max FPS', uiCreateInput('maxFps', 'number', profile.maxFps, { min: 1, max: 60, placeholder: 'camera' })),
+        deleteBtn
+    );
+    return row;
+}
+
+/**
+ * Create Device Profile Row
+ * @param {string} deviceSn - Device serial number
+ * @param {Object} assignment - Device settings (profile, rotation, crop)
+ * @returns {HTMLElement} Device assignment row
+ */
+function uiCreateDeviceProfileRow(deviceSn, assignment) {
+    const row = document.createElement('div');
+    row.className = 'profile-row device-profile-row';
+    row.dataset.serialNumber = deviceSn;
+
+    const name = document.createElement('span');
+    name.className = 'device-profile-name';
+    name.textContent = deviceSn;
+
+    const profileSelect = uiCreateSelect('profile', [], null);
+    profileSelect.dataset.value = assignment.profile || '';
+
+    // Crop in percent of the picture
+    const crop = assignment.crop || {};
+    const percent = (value) => value === undefined ? null : Math.round(value * 1000) / 10;
+
+    row.append(
+        name,
+        uiCreateField('Profile', profileSelect),
+        uiCreateField('Rotation', uiCreateSelect('rotation', [['0', '0°'], ['90', '90°'], ['180', '180°'], ['270', '270°']], assignment.rotation || 0)),
+        uiCreateField('Crop X %', uiCreateInput('cropX', 'number', percent(crop.x), { min: 0, max: 95, step: 0.1 })),
+        uiCreateField('Crop Y %', uiCreateInput('cropY', 'number', percent(crop.y), { min: 0, max: 95, step: 0.1 })),
+        uiCreateField('Width %', uiCreateInput('cropWidth', 'number', percent(crop.width), { min: 5, max: 100, step: 0.1 })),
+        uiCreateField('Height %', uiCreateInput('cropHeight', 'number', percent(crop.height), { min: 5, max: 100, step: 0.1 }))
+    );
+    return row;
+}
+
+/**
+ * Get Profile Names
+ * @returns {string[]} Names of the profiles in the editor
+ */
+function uiGetProfileNames() {
+    return Array.from(document.querySelectorAll('#config-profiles [data-field="name"]'))
+        .map(input => input.value.trim())
+        .filter(name => name !== '');
+}
+
+/**
+ * Update Profile Selects
+ * Rebuilds the profile options of the device assignments after profiles were added, renamed or deleted
+ * @param {string} [oldName] - Previous name of a renamed profile
+ * @param {string} [newName] - New name of a renamed profile
+ */
+function uiUpdateProfileSelects(oldName, newName) {
+    const names = uiGetProfileNames();
+    document.querySelectorAll('#config-device-profiles [data-field="profile"]').forEach(select => {
+        let value = select.options.length > 0 ? select.value : select.dataset.value;
+        if (oldName && value === oldName) value = newName;
+
+        select.replaceChildren(new Option('global settings', ''), ...names.map(name => new Option(name, name)));
+        select.value = names.includes(value) ? value : '';
+    });
+}
+
+/**
+ * Read Profiles
+ * Collects the profiles and device assignments from the configuration modal
+ * @returns {Object} { profiles, assignments } or { error } with a message for invalid input
+ */
+function uiReadProfiles() {
+    const profiles = {};
+    for (const row of document.querySelectorAll('#config-profiles .profile-row')) {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+        const name = value('name');
+        if (!/^[A-Za-z0-9_-]{1,32}$/.test(name)) {
+            return { error: `Invalid profile name "${name}" (letters, digits, - and _)` };
+        }
+        if (profiles[name]) {
+            return { error: `Duplicate profile name "${name}"` };
+        }
+
+        const profile = { bitrateMode: value('bitrateMode') };
+        if (value('preset')) profile.preset = value('preset');
+        if (value('crf')) profile.crf = parseInt(value('crf'), 10);
+        if (value('scale')) profile.scale = value('scale') === 'original' ? '' : value('scale');
+        if (value('shortKeyframes')) profile.shortKeyframes = value('shortKeyframes') === 'true';
+        if (value('bitrate')) profile.bitrate = parseInt(value('bitrate'), 10);
+        if (value('maxFps')) profile.maxFps = parseInt(value('maxFps'), 10);
+        if (profile.bitrateMode !== 'crf' && !profile.bitrate) {
+            return { error: `Profile "${name}" needs a bitrate for ${profile.bitrateMode.toUpperCase()}` };
+        }
+        profiles[name] = profile;
+    }
+
+    const assignments = {};
+    for (const row of document.querySelectorAll('#config-device-profiles .device-profile-row')) {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+        const assignment = {
+            profile: value('profile') || null,
+            rotation: parseInt(value('rotation'), 10)
+        };
+
+        const crop = ['cropX', 'cropY', 'cropWidth', 'cropHeight'].map(value);
+        if (crop.some(v => v !== '')) {
+            if (crop.some(v => v === '')) {
+                return { error: `Crop of ${row.dataset.serialNumber} needs X, Y, width and height` };
+            }
+            const [x, y, width, height] = crop.map(v => parseFloat(v) / 100);
+            assignment.crop = { x, y, width, height };
+        }
+
+        // Devices without own settings are left out
+        if (assignment.profile || assignment.rotation || assignment.crop) {
+            assignments[row.dataset.serialNumber] = assignment;
+        }
+    }
+
+    return { profiles, assignments };
+}
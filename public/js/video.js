@@ -1,21 +1,26 @@
 /**
  * Eufy Video Streaming Client
  * 
- * Handles low-latency video streaming using Media Source Extensions (MSE).
- * Fetches fragmented MP4 (fMP4) stream from transcode server and manages
- * real-time playback with adaptive buffer control.
+ * Handles low-latency video streaming using Media Source Extensions (MSE)
+ * or WebRTC (WHEP). MSE fetches the fragmented MP4 (fMP4) stream from the
+ * transcode server and manages real-time playback with adaptive buffer control.
  * 
  * Features:
- * - H.264/AAC video/audio playback via MSE
+ * - H.264/H.265/AAC video/audio playback via MSE (codecs taken from the server's init segment)
+ * - Sub-second H.264/Opus playback via WebRTC with fallback to MSE
  * - Automatic buffer management for low latency
  * - Connection monitoring and error recovery
  * - Live point tracking (keeps playback near real-time)
+ * - Adaptive bitrate (switches between server renditions based on buffer health)
+ * - Automatic player reset when the server re-initializes the stream (resolution or codec change)
  * 
  * Dependencies: ui.js, main.js
  */
 
 // Global configuration
 let transcodeServerUrl;             // Transcode server base URL (set from main.js)
+const localStorageKeyVideoMode = 'eufyWebClientVideoMode';
+const VIDEO_DEFAULT_TYPE = 'video/mp4; codecs="avc1.4D401F,mp4a.40.2"';  // H.264 Main Profile + AAC-LC until the codecs of the stream are known
 
 // DOM references
 let video;                          // <video> element reference
@@ -24,11 +29,33 @@ let bufferSpan;                     // Buffer size display element
 // Media Source Extensions state
 let mediaSource = null;             // MSE MediaSource instance
 let sourceBuffer = null;            // SourceBuffer for appending video chunks
+let sourceBufferType = null;        // MIME type (with codecs) of the SourceBuffer
 let fetchController = null;         // AbortController for fetch cancellation
 let isStreaming = false;            // True if stream is active
+let streamServer = null;            // Transcode server of the active stream
+let streamDevice = null;            // Device serial number of the active stream
 let reconnectTimeout = null;        // Timeout handle for reconnection attempts
 let connectionCheckInterval = null; // Interval handle for connection health checks
 
+// Adaptive bitrate state (MSE player)
+const ABR_STALL_WINDOW = 10000;     // Stalls are counted within this period (ms)
+const ABR_STALL_LIMIT = 2;          // Stalls within the window that trigger a step down
+const ABR_LOW_BUFFER = 0.3;         // Buffer (s) considered starving
+const ABR_LOW_BUFFER_CHECKS = 5;    // Consecutive starving checks that trigger a step down
+const ABR_STEP_UP_DELAY = 30000;    // Stall-free playback required before stepping up (ms)
+const ABR_SWITCH_COOLDOWN = 5000;   // Minimum time between two switches (ms)
+let renditions = [];                // Renditions offered by the server (highest first)
+let renditionIndex = -1;            // Played rendition, -1 = main stream (top of the ladder)
+let stallTimes = [];                // Times of recent playback stalls
+let lastStallTime = 0;              // Time of the last playback stall
+let lastSwitchTime = 0;             // Time of the last rendition switch
+let lowBufferChecks = 0;            // Consecutive checks with a starving buffer
+let abrInterval = null;             // Interval handle for buffer health checks
+
+// WebRTC (WHEP) state
+let peerConnection = null;          // RTCPeerConnection of the WebRTC player
+let whepResourceUrl = null;         // WHEP session resource (for DELETE on stop)
+
 // ============================================================================
 // Status and Error Handlers
 // ============================================================================
@@ -63,6 +90,26 @@ function videoHideError() {
     document.getElementById('device-video-errorMessage').classList.remove('visible');
 }
 
+/**
+ * Initialize Video Mode Select
+ * Restores the selected player mode and persists changes in the browser
+ */
+function videoInitModeSelect() {
+    const select = document.getElementById('device-video-mode');
+    select.value = videoGetMode();
+    select.addEventListener('change', () => {
+        localStorage.setItem(localStorageKeyVideoMode, select.value);
+    });
+}
+
+/**
+ * Get Video Mode
+ * @returns {string} Selected player mode (mse|webrtc)
+ */
+function videoGetMode() {
+    return localStorage.getItem(localStorageKeyVideoMode) || 'mse';
+}
+
 /**
  * Update Video Buttons
  * Synchronizes UI state with streaming status
@@ -79,14 +126,12 @@ function videoUpdateButtons(streaming) {
 
 /**
  * Start Video Stream
- * Initializes MediaSource, validates device SN, and begins streaming
+ * Validates device SN and begins streaming with the selected player mode
  * 
  * Workflow:
  * 1. Validate device serial number format
- * 2. Create MediaSource and attach to video element
- * 3. Setup SourceBuffer with H.264/AAC codecs
- * 4. Fetch fMP4 stream from transcode server
- * 5. Start connection health monitoring
+ * 2. Start WebRTC player (if selected and supported) or MSE player
+ * 3. Start connection health monitoring
  * 
  * @param {string} server - Transcode server base URL
  * @param {string} deviceSerial - Device serial number (alphanumeric)
@@ -123,35 +168,250 @@ function videoStartStream(server, deviceSerial) {
 
     videoSetStatus('Connecting...', 'connecting');
     isStreaming = true;
+    streamServer = server;
+    streamDevice = deviceSerial;
     videoUpdateButtons(true);
 
+    if (videoGetMode() === 'webrtc' && window.RTCPeerConnection) {
+        videoStartWebRtc(server, deviceSerial);
+    } else {
+        videoStartMse(server, deviceSerial);
+    }
+
+    // Start periodic connection health check
+    videoStartConnectionCheck();
+}
+
+/**
+ * Start MSE Player
+ * Creates MediaSource and fetches the fMP4 stream. The SourceBuffer is
+ * created once the first data arrives and the stream codecs are known.
+ * @param {string} server - Transcode server base URL
+ * @param {string} deviceSerial - Device serial number
+ */
+function videoStartMse(server, deviceSerial) {
     // Initialize Media Source Extensions (MSE)
     mediaSource = new MediaSource();
+    sourceBuffer = null;
+    sourceBufferType = null;
     video.src = URL.createObjectURL(mediaSource);
 
-    mediaSource.addEventListener('sourceopen', async () => {
-        try {
-            // Create SourceBuffer for H.264 video + AAC audio
-            // Codec string: avc1.64001f = H.264 High Profile Level 3.1
-            //               mp4a.40.2 = AAC-LC audio
-            sourceBuffer = mediaSource.addSourceBuffer('video/mp4; codecs="avc1.64001f, mp4a.40.2"');
-            sourceBuffer.mode = 'sequence';  // Sequential timestamp mode for live streaming
+    mediaSource.addEventListener('sourceopen', () => {
+        // Set default playback rate (1.0 = real-time)
+        video.playbackRate = 1.0;
 
-            // Set default playback rate (1.0 = real-time)
-            video.playbackRate = 1.0;
+        videoSetStatus('Stream running', 'connected');
+        videoFetchStream(server, deviceSerial);
+        videoStartAbr(server, deviceSerial);
+    });
+}
 
-            videoSetStatus('Stream running', 'connected');
-            videoFetchStream(server, deviceSerial);
-        } catch (e) {
-            videoSetStatus('Error: ' + e.message, 'disconnected');
-            videoShowError('SourceBuffer error: ' + e.message);
-            console.error('SourceBuffer error:', e);
+/**
+ * Prepare SourceBuffer
+ * Reads the codecs of the fetched stream (GET /:serialNumber/info) and creates
+ * the SourceBuffer, or changes its type when a rendition uses other codecs.
+ * Falls back to the transcoder's default codecs if the info is not available.
+ * @param {string} server - Transcode server base URL
+ * @param {string} deviceSerial - Device serial number
+ * @param {Object|undefined} rendition - Fetched rendition, undefined for the main stream
+ * @throws {Error} If the browser can not play the stream codecs
+ */
+async function videoPrepareSourceBuffer(server, deviceSerial, rendition) {
+    let type = VIDEO_DEFAULT_TYPE;
+    try {
+        const response = await fetch(`${server}/${deviceSerial}/info`);
+        if (response.ok) {
+            const info = await response.json();
+            const output = rendition ? (info.renditions || []).find(r => r.name === rendition.name) : info;
+            if (output) type = output.mimeType;
+            debugConsoleLog('Video stream info:', info);
+        }
+    } catch (e) {
+        debugConsoleLog('Video stream info not available:', e);
+    }
+
+    if (sourceBuffer && type === sourceBufferType) return;
+
+    if (!MediaSource.isTypeSupported(type)) {
+        throw new Error(`This browser can not play the stream (${type})`);
+    }
+
+    if (!sourceBuffer) {
+        sourceBuffer = mediaSource.addSourceBuffer(type);
+        sourceBuffer.mode = 'sequence';  // Sequential timestamp mode for live streaming
+    } else if (sourceBuffer.changeType) {
+        sourceBuffer.changeType(type);
+    }
+    sourceBufferType = type;
+    debugConsoleLog(`Video SourceBuffer type: ${type}`);
+}
+
+/**
+ * Reset MSE Player
+ * Handles a 'stream reset' event of the server: the encoder of the device was
+ * re-initialized (resolution, codec or livestream change). The MSE player is
+ * rebuilt with a new MediaSource and SourceBuffer for the new init segment and
+ * the stream is fetched again. WebRTC players keep their connection, the
+ * decoder follows the new parameters in-band.
+ * @param {string} deviceSerial - Device serial number of the event
+ * @param {string} [reason] - Reason reported by the server
+ */
+function videoResetStream(deviceSerial, reason) {
+    if (!isStreaming || deviceSerial !== streamDevice || peerConnection || !mediaSource) return;
+
+    debugConsoleLog(`Video stream reset by the server: ${reason || 'unknown reason'}`);
+    videoSetStatus('Stream changed, reconnecting...', 'connecting');
+
+    videoStopAbr();
+    if (fetchController) {
+        fetchController.abort();
+    }
+    if (video.src.startsWith('blob:')) {
+        URL.revokeObjectURL(video.src);
+    }
+
+    videoStartMse(streamServer, deviceSerial);
+}
+
+/**
+ * Start WebRTC Player
+ * Negotiates a WHEP session and plays the received tracks
+ * Falls back to the MSE player if WebRTC can not be established
+ * 
+ * Workflow:
+ * 1. Create recvonly video/audio transceivers and SDP offer
+ * 2. POST offer to WHEP endpoint, apply SDP answer
+ * 3. Attach received tracks to video element
+ * 
+ * @param {string} server - Transcode server base URL
+ * @param {string} deviceSerial - Device serial number
+ */
+async function videoStartWebRtc(server, deviceSerial) {
+    let connected = false;
+    const remoteStream = new MediaStream();
+    const pc = new RTCPeerConnection();
+    peerConnection = pc;
+
+    pc.addTransceiver('video', { direction: 'recvonly' });
+    pc.addTransceiver('audio', { direction: 'recvonly' });
+
+    pc.ontrack = (e) => {
+        remoteStream.addTrack(e.track);
+        video.srcObject = remoteStream;
+        video.play().catch(err => debugConsoleLog('Video autoplay prevented:', err));
+    };
+
+    pc.onconnectionstatechange = () => {
+        if (peerConnection !== pc || !isStreaming) return;
+
+        if (pc.connectionState === 'connected') {
+            connected = true;
+            bufferSpan.textContent = 'WebRTC';
+            videoSetStatus('Stream running (WebRTC)', 'connected');
+        } else if (pc.connectionState === 'failed') {
+            if (connected) {
+                videoSetStatus('Connection lost', 'disconnected');
+                videoShowError('WebRTC connection lost');
+                videoStopStream();
+            } else {
+                videoFallbackToMse(server, deviceSerial, 'ICE connection failed');
+            }
+        }
+    };
+
+    try {
+        await pc.setLocalDescription(await pc.createOffer());
+        await videoWaitForIceGathering(pc);
+
+        const response = await fetch(`${server}/whep/${deviceSerial}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/sdp' },
+            body: pc.localDescription.sdp
+        });
+
+        if (!response.ok) {
+            if (response.status === 409) {
+                // Maximum number of concurrently streaming devices reached (no fallback)
+                const errorData = await response.json();
+                const error = new Error(`Too many devices are already streaming: ${(errorData.activeDevices || []).join(', ')}`);
+                error.fatal = true;
+                throw error;
+            }
+            throw new Error(`WHEP not available (HTTP ${response.status})`);
+        }
+
+        whepResourceUrl = new URL(response.headers.get('Location'), server).href;
+        if (peerConnection !== pc) {
+            // Stopped while negotiating
+            videoCloseWebRtc();
+            return;
+        }
+        await pc.setRemoteDescription({ type: 'answer', sdp: await response.text() });
+    } catch (e) {
+        if (peerConnection !== pc || !isStreaming) return;
+
+        if (e.fatal) {
+            videoSetStatus('Connection error', 'disconnected');
+            videoShowError('Error: ' + e.message);
             videoStopStream();
+        } else {
+            videoFallbackToMse(server, deviceSerial, e.message);
         }
+    }
+}
+
+/**
+ * Wait For ICE Gathering
+ * Non-trickle WHEP: the offer is sent with all local candidates
+ * @param {RTCPeerConnection} pc - Peer connection
+ * @returns {Promise<void>} Resolves when gathering completed (or after 2 seconds)
+ */
+function videoWaitForIceGathering(pc) {
+    return new Promise(resolve => {
+        if (pc.iceGatheringState === 'complete') return resolve();
+        const timeout = setTimeout(resolve, 2000);
+        pc.addEventListener('icegatheringstatechange', () => {
+            if (pc.iceGatheringState === 'complete') {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
     });
+}
 
-    // Start periodic connection health check
-    videoStartConnectionCheck();
+/**
+ * Fallback To MSE
+ * Closes the WebRTC player and continues with the MSE player
+ * @param {string} server - Transcode server base URL
+ * @param {string} deviceSerial - Device serial number
+ * @param {string} reason - Reason shown in debug log
+ */
+function videoFallbackToMse(server, deviceSerial, reason) {
+    debugConsoleLog(`WebRTC failed (${reason}), falling back to MSE`);
+    videoSetStatus('WebRTC failed, falling back to MSE', 'connecting');
+    videoCloseWebRtc();
+    videoStartMse(server, deviceSerial);
+}
+
+/**
+ * Close WebRTC Player
+ * Closes the peer connection and ends the WHEP session on the server
+ */
+function videoCloseWebRtc() {
+    if (peerConnection) {
+        peerConnection.close();
+        peerConnection = null;
+    }
+
+    if (whepResourceUrl) {
+        fetch(whepResourceUrl, { method: 'DELETE' })
+            .catch(e => debugConsoleLog('WHEP session delete failed:', e));
+        whepResourceUrl = null;
+    }
+
+    if (video && video.srcObject) {
+        video.srcObject = null;
+    }
 }
 
 /**
@@ -159,35 +419,41 @@ function videoStartStream(server, deviceSerial) {
  * Continuously fetches fMP4 chunks from server and appends to SourceBuffer
  * 
  * Buffer Management:
+ * - Matches the SourceBuffer to the stream codecs before the first append
  * - Appends video chunks as they arrive
  * - Auto-plays when enough data is buffered
  * - Removes old buffer data when QuotaExceeded
  * - Skips forward if buffer exceeds 3 seconds (live point tracking)
+ * - Fetches the selected rendition (see videoSwitchRendition)
  * 
  * Error Handling:
- * - 409: Another device is streaming (device locked)
+ * - 409: Maximum number of concurrently streaming devices reached
  * - 400: Invalid device serial number
+ * - Codecs not supported by the browser stop the stream
  * - Network errors trigger reconnection
  * 
  * @param {string} server - Transcode server base URL
  * @param {string} deviceSerial - Device serial number
  */
 async function videoFetchStream(server, deviceSerial) {
-    fetchController = new AbortController();
+    const controller = new AbortController();
+    const rendition = renditions[renditionIndex];
+    fetchController = controller;
     let lastDataTime = Date.now();
+    let codecsChecked = false;
 
     try {
-        // Fetch fMP4 stream with abort signal for cancellation
-        const response = await fetch(`${server}/${deviceSerial}.mp4`, {
-            signal: fetchController.signal
+        // Fetch fMP4 stream (main stream or rendition) with abort signal for cancellation
+        const response = await fetch(`${server}/${deviceSerial}${rendition ? '/' + rendition.name : ''}.mp4`, {
+            signal: controller.signal
         });
 
         // Handle HTTP errors
         if (!response.ok) {
             if (response.status === 409) {
-                // Device is already streaming to another client
+                // Maximum number of concurrently streaming devices reached
                 const errorData = await response.json();
-                throw new Error(`Another device is already streaming: ${errorData.currentDevice}`);
+                throw new Error(`Too many devices are already streaming: ${(errorData.activeDevices || []).join(', ')}`);
             } else if (response.status === 400) {
                 // Invalid device serial number
                 const errorData = await response.json();
@@ -214,6 +480,24 @@ async function videoFetchStream(server, deviceSerial) {
 
             lastDataTime = Date.now();
 
+            // Stream was replaced by another rendition
+            if (controller.signal.aborted) break;
+
+            // First data of this stream: its init segment is ready on the server
+            if (!codecsChecked) {
+                if (sourceBuffer && sourceBuffer.updating) {
+                    await new Promise(resolve => sourceBuffer.addEventListener('updateend', resolve, { once: true }));
+                }
+                await videoPrepareSourceBuffer(server, deviceSerial, rendition);
+                codecsChecked = true;
+                if (controller.signal.aborted) break;
+            }
+
+            // The replaced stream may still be appending its last chunk
+            if (sourceBuffer && sourceBuffer.updating) {
+                await new Promise(resolve => sourceBuffer.addEventListener('updateend', resolve, { once: true }));
+            }
+
             // Append chunk to SourceBuffer if not currently updating
             if (sourceBuffer && !sourceBuffer.updating) {
                 try {
@@ -227,7 +511,7 @@ async function videoFetchStream(server, deviceSerial) {
                     // Buffer management for low-latency streaming
                     if (video.buffered.length > 0) {
                         const buffered = video.buffered.end(0) - video.currentTime;
-                        bufferSpan.textContent = buffered.toFixed(1) + 's';
+                        bufferSpan.textContent = buffered.toFixed(1) + 's' + (rendition ? ` (${rendition.name})` : '');
 
                         // Live point tracking: skip forward if buffer exceeds 3 seconds
                         if (buffered > 3) {
@@ -270,6 +554,109 @@ async function videoFetchStream(server, deviceSerial) {
     }
 }
 
+// ============================================================================
+// Adaptive Bitrate
+// ============================================================================
+
+/**
+ * Start Adaptive Bitrate
+ * Loads the renditions offered by the server and monitors the buffer health
+ * of the MSE player. The main stream is the top of the rendition ladder.
+ * @param {string} server - Transcode server base URL
+ * @param {string} deviceSerial - Device serial number
+ */
+async function videoStartAbr(server, deviceSerial) {
+    renditions = [];
+    renditionIndex = -1;
+    stallTimes = [];
+    lastStallTime = 0;
+    lastSwitchTime = Date.now();
+    lowBufferChecks = 0;
+
+    try {
+        const response = await fetch(`${server}/health`);
+        renditions = (await response.json()).renditions || [];
+    } catch (e) {
+        debugConsoleLog('Video renditions not available:', e);
+    }
+    if (renditions.length === 0 || !isStreaming) return;
+
+    debugConsoleLog(`Video renditions: ${renditions.map(rendition => rendition.name).join(', ')}`);
+    video.addEventListener('waiting', videoOnStall);
+    abrInterval = setInterval(() => videoCheckBufferHealth(server, deviceSerial), 1000);
+}
+
+/**
+ * Stop Adaptive Bitrate
+ * Clears buffer health monitoring
+ */
+function videoStopAbr() {
+    if (abrInterval) {
+        clearInterval(abrInterval);
+        abrInterval = null;
+    }
+    video?.removeEventListener('waiting', videoOnStall);
+}
+
+/**
+ * Playback Stall Handler
+ * Records stalls ('waiting' events) after playback has started
+ */
+function videoOnStall() {
+    if (isStreaming && video.currentTime > 0) {
+        lastStallTime = Date.now();
+        stallTimes.push(lastStallTime);
+    }
+}
+
+/**
+ * Check Buffer Health
+ * Steps down after repeated stalls or a starving buffer and
+ * steps up again after a stall-free period
+ * @param {string} server - Transcode server base URL
+ * @param {string} deviceSerial - Device serial number
+ */
+function videoCheckBufferHealth(server, deviceSerial) {
+    const now = Date.now();
+    stallTimes = stallTimes.filter(time => now - time < ABR_STALL_WINDOW);
+    if (video.paused || now - lastSwitchTime < ABR_SWITCH_COOLDOWN) return;
+
+    const buffered = video.buffered.length > 0 ? video.buffered.end(video.buffered.length - 1) - video.currentTime : 0;
+    lowBufferChecks = buffered < ABR_LOW_BUFFER ? lowBufferChecks + 1 : 0;
+
+    const starving = stallTimes.length >= ABR_STALL_LIMIT || lowBufferChecks >= ABR_LOW_BUFFER_CHECKS;
+    if (starving && renditionIndex < renditions.length - 1) {
+        videoSwitchRendition(server, deviceSerial, renditionIndex + 1);
+    } else if (!starving && renditionIndex > -1 && now - Math.max(lastStallTime, lastSwitchTime) > ABR_STEP_UP_DELAY) {
+        videoSwitchRendition(server, deviceSerial, renditionIndex - 1);
+    }
+}
+
+/**
+ * Switch Rendition
+ * Replaces the fetched stream with another rendition. The new init segment
+ * is appended to the same SourceBuffer (sequence mode keeps the timeline
+ * continuous); frames are decoded again from its first keyframe.
+ * @param {string} server - Transcode server base URL
+ * @param {string} deviceSerial - Device serial number
+ * @param {number} index - Rendition index, -1 for the main stream
+ */
+function videoSwitchRendition(server, deviceSerial, index) {
+    renditionIndex = index;
+    stallTimes = [];
+    lowBufferChecks = 0;
+    lastSwitchTime = Date.now();
+
+    const name = index >= 0 ? renditions[index].name : 'main stream';
+    debugConsoleLog(`Video switching to ${name}`);
+    videoSetStatus(`Stream running (${name})`, 'connected');
+
+    if (fetchController) {
+        fetchController.abort();
+    }
+    videoFetchStream(server, deviceSerial);
+}
+
 // ============================================================================
 // Connection Health Monitoring
 // ============================================================================
@@ -309,16 +696,20 @@ function videoStopConnectionCheck() {
  * Cleanup workflow:
  * 1. Set isStreaming flag to false
  * 2. Update UI buttons and unlock device list
- * 3. Stop connection health monitoring
+ * 3. Stop connection health monitoring and adaptive bitrate
  * 4. Clear reconnection timeout
  * 5. Abort fetch request
  * 6. End MediaSource stream
- * 7. Pause video element
+ * 7. Close WebRTC peer connection
+ * 8. Pause video element
  */
 function videoStopStream() {
     isStreaming = false;
+    streamServer = null;
+    streamDevice = null;
     videoUpdateButtons(false);
     videoStopConnectionCheck();
+    videoStopAbr();
 
     // Clear any pending reconnection attempts
     if (reconnectTimeout) {
@@ -340,6 +731,9 @@ function videoStopStream() {
         }
     }
 
+    // Close WebRTC player and end WHEP session
+    videoCloseWebRtc();
+
     // Revoke blob URL to prevent memory leak
     if (video && video.src.startsWith('blob:')) {
         URL.revokeObjectURL(video.src);
@@ -388,9 +388,37 @@ function eufyParseEventMessage(message) {
         case 'sound detected':      // Audio detection
         case 'pet detected':        // Pet AI detection
         case 'verhicle detected':   // Vehicle AI detection (typo in original API)
-            // Show browser notification on detection event
+        case 'rings':               // Doorbell ring
+            // Show browser notification on detection event (opens the event clip if one is recorded)
             if (message.event.state === true)
-                uiSendNotification(`Eufy Event: ${message.event.event}`, `Device SN: ${message.event.serialNumber}`);
+                uiSendNotification(`Eufy Event: ${message.event.event}`, `Device SN: ${message.event.serialNumber}`,
+                    message.event.clip ? `${transcodeServerUrl}${message.event.clip.url}` : null);
+            break;
+
+        case 'snapshot added':  // New picture in the snapshot history of a device
+            debugConsoleLog('Snapshot added:', message.event.picture);
+            uiAddGalleryPicture(message.event.picture);
+            break;
+
+        case 'clip saved':  // Event clip finished on the server
+            debugConsoleLog('Clip saved:', message.event.clip);
+            break;
+
+        case 'timelapse progress':  // Timelapse render job queued, running or finished on the server
+            debugConsoleLog('Timelapse progress:', message.event.timelapse);
+            break;
+
+        case 'stream info':  // Codecs of a started stream (new init segment on the server)
+            debugConsoleLog(`Stream info for ${message.event.serialNumber}:`, message.event.info);
+            break;
+
+        case 'stream reset':  // Encoder re-initialized (resolution, codec or livestream change)
+            debugConsoleLog(`Stream reset for ${message.event.serialNumber}: ${message.event.reason}`, message.event.info);
+            videoResetStream(message.event.serialNumber, message.event.reason);
+            break;
+
+        case 'transcode stats':  // Live encoder statistics of a streaming device
+            debugConsoleLog(`Transcode stats for ${message.event.serialNumber}:`, message.event.stats);
             break;
 
         case 'command result':  // Generic command execution result
@@ -0,0 +1,182 @@
+/**
+ * MP4 Box Stream Parser Module
+ *
+ * Splits a byte stream of ISO-BMFF boxes (e.g. FFmpeg fMP4 output) into complete boxes:
+ * - Transform stream in object mode emitting one object per top-level box
+ * - 32-bit sizes, 64-bit largesize (size == 1) and size == 0 (box extends to the end of the stream)
+ * - Partial reads: chunks are queued and every box is copied at most once
+ * - Optional box tree of nested container boxes (moov/trak/..., moof/traf)
+ */
+
+const { Transform } = require('stream');
+
+const mp4 = require('./mp4');
+
+// Boxes larger than this are treated as a corrupt stream
+const DEFAULT_MAX_BOX_SIZE = 64 * 1024 * 1024;
+
+// Boxes that only contain other boxes
+const CONTAINER_BOXES = ['moov', 'trak', 'edts', 'mdia', 'minf', 'dinf', 'stbl', 'mvex', 'moof', 'traf', 'mfra', 'udta'];
+
+/**
+ * Create Box Parser
+ * @param {Object} [options] - Parser options
+ * @param {number} [options.maxBoxSize] - Largest accepted box in bytes (default 64 MB)
+ * @param {boolean} [options.nested=false] - Add the tree of child boxes to container boxes
+ * @returns {Transform} Stream accepting bytes and emitting boxes ({ type, size, headerSize, data[, children] });
+ *                      emits 'error' for invalid or oversized boxes and for a truncated box at the end
+ */
+function createBoxParser(options = {}) {
+    const maxBoxSize = options.maxBoxSize || DEFAULT_MAX_BOX_SIZE;
+    const chunks = [];                 // Received data not yet emitted
+    let bufferedBytes = 0;
+    let header = null;                 // Header of the box being received ({ type, size, headerSize })
+
+    /**
+     * Peek
+     * @param {number} length - Number of bytes (at most bufferedBytes)
+     * @returns {Buffer} First bytes of the queue, without consuming them
+     */
+    const peek = (length) => {
+        if (chunks[0].length >= length) return chunks[0].subarray(0, length);
+        return Buffer.concat(chunks, Math.min(bufferedBytes, length + chunks[0].length)).subarray(0, length);
+    };
+
+    /**
+     * Take
+     * @param {number} length - Number of bytes (at most bufferedBytes)
+     * @returns {Buffer} First bytes of the queue, removed from it (no copy if within one chunk)
+     */
+    const take = (length) => {
+        bufferedBytes -= length;
+        if (chunks[0].length >= length) {
+            const data = chunks[0].subarray(0, length);
+            chunks[0] = chunks[0].subarray(length);
+            if (chunks[0].length === 0) chunks.shift();
+            return data;
+        }
+
+        const data = Buffer.allocUnsafe(length);
+        let offset = 0;
+        while (offset < length) {
+            const chunk = chunks[0];
+            const count = Math.min(chunk.length, length - offset);
+            chunk.copy(data, offset, 0, count);
+            offset += count;
+            if (count === chunk.length) {
+                chunks.shift();
+            } else {
+                chunks[0] = chunk.subarray(count);
+            }
+        }
+        return data;
+    };
+
+    /**
+     * Read Header
+     * @returns {Object|null} Header of the next box, null if more data is needed
+     * @throws {Error} If the header is invalid or announces an oversized box
+     */
+    const readHeader = () => {
+        if (bufferedBytes < 8) return null;
+
+        const start = peek(Math.min(bufferedBytes, 16));
+        const type = start.toString('latin1', 4, 8);
+        let size = start.readUInt32BE(0);
+        let headerSize = 8;
+
+        if (size === 1) {
+            // 64-bit largesize follows the box type
+            if (start.length < 16) return null;
+            size = Number(start.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = Infinity;           // Extends to the end of the stream
+        }
+
+        if (size < headerSize) throw new Error(`Invalid size ${size} of box '${type}'`);
+        if (size !== Infinity && size > maxBoxSize) throw new Error(`Box '${type}' exceeds ${maxBoxSize} bytes (${size})`);
+        return { type, size, headerSize };
+    };
+
+    /**
+     * Emit Box
+     * @param {Transform} stream - Parser stream
+     * @param {Buffer} data - Complete box
+     */
+    const emitBox = (stream, data) => {
+        const box = { type: header.type, size: data.length, headerSize: header.headerSize, data: data };
+        if (options.nested) box.children = readBoxTree(data, box.type, header.headerSize);
+        header = null;
+        stream.push(box);
+    };
+
+    return new Transform({
+        readableObjectMode: true,
+
+        transform(chunk, encoding, callback) {
+            if (chunk.length > 0) {
+                chunks.push(chunk);
+                bufferedBytes += chunk.length;
+            }
+
+            try {
+                while (true) {
+                    if (!header) {
+                        header = readHeader();
+                        if (!header) break;
+                    }
+                    if (header.size === Infinity) {
+                        if (bufferedBytes > maxBoxSize) throw new Error(`Box '${header.type}' exceeds ${maxBoxSize} bytes`);
+                        break;         // Emitted at the end of the stream
+                    }
+                    if (bufferedBytes < header.size) break;
+                    emitBox(this, take(header.size));
+                }
+                callback();
+            } catch (err) {
+                chunks.length = 0;
+                bufferedBytes = 0;
+                callback(err);
+            }
+        },
+
+        flush(callback) {
+            if (header && header.size === Infinity) {
+                emitBox(this, take(bufferedBytes));
+            }
+            if (bufferedBytes > 0) {
+                const type = header ? header.type : 'unknown';
+                callback(new Error(`Stream ended within box '${type}' (${bufferedBytes} bytes left)`));
+                return;
+            }
+            callback();
+        }
+    });
+}
+
+/**
+ * Read Box Tree
+ * Lists the child boxes of a container box, recursing into nested containers
+ * @param {Buffer} data - Buffer containing the box
+ * @param {string} type - Box type
+ * @param {number} start - Offset of the box payload
+ * @param {number} [end] - Offset of the box end
+ * @returns {Array<Object>} Child boxes (type, start, size, payload, end[, children]), empty for non-container boxes
+ */
+function readBoxTree(data, type, start, end = data.length) {
+    if (!CONTAINER_BOXES.includes(type)) return [];
+
+    return mp4.readBoxes(data, start, end).map(child => CONTAINER_BOXES.includes(child.type)
+        ? { ...child, children: readBoxTree(data, child.type, child.payload, child.end) }
+        : child);
+}
+
+/**
+ * Module Exports
+ * Exposes the box stream parser
+ */
+module.exports = {
+    createBoxParser,
+    readBoxTree
+};
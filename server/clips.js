@@ -0,0 +1,558 @@
+/**
+ * Event Clip Module
+ *
+ * Saves MP4 clips of device events (motion, person, doorbell, ...):
+ * - Rules select the triggering events (CLIP_EVENTS) and devices (CLIP_DEVICES)
+ * - Starts the livestream on an event and holds it until the post-roll has passed
+ * - Pre-roll from a keyframe-aligned fragment buffer while a device is streaming
+ * - Further events during a clip extend it up to CLIP_MAX_DURATION
+ * - A clip running across an encoder restart continues in a new file, linked in the index
+ * - Files in DATA_DIR/clips/<SN>/<id>.mp4, metadata in DATA_DIR/clips/index.json
+ * - Deletes old clips by age (CLIP_RETENTION_DAYS) and total size (CLIP_MAX_SIZE_GB)
+ * - Links the clip in the broadcast event and announces finished clips ('clip saved')
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const utils = require('./utils');
+const eufy = require('./eufy-client');
+const transcode = require('./transcode');
+const streams = require('./streams');
+const wsApi = require('./ws-api');
+
+// Upper limit of a pre-roll buffer (e.g. streams without keyframe flags)
+const MAX_PRE_ROLL_BYTES = 16 * 1024 * 1024;
+// Retention is applied periodically and whenever a clip is saved
+const RETENTION_INTERVAL = 60000;
+
+const INDEX_FILE = path.join(utils.clipDir, 'index.json');
+
+let CONFIG = utils.loadConfig();
+const preRolls = new Map();            // Device serial number -> pre-roll buffer
+const clips = new Map();               // Device serial number -> clip being recorded
+let retentionTimer = null;
+
+/**
+ * Initialize Clips
+ * (Re)loads the clip rules and restarts the retention
+ */
+function initClips() {
+    CONFIG = utils.loadConfig();
+
+    // Drop pre-roll buffers of devices no longer selected
+    Array.from(preRolls.keys())
+        .filter(serialNumber => !isClipDevice(serialNumber))
+        .forEach(serialNumber => preRolls.delete(serialNumber));
+
+    clearInterval(retentionTimer);
+    retentionTimer = setInterval(applyRetention, RETENTION_INTERVAL);
+    applyRetention();
+
+    const events = getClipEvents();
+    utils.log(`🎬 Clips initialized (${events.length > 0 ? events.join(', ') : 'no events'}, pre-roll ${getPreRoll()}s while streaming, post-roll ${getPostRoll()}s, ${getRetentionDays() || 'unlimited'} days, ${getMaxSizeGb() || 'unlimited'} GB)`, 'debug');
+}
+
+/**
+ * Get Clip Events
+ * @returns {Array<string>} Device event names that trigger a clip (CLIP_EVENTS, comma-separated)
+ */
+function getClipEvents() {
+    return String(CONFIG.CLIP_EVENTS || '')
+        .split(',')
+        .map(event => event.trim())
+        .filter(event => event.length > 0);
+}
+
+/**
+ * Is Clip Device
+ * @param {string} serialNumber - Device serial number
+ * @returns {boolean} True if events of the device trigger clips (CLIP_DEVICES, empty = all devices)
+ */
+function isClipDevice(serialNumber) {
+    if (getClipEvents().length === 0) return false;
+
+    const devices = String(CONFIG.CLIP_DEVICES || '')
+        .split(',')
+        .map(device => device.trim())
+        .filter(device => device.length > 0);
+    return devices.length === 0 || devices.includes(serialNumber);
+}
+
+/**
+ * Get Seconds
+ * @param {string} value - Configured number of seconds
+ * @param {number} fallback - Default for missing or invalid values
+ * @returns {number} Seconds
+ */
+function getSeconds(value, fallback) {
+    const seconds = parseFloat(value);
+    return Number.isNaN(seconds) || seconds < 0 ? fallback : seconds;
+}
+
+/**
+ * Get Pre-Roll
+ * @returns {number} Seconds recorded before the event (if the device was already streaming)
+ */
+function getPreRoll() {
+    return getSeconds(CONFIG.CLIP_PRE_ROLL, 5);
+}
+
+/**
+ * Get Post-Roll
+ * @returns {number} Seconds recorded after the last event of a clip
+ */
+function getPostRoll() {
+    return getSeconds(CONFIG.CLIP_POST_ROLL, 10);
+}
+
+/**
+ * Get Max Duration
+ * @returns {number} Maximum time from the first event to the end of a clip in seconds
+ */
+function getMaxDuration() {
+    return Math.max(getSeconds(CONFIG.CLIP_MAX_DURATION, 120), 1);
+}
+
+/**
+ * Get Retention Days
+ * @returns {number} Maximum age of clips in days (0 = unlimited)
+ */
+function getRetentionDays() {
+    const days = parseFloat(CONFIG.CLIP_RETENTION_DAYS);
+    return Number.isNaN(days) || days < 0 ? 30 : days;
+}
+
+/**
+ * Get Max Size
+ * @returns {number} Maximum total size of all clips in GB (0 = unlimited)
+ */
+function getMaxSizeGb() {
+    const size = parseFloat(CONFIG.CLIP_MAX_SIZE_GB);
+    return Number.isNaN(size) || size < 0 ? 5 : size;
+}
+
+/**
+ * Handle Device Event
+ * Starts or extends a clip for events matching the rules and links it in the event
+ * @param {Object} event - Device event about to be broadcast (serialNumber, event, state, ...)
+ */
+function handleDeviceEvent(event) {
+    if (!event.state || !getClipEvents().includes(event.event) || !isClipDevice(event.serialNumber)) return;
+
+    let clip = clips.get(event.serialNumber);
+    if (clip) {
+        extendClip(clip, event);
+    } else {
+        clip = startClip(event);
+    }
+
+    if (clip) {
+        event.clip = { id: clip.id, url: `/clips/${clip.id}.mp4` };
+    }
+}
+
+/**
+ * Start Clip
+ * Starts the livestream of a device and begins a clip with the buffered pre-roll
+ * @param {Object} event - Triggering device event
+ * @returns {Object|null} Clip or null if the concurrent stream limit is reached
+ */
+function startClip(event) {
+    const serialNumber = event.serialNumber;
+    const now = Date.now();
+
+    const clip = {
+        id: getClipId(serialNumber, now),
+        serialNumber: serialNumber,
+        deviceName: eufy.getDeviceName(serialNumber),
+        event: event.event,
+        events: [event.event],         // Triggering and extending events
+        person: event.person && event.person !== 'unknown' ? event.person : null,
+        eventAt: now,
+        endAt: Math.min(now + getPostRoll() * 1000, now + getMaxDuration() * 1000),
+        timer: null,
+        client: null,
+        continues: null,               // ID of the previous part if the clip was continued
+        initSegment: null,
+        file: null,                    // { path, stream }
+        bytes: 0,
+        startedAt: null,               // Arrival time of the first fragment
+        lastFragmentAt: null
+    };
+
+    clip.client = {
+        type: 'clip',
+        active: true,
+        close: () => finishClip(clip)
+    };
+
+    if (!streams.acquireStream(serialNumber, clip.client)) {
+        utils.log(`⚠️ No clip for ${event.event} on ${serialNumber}, stream limit reached`, 'warn');
+        return null;
+    }
+    clips.set(serialNumber, clip);
+    scheduleFinish(clip);
+
+    // Stream may already be running, start with the pre-roll
+    const preRoll = preRolls.get(serialNumber);
+    if (preRoll) {
+        clip.initSegment = preRoll.initSegment;
+        preRoll.fragments.forEach(entry => writeClipFragment(clip, entry));
+    }
+
+    const preRollSeconds = getActualPreRoll(clip);
+    utils.log(`🎬 Clip ${clip.id} started (${event.event}, pre-roll ${preRollSeconds}s)`, 'info');
+    if (getPreRoll() > 0 && preRollSeconds === 0) {
+        utils.log(`⚠️ Clip ${clip.id} has no pre-roll, ${serialNumber} was not streaming before the event`, 'warn');
+    }
+
+    return clip;
+}
+
+/**
+ * Get Actual Pre-Roll
+ * @param {Object} clip - Clip
+ * @returns {number} Seconds recorded before the event, 0 if the clip started with the livestream
+ */
+function getActualPreRoll(clip) {
+    if (clip.startedAt === null) return 0;
+    return Math.max(Math.round((clip.eventAt - clip.startedAt) / 100) / 10, 0);
+}
+
+/**
+ * Get Clip ID
+ * @param {string} serialNumber - Device serial number
+ * @param {number} time - Event time
+ * @returns {string} Unique clip ID ("<SN>_<YYYYMMDD>T<HHMMSS>[_<n>]", UTC)
+ */
+function getClipId(serialNumber, time) {
+    const base = `${serialNumber}_${new Date(time).toISOString().replace(/[-:]/g, '').slice(0, 15)}`;
+    const ids = new Set([...loadIndex().map(entry => entry.id), ...Array.from(clips.values()).map(clip => clip.id)]);
+    let id = base;
+    for (let i = 1; ids.has(id); i++) {
+        id = `${base}_${i}`;
+    }
+    return id;
+}
+
+/**
+ * Extend Clip
+ * Moves the end of a running clip for a further event
+ * @param {Object} clip - Clip
+ * @param {Object} event - Device event
+ */
+function extendClip(clip, event) {
+    if (!clip.events.includes(event.event)) clip.events.push(event.event);
+    if (!clip.person && event.person && event.person !== 'unknown') clip.person = event.person;
+
+    clip.endAt = Math.min(Date.now() + getPostRoll() * 1000, clip.eventAt + getMaxDuration() * 1000);
+    scheduleFinish(clip);
+    utils.log(`🎬 Clip ${clip.id} extended (${event.event})`, 'debug');
+}
+
+/**
+ * Schedule Finish
+ * @param {Object} clip - Clip
+ */
+function scheduleFinish(clip) {
+    clearTimeout(clip.timer);
+    clip.timer = setTimeout(() => finishClip(clip), Math.max(clip.endAt - Date.now(), 0));
+}
+
+/**
+ * Write Clip Fragment
+ * Appends a fragment; the file is created with the init segment at the first keyframe
+ * @param {Object} clip - Clip
+ * @param {Object} entry - Fragment entry ({ data, time, keyframe })
+ */
+function writeClipFragment(clip, entry) {
+    if (!clip.initSegment) return;
+
+    if (!clip.file) {
+        if (!entry.keyframe) return;   // Wait for a decodable start
+
+        const filePath = path.join(utils.clipDir, clip.serialNumber, `${clip.id}.mp4`);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const file = { path: filePath, stream: fs.createWriteStream(filePath) };
+        file.stream.on('error', (err) => {
+            utils.log(`❌ Clip write error for ${clip.id}: ${err.message}`, 'error');
+        });
+        file.stream.write(clip.initSegment);
+        clip.bytes = clip.initSegment.length;
+        clip.startedAt = entry.time;
+        clip.file = file;
+    }
+
+    clip.file.stream.write(entry.data);
+    clip.bytes += entry.data.length;
+    clip.lastFragmentAt = entry.time;
+}
+
+/**
+ * Continue Clip
+ * A clip file is bound to one init segment: on an encoder restart the file is saved and the
+ * clip continues with the new init segment in a new file, keeping its events and post-roll
+ * @param {Object} clip - Clip with a file
+ * @param {Buffer} initSegment - New init segment
+ */
+function continueClip(clip, initSegment) {
+    const nextId = getClipId(clip.serialNumber, Date.now());
+    saveClip(clip, nextId);
+    utils.log(`🎬 Clip ${clip.id} continues in ${nextId} (stream restarted)`, 'info');
+
+    clip.continues = clip.id;
+    clip.id = nextId;
+    clip.initSegment = initSegment;
+    clip.file = null;
+    clip.bytes = 0;
+    clip.startedAt = null;
+    clip.lastFragmentAt = null;
+}
+
+/**
+ * Finish Clip
+ * Closes the clip file, releases the livestream and adds the clip to the index
+ * @param {Object} clip - Clip
+ */
+function finishClip(clip) {
+    if (clips.get(clip.serialNumber) !== clip) return;
+    clips.delete(clip.serialNumber);
+    clearTimeout(clip.timer);
+
+    if (clip.client.active) {
+        streams.releaseStream(clip.serialNumber, clip.client);
+    }
+
+    if (!clip.file) {
+        utils.log(`⚠️ Clip ${clip.id} discarded, no video received`, 'warn');
+        return;
+    }
+    saveClip(clip, null);
+}
+
+/**
+ * Save Clip
+ * Closes the file of a clip (part) and adds it to the index
+ * @param {Object} clip - Clip with a file
+ * @param {string|null} continuedBy - ID of the part continuing the clip, null for the last part
+ */
+function saveClip(clip, continuedBy) {
+    clip.file.stream.end();
+
+    const entry = {
+        id: clip.id,
+        serialNumber: clip.serialNumber,
+        deviceName: clip.deviceName,
+        event: clip.event,
+        events: clip.events,
+        person: clip.person,
+        eventAt: new Date(clip.eventAt).toISOString(),
+        startedAt: new Date(clip.startedAt).toISOString(),
+        preRoll: getActualPreRoll(clip),
+        duration: Math.round((clip.lastFragmentAt - clip.startedAt) / 100) / 10,
+        size: clip.bytes,
+        file: path.relative(utils.clipDir, clip.file.path),
+        url: `/clips/${clip.id}.mp4`,
+        continues: clip.continues,
+        continuedBy: continuedBy
+    };
+
+    const index = loadIndex();
+    index.push(entry);
+    saveIndex(index);
+    utils.log(`🎬 Clip ${clip.id} saved (${entry.duration}s, ${entry.size} bytes)`, 'info');
+    applyRetention();
+
+    wsApi.wsBroadcast({
+        type: 'event',
+        event: {
+            source: 'device',
+            event: 'clip saved',
+            serialNumber: clip.serialNumber,
+            clip: entry
+        }
+    });
+}
+
+/**
+ * Load Index
+ * @returns {Array<Object>} Metadata of all saved clips (oldest first)
+ */
+function loadIndex() {
+    try {
+        if (fs.existsSync(INDEX_FILE)) {
+            return JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+        }
+    } catch (err) {
+        utils.log(`⚠️ Failed to load clip index: ${err.message}`, 'warn');
+    }
+    return [];
+}
+
+/**
+ * Save Index
+ * @param {Array<Object>} index - Metadata of all saved clips
+ */
+function saveIndex(index) {
+    try {
+        fs.mkdirSync(utils.clipDir, { recursive: true });
+        fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2), 'utf8');
+    } catch (err) {
+        utils.log(`❌ Failed to save clip index: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * Apply Retention
+ * Deletes clips older than the retention period, then the oldest clips until the
+ * total size is below the limit, and removes them from the index (clips being
+ * recorded are not in the index yet). Kept parts lose their links to deleted parts.
+ */
+function applyRetention() {
+    const index = loadIndex();
+    const maxAge = getRetentionDays() * 24 * 3600 * 1000;
+    const maxBytes = getMaxSizeGb() * 1024 * 1024 * 1024;
+    let totalBytes = index.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const deleted = new Set();
+
+    for (const entry of index) {
+        const expired = maxAge > 0 && Date.now() - new Date(entry.startedAt).getTime() > maxAge;
+        const oversize = maxBytes > 0 && totalBytes > maxBytes;
+        if (!expired && !oversize) break;
+
+        const filePath = path.join(utils.clipDir, entry.file);
+        try {
+            fs.rmSync(filePath, { force: true });
+        } catch (err) {
+            utils.log(`⚠️ Failed to delete clip ${filePath}: ${err.message}`, 'warn');
+            continue;
+        }
+        try {
+            fs.rmdirSync(path.dirname(filePath));  // Device directory, fails if not empty
+        } catch (e) {
+            // Other clips of the device are kept
+        }
+        totalBytes -= entry.size || 0;
+        deleted.add(entry.id);
+    }
+    if (deleted.size === 0) return;
+
+    saveIndex(index
+        .filter(entry => !deleted.has(entry.id))
+        .map(entry => ({
+            ...entry,
+            continues: deleted.has(entry.continues) ? null : entry.continues,
+            continuedBy: deleted.has(entry.continuedBy) ? null : entry.continuedBy
+        })));
+    utils.log(`🧹 Clip retention deleted ${deleted.size} clips (${Math.round(totalBytes / 1024 / 1024)} MB kept)`, 'info');
+}
+
+/**
+ * Get Clips
+ * @param {string} [serialNumber] - Only clips of this device
+ * @returns {Array<Object>} Clip metadata (newest first)
+ */
+function getClips(serialNumber) {
+    return loadIndex()
+        .filter(entry => !serialNumber || entry.serialNumber === serialNumber)
+        .reverse();
+}
+
+/**
+ * Get Clip Path
+ * @param {string} id - Clip ID
+ * @returns {string|null} Absolute path of the clip file (saved or still recording) or null if unknown
+ */
+function getClipPath(id) {
+    const clip = Array.from(clips.values()).find(clip => clip.id === id);
+    if (clip) return clip.file ? clip.file.path : null;
+
+    const entry = loadIndex().find(entry => entry.id === id);
+    return entry ? path.join(utils.clipDir, entry.file) : null;
+}
+
+/**
+ * Buffer Pre-Roll
+ * Keeps the fragments from the last keyframe before the pre-roll period up to now
+ * @param {Object} preRoll - Pre-roll buffer
+ * @param {Object} entry - Fragment entry ({ data, time, keyframe })
+ */
+function bufferPreRoll(preRoll, entry) {
+    preRoll.fragments.push(entry);
+    preRoll.bytes += entry.data.length;
+
+    const cutoff = entry.time - getPreRoll() * 1000;
+    let start = 0;
+    for (let i = preRoll.fragments.length - 1; i > 0; i--) {
+        if (preRoll.fragments[i].keyframe && preRoll.fragments[i].time <= cutoff) {
+            start = i;
+            break;
+        }
+    }
+    while (start < preRoll.fragments.length && !preRoll.fragments[start].keyframe) start++;
+
+    if (preRoll.bytes > MAX_PRE_ROLL_BYTES) {
+        start = preRoll.fragments.length;
+    }
+    preRoll.fragments.splice(0, start).forEach(dropped => { preRoll.bytes -= dropped.data.length; });
+}
+
+/**
+ * Device Event Handler
+ * Runs before the event is broadcast, so the clip link is part of it
+ */
+eufy.event.on('deviceEvent', (event) => {
+    handleDeviceEvent(event);
+});
+
+/**
+ * Transcode Event Handlers
+ * Buffer the pre-roll of selected devices and write fragments of running clips
+ */
+transcode.event.on('initSegment', (serialNumber, initSegment) => {
+    if (isClipDevice(serialNumber)) {
+        preRolls.set(serialNumber, { initSegment, fragments: [], bytes: 0 });
+    }
+
+    const clip = clips.get(serialNumber);
+    if (clip && clip.file) {
+        continueClip(clip, initSegment);
+    } else if (clip) {
+        clip.initSegment = initSegment;
+    }
+});
+
+transcode.event.on('fragment', (serialNumber, fragment, keyframe) => {
+    const preRoll = preRolls.get(serialNumber);
+    const clip = clips.get(serialNumber);
+    if (!preRoll && !clip) return;
+
+    // Fragments without sample flags can not be checked and are treated as keyframes
+    const entry = {
+        data: fragment,
+        time: Date.now(),
+        keyframe: keyframe !== false
+    };
+
+    if (preRoll) bufferPreRoll(preRoll, entry);
+    if (clip) writeClipFragment(clip, entry);
+});
+
+transcode.event.on('sessionClosed', (serialNumber) => {
+    preRolls.delete(serialNumber);
+    const clip = clips.get(serialNumber);
+    if (clip) finishClip(clip);
+});
+
+/**
+ * Module Exports
+ * Exposes clip functions and getters
+ */
+module.exports = {
+    initClips,
+    getClips,
+    getClipPath,
+
+    get activeClips() { return Array.from(clips.values()).map(clip => clip.id); },
+};
@@ -0,0 +1,178 @@
+/**
+ * DASH Output Module
+ *
+ * Serves live streams as MPEG-DASH with fMP4 segments:
+ * - Renders dynamic MPD manifests from the segmenter's sliding window
+ * - SegmentTemplate with $Number$ addressing and a SegmentTimeline
+ * - One period per init segment version (encoder restarts)
+ * - One representation per rendition in the current period (adaptive bitrate)
+ */
+
+const mp4 = require('./mp4');
+const transcode = require('./transcode');
+const segmenter = require('./segmenter');
+
+/**
+ * Format Duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} ISO 8601 duration (e.g. PT2.000S)
+ */
+function formatDuration(seconds) {
+    return `PT${Math.max(0, seconds).toFixed(3)}S`;
+}
+
+/**
+ * Render Representation
+ * Builds a Representation element with a SegmentTimeline
+ * @param {string} id - Representation ID
+ * @param {Object} state - Segmenter state of the stream
+ * @param {Array<Object>} segments - Consecutive segments sharing an init segment
+ * @param {number} presentationTimeOffset - Media time of the period start (stream timescale)
+ * @param {string} pathPrefix - Path of the stream relative to the manifest ('' or '<rendition>/')
+ * @returns {Array<string>} Manifest lines
+ */
+function renderRepresentation(id, state, segments, presentationTimeOffset, pathPrefix) {
+    const first = segments[0];
+    const initSegment = state.inits.get(first.initVersion);
+    const videoTrack = mp4.getVideoTrack(initSegment);
+    const size = videoTrack && videoTrack.width > 0 ? ` width="${videoTrack.width}" height="${videoTrack.height}"` : '';
+
+    // Average bitrate of the listed segments
+    const bytes = segments.reduce((sum, segment) => sum + segment.data.length, 0);
+    const seconds = segments.reduce((sum, segment) => sum + segment.duration / segment.timescale, 0);
+    const bandwidth = seconds > 0 ? Math.round(bytes * 8 / seconds) : 0;
+
+    const lines = [
+        `      <Representation id="${id}" codecs="${mp4.getCodecs(initSegment)}" bandwidth="${bandwidth}"${size}>`,
+        `        <SegmentTemplate timescale="${first.timescale}" presentationTimeOffset="${presentationTimeOffset}" startNumber="${first.sequence}" initialization="${pathPrefix}init${first.initVersion}.mp4" media="${pathPrefix}segment$Number$.m4s">`,
+        `          <SegmentTimeline>`
+    ];
+    segments.forEach(segment => {
+        lines.push(`            <S t="${segment.startTime}" d="${segment.duration}"/>`);
+    });
+    lines.push(
+        `          </SegmentTimeline>`,
+        `        </SegmentTemplate>`,
+        `      </Representation>`
+    );
+
+    return lines;
+}
+
+/**
+ * Render Period
+ * Builds a Period element for the segments of one init segment version
+ * @param {Object} state - Segmenter state
+ * @param {Array<Object>} segments - Consecutive segments sharing an init segment
+ * @param {Array<Object>} renditions - Rendition streams (name, segmenter state and segments) of this period
+ * @returns {Array<string>} Manifest lines
+ */
+function renderPeriod(state, segments, renditions) {
+    const first = segments[0];
+    const anchor = state.anchors.get(first.initVersion);
+
+    // Renditions are cut into segments independently of the main stream
+    const lines = [
+        `  <Period id="${first.initVersion}" start="${formatDuration((anchor.wallClock - state.createdAt) / 1000)}">`,
+        `    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="${renditions.length === 0}">`,
+        ...renderRepresentation(String(first.initVersion), state, segments, anchor.startTime, '')
+    ];
+    renditions.forEach(rendition => {
+        const offset = Math.round(anchor.startTime * rendition.state.timescale / first.timescale);
+        lines.push(...renderRepresentation(rendition.name, rendition.state, rendition.segments, offset, `${rendition.name}/`));
+    });
+    lines.push(
+        `    </AdaptationSet>`,
+        `  </Period>`
+    );
+
+    return lines;
+}
+
+/**
+ * Get Rendition Streams
+ * Collects the segments of each rendition produced by the current encoder
+ * @param {string} serialNumber - Device serial number
+ * @returns {Array<Object>} Renditions with name, segmenter state and segments
+ */
+function getRenditionStreams(serialNumber) {
+    return transcode.renditions
+        .map(rendition => {
+            const streamId = segmenter.getStreamId(serialNumber, rendition.name);
+            const state = segmenter.getSegmenter(streamId);
+            const segments = segmenter.getWindow(streamId).filter(segment => state && segment.initVersion === state.initVersion);
+            return { name: rendition.name, state: state, segments: segments };
+        })
+        .filter(rendition => rendition.segments.length > 0);
+}
+
+/**
+ * Render Manifest
+ * Builds the dynamic MPD for the current segment window
+ * @param {string} serialNumber - Device serial number
+ * @returns {string|null} Manifest or null if no segment is available yet
+ */
+function renderManifest(serialNumber) {
+    const state = segmenter.getSegmenter(serialNumber);
+    const window = segmenter.getWindow(serialNumber);
+    if (!state || window.length === 0) return null;
+
+    // Split window into periods at init segment changes
+    const periods = [];
+    window.forEach(segment => {
+        const period = periods[periods.length - 1];
+        if (period && period[0].initVersion === segment.initVersion) {
+            period.push(segment);
+        } else {
+            periods.push([segment]);
+        }
+    });
+
+    const now = new Date().toISOString();
+    const segmentDuration = segmenter.segmentDuration;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="dynamic"' +
+            ` availabilityStartTime="${new Date(state.createdAt).toISOString()}"` +
+            ` publishTime="${now}"` +
+            ` minimumUpdatePeriod="${formatDuration(segmentDuration)}"` +
+            ` minBufferTime="${formatDuration(segmentDuration)}"` +
+            ` suggestedPresentationDelay="${formatDuration(segmentDuration * 2)}"` +
+            ` timeShiftBufferDepth="${formatDuration(segmentDuration * segmenter.windowSize)}">`
+    ];
+    // Renditions are listed in the period of the running encoder
+    periods.forEach((period, index) => {
+        const renditions = index === periods.length - 1 ? getRenditionStreams(serialNumber) : [];
+        lines.push(...renderPeriod(state, period, renditions));
+    });
+    lines.push(
+        `  <UTCTiming schemeIdUri="urn:mpeg:dash:utc:direct:2014" value="${now}"/>`,
+        '</MPD>'
+    );
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Wait For Manifest
+ * Waits until the first segments of the main stream and all renditions of a device are available
+ * @param {string} serialNumber - Device serial number
+ * @param {number} timeout - Maximum wait time in milliseconds
+ * @returns {Promise<string|null>} Manifest or null on timeout
+ */
+async function waitForManifest(serialNumber, timeout) {
+    const streamIds = [serialNumber, ...transcode.renditions.map(rendition => segmenter.getStreamId(serialNumber, rendition.name))];
+    await Promise.all(streamIds.map(streamId =>
+        segmenter.waitFor(streamId, () => segmenter.getWindow(streamId).length > 0, timeout)));
+    return renderManifest(serialNumber);
+}
+
+/**
+ * Module Exports
+ * Exposes DASH functions
+ */
+module.exports = {
+    renderManifest,
+    waitForManifest
+};
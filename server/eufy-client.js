@@ -9,6 +9,8 @@
  * - Snapshot management and updates
  */
 
+const eventEmitter = require('events');
+
 const utils = require('./utils');
 
 // Use local eufy-security-client in dev mode, installed package in production
@@ -19,13 +21,19 @@ const eufyVersion = require(`${eufyClientPath}/package.json`).version;
 const transcode = require('./transcode');
 const wsApi = require('./ws-api');
 
+const ev = new eventEmitter();
+
 // State management
 let eufyClient = null;                      // EufySecurity client instance
 let wsEvnentHandlersRegistered = false;     // Flag to prevent duplicate handler registration
-let currentStreamingSN = null;              // Serial number of currently streaming device
+let streamingDevices = new Set();           // Serial numbers of currently streaming devices
 let stations = new Set();                   // Set of discovered stations
 let devices = new Set();                    // Set of discovered devices
 
+// Livestream restart: wait for the station to end the stopped livestream
+const STOP_TIMEOUT = 10000;
+const STOP_POLL_INTERVAL = 250;
+
 /**
  * Snapshot Saved Event Handler
  * Triggered when transcode module saves a new snapshot to disk.
@@ -63,6 +71,72 @@ transcode.event.on('snapshotSaved', (deviceSN) => {
     utils.log(`📡 Broadcasted snapshot update for device: ${deviceSN}`, 'debug');
 });
 
+/**
+ * Stream Info Event Handler
+ * Triggered when the transcode session of a device produced a new init segment
+ * (main stream or rendition). Broadcasts the codecs of the stream.
+ * @param {string} deviceSN - Device serial number
+ */
+function broadcastStreamInfo(deviceSN) {
+    const info = transcode.getStreamInfo(deviceSN);
+    if (!info) return;
+
+    wsApi.wsBroadcast({
+        "type": "event",
+        "event": {
+            "source": "device",
+            "event": "stream info",
+            "serialNumber": deviceSN,
+            "info": info
+        }
+    });
+
+    utils.log(`📡 Broadcasted stream info for device: ${deviceSN} (${info.codecs})`, 'debug');
+}
+
+transcode.event.on('initSegment', (deviceSN) => broadcastStreamInfo(deviceSN));
+transcode.event.on('renditionInitSegment', (deviceSN) => broadcastStreamInfo(deviceSN));
+
+/**
+ * Stream Reset Event Handler
+ * Triggered when the encoder of a device was re-initialized (resolution, codec or
+ * livestream change) and produced its new init segment. Players reset their
+ * SourceBuffer and continue with the new stream.
+ * @param {string} deviceSN - Device serial number
+ * @param {string} reason - Reason of the re-initialization
+ */
+transcode.event.on('streamReset', (deviceSN, reason) => {
+    wsApi.wsBroadcast({
+        "type": "event",
+        "event": {
+            "source": "device",
+            "event": "stream reset",
+            "serialNumber": deviceSN,
+            "reason": reason,
+            "info": transcode.getStreamInfo(deviceSN)
+        }
+    });
+
+    utils.log(`📡 Broadcasted stream reset for device: ${deviceSN} (${reason})`, 'debug');
+});
+
+/**
+ * Transcode Stats Event Handler
+ * Triggered periodically with the live encoder statistics of a device (fps, bitrate, speed, dropped/duplicated frames).
+ * Broadcasts them to all WebSocket clients.
+ */
+transcode.event.on('stats', (deviceSN, stats) => {
+    wsApi.wsBroadcast({
+        "type": "event",
+        "event": {
+            "source": "device",
+            "event": "transcode stats",
+            "serialNumber": deviceSN,
+            "stats": stats
+        }
+    });
+});
+
 /**
  * Connect to Eufy Security System
  * Initializes the Eufy Security client and registers all event handlers
@@ -143,22 +217,28 @@ async function connect(eufyConfig) {
              */
             eufyClient.on("station livestream start", (station, device, metadata, videostream, audiostream) => {
                 utils.log(`▶️ Livestream started for station: ${station.getName()}, device: ${device.getName()} (${device.getSerial()})`, 'debug');
+                const serialNumber = device.getSerial();
+
+                // A restarted livestream re-initializes a running encoder with its new metadata
+                transcode.handleStreamStart(serialNumber);
 
-                // Forward video chunks to transcoder with metadata
+                // Forward video chunks to the transcode session of this device
                 videostream.on("data", (chunk) => {
                     utils.log(`📹 Video chunk received - Size: ${chunk.length} bytes`, 'trace');
-                    transcode.handleVideoData(chunk, {
+                    transcode.handleVideoData(serialNumber, chunk, {
                         videoCodec: VideoCodec[metadata.videoCodec],
                         videoFPS: metadata.videoFPS,
                         videoHeight: metadata.videoHeight,
                         videoWidth: metadata.videoWidth,
+                        audioCodec: AudioCodec[metadata.audioCodec],  // 'NONE' for cameras without audio
+                        deviceName: device.getName(),                 // Overlay text
                     });
                 });
 
-                // Forward audio chunks to transcoder with metadata
+                // Forward audio chunks to the transcode session of this device
                 audiostream.on("data", (chunk) => {
                     utils.log(`🎵 Audio chunk received - Size: ${chunk.length} bytes`, 'trace');
-                    transcode.handleAudioData(chunk, {
+                    transcode.handleAudioData(serialNumber, chunk, {
                         audioCodec: AudioCodec[metadata.audioCodec],
                     })
                 });
@@ -225,7 +305,7 @@ function addDevice(device) {
     // Motion detection event
     device.on("motion detected", (device, state) => {
         utils.log(`Motion detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -239,7 +319,7 @@ function addDevice(device) {
     // Person detection event
     device.on("person detected", (device, state, person) => {
         utils.log(`Person detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state} - Person: ${person ? person : 'unknown'}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -254,7 +334,7 @@ function addDevice(device) {
     // Audio detection events
     device.on("crying detected", (device, state) => {
         utils.log(`Crying detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -268,7 +348,7 @@ function addDevice(device) {
     // Pet detection event
     device.on("pet detected", (device, state) => {
         utils.log(`Pet detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -282,7 +362,7 @@ function addDevice(device) {
     // Vehicle detection event
     device.on("vehicle detected", (device, state) => {
         utils.log(`Vehicle detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -296,7 +376,7 @@ function addDevice(device) {
     // General sound detection event
     device.on("sound detected", (device, state) => {
         utils.log(`Sound detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -310,7 +390,7 @@ function addDevice(device) {
     // Doorbell ring event
     device.on("rings", (device, state) => {
         utils.log(`Doorbell rang on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -324,7 +404,7 @@ function addDevice(device) {
     // Package delivery events
     device.on("package delivered", (device, state) => {
         utils.log(`Package delivered detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -336,7 +416,7 @@ function addDevice(device) {
     });
     device.on("package stranded", (device, state) => {
         utils.log(`Package stranded detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -348,7 +428,7 @@ function addDevice(device) {
     });
     device.on("package taken", (device, state) => {
         utils.log(`Package taken detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -362,7 +442,7 @@ function addDevice(device) {
     // Loitering detection event
     device.on("someone loitering", (device, state) => {
         utils.log(`Loitering detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -376,7 +456,7 @@ function addDevice(device) {
     // Radar motion detection event
     device.on("radar motion detected", (device, state) => {
         utils.log(`Radar motion detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -390,7 +470,7 @@ function addDevice(device) {
     // Door/window open event
     device.on("open", (device, state) => {
         utils.log(`Open event on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -404,7 +484,7 @@ function addDevice(device) {
     // Alarm events
     device.on("911 alarm", (device, state, detail) => {
         utils.log(`911 alarm on device: ${device.getName()} (${device.getSerial()}) - State: ${state} - Detail: ${detail}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -417,7 +497,7 @@ function addDevice(device) {
     });
     device.on("shake alarm", (device, state, detail) => {
         utils.log(`Shake alarm on device: ${device.getName()} (${device.getSerial()}) - State: ${state} - Detail: ${detail}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -430,7 +510,7 @@ function addDevice(device) {
     });
     device.on("wrong try-protect alarm", (device, state) => {
         utils.log(`Wrong try-protect alarm on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -444,7 +524,7 @@ function addDevice(device) {
     // Lock-related events
     device.on("long time not close", (device, state) => {
         utils.log(`Long time not close alarm on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -456,7 +536,7 @@ function addDevice(device) {
     });
     device.on("jammed", (device, state) => {
         utils.log(`Jammed alarm on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -470,7 +550,7 @@ function addDevice(device) {
     // Battery status event
     device.on("low battery", (device, state) => {
         utils.log(`Low battery on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -484,7 +564,7 @@ function addDevice(device) {
     // Lock state changed event
     device.on("locked", (device, state) => {
         utils.log(`Locked state changed on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -498,7 +578,7 @@ function addDevice(device) {
     // AI-based detection events
     device.on("stranger person detected", (device, state) => {
         utils.log(`Stranger person detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -510,7 +590,7 @@ function addDevice(device) {
     });
     device.on("dog detected", (device, state) => {
         utils.log(`Dog detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -522,7 +602,7 @@ function addDevice(device) {
     });
     device.on("dog lick detected", (device, state) => {
         utils.log(`Dog lick detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -534,7 +614,7 @@ function addDevice(device) {
     });
     device.on("dog poop detected", (device, state) => {
         utils.log(`Dog poop detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -574,7 +654,7 @@ function addDevice(device) {
     // Tampering detection event
     device.on("tampering", (device, state) => {
         utils.log(`Tampering detected on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -588,7 +668,7 @@ function addDevice(device) {
     // Temperature warning events
     device.on("low temperature", (device, state) => {
         utils.log(`📉 Low temperature on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -600,7 +680,7 @@ function addDevice(device) {
     });
     device.on("high temperature", (device, state) => {
         utils.log(`📈 High temperature on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -614,7 +694,7 @@ function addDevice(device) {
     // Smart lock specific events
     device.on("pin incorrect", (device, state) => {
         utils.log(`❌ Incorrect PIN entered on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -628,7 +708,7 @@ function addDevice(device) {
     // Lid/cover stuck event (e.g., pet feeder)
     device.on("lid stuck", (device, state) => {
         utils.log(`⚠️ Lid stuck on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -642,7 +722,7 @@ function addDevice(device) {
     // Battery fully charged event
     device.on("battery fully charged", (device, state) => {
         utils.log(`🔋 Battery fully charged on device: ${device.getName()} (${device.getSerial()}) - State: ${state}`, 'debug');
-        wsApi.wsBroadcast({
+        broadcastDeviceEvent({
             type: 'event',
             event: {
                 source: "device",
@@ -654,6 +734,17 @@ function addDevice(device) {
     });
 }
 
+/**
+ * Broadcast Device Event
+ * Emits a device event to server modules (e.g. clip recording), which may attach
+ * data such as a clip link, and broadcasts it to all WebSocket clients
+ * @param {Object} message - WebSocket message ({ type: 'event', event: {...} })
+ */
+function broadcastDeviceEvent(message) {
+    ev.emit('deviceEvent', message.event);
+    wsApi.wsBroadcast(message);
+}
+
 /**
  * Add Station
  * Registers a newly discovered station and sets up all event handlers
@@ -762,34 +853,22 @@ function addStation(station) {
     /**
      * Command Result Event
      * Handles results from station commands
-     * Special handling for livestream stop (1004) to restart if clients still connected
+     * Special handling for livestream stop (1004) to restart if clients still connected;
+     * the encoder is re-initialized when the new livestream starts
      */
     station.on("command result", (station, result) => {
         utils.log(`Station command result: ${station.getName()} (${station.getSerial()}) - ${JSON.stringify(result)}`, 'debug');
 
         // Handle livestream stop command (e.g., due to resolution change)
-        if (result.command_type === 1004 && currentStreamingSN) {
-            // Handle livestream_stop forced by station
-            if (utils.getActiveStreamClients().size !== 0) {
-                // TODO: works not yet properly, needs testing and fixing - perhaps better to close all clients instead? so they can reconnect properly
-
-                utils.log('⚠️ Warning: Livestream stopped, but there are still active clients', 'warn');
-                utils.log(`   Active clients: ${utils.getActiveStreamClients().size}`, 'debug');
-                utils.log(`   Current device: ${currentStreamingSN}`, 'debug');
-                utils.log(`   FFmpeg transcoding active: ${transcode.isTranscoding}`, 'debug');
-                utils.log(`   Has init segment: ${transcode.hasInitSegment}`, 'debug');
-
-                // transcode.clearMetadata();
-                startStreamForDevice(currentStreamingSN);
-
-                // setTimeout(() => {
-                //     utils.log('🔄 Restarting livestream for device after stop command...', 'info');
-                //     // transcode.clearMetadata();
-                //     startStreamForDevice(currentStreamingSN);
-                // }, 1000);
-
-                utils.log(`🔄 Stream restart initiated at ${Date.now()}`, 'debug');
-            }
+        if (result.command_type === 1004 && streamingDevices.size !== 0) {
+            // Handle livestream_stop forced by station for its streaming devices
+            getStationStreamingDevices(station).forEach(serialNumber => {
+                if (transcode.getClientCount(serialNumber) === 0) return;
+
+                // Clients stay connected, the transcode session keeps its outputs until the new livestream starts
+                utils.log(`🔄 Livestream of ${serialNumber} stopped by the station with ${transcode.getClientCount(serialNumber)} active clients, restarting...`, 'info');
+                startStreamForDevice(serialNumber);
+            });
         }
 
         wsApi.wsBroadcast({
@@ -909,8 +988,6 @@ function addStation(station) {
  * @param {string} serialNumber - Device serial number to start streaming
  */
 async function startStreamForDevice(serialNumber) {
-    currentStreamingSN = null;
-
     // Verify Eufy client is connected
     if (!isConnected()) {
         utils.log('❌ Eufy client is not connected. Cannot start livestream.', 'error');
@@ -924,12 +1001,12 @@ async function startStreamForDevice(serialNumber) {
     // Check if stream is already active
     if (station.isLiveStreaming(device)) {
         utils.log(`ℹ️ Livestream for device ${device.getName()} (${device.getSerial()}) is already active.`, 'warn');
-        currentStreamingSN = serialNumber;
+        streamingDevices.add(serialNumber);
         return;
     }
 
     station.startLivestream(device);
-    currentStreamingSN = serialNumber;
+    streamingDevices.add(serialNumber);
     utils.log(`▶️ Livestream request sent for device: ${device.getName()} (${device.getSerial()})`, 'info');
 }
 
@@ -952,14 +1029,39 @@ async function stopStreamForDevice(serialNumber) {
     // Check if stream is actually active
     if (!station.isLiveStreaming(device)) {
         utils.log(`ℹ️ Livestream for device ${device.getName()} (${device.getSerial()}) is not active, no stop required.`, 'warn');
+        streamingDevices.delete(serialNumber);
         return;
     }
 
     station.stopLivestream(device);
-    currentStreamingSN = null;
+    streamingDevices.delete(serialNumber);
     utils.log(`⏹️ Livestream stop request sent for device: ${device.getName()} (${device.getSerial()})`, 'info');
 }
 
+/**
+ * Restart Stream for Device
+ * Stops the livestream of a device and starts a new one once the station ended it
+ * (the livestream ends with the acknowledgement of the stop command)
+ * @param {string} serialNumber - Device serial number
+ * @returns {Promise<void>} Rejects if the livestream did not end within STOP_TIMEOUT
+ */
+async function restartStreamForDevice(serialNumber) {
+    await stopStreamForDevice(serialNumber);
+    if (!isConnected()) return;
+
+    const device = await eufyClient.getDevice(serialNumber);
+    const station = await eufyClient.getStation(device.getStationSerial());
+    const deadline = Date.now() + STOP_TIMEOUT;
+    while (station.isLiveStreaming(device)) {
+        if (Date.now() > deadline) {
+            throw new Error(`Livestream for device ${serialNumber} did not stop within ${STOP_TIMEOUT / 1000}s`);
+        }
+        await new Promise(resolve => setTimeout(resolve, STOP_POLL_INTERVAL));
+    }
+
+    await startStreamForDevice(serialNumber);
+}
+
 /**
  * Register WebSocket Handlers
  * Registers all WebSocket API command handlers for client communication
@@ -1175,10 +1277,12 @@ function checkDevicePictureProperty(deviceSN, properties) {
             if (!previousChecksum) {
                 utils.log(`No previous picture checksum found for device ${deviceSN}, saving current checksum.`, 'debug');
                 previousChecksum = utils.savePictureHash(deviceSN, checksum);
+                ev.emit('pictureChanged', deviceSN, Buffer.from(properties.data), properties.type);
             } else if (checksum !== previousChecksum.hash) {
                 // Picture data has changed - use current data
                 utils.log(`🆕 Picture checksum changed for device ${deviceSN}`, 'debug');
                 previousChecksum = utils.savePictureHash(deviceSN, checksum);
+                ev.emit('pictureChanged', deviceSN, Buffer.from(properties.data), properties.type);
             }
 
             // Check if a newer snapshot file exists
@@ -1227,6 +1331,38 @@ function checkDevicePictureProperty(deviceSN, properties) {
     return properties;
 }
 
+/**
+ * Get Station Streaming Devices
+ * Returns the streaming devices that belong to a station
+ * @param {Station} station - Eufy station object
+ * @returns {Array<string>} Serial numbers of streaming devices on this station
+ */
+function getStationStreamingDevices(station) {
+    return Array.from(devices)
+        .filter(device => device.getStationSerial() === station.getSerial() && streamingDevices.has(device.getSerial()))
+        .map(device => device.getSerial());
+}
+
+/**
+ * Has Device
+ * Checks if a device has been discovered
+ * @param {string} serialNumber - Device serial number
+ * @returns {boolean} True if the device is known
+ */
+function hasDevice(serialNumber) {
+    return Array.from(devices).some(device => device.getSerial() === serialNumber);
+}
+
+/**
+ * Get Device Name
+ * @param {string} serialNumber - Device serial number
+ * @returns {string|null} Name of the device or null if unknown
+ */
+function getDeviceName(serialNumber) {
+    const device = Array.from(devices).find(device => device.getSerial() === serialNumber);
+    return device ? device.getName() : null;
+}
+
 /**
  * Is Connected
  * Checks if Eufy client is currently connected
@@ -1258,7 +1394,13 @@ async function close() {
 module.exports = {
     connect,
     isConnected,
+    hasDevice,
+    getDeviceName,
     startStreamForDevice,
     stopStreamForDevice,
-    close
+    restartStreamForDevice,
+    close,
+
+    // Event emitter for device events and new cloud pictures
+    event: ev
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * Fan-out Module
+ *
+ * Backpressure-aware delivery of the fMP4 stream to HTTP clients:
+ * - One queue per client, written to the response only as fast as the client reads it ('drain')
+ * - A client whose queue exceeds QUEUE_HIGH_WATER skips ahead: the queued fragments are
+ *   dropped and the client continues with the next fragment starting with a sync sample (keyframe)
+ * - Clients lagging more than MAX_LAG behind the live stream are disconnected
+ * - Per-client lag, queued and sent bytes for /health
+ */
+
+const utils = require('./utils');
+
+// Queued bytes per client before it skips ahead to the next keyframe
+const QUEUE_HIGH_WATER = 2 * 1024 * 1024;
+// Clients that could not take any data for this long are disconnected (ms)
+const MAX_LAG = 15000;
+
+const clients = new Set();             // Client queues of all open fMP4 responses
+
+/**
+ * Create Client Queue
+ * Wraps the HTTP response of an fMP4 client; the queue removes itself when the response closes
+ * @param {ServerResponse} res - HTTP response with headers already sent
+ * @param {Object} info - Client description for status and logging
+ * @param {string} info.serialNumber - Device serial number
+ * @param {string|null} info.rendition - Rendition name, null for the main stream
+ * @param {string} [info.address] - Remote address of the client
+ * @returns {Object} Client queue with send(), sendFragment() and getStatus()
+ */
+function createClientQueue(res, info) {
+    const label = `${info.serialNumber}${info.rendition ? `/${info.rendition}` : ''} (${info.address || 'unknown'})`;
+    const connectedAt = Date.now();
+    let queue = [];                    // Pending data ({ data, time, droppable }), oldest first
+    let queuedBytes = 0;
+    let writtenBytes = 0;              // Bytes handed to the response
+    let blockedSince = null;           // Time the response started buffering, null while it accepts data
+    let waitingForKeyframe = false;    // Fragments are dropped until the next sync sample
+    let droppedFragments = 0;
+    let skips = 0;
+    let closed = false;
+
+    /**
+     * Flush
+     * Writes queued data until the response signals backpressure
+     */
+    const flush = () => {
+        while (queue.length > 0 && blockedSince === null && !closed && !res.writableEnded) {
+            const entry = queue.shift();
+            queuedBytes -= entry.data.length;
+            writtenBytes += entry.data.length;
+            if (!res.write(entry.data)) {
+                blockedSince = Date.now();
+                res.once('drain', () => {
+                    blockedSince = null;
+                    flush();
+                });
+            }
+        }
+    };
+
+    /**
+     * Enqueue
+     * @param {Buffer} data - Data to send
+     * @param {boolean} droppable - Data may be dropped when the client falls behind
+     */
+    const enqueue = (data, droppable) => {
+        if (closed || res.writableEnded) return;
+        queue.push({ data: data, time: Date.now(), droppable: droppable });
+        queuedBytes += data.length;
+        flush();
+    };
+
+    /**
+     * Get Lag
+     * @returns {number} Age in ms of the oldest data the client did not take yet
+     */
+    const getLag = () => {
+        const now = Date.now();
+        return Math.max(
+            queue.length > 0 ? now - queue[0].time : 0,
+            blockedSince !== null ? now - blockedSince : 0
+        );
+    };
+
+    /**
+     * Skip Ahead
+     * Drops the queued fragments, the client continues with the next keyframe
+     */
+    const skipAhead = () => {
+        const kept = queue.filter(entry => !entry.droppable);
+        droppedFragments += queue.length - kept.length;
+        queue = kept;
+        queuedBytes = kept.reduce((sum, entry) => sum + entry.data.length, 0);
+        waitingForKeyframe = true;
+        skips++;
+        utils.log(`⏭️ Stream client ${label} fell behind, skipping to the next keyframe`, 'debug');
+    };
+
+    /**
+     * Disconnect
+     * Closes the connection of a client that is too far behind
+     * @param {number} lag - Current lag in ms
+     */
+    const disconnect = (lag) => {
+        closed = true;
+        queue = [];
+        queuedBytes = 0;
+        utils.log(`🐌 Disconnecting stream client ${label}, ${(lag / 1000).toFixed(1)}s behind the live stream`, 'warn');
+        res.destroy();
+    };
+
+    const client = {
+        /**
+         * Send
+         * Queues data that must reach the client (init segment, live start), never dropped
+         * @param {Buffer} data - Data to send
+         */
+        send: (data) => enqueue(data, false),
+
+        /**
+         * Send Fragment
+         * Queues a media fragment (moof + mdat), dropped while the client is behind
+         * @param {Buffer} fragment - Complete media fragment
+         * @param {boolean|null} keyframe - Fragment starts with a sync sample
+         */
+        sendFragment: (fragment, keyframe) => {
+            if (closed) return;
+
+            const lag = getLag();
+            if (lag > MAX_LAG) {
+                disconnect(lag);
+                return;
+            }
+
+            if (!waitingForKeyframe && queuedBytes + fragment.length > QUEUE_HIGH_WATER) {
+                skipAhead();
+            }
+            if (waitingForKeyframe) {
+                if (keyframe === false) {      // Fragments without sample flags cannot be told apart, they end the skip
+                    droppedFragments++;
+                    return;
+                }
+                waitingForKeyframe = false;
+            }
+            enqueue(fragment, true);
+        },
+
+        /**
+         * Get Status
+         * @returns {Object} Client status for /health
+         */
+        getStatus: () => ({
+            serialNumber: info.serialNumber,
+            rendition: info.rendition || null,
+            address: info.address || null,
+            connectedAt: new Date(connectedAt).toISOString(),
+            lag: getLag(),
+            queuedBytes: queuedBytes + res.writableLength,
+            bytesSent: writtenBytes - res.writableLength,
+            droppedFragments: droppedFragments,
+            skips: skips,
+            waitingForKeyframe: waitingForKeyframe
+        })
+    };
+
+    clients.add(client);
+    res.on('close', () => {
+        closed = true;
+        queue = [];
+        queuedBytes = 0;
+        clients.delete(client);
+    });
+
+    return client;
+}
+
+/**
+ * Get Clients Status
+ * @returns {Array<Object>} Status of all connected fMP4 clients
+ */
+function getClientsStatus() {
+    return Array.from(clients).map(client => client.getStatus());
+}
+
+/**
+ * Module Exports
+ * Exposes fan-out functions and getters
+ */
+module.exports = {
+    createClientQueue,
+    getClientsStatus,
+
+    // Read-only property getters
+    get clientCount() { return clients.size; }
+};
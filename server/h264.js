@@ -0,0 +1,246 @@
+/**
+ * H.264 Bitstream Helper Module
+ *
+ * Minimal Annex B / SPS parsing used to decide whether a camera stream
+ * can be remuxed without re-encoding:
+ * - Splitting Annex B byte streams into NAL units
+ * - Parsing sequence parameter sets (profile, level, chroma format, size)
+ * - Checking decoder compatibility for browser playback
+ */
+
+// NAL unit types
+const NAL_TYPE_SPS = 7;
+
+// Profiles with chroma format, bit depth and scaling matrix fields in the SPS
+const HIGH_PROFILES = [100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135];
+
+// Profiles decodable by all MSE/WebRTC browsers (baseline, main, high)
+const COMPATIBLE_PROFILES = [66, 77, 100];
+
+/**
+ * Create Bit Reader
+ * Reads bits and Exp-Golomb codes from an RBSP buffer
+ * @param {Buffer} buffer - RBSP data (emulation prevention bytes removed)
+ * @returns {Object} Reader with readBits(count), readUE() and readSE()
+ * @throws {RangeError} From the read functions if the end of the buffer is reached
+ */
+function createBitReader(buffer) {
+    let position = 0;                  // Bit position
+
+    const readBits = (count) => {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const byteIndex = position >> 3;
+            if (byteIndex >= buffer.length) {
+                throw new RangeError('SPS truncated');
+            }
+            value = value * 2 + ((buffer[byteIndex] >> (7 - (position & 7))) & 1);
+            position++;
+        }
+        return value;
+    };
+
+    // ue(v): leading zero bits, a one bit, then as many info bits
+    const readUE = () => {
+        let leadingZeros = 0;
+        while (readBits(1) === 0) {
+            if (++leadingZeros > 31) throw new RangeError('Invalid Exp-Golomb code');
+        }
+        return Math.pow(2, leadingZeros) - 1 + readBits(leadingZeros);
+    };
+
+    // se(v): ue(v) mapped to 0, 1, -1, 2, -2, ...
+    const readSE = () => {
+        const value = readUE();
+        return value % 2 === 1 ? (value + 1) / 2 : -value / 2;
+    };
+
+    return { readBits, readUE, readSE };
+}
+
+/**
+ * Find NAL Units
+ * Splits an Annex B byte stream at its start codes (00 00 01 / 00 00 00 01)
+ * @param {Buffer} buffer - Annex B data
+ * @returns {Array<Object>} NAL units with type and data (without start code)
+ */
+function findNalUnits(buffer) {
+    const units = [];
+    let start = -1;
+
+    for (let i = 0; i + 2 < buffer.length; i++) {
+        if (buffer[i] !== 0 || buffer[i + 1] !== 0 || buffer[i + 2] !== 1) continue;
+
+        if (start !== -1) {
+            // A preceding zero byte belongs to a 4-byte start code
+            const end = buffer[i - 1] === 0 ? i - 1 : i;
+            units.push(buffer.subarray(start, end));
+        }
+        start = i + 3;
+        i += 2;
+    }
+    if (start !== -1 && start < buffer.length) {
+        units.push(buffer.subarray(start));
+    }
+
+    return units
+        .filter(data => data.length > 0)
+        .map(data => ({ type: data[0] & 0x1f, data: data }));
+}
+
+/**
+ * Remove Emulation Prevention
+ * Converts a NAL unit payload to RBSP (00 00 03 -> 00 00)
+ * @param {Buffer} data - NAL unit data
+ * @returns {Buffer} RBSP data
+ */
+function removeEmulationPrevention(data) {
+    const bytes = [];
+    let zeros = 0;
+
+    for (const byte of data) {
+        if (zeros >= 2 && byte === 3) {
+            zeros = 0;
+            continue;
+        }
+        bytes.push(byte);
+        zeros = byte === 0 ? zeros + 1 : 0;
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Skip Scaling List
+ * @param {Object} reader - Reader positioned at the scaling list
+ * @param {number} size - Number of coefficients (16 or 64)
+ */
+function skipScalingList(reader, size) {
+    let lastScale = 8;
+    let nextScale = 8;
+    for (let i = 0; i < size; i++) {
+        if (nextScale !== 0) {
+            nextScale = (lastScale + reader.readSE() + 256) % 256;
+        }
+        lastScale = nextScale === 0 ? lastScale : nextScale;
+    }
+}
+
+/**
+ * Parse SPS
+ * Reads the fields of a sequence parameter set relevant for playback
+ * @param {Buffer} data - SPS NAL unit (including the NAL header byte)
+ * @returns {Object|null} Profile, level, chroma format, bit depth, interlacing and picture size, or null if invalid
+ */
+function parseSps(data) {
+    try {
+        const reader = createBitReader(removeEmulationPrevention(data.subarray(1)));
+        const sps = {
+            profileIdc: reader.readBits(8),
+            constraintFlags: reader.readBits(8),
+            levelIdc: reader.readBits(8),
+            chromaFormatIdc: 1,
+            bitDepth: 8,
+            frameMbsOnly: true,
+            width: 0,
+            height: 0
+        };
+        reader.readUE();                                   // seq_parameter_set_id
+
+        let separateColourPlane = false;
+        if (HIGH_PROFILES.includes(sps.profileIdc)) {
+            sps.chromaFormatIdc = reader.readUE();
+            if (sps.chromaFormatIdc === 3) {
+                separateColourPlane = reader.readBits(1) === 1;
+            }
+            sps.bitDepth = 8 + reader.readUE();            // bit_depth_luma_minus8
+            reader.readUE();                               // bit_depth_chroma_minus8
+            reader.readBits(1);                            // qpprime_y_zero_transform_bypass_flag
+            if (reader.readBits(1)) {                      // seq_scaling_matrix_present_flag
+                const lists = sps.chromaFormatIdc === 3 ? 12 : 8;
+                for (let i = 0; i < lists; i++) {
+                    if (reader.readBits(1)) skipScalingList(reader, i < 6 ? 16 : 64);
+                }
+            }
+        }
+
+        reader.readUE();                                   // log2_max_frame_num_minus4
+        const picOrderCntType = reader.readUE();
+        if (picOrderCntType === 0) {
+            reader.readUE();                               // log2_max_pic_order_cnt_lsb_minus4
+        } else if (picOrderCntType === 1) {
+            reader.readBits(1);                            // delta_pic_order_always_zero_flag
+            reader.readSE();                               // offset_for_non_ref_pic
+            reader.readSE();                               // offset_for_top_to_bottom_field
+            const cycleLength = reader.readUE();
+            for (let i = 0; i < cycleLength; i++) reader.readSE();
+        }
+
+        reader.readUE();                                   // max_num_ref_frames
+        reader.readBits(1);                                // gaps_in_frame_num_value_allowed_flag
+        const widthInMbs = reader.readUE() + 1;
+        const heightInMapUnits = reader.readUE() + 1;
+        sps.frameMbsOnly = reader.readBits(1) === 1;
+        if (!sps.frameMbsOnly) {
+            reader.readBits(1);                            // mb_adaptive_frame_field_flag
+        }
+        reader.readBits(1);                                // direct_8x8_inference_flag
+
+        const fieldFactor = sps.frameMbsOnly ? 1 : 2;
+        sps.width = widthInMbs * 16;
+        sps.height = heightInMapUnits * 16 * fieldFactor;
+
+        if (reader.readBits(1)) {                          // frame_cropping_flag
+            const chromaArrayType = separateColourPlane ? 0 : sps.chromaFormatIdc;
+            const cropUnitX = chromaArrayType === 1 || chromaArrayType === 2 ? 2 : 1;
+            const cropUnitY = (chromaArrayType === 1 ? 2 : 1) * fieldFactor;
+            const left = reader.readUE();
+            const right = reader.readUE();
+            const top = reader.readUE();
+            const bottom = reader.readUE();
+            sps.width -= cropUnitX * (left + right);
+            sps.height -= cropUnitY * (top + bottom);
+        }
+
+        return sps;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Find SPS
+ * Parses the first sequence parameter set of an Annex B chunk
+ * @param {Buffer} buffer - Annex B data
+ * @returns {Object|null} Parsed SPS or null if the chunk contains none
+ */
+function findSps(buffer) {
+    const unit = findNalUnits(buffer).find(nal => nal.type === NAL_TYPE_SPS);
+    return unit ? parseSps(unit.data) : null;
+}
+
+/**
+ * Get Incompatibility
+ * Checks whether an H.264 stream can be played by browsers without re-encoding
+ * @param {Object} sps - Parsed SPS
+ * @returns {string|null} Reason why the stream is incompatible, null if compatible
+ */
+function getIncompatibility(sps) {
+    if (!COMPATIBLE_PROFILES.includes(sps.profileIdc)) return `unsupported profile ${sps.profileIdc}`;
+    if (sps.chromaFormatIdc !== 1) return `unsupported chroma format ${sps.chromaFormatIdc}`;
+    if (sps.bitDepth !== 8) return `unsupported bit depth ${sps.bitDepth}`;
+    if (!sps.frameMbsOnly) return 'interlaced video';
+    return null;
+}
+
+/**
+ * Module Exports
+ * Exposes H.264 helper functions
+ */
+module.exports = {
+    findNalUnits,
+    removeEmulationPrevention,
+    parseSps,
+    findSps,
+    getIncompatibility
+};
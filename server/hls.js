@@ -0,0 +1,277 @@
+/**
+ * HLS Output Module
+ *
+ * Serves live streams as HTTP Live Streaming (HLS) with fMP4 segments:
+ * - Renders media playlists from the segmenter's sliding window
+ * - Low-Latency HLS: partial segments, preload hints and blocking reloads
+ * - Master playlist with one variant per rendition (adaptive bitrate)
+ */
+
+const mp4 = require('./mp4');
+const transcode = require('./transcode');
+const segmenter = require('./segmenter');
+
+/**
+ * Get Part Target
+ * Parts are the fMP4 fragments of the transcoder, which may slightly
+ * exceed the configured fragment duration due to frame alignment
+ * @param {Object} state - Segmenter state
+ * @returns {number} Part target duration in seconds
+ */
+function getPartTarget(state) {
+    return Math.max(transcode.fragmentDuration, state.maxPartDuration);
+}
+
+/**
+ * Render Parts
+ * Appends EXT-X-PART tags for the parts of a segment
+ * @param {Array<string>} lines - Playlist lines
+ * @param {Object} segment - Segment (completed or in progress)
+ */
+function renderParts(lines, segment) {
+    segment.parts.forEach((part, index) => {
+        const independent = part.independent ? ',INDEPENDENT=YES' : '';
+        lines.push(`#EXT-X-PART:DURATION=${(part.duration / segment.timescale).toFixed(3)}${independent},URI="part${segment.sequence}.${index}.m4s"`);
+    });
+}
+
+/**
+ * Render Playlist
+ * Builds the LL-HLS media playlist for the current segment window.
+ * Parts are listed for the segments of the last three target durations,
+ * followed by the parts of the running segment and a preload hint.
+ * @param {string} streamId - Stream ID (device serial number or "<serial number>/<rendition>")
+ * @returns {string|null} Playlist or null if no segment is available yet
+ */
+function renderPlaylist(streamId) {
+    const state = segmenter.getSegmenter(streamId);
+    const window = segmenter.getWindow(streamId);
+    if (!state || window.length === 0) return null;
+
+    // Discontinuities of segments kept in memory but outside the window count as removed
+    const hiddenDiscontinuities = state.segments
+        .filter(segment => segment.sequence < window[0].sequence && segment.discontinuity)
+        .length;
+
+    const targetDuration = Math.max(1, Math.ceil(state.maxSegmentDuration));
+    const partTarget = getPartTarget(state);
+
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:7',
+        `#EXT-X-TARGETDURATION:${targetDuration}`,
+        `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${(partTarget * 3).toFixed(3)}`,
+        `#EXT-X-PART-INF:PART-TARGET=${partTarget.toFixed(3)}`,
+        `#EXT-X-MEDIA-SEQUENCE:${window[0].sequence}`,
+        `#EXT-X-DISCONTINUITY-SEQUENCE:${state.discontinuitySequence + hiddenDiscontinuities}`
+    ];
+
+    // Parts are only advertised close to the live edge
+    let partsFrom = window.length;
+    let partsDuration = 0;
+    while (partsFrom > 0 && partsDuration < targetDuration * 3) {
+        partsFrom--;
+        partsDuration += window[partsFrom].duration / window[partsFrom].timescale;
+    }
+
+    let initVersion = null;
+    const renderSegmentHeader = (segment) => {
+        if (segment.discontinuity) {
+            lines.push('#EXT-X-DISCONTINUITY');
+        }
+        if (segment.initVersion !== initVersion) {
+            lines.push(`#EXT-X-MAP:URI="init${segment.initVersion}.mp4"`);
+            initVersion = segment.initVersion;
+        }
+    };
+
+    window.forEach((segment, index) => {
+        renderSegmentHeader(segment);
+        if (index >= partsFrom) {
+            renderParts(lines, segment);
+        }
+        lines.push(`#EXTINF:${(segment.duration / segment.timescale).toFixed(3)},`);
+        lines.push(`segment${segment.sequence}.m4s`);
+    });
+
+    // Running segment
+    if (state.current) {
+        renderSegmentHeader(state.current);
+        renderParts(lines, state.current);
+    }
+
+    // Next part, which can already be requested (blocking until available)
+    const next = segmenter.getNextPartPosition(streamId);
+    lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="part${next.sequence}.${next.partIndex}.m4s"`);
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Is Published
+ * Checks whether a playlist would contain the given segment or part
+ * @param {string} streamId - Stream ID (device serial number or "<serial number>/<rendition>")
+ * @param {number} sequence - Media sequence number
+ * @param {number} [partIndex] - Part index (whole segment if omitted)
+ * @returns {boolean} True if available
+ */
+function isPublished(streamId, sequence, partIndex) {
+    const state = segmenter.getSegmenter(streamId);
+    if (!state) return false;
+
+    const last = state.segments[state.segments.length - 1];
+    if (last && last.sequence >= sequence) return true;
+
+    const current = state.current;
+    if (!current || current.sequence < sequence) return false;
+    if (current.sequence > sequence) return true;
+    return partIndex !== undefined && current.parts.length > partIndex;
+}
+
+/**
+ * Is Too Far Ahead
+ * Requests more than two segments beyond the live edge are rejected
+ * @param {string} streamId - Stream ID (device serial number or "<serial number>/<rendition>")
+ * @param {number} sequence - Requested media sequence number
+ * @returns {boolean} True if the request can not be satisfied in time
+ */
+function isTooFarAhead(streamId, sequence) {
+    const next = segmenter.getNextPartPosition(streamId);
+    return next !== null && sequence > next.sequence + 2;
+}
+
+/**
+ * Wait For Playlist Update
+ * Blocking playlist reload (_HLS_msn / _HLS_part)
+ * @param {string} streamId - Stream ID (device serial number or "<serial number>/<rendition>")
+ * @param {number} sequence - Media sequence number to wait for
+ * @param {number} [partIndex] - Part index to wait for
+ * @returns {Promise<boolean>} False if the update did not arrive in time
+ */
+function waitForPlaylistUpdate(streamId, sequence, partIndex) {
+    const state = segmenter.getSegmenter(streamId);
+    const targetDuration = state ? Math.max(1, Math.ceil(state.maxSegmentDuration)) : segmenter.segmentDuration;
+    return segmenter.waitFor(streamId, () => isPublished(streamId, sequence, partIndex), targetDuration * 3000);
+}
+
+/**
+ * Wait For Part
+ * Resolves with the data of a part, waiting for hinted parts not yet produced
+ * @param {string} streamId - Stream ID (device serial number or "<serial number>/<rendition>")
+ * @param {number} sequence - Media sequence number of the parent segment
+ * @param {number} partIndex - Part index within the segment
+ * @returns {Promise<Buffer|null>} Part data or null if not available in time
+ */
+async function waitForPart(streamId, sequence, partIndex) {
+    const available = await segmenter.waitFor(streamId,
+        () => segmenter.getPart(streamId, sequence, partIndex) !== null,
+        getPartTargetMs(streamId) * 3);
+    return available ? segmenter.getPart(streamId, sequence, partIndex) : null;
+}
+
+/**
+ * Get Part Target (ms)
+ * @param {string} streamId - Stream ID (device serial number or "<serial number>/<rendition>")
+ * @returns {number} Part target of a stream in milliseconds
+ */
+function getPartTargetMs(streamId) {
+    const state = segmenter.getSegmenter(streamId);
+    return (state ? getPartTarget(state) : transcode.fragmentDuration) * 1000;
+}
+
+/**
+ * Wait For Playlist
+ * Waits until the first segment of a stream is available
+ * @param {string} streamId - Stream ID (device serial number or "<serial number>/<rendition>")
+ * @param {number} timeout - Maximum wait time in milliseconds
+ * @returns {Promise<string|null>} Playlist or null on timeout
+ */
+async function waitForPlaylist(streamId, timeout) {
+    await segmenter.waitFor(streamId, () => segmenter.getWindow(streamId).length > 0, timeout);
+    return renderPlaylist(streamId);
+}
+
+/**
+ * Get Variants
+ * Lists the main stream and the configured renditions of a device
+ * @param {string} serialNumber - Device serial number
+ * @returns {Array<Object>} Variants with stream ID and playlist URI
+ */
+function getVariants(serialNumber) {
+    return [
+        { streamId: serialNumber, uri: 'index.m3u8' },
+        ...transcode.renditions.map(rendition => ({
+            streamId: segmenter.getStreamId(serialNumber, rendition.name),
+            uri: `${rendition.name}/index.m3u8`
+        }))
+    ];
+}
+
+/**
+ * Render Master Playlist
+ * Builds the multivariant playlist of a device
+ * (bandwidths are the peak and average segment bitrates of the window)
+ * @param {string} serialNumber - Device serial number
+ * @returns {string|null} Playlist or null if the main stream has no segment yet
+ */
+function renderMasterPlaylist(serialNumber) {
+    if (segmenter.getWindow(serialNumber).length === 0) return null;
+
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:7'
+    ];
+
+    getVariants(serialNumber).forEach(variant => {
+        const state = segmenter.getSegmenter(variant.streamId);
+        const window = segmenter.getWindow(variant.streamId);
+        if (!state || window.length === 0) return;
+
+        const rates = window.map(segment => segment.data.length * 8 * segment.timescale / Math.max(1, segment.duration));
+        const bytes = window.reduce((sum, segment) => sum + segment.data.length, 0);
+        const seconds = window.reduce((sum, segment) => sum + segment.duration / segment.timescale, 0);
+        const peak = Math.round(Math.max(...rates));
+        const average = seconds > 0 ? Math.round(bytes * 8 / seconds) : peak;
+
+        const initSegment = state.inits.get(window[window.length - 1].initVersion);
+        const videoTrack = mp4.getVideoTrack(initSegment);
+        const attributes = [
+            `BANDWIDTH=${peak}`,
+            `AVERAGE-BANDWIDTH=${average}`,
+            `CODECS="${mp4.getCodecs(initSegment)}"`,
+            ...(videoTrack && videoTrack.width > 0 ? [`RESOLUTION=${videoTrack.width}x${videoTrack.height}`] : [])
+        ];
+
+        lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+        lines.push(variant.uri);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Wait For Master Playlist
+ * Waits until the main stream and all renditions of a device have a first segment
+ * @param {string} serialNumber - Device serial number
+ * @param {number} timeout - Maximum wait time in milliseconds
+ * @returns {Promise<string|null>} Playlist or null on timeout
+ */
+async function waitForMasterPlaylist(serialNumber, timeout) {
+    await Promise.all(getVariants(serialNumber).map(variant =>
+        segmenter.waitFor(variant.streamId, () => segmenter.getWindow(variant.streamId).length > 0, timeout)));
+    return renderMasterPlaylist(serialNumber);
+}
+
+/**
+ * Module Exports
+ * Exposes HLS functions
+ */
+module.exports = {
+    renderPlaylist,
+    renderMasterPlaylist,
+    waitForPlaylist,
+    waitForMasterPlaylist,
+    waitForPlaylistUpdate,
+    waitForPart,
+    isTooFarAhead,
+};
@@ -0,0 +1,319 @@
+/**
+ * MJPEG Output Module
+ *
+ * Decodes the fMP4 output of a transcode session into JPEG frames
+ * for legacy dashboards (multipart/x-mixed-replace):
+ * - Feeds init segment and fragments into a secondary FFmpeg process
+ * - FFmpeg scales, limits the frame rate and encodes JPEGs to stdout
+ * - One tap per device and output settings, shared by all viewers
+ */
+
+const { spawn } = require('child_process');
+const eventEmitter = require('events');
+
+const utils = require('./utils');
+const transcode = require('./transcode');
+
+// Environment configuration
+const FFMPEG_MINLOGLEVEL = process.env.FFMPEG_MINLOGLEVEL || 'warning';
+
+// Output settings: defaults and accepted ranges
+const OPTION_LIMITS = {
+    fps: { default: 5, min: 1, max: 30 },
+    width: { default: 640, min: 160, max: 1920 },
+    quality: { default: 75, min: 1, max: 100 }
+};
+
+// JPEG start and end of image markers
+const JPEG_SOI = Buffer.from([0xff, 0xd8]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+// Bytes buffered for the FFmpeg input before fragments are dropped up to the next keyframe
+const INPUT_HIGH_WATER = 2 * 1024 * 1024;
+// Time the input may stay above INPUT_HIGH_WATER before FFmpeg is restarted (ms)
+const INPUT_STALL_TIMEOUT = 10000;
+
+const taps = new Map();                // "<serial number>:<fps>:<width>:<quality>" -> tap
+
+/**
+ * Parse Options
+ * Validates fps, width and quality query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object|null} Options with defaults applied, null if a value is invalid
+ */
+function parseOptions(query) {
+    const options = {};
+
+    for (const [name, limits] of Object.entries(OPTION_LIMITS)) {
+        if (query[name] === undefined) {
+            options[name] = limits.default;
+            continue;
+        }
+
+        const value = Number(query[name]);
+        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+            return null;
+        }
+        options[name] = value;
+    }
+
+    // Even width for the chroma subsampled JPEG encoder
+    options.width -= options.width % 2;
+    return options;
+}
+
+/**
+ * Get Qscale
+ * JPEG quality 100..1 maps to the MJPEG quantizer scale 2..31
+ * @param {number} quality - JPEG quality (1-100)
+ * @returns {number} Value for ffmpeg's -q:v
+ */
+function getQscale(quality) {
+    return Math.round(2 + (100 - quality) * 29 / 99);
+}
+
+/**
+ * Acquire Tap
+ * Returns the MJPEG tap of a device, creating it on first use
+ * Taps emit 'frame' events with a complete JPEG image
+ * @param {string} serialNumber - Device serial number
+ * @param {Object} options - Output options (fps, width, quality) from parseOptions
+ * @returns {Object} Tap
+ */
+function acquireTap(serialNumber, options) {
+    const key = `${serialNumber}:${options.fps}:${options.width}:${options.quality}`;
+    let tap = taps.get(key);
+    if (tap) {
+        tap.refs++;
+        return tap;
+    }
+
+    tap = {
+        key: key,
+        serialNumber: serialNumber,
+        options: options,
+        refs: 1,
+        event: new eventEmitter(),
+        ffmpegProcess: null,
+        buffer: Buffer.alloc(0),       // Incomplete JPEG from FFmpeg stdout
+        blockedAt: 0,                  // Time the input exceeded INPUT_HIGH_WATER (0 = below)
+        skipping: false                // Fragments are dropped until the next keyframe
+    };
+    tap.event.setMaxListeners(0);
+    taps.set(key, tap);
+    utils.log(`🖼️ MJPEG tap opened for ${serialNumber} (${options.fps} fps, ${options.width}px, quality ${options.quality})`, 'debug');
+
+    // Stream may already be running for other clients, start at its latest keyframe
+    const liveStart = transcode.getLiveStart(serialNumber);
+    if (liveStart) {
+        startTapProcess(tap, liveStart);
+    }
+
+    return tap;
+}
+
+/**
+ * Release Tap
+ * Drops a reference to a tap and closes it when unused
+ * @param {Object} tap - Tap returned by acquireTap
+ */
+function releaseTap(tap) {
+    if (--tap.refs > 0) return;
+
+    taps.delete(tap.key);
+    stopTapProcess(tap);
+    tap.event.removeAllListeners();
+    utils.log(`🖼️ MJPEG tap closed for ${tap.serialNumber}`, 'debug');
+}
+
+/**
+ * Start Tap Process
+ * Spawns the FFmpeg process that turns fMP4 into JPEG frames
+ * @param {Object} tap - Tap
+ * @param {Buffer} startData - fMP4 init segment of the transcode session, optionally followed by fragments
+ */
+function startTapProcess(tap, startData) {
+    stopTapProcess(tap);
+
+    const qscale = getQscale(tap.options.quality);
+
+    const ffmpegArgs = [
+        '-hide_banner',
+        '-loglevel', FFMPEG_MINLOGLEVEL,
+
+        // fMP4 input from the transcode session (pipe:0 = stdin)
+        '-fflags', 'nobuffer',
+        '-flags', 'low_delay',
+        '-analyzeduration', '0',
+        '-f', 'mp4',
+        '-i', 'pipe:0',
+
+        // JPEG frames to stdout
+        '-map', '0:v:0',
+        '-an',
+        '-vf', `fps=${tap.options.fps},scale=${tap.options.width}:-2`,
+        '-c:v', 'mjpeg',
+        '-q:v', String(qscale),
+        '-f', 'image2pipe',
+        'pipe:1'
+    ];
+
+    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+    tap.ffmpegProcess = ffmpegProcess;
+    tap.buffer = Buffer.alloc(0);
+    tap.blockedAt = 0;
+    tap.skipping = false;
+
+    ffmpegProcess.stdin.on('error', (err) => {
+        utils.log(`MJPEG tap input error for ${tap.serialNumber}: ${err.message}`, 'debug');
+    });
+
+    ffmpegProcess.stdout.on('data', (chunk) => {
+        if (tap.ffmpegProcess === ffmpegProcess) {
+            readFrames(tap, chunk);
+        }
+    });
+
+    ffmpegProcess.stderr.on('data', (data) => {
+        utils.log(`ffmpeg mjpeg ${tap.serialNumber}: ${data.toString().trim()}`, 'debug');
+    });
+
+    ffmpegProcess.on('error', (err) => {
+        utils.log(`❌ MJPEG tap ffmpeg error for ${tap.serialNumber}: ${err}`, 'error');
+    });
+
+    ffmpegProcess.on('close', (code) => {
+        utils.log(`ℹ️ MJPEG tap ffmpeg for ${tap.serialNumber} exited with code ${code}`, 'debug');
+        if (tap.ffmpegProcess === ffmpegProcess) {
+            tap.ffmpegProcess = null;
+        }
+    });
+
+    ffmpegProcess.stdin.write(startData);
+    utils.log(`🖼️ MJPEG tap ffmpeg started for ${tap.serialNumber}`, 'debug');
+}
+
+/**
+ * Stop Tap Process
+ * Terminates the FFmpeg process of a tap
+ * @param {Object} tap - Tap
+ */
+function stopTapProcess(tap) {
+    if (tap.ffmpegProcess) {
+        const ffmpegProcess = tap.ffmpegProcess;
+        tap.ffmpegProcess = null;
+        ffmpegProcess.stdin.end();
+        ffmpegProcess.kill('SIGKILL');
+    }
+    tap.buffer = Buffer.alloc(0);
+}
+
+/**
+ * Write Fragment
+ * Feeds a fragment into the FFmpeg process of a tap. While its input holds more than
+ * INPUT_HIGH_WATER bytes, fragments are dropped and feeding continues with the next keyframe;
+ * FFmpeg is restarted at the latest keyframe if the input stays full for INPUT_STALL_TIMEOUT.
+ * @param {Object} tap - Tap
+ * @param {Buffer} fragment - Media fragment (moof + mdat)
+ * @param {boolean|null} keyframe - Fragment starts with a sync sample (null if unknown)
+ */
+function writeFragment(tap, fragment, keyframe) {
+    const stdin = tap.ffmpegProcess.stdin;
+
+    if (stdin.writableLength > INPUT_HIGH_WATER) {
+        if (!tap.blockedAt) {
+            tap.blockedAt = Date.now();
+            utils.log(`⚠️ MJPEG tap of ${tap.serialNumber} falls behind, skipping to the next keyframe`, 'warn');
+        } else if (Date.now() - tap.blockedAt > INPUT_STALL_TIMEOUT) {
+            utils.log(`⚠️ MJPEG tap ffmpeg for ${tap.serialNumber} stopped reading, restarting at the latest keyframe`, 'warn');
+            const liveStart = transcode.getLiveStart(tap.serialNumber);
+            if (liveStart) {
+                startTapProcess(tap, liveStart);
+            } else {
+                stopTapProcess(tap);
+            }
+            return;
+        }
+        tap.skipping = true;
+        return;
+    }
+    tap.blockedAt = 0;
+
+    // Fragments without sample flags can not be checked and end the skip
+    if (tap.skipping) {
+        if (keyframe === false) return;
+        tap.skipping = false;
+    }
+    stdin.write(fragment);
+}
+
+/**
+ * Read Frames
+ * Splits the FFmpeg output into JPEG images (SOI ... EOI) and emits them
+ * @param {Object} tap - Tap
+ * @param {Buffer} chunk - Data from FFmpeg stdout
+ */
+function readFrames(tap, chunk) {
+    let buffer = Buffer.concat([tap.buffer, chunk]);
+
+    for (;;) {
+        const start = buffer.indexOf(JPEG_SOI);
+        if (start === -1) {
+            buffer = Buffer.alloc(0);
+            break;
+        }
+
+        const end = buffer.indexOf(JPEG_EOI, start + 2);
+        if (end === -1) {
+            buffer = buffer.subarray(start);
+            break;
+        }
+
+        tap.event.emit('frame', buffer.subarray(start, end + 2));
+        buffer = buffer.subarray(end + 2);
+    }
+
+    tap.buffer = buffer;
+}
+
+/**
+ * Get Device Taps
+ * @param {string} serialNumber - Device serial number
+ * @returns {Array<Object>} Open taps of the device
+ */
+function getDeviceTaps(serialNumber) {
+    return Array.from(taps.values()).filter(tap => tap.serialNumber === serialNumber);
+}
+
+/**
+ * Transcode Event Handlers
+ * (Re)start taps with every new init segment and feed them with fragments
+ */
+transcode.event.on('initSegment', (serialNumber, initSegment) => {
+    getDeviceTaps(serialNumber).forEach(tap => startTapProcess(tap, initSegment));
+});
+
+transcode.event.on('fragment', (serialNumber, fragment, keyframe) => {
+    getDeviceTaps(serialNumber).forEach(tap => {
+        if (tap.ffmpegProcess && tap.ffmpegProcess.stdin.writable) {
+            writeFragment(tap, fragment, keyframe);
+        }
+    });
+});
+
+transcode.event.on('sessionClosed', (serialNumber) => {
+    getDeviceTaps(serialNumber).forEach(tap => stopTapProcess(tap));
+});
+
+/**
+ * Module Exports
+ * Exposes MJPEG tap functions
+ */
+module.exports = {
+    parseOptions,
+    getQscale,
+    acquireTap,
+    releaseTap,
+};
@@ -0,0 +1,531 @@
+/**
+ * MP4 Box Helper Module
+ *
+ * Small ISO-BMFF (fragmented MP4) helpers used by the streaming modules:
+ * - Iterating and locating (nested) boxes in a buffer
+ * - Reading track IDs, handler types and timescales from the init segment
+ * - Reading fragment decode times (tfdt) and sample flags (trex/tfhd/trun) to find sync samples
+ * - Reading H.264 (avcC), H.265 (hvcC) and AAC (esds) decoder configurations
+ * - Building RFC 6381 codec strings for manifests and MSE players
+ */
+
+// Sampling frequencies of the AAC sampling frequency index
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// Fallback codecs (libx264 main profile and AAC-LC of transcode.js) if the decoder configuration can not be read
+const TRACK_CODECS = {
+    vide: 'avc1.4D401F',
+    soun: 'mp4a.40.2'
+};
+
+/**
+ * Read Boxes
+ * Lists all complete boxes contained in a buffer range
+ * @param {Buffer} buffer - Buffer containing consecutive boxes
+ * @param {number} [start=0] - Offset of the first box
+ * @param {number} [end=buffer.length] - End offset (exclusive)
+ * @returns {Array<Object>} Boxes with type, start, size and payload offset
+ */
+function readBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            // 64-bit largesize follows the box type
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            // Box extends to the end of the buffer
+            size = end - offset;
+        }
+
+        if (size < headerSize || offset + size > end) break;
+
+        boxes.push({
+            type: type,
+            start: offset,
+            size: size,
+            payload: offset + headerSize,
+            end: offset + size
+        });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+/**
+ * Find Box
+ * Locates the first box matching a path of nested box types
+ * @param {Buffer} buffer - Buffer containing boxes
+ * @param {Array<string>} boxPath - Box types from outer to inner, e.g. ['moov', 'trak']
+ * @param {number} [start=0] - Offset of the first box
+ * @param {number} [end=buffer.length] - End offset (exclusive)
+ * @returns {Object|null} Matching box or null
+ */
+function findBox(buffer, boxPath, start = 0, end = buffer.length) {
+    const [type, ...rest] = boxPath;
+    const box = readBoxes(buffer, start, end).find(b => b.type === type);
+    if (!box) return null;
+    if (rest.length === 0) return box;
+    return findBox(buffer, rest, box.payload, box.end);
+}
+
+/**
+ * Find Children
+ * Lists all child boxes of a given type within a parent box
+ * @param {Buffer} buffer - Buffer containing the parent box
+ * @param {Object} parent - Parent box (as returned by findBox)
+ * @param {string} type - Child box type
+ * @returns {Array<Object>} Matching child boxes
+ */
+function findChildren(buffer, parent, type) {
+    return readBoxes(buffer, parent.payload, parent.end).filter(b => b.type === type);
+}
+
+/**
+ * Get Tracks
+ * Reads track ID, handler type and timescale of all tracks in an init segment
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @returns {Array<Object>} Tracks with trackId, handler ('vide'/'soun'), timescale, width and height
+ */
+function getTracks(initSegment) {
+    const moov = findBox(initSegment, ['moov']);
+    if (!moov) return [];
+
+    return findChildren(initSegment, moov, 'trak').map(trak => {
+        const tkhd = findBox(initSegment, ['tkhd'], trak.payload, trak.end);
+        const mdhd = findBox(initSegment, ['mdia', 'mdhd'], trak.payload, trak.end);
+        const hdlr = findBox(initSegment, ['mdia', 'hdlr'], trak.payload, trak.end);
+        if (!tkhd || !mdhd || !hdlr) return null;
+
+        // tkhd/mdhd version 1 uses 64-bit creation and modification times
+        const tkhdVersion = initSegment.readUInt8(tkhd.payload);
+        const mdhdVersion = initSegment.readUInt8(mdhd.payload);
+
+        // Width and height (16.16 fixed point) close the tkhd box
+        const sizeOffset = tkhd.payload + (tkhdVersion === 1 ? 88 : 76);
+        const hasSize = sizeOffset + 8 <= tkhd.end;
+
+        return {
+            trackId: initSegment.readUInt32BE(tkhd.payload + (tkhdVersion === 1 ? 20 : 12)),
+            timescale: initSegment.readUInt32BE(mdhd.payload + (mdhdVersion === 1 ? 20 : 12)),
+            handler: initSegment.toString('ascii', hdlr.payload + 8, hdlr.payload + 12),
+            width: hasSize ? initSegment.readUInt32BE(sizeOffset) >>> 16 : 0,
+            height: hasSize ? initSegment.readUInt32BE(sizeOffset + 4) >>> 16 : 0
+        };
+    }).filter(track => track !== null);
+}
+
+/**
+ * Get Video Track
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @returns {Object|null} First video track or null
+ */
+function getVideoTrack(initSegment) {
+    return getTracks(initSegment).find(track => track.handler === 'vide') || null;
+}
+
+/**
+ * Get Base Media Decode Time
+ * Reads the tfdt decode time of a track from a media fragment
+ * @param {Buffer} fragment - Media fragment starting with a moof box
+ * @param {number} trackId - Track ID to read
+ * @returns {number|null} Decode time in track timescale units or null
+ */
+function getBaseMediaDecodeTime(fragment, trackId) {
+    const moof = findBox(fragment, ['moof']);
+    if (!moof) return null;
+
+    for (const traf of findChildren(fragment, moof, 'traf')) {
+        const tfhd = findBox(fragment, ['tfhd'], traf.payload, traf.end);
+        if (!tfhd || fragment.readUInt32BE(tfhd.payload + 4) !== trackId) continue;
+
+        const tfdt = findBox(fragment, ['tfdt'], traf.payload, traf.end);
+        if (!tfdt) return null;
+
+        // tfdt version 1 stores a 64-bit decode time
+        return fragment.readUInt8(tfdt.payload) === 1
+            ? Number(fragment.readBigUInt64BE(tfdt.payload + 4))
+            : fragment.readUInt32BE(tfdt.payload + 4);
+    }
+
+    return null;
+}
+
+/**
+ * Get Default Sample Flags
+ * Reads the default_sample_flags of a track from the movie extends box (mvex/trex)
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @param {number} trackId - Track ID
+ * @returns {number|null} Default sample flags or null if the track has no trex box
+ */
+function getDefaultSampleFlags(initSegment, trackId) {
+    const mvex = findBox(initSegment, ['moov', 'mvex']);
+    if (!mvex) return null;
+
+    // trex: version/flags, track_ID, sample description index, duration, size, flags
+    const trex = findChildren(initSegment, mvex, 'trex')
+        .find(box => box.payload + 24 <= box.end && initSegment.readUInt32BE(box.payload + 4) === trackId);
+    return trex ? initSegment.readUInt32BE(trex.payload + 20) : null;
+}
+
+/**
+ * Get Fragment Samples
+ * Reads duration, size and flags of all samples of a track in a media fragment (traf/tfhd/trun).
+ * Sample flags come from the trun sample entries, the trun first_sample_flags (first sample),
+ * the tfhd default_sample_flags or the trex defaults of the init segment, in this order.
+ * @param {Buffer} fragment - Media fragment starting with a moof box
+ * @param {number} trackId - Track ID to read
+ * @param {number|null} [defaultSampleFlags=null] - trex default_sample_flags of the track
+ * @returns {Array<Object>|null} Samples with duration, size, flags and sync (null if the flags are unknown), or null if the track is missing
+ */
+function getFragmentSamples(fragment, trackId, defaultSampleFlags = null) {
+    const moof = findBox(fragment, ['moof']);
+    if (!moof) return null;
+
+    for (const traf of findChildren(fragment, moof, 'traf')) {
+        const tfhd = findBox(fragment, ['tfhd'], traf.payload, traf.end);
+        if (!tfhd || tfhd.payload + 8 > tfhd.end || fragment.readUInt32BE(tfhd.payload + 4) !== trackId) continue;
+
+        // tfhd optional fields: base_data_offset (8), sample_description_index, default duration, size, flags (4 each)
+        const tfhdFlags = fragment.readUInt32BE(tfhd.payload) & 0xffffff;
+        const defaults = { duration: null, size: null, flags: defaultSampleFlags };
+        let offset = tfhd.payload + 8;
+        if (tfhdFlags & 0x01) offset += 8;
+        if (tfhdFlags & 0x02) offset += 4;
+        for (const [flag, field] of [[0x08, 'duration'], [0x10, 'size'], [0x20, 'flags']]) {
+            if (!(tfhdFlags & flag)) continue;
+            if (offset + 4 > tfhd.end) return null;
+            defaults[field] = fragment.readUInt32BE(offset);
+            offset += 4;
+        }
+
+        // trun: sample count, data_offset and first_sample_flags, then per sample duration, size, flags and composition offset
+        const samples = [];
+        for (const trun of findChildren(fragment, traf, 'trun')) {
+            if (trun.payload + 8 > trun.end) return null;
+            const trunFlags = fragment.readUInt32BE(trun.payload) & 0xffffff;
+            const sampleCount = fragment.readUInt32BE(trun.payload + 4);
+            offset = trun.payload + 8;
+            if (trunFlags & 0x001) offset += 4;
+            let firstSampleFlags = null;
+            if (trunFlags & 0x004) {
+                if (offset + 4 > trun.end) return null;
+                firstSampleFlags = fragment.readUInt32BE(offset);
+                offset += 4;
+            }
+
+            const entrySize = [0x100, 0x200, 0x400, 0x800].filter(flag => trunFlags & flag).length * 4;
+            if (offset + sampleCount * entrySize > trun.end) return null;
+
+            for (let i = 0; i < sampleCount; i++) {
+                const sample = { duration: defaults.duration, size: defaults.size, flags: defaults.flags };
+                if (trunFlags & 0x100) { sample.duration = fragment.readUInt32BE(offset); offset += 4; }
+                if (trunFlags & 0x200) { sample.size = fragment.readUInt32BE(offset); offset += 4; }
+                if (trunFlags & 0x400) { sample.flags = fragment.readUInt32BE(offset); offset += 4; }
+                if (trunFlags & 0x800) offset += 4;
+                if (i === 0 && samples.length === 0 && firstSampleFlags !== null && !(trunFlags & 0x400)) {
+                    sample.flags = firstSampleFlags;
+                }
+                sample.sync = isSyncSample(sample.flags);
+                samples.push(sample);
+            }
+        }
+        return samples;
+    }
+
+    return null;
+}
+
+/**
+ * Is Sync Sample
+ * @param {number|null} sampleFlags - ISO-BMFF sample flags
+ * @returns {boolean|null} True if the sample is a sync sample (keyframe), null if the flags are unknown
+ */
+function isSyncSample(sampleFlags) {
+    if (sampleFlags === null) return null;
+
+    // sample_depends_on = 1: depends on other samples; sample_is_non_sync_sample
+    const dependsOn = (sampleFlags >>> 24) & 0x03;
+    const isNonSync = (sampleFlags >>> 16) & 0x01;
+    return dependsOn !== 1 && isNonSync === 0;
+}
+
+/**
+ * Is Keyframe Fragment
+ * Checks whether a media fragment starts with a sync sample of a track
+ * @param {Buffer} fragment - Media fragment starting with a moof box
+ * @param {number} trackId - Track ID to check
+ * @param {number|null} [defaultSampleFlags=null] - trex default_sample_flags of the track
+ * @returns {boolean|null} True for a keyframe, null if the fragment carries no sample flags
+ */
+function isKeyframeFragment(fragment, trackId, defaultSampleFlags = null) {
+    const samples = getFragmentSamples(fragment, trackId, defaultSampleFlags);
+    return samples && samples.length > 0 ? samples[0].sync : null;
+}
+
+/**
+ * Get Sample Entry
+ * Locates the first sample entry (stsd) of a track type
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @param {string} handler - Track handler type ('vide'/'soun')
+ * @returns {Object|null} Sample entry box (e.g. avc1, mp4a) or null
+ */
+function getSampleEntry(initSegment, handler) {
+    const moov = findBox(initSegment, ['moov']);
+    if (!moov) return null;
+
+    for (const trak of findChildren(initSegment, moov, 'trak')) {
+        const hdlr = findBox(initSegment, ['mdia', 'hdlr'], trak.payload, trak.end);
+        if (!hdlr || initSegment.toString('ascii', hdlr.payload + 8, hdlr.payload + 12) !== handler) continue;
+
+        // stsd is a full box followed by the entry count
+        const stsd = findBox(initSegment, ['mdia', 'minf', 'stbl', 'stsd'], trak.payload, trak.end);
+        if (!stsd) return null;
+        return readBoxes(initSegment, stsd.payload + 8, stsd.end)[0] || null;
+    }
+
+    return null;
+}
+
+/**
+ * Get AVC Config
+ * Reads profile, level and parameter sets from the avcC box of the video track
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @returns {Object|null} Profile, compatibility and level bytes, SPS and PPS lists, or null
+ */
+function getAvcConfig(initSegment) {
+    const entry = getSampleEntry(initSegment, 'vide');
+    if (!entry || (entry.type !== 'avc1' && entry.type !== 'avc3')) return null;
+
+    // Child boxes follow the 78 byte visual sample entry fields
+    const avcC = findBox(initSegment, ['avcC'], entry.payload + 78, entry.end);
+    if (!avcC || avcC.payload + 7 > avcC.end) return null;
+
+    const config = {
+        profile: initSegment.readUInt8(avcC.payload + 1),
+        compatibility: initSegment.readUInt8(avcC.payload + 2),
+        level: initSegment.readUInt8(avcC.payload + 3),
+        sps: [],
+        pps: []
+    };
+
+    // Parameter set lists: count byte, then 16-bit length prefixed NAL units
+    let offset = avcC.payload + 5;
+    for (const [list, countMask] of [[config.sps, 0x1f], [config.pps, 0xff]]) {
+        if (offset >= avcC.end) break;
+        const count = initSegment.readUInt8(offset++) & countMask;
+        for (let i = 0; i < count && offset + 2 <= avcC.end; i++) {
+            const length = initSegment.readUInt16BE(offset);
+            offset += 2;
+            if (offset + length > avcC.end) break;
+            list.push(initSegment.subarray(offset, offset + length));
+            offset += length;
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Get Profile Level ID
+ * Builds the H.264 profile-level-id of SDP (RFC 6184) from the avcC box of the video track
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @returns {string|null} Profile, compatibility and level as hex (e.g. "4d401f"), null without avcC
+ */
+function getProfileLevelId(initSegment) {
+    const avc = getAvcConfig(initSegment);
+    if (!avc) return null;
+
+    return [avc.profile, avc.compatibility, avc.level]
+        .map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get HEVC Config
+ * Reads profile, tier and level from the hvcC box of the video track
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @returns {Object|null} Profile space, tier, profile, compatibility flags, constraint bytes and level, or null
+ */
+function getHevcConfig(initSegment) {
+    const entry = getSampleEntry(initSegment, 'vide');
+    if (!entry || (entry.type !== 'hvc1' && entry.type !== 'hev1')) return null;
+
+    // Child boxes follow the 78 byte visual sample entry fields
+    const hvcC = findBox(initSegment, ['hvcC'], entry.payload + 78, entry.end);
+    if (!hvcC || hvcC.payload + 13 > hvcC.end) return null;
+
+    const profileByte = initSegment.readUInt8(hvcC.payload + 1);
+    return {
+        profileSpace: profileByte >> 6,
+        tier: (profileByte >> 5) & 0x01,
+        profile: profileByte & 0x1f,
+        compatibility: initSegment.readUInt32BE(hvcC.payload + 2),
+        constraints: initSegment.subarray(hvcC.payload + 6, hvcC.payload + 12),
+        level: initSegment.readUInt8(hvcC.payload + 12)
+    };
+}
+
+/**
+ * Read Descriptor
+ * Reads the header of an MPEG-4 descriptor (tag and variable-length size)
+ * @param {Buffer} buffer - Buffer containing the descriptor
+ * @param {number} offset - Offset of the descriptor tag
+ * @param {number} end - End offset of the enclosing box or descriptor
+ * @returns {Object|null} Descriptor with tag, payload and end offset, or null
+ */
+function readDescriptor(buffer, offset, end) {
+    if (offset + 2 > end) return null;
+
+    const tag = buffer.readUInt8(offset);
+    let size = 0;
+    let position = offset + 1;
+    for (let i = 0; i < 4 && position < end; i++) {
+        const byte = buffer.readUInt8(position++);
+        size = (size << 7) | (byte & 0x7f);
+        if (!(byte & 0x80)) break;
+    }
+
+    return { tag: tag, payload: position, end: Math.min(position + size, end) };
+}
+
+/**
+ * Get Audio Config
+ * Reads the AudioSpecificConfig from the esds box of the audio track
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @returns {Object|null} Object type, sample rate, channel count and raw config, or null
+ */
+function getAudioConfig(initSegment) {
+    const entry = getSampleEntry(initSegment, 'soun');
+    if (!entry || entry.type !== 'mp4a') return null;
+
+    // Child boxes follow the 28 byte audio sample entry fields
+    const esds = findBox(initSegment, ['esds'], entry.payload + 28, entry.end);
+    if (!esds) return null;
+
+    // ES_Descriptor (0x03) -> DecoderConfigDescriptor (0x04) -> DecoderSpecificInfo (0x05)
+    const es = readDescriptor(initSegment, esds.payload + 4, esds.end);
+    if (!es || es.tag !== 0x03 || es.payload + 3 > es.end) return null;
+
+    const flags = initSegment.readUInt8(es.payload + 2);
+    let offset = es.payload + 3;
+    if (flags & 0x80) offset += 2;                                                 // dependsOn_ES_ID
+    if (flags & 0x40 && offset < es.end) offset += 1 + initSegment.readUInt8(offset); // URL
+    if (flags & 0x20) offset += 2;                                                 // OCR_ES_ID
+
+    const decoderConfig = readDescriptor(initSegment, offset, es.end);
+    if (!decoderConfig || decoderConfig.tag !== 0x04) return null;
+
+    const specificInfo = readDescriptor(initSegment, decoderConfig.payload + 13, decoderConfig.end);
+    if (!specificInfo || specificInfo.tag !== 0x05 || specificInfo.end - specificInfo.payload < 2) return null;
+
+    const config = initSegment.subarray(specificInfo.payload, specificInfo.end);
+    const frequencyIndex = ((config[0] & 0x07) << 1) | (config[1] >> 7);
+    let sampleRate = AAC_SAMPLE_RATES[frequencyIndex];
+    let channels = (config[1] >> 3) & 0x0f;
+
+    // Index 15: explicit 24-bit sampling frequency
+    if (frequencyIndex === 15 && config.length >= 5) {
+        sampleRate = ((config[1] & 0x7f) << 17) | (config[2] << 9) | (config[3] << 1) | (config[4] >> 7);
+        channels = (config[4] >> 3) & 0x0f;
+    }
+
+    return {
+        objectType: config[0] >> 3,
+        sampleRate: sampleRate || 0,
+        channels: channels,
+        config: config
+    };
+}
+
+/**
+ * Get Track Codec
+ * Builds the RFC 6381 codec of the video or audio track from its decoder configuration
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @param {string} handler - Track handler type ('vide' or 'soun')
+ * @returns {string|undefined} Codec (e.g. avc1.4D401F, hvc1.1.6.L93.B0, mp4a.40.2), undefined for other tracks
+ */
+function getTrackCodec(initSegment, handler) {
+    const hex = (byte) => byte.toString(16).toUpperCase();
+
+    if (handler === 'vide') {
+        const entry = getSampleEntry(initSegment, 'vide');
+        const avc = getAvcConfig(initSegment);
+        if (avc) {
+            return `${entry.type}.` + [avc.profile, avc.compatibility, avc.level]
+                .map(byte => hex(byte).padStart(2, '0')).join('');
+        }
+
+        const hevc = getHevcConfig(initSegment);
+        if (hevc) {
+            // Compatibility flags in reverse bit order, constraint bytes without trailing zero bytes
+            let compatibility = 0;
+            for (let bit = 0; bit < 32; bit++) {
+                if (hevc.compatibility & (1 << bit)) compatibility |= 1 << (31 - bit);
+            }
+            const constraints = Array.from(hevc.constraints);
+            while (constraints.length > 0 && constraints[constraints.length - 1] === 0) constraints.pop();
+
+            return [
+                entry.type,
+                ['', 'A', 'B', 'C'][hevc.profileSpace] + hevc.profile,
+                hex(compatibility >>> 0),
+                (hevc.tier ? 'H' : 'L') + hevc.level,
+                ...constraints.map(hex)
+            ].join('.');
+        }
+        return TRACK_CODECS.vide;
+    }
+
+    if (handler === 'soun') {
+        const audio = getAudioConfig(initSegment);
+        return audio && audio.objectType > 0 ? `mp4a.40.${audio.objectType}` : TRACK_CODECS.soun;
+    }
+
+    return undefined;
+}
+
+/**
+ * Get Codecs
+ * Builds an RFC 6381 codecs list from the tracks of an init segment.
+ * Remuxed (passthrough) video keeps the camera's codec, profile and level.
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ * @returns {string} Comma separated codec list (e.g. avc1.4D401F,mp4a.40.2)
+ */
+function getCodecs(initSegment) {
+    const codecs = getTracks(initSegment)
+        .map(track => getTrackCodec(initSegment, track.handler))
+        .filter(codec => codec !== undefined);
+    return codecs.length > 0 ? codecs.join(',') : TRACK_CODECS.vide;
+}
+
+/**
+ * Module Exports
+ * Exposes MP4 box helper functions
+ */
+module.exports = {
+    readBoxes,
+    findBox,
+    findChildren,
+    getTracks,
+    getVideoTrack,
+    getBaseMediaDecodeTime,
+    getDefaultSampleFlags,
+    getFragmentSamples,
+    isSyncSample,
+    isKeyframeFragment,
+    getSampleEntry,
+    getAvcConfig,
+    getProfileLevelId,
+    getHevcConfig,
+    getAudioConfig,
+    getTrackCodec,
+    getCodecs
+};
@@ -0,0 +1,260 @@
+/**
+ * Overlay Module
+ *
+ * Builds the FFmpeg video filters of the per-device overlays (DEVICE_OVERLAYS):
+ * - Privacy masks: rectangles and polygons filled black (drawbox)
+ * - Burned-in text with camera name and timestamp (drawtext)
+ * Mask coordinates are fractions of the picture (0-1), so masks drawn on a snapshot
+ * fit the camera video at any resolution.
+ */
+
+// Text positions (drawtext x/y expressions, margin relative to the picture height)
+const MARGIN = 'h/50';
+const POSITIONS = {
+    'top-left': { x: MARGIN, y: MARGIN },
+    'top-right': { x: `w-tw-${MARGIN}`, y: MARGIN },
+    'bottom-left': { x: MARGIN, y: `h-th-${MARGIN}` },
+    'bottom-right': { x: `w-tw-${MARGIN}`, y: `h-th-${MARGIN}` }
+};
+
+// Font size without fontSize setting: 1/30 of the picture height
+const DEFAULT_FONT_SIZE = 'h/30';
+
+// Accepted ranges of the settings
+const MAX_TEXT_LENGTH = 200;
+const FONT_SIZE_LIMITS = { min: 8, max: 400 };
+const MAX_MASKS = 32;
+const POLYGON_POINT_LIMITS = { min: 3, max: 64 };
+
+// Polygons are covered by horizontal strips of 1/POLYGON_STRIPS of the picture height
+const POLYGON_STRIPS = 120;
+
+/**
+ * Parse Overlay
+ * Validates overlay settings of a device
+ * @param {Object} settings - Overlay settings
+ * @param {string} [settings.text] - Text with strftime codes (e.g. %Y-%m-%d %H:%M:%S) and {name} for the device name, empty for no text
+ * @param {string} [settings.position='top-left'] - top-left, top-right, bottom-left or bottom-right
+ * @param {number} [settings.fontSize] - Font size in pixels of the camera picture (omitted: 1/30 of the height)
+ * @param {Array<Object>} [settings.masks] - Rectangles ({ type: 'rect', x, y, width, height }) and
+ *                                           polygons ({ type: 'polygon', points: [[x, y], ...] }), coordinates 0-1
+ * @returns {Object|null} Overlay with all settings, null if a value is invalid
+ */
+function parseOverlay(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return null;
+
+    const overlay = {
+        text: settings.text === undefined ? '' : settings.text,
+        position: settings.position === undefined ? 'top-left' : settings.position,
+        fontSize: settings.fontSize === undefined ? null : settings.fontSize,
+        masks: settings.masks === undefined ? [] : settings.masks
+    };
+
+    if (typeof overlay.text !== 'string' || overlay.text.length > MAX_TEXT_LENGTH || /[\x00-\x1f]/.test(overlay.text)) {
+        return null;
+    }
+    if (!Object.prototype.hasOwnProperty.call(POSITIONS, overlay.position)) {
+        return null;
+    }
+    if (overlay.fontSize !== null && (!Number.isInteger(overlay.fontSize) ||
+        overlay.fontSize < FONT_SIZE_LIMITS.min || overlay.fontSize > FONT_SIZE_LIMITS.max)) {
+        return null;
+    }
+    if (!Array.isArray(overlay.masks) || overlay.masks.length > MAX_MASKS) {
+        return null;
+    }
+
+    overlay.masks = overlay.masks.map(parseMask);
+    return overlay.masks.includes(null) ? null : overlay;
+}
+
+/**
+ * Parse Mask
+ * @param {Object} mask - Rectangle or polygon
+ * @returns {Object|null} Mask with only its coordinates, null if invalid
+ */
+function parseMask(mask) {
+    if (!mask || typeof mask !== 'object') return null;
+
+    if (mask.type === 'rect') {
+        const { x, y, width, height } = mask;
+        if (![x, y, width, height].every(isCoordinate) || width === 0 || height === 0) return null;
+        return { type: 'rect', x, y, width: Math.min(width, 1 - x), height: Math.min(height, 1 - y) };
+    }
+
+    if (mask.type === 'polygon') {
+        const points = mask.points;
+        if (!Array.isArray(points) || points.length < POLYGON_POINT_LIMITS.min || points.length > POLYGON_POINT_LIMITS.max) {
+            return null;
+        }
+        if (!points.every(point => Array.isArray(point) && point.length === 2 && point.every(isCoordinate))) {
+            return null;
+        }
+        return { type: 'polygon', points: points.map(([x, y]) => [x, y]) };
+    }
+
+    return null;
+}
+
+/**
+ * Is Coordinate
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a number from 0 to 1
+ */
+function isCoordinate(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Has Overlay
+ * @param {Object|null} overlay - Overlay from parseOverlay
+ * @returns {boolean} True if the overlay draws anything
+ */
+function hasOverlay(overlay) {
+    return !!overlay && (overlay.text !== '' || overlay.masks.length > 0);
+}
+
+/**
+ * Get Overlay Filters
+ * Masks are drawn first, the text stays readable on top of them
+ * @param {Object} overlay - Overlay from parseOverlay
+ * @param {string} deviceName - Device name for {name} in the text
+ * @returns {Array<string>} FFmpeg video filters (escaped for a filter graph), empty without overlay
+ */
+function getOverlayFilters(overlay, deviceName) {
+    if (!hasOverlay(overlay)) return [];
+
+    const boxes = overlay.masks.flatMap(mask => mask.type === 'rect' ? [mask] : getPolygonBoxes(mask.points));
+    const filters = boxes.map(getBoxFilter);
+    if (overlay.text) {
+        filters.push(getTextFilter(overlay, deviceName));
+    }
+    return filters;
+}
+
+/**
+ * Get Box Filter
+ * Rounded outwards so the mask covers at least the given area
+ * @param {Object} box - Rectangle (x, y, width, height as fractions of the picture)
+ * @returns {string} drawbox filter filling the rectangle black
+ */
+function getBoxFilter(box) {
+    return `drawbox=x=floor(iw*${formatFraction(box.x)}):y=floor(ih*${formatFraction(box.y)})` +
+        `:w=ceil(iw*${formatFraction(box.width)})+1:h=ceil(ih*${formatFraction(box.height)})+1:color=black:t=fill`;
+}
+
+/**
+ * Get Polygon Boxes
+ * Covers a polygon with horizontal strips, each as wide as the polygon within the strip.
+ * Concave parts are filled up to the outer edges of the strip.
+ * @param {Array<Array<number>>} points - Polygon corners ([x, y] fractions of the picture)
+ * @returns {Array<Object>} Rectangles (x, y, width, height), equal neighbouring strips merged
+ */
+function getPolygonBoxes(points) {
+    const ys = points.map(([, y]) => y);
+    const top = Math.min(...ys);
+    const bottom = Math.max(...ys);
+    const boxes = [];
+
+    for (let strip = Math.floor(top * POLYGON_STRIPS); strip < Math.ceil(bottom * POLYGON_STRIPS); strip++) {
+        const y0 = Math.max(strip / POLYGON_STRIPS, top);
+        const y1 = Math.min((strip + 1) / POLYGON_STRIPS, bottom);
+        const range = getPolygonRange(points, y0, y1);
+        if (!range) continue;
+
+        const previous = boxes[boxes.length - 1];
+        if (previous && previous.x === range.x && previous.width === range.width &&
+            Math.abs(previous.y + previous.height - y0) < 1e-9) {
+            previous.height = y1 - previous.y;
+        } else {
+            boxes.push({ x: range.x, y: y0, width: range.width, height: y1 - y0 });
+        }
+    }
+    return boxes;
+}
+
+/**
+ * Get Polygon Range
+ * @param {Array<Array<number>>} points - Polygon corners
+ * @param {number} y0 - Top of the strip
+ * @param {number} y1 - Bottom of the strip
+ * @returns {Object|null} Horizontal extent (x, width) of the polygon edges within the strip, null if none
+ */
+function getPolygonRange(points, y0, y1) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+
+    points.forEach((from, index) => {
+        const to = points[(index + 1) % points.length];
+
+        // Part of the edge inside the strip
+        const [lower, upper] = from[1] <= to[1] ? [from, to] : [to, from];
+        if (upper[1] < y0 || lower[1] > y1) return;
+
+        const xAt = (y) => upper[1] === lower[1] ? null : lower[0] + (upper[0] - lower[0]) * (y - lower[1]) / (upper[1] - lower[1]);
+        const xs = upper[1] === lower[1]
+            ? [lower[0], upper[0]]
+            : [xAt(Math.max(lower[1], y0)), xAt(Math.min(upper[1], y1))];
+        minX = Math.min(minX, ...xs);
+        maxX = Math.max(maxX, ...xs);
+    });
+
+    return minX <= maxX ? { x: minX, width: maxX - minX } : null;
+}
+
+/**
+ * Get Text Filter
+ * @param {Object} overlay - Overlay from parseOverlay
+ * @param {string} deviceName - Device name for {name}
+ * @returns {string} drawtext filter with the local time (strftime) and device name, white on a dark box
+ */
+function getTextFilter(overlay, deviceName) {
+    // strftime format with the device name as literal text (% doubled)
+    const format = overlay.text.split('{name}').join(String(deviceName).replace(/%/g, '%%'));
+    // drawtext expansion: %{localtime:<format>} with escaped argument delimiters
+    const text = `%{localtime:${format.replace(/[\\':}]/g, '\\$&')}}`;
+    const position = POSITIONS[overlay.position];
+
+    const options = [
+        `text=${escapeOptionValue(text)}`,
+        `fontsize=${overlay.fontSize || DEFAULT_FONT_SIZE}`,
+        'fontcolor=white',
+        'box=1',
+        'boxcolor=black@0.5',
+        'boxborderw=8',
+        `x=${position.x}`,
+        `y=${position.y}`
+    ];
+    return `drawtext=${options.join(':')}`;
+}
+
+/**
+ * Escape Option Value
+ * Escapes a filter option value for the option parser and then for the filter graph parser
+ * @param {string} value - Option value
+ * @returns {string} Value safe to use in a filter graph
+ */
+function escapeOptionValue(value) {
+    return value
+        .replace(/[\\':]/g, '\\$&')
+        .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Format Fraction
+ * @param {number} value - Fraction of the picture size
+ * @returns {string} Value with at most 5 decimals for filter expressions
+ */
+function formatFraction(value) {
+    return String(Number(value.toFixed(5)));
+}
+
+/**
+ * Module Exports
+ * Exposes overlay functions
+ */
+module.exports = {
+    parseOverlay,
+    hasOverlay,
+    getOverlayFilters
+};
@@ -0,0 +1,235 @@
+/**
+ * Transcoding Profiles Module
+ *
+ * Named encoder settings (TRANSCODING_PROFILES) and their assignment to devices (DEVICE_PROFILES):
+ * - Profile: preset, CRF, scale, short keyframes, bitrate mode (crf, vbr, cbr) and fps cap
+ * - Assignment: profile, rotation and crop of one camera
+ * Settings a profile leaves out, and devices without assignment, use the global
+ * TRANSCODING_PRESET, TRANSCODING_CRF, VIDEO_SCALE and FFMPEG_SHORT_KEYFRAMES.
+ */
+
+// Accepted values of the settings
+const PROFILE_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const BITRATE_MODES = ['crf', 'vbr', 'cbr'];
+const ROTATIONS = [0, 90, 180, 270];
+const SCALE = /^-?\d{1,4}:-?\d{1,4}$/;
+const CRF_LIMITS = { min: 0, max: 51 };
+const BITRATE_LIMITS = { min: 100, max: 50000 };   // kbit/s
+const FPS_LIMITS = { min: 1, max: 60 };
+const MIN_CROP_SIZE = 0.05;                         // Fraction of the picture
+const CROP_TOLERANCE = 1e-9;                        // Rounding of percentages entered in the UI
+
+// Rotation filters (clockwise)
+const ROTATION_FILTERS = {
+    90: ['transpose=clock'],
+    180: ['hflip', 'vflip'],
+    270: ['transpose=cclock']
+};
+
+/**
+ * Parse Profile
+ * Validates a transcoding profile, omitted settings stay undefined (global setting)
+ * @param {Object} settings - Profile settings
+ * @param {string} [settings.preset] - x264 preset
+ * @param {number} [settings.crf] - Constant Rate Factor (0-51), quality of crf and vbr mode
+ * @param {string} [settings.scale] - ffmpeg scale (e.g. "1920:-2"), empty for the camera resolution
+ * @param {boolean} [settings.shortKeyframes] - Keyframe every 15 instead of 30 frames
+ * @param {string} [settings.bitrateMode='crf'] - crf (constant quality), vbr (CRF capped at bitrate) or cbr (constant bitrate)
+ * @param {number} [settings.bitrate] - Bitrate in kbit/s, required for vbr and cbr
+ * @param {number|null} [settings.maxFps] - Frame rate cap, null for the camera frame rate
+ * @returns {Object|null} Profile or null if a value is invalid
+ */
+function parseProfile(settings) {
+    if (!isObject(settings)) return null;
+
+    const profile = {
+        preset: settings.preset,
+        crf: settings.crf,
+        scale: settings.scale,
+        shortKeyframes: settings.shortKeyframes,
+        bitrateMode: settings.bitrateMode === undefined ? 'crf' : settings.bitrateMode,
+        bitrate: settings.bitrate === undefined ? null : settings.bitrate,
+        maxFps: settings.maxFps === undefined ? null : settings.maxFps
+    };
+
+    const valid = (profile.preset === undefined || PRESETS.includes(profile.preset)) &&
+        (profile.crf === undefined || isInteger(profile.crf, CRF_LIMITS)) &&
+        (profile.scale === undefined || profile.scale === '' || SCALE.test(profile.scale)) &&
+        (profile.shortKeyframes === undefined || typeof profile.shortKeyframes === 'boolean') &&
+        BITRATE_MODES.includes(profile.bitrateMode) &&
+        (profile.bitrate === null ? profile.bitrateMode === 'crf' : isInteger(profile.bitrate, BITRATE_LIMITS)) &&
+        (profile.maxFps === null || isInteger(profile.maxFps, FPS_LIMITS));
+    return valid ? profile : null;
+}
+
+/**
+ * Parse Profiles
+ * @param {Object} profiles - Profile name -> profile settings (TRANSCODING_PROFILES)
+ * @returns {Object|null} Validated profiles or null if a name or profile is invalid
+ */
+function parseProfiles(profiles) {
+    if (!isObject(profiles)) return null;
+
+    const parsed = {};
+    for (const [name, settings] of Object.entries(profiles)) {
+        const profile = PROFILE_NAME.test(name) ? parseProfile(settings) : null;
+        if (!profile) return null;
+        parsed[name] = profile;
+    }
+    return parsed;
+}
+
+/**
+ * Parse Assignment
+ * @param {Object} assignment - Device settings
+ * @param {string|null} [assignment.profile] - Profile name, null for the global settings
+ * @param {number} [assignment.rotation=0] - Clockwise rotation (0, 90, 180, 270)
+ * @param {Object|null} [assignment.crop] - Kept area ({ x, y, width, height } as fractions of the picture)
+ * @param {Object} profiles - Validated profiles
+ * @returns {Object|null} Assignment or null if a value is invalid or the profile does not exist
+ */
+function parseAssignment(assignment, profiles) {
+    if (!isObject(assignment)) return null;
+
+    const parsed = {
+        profile: assignment.profile === undefined || assignment.profile === '' ? null : assignment.profile,
+        rotation: assignment.rotation === undefined ? 0 : assignment.rotation,
+        crop: assignment.crop === undefined ? null : assignment.crop
+    };
+
+    if (parsed.profile !== null && !Object.prototype.hasOwnProperty.call(profiles, parsed.profile)) return null;
+    if (!ROTATIONS.includes(parsed.rotation)) return null;
+    if (parsed.crop !== null) {
+        const { x, y, width, height } = isObject(parsed.crop) ? parsed.crop : {};
+        if (![x, y, width, height].every(value => typeof value === 'number' && value >= 0 && value <= 1) ||
+            width < MIN_CROP_SIZE || height < MIN_CROP_SIZE || x + width > 1 + CROP_TOLERANCE || y + height > 1 + CROP_TOLERANCE) {
+            return null;
+        }
+        parsed.crop = { x, y, width, height };
+    }
+    return parsed;
+}
+
+/**
+ * Parse Assignments
+ * @param {Object} assignments - Serial number -> device settings (DEVICE_PROFILES)
+ * @param {Object} profiles - Validated profiles
+ * @returns {Object|null} Validated assignments or null if one is invalid
+ */
+function parseAssignments(assignments, profiles) {
+    if (!isObject(assignments)) return null;
+
+    const parsed = {};
+    for (const [serialNumber, assignment] of Object.entries(assignments)) {
+        const deviceSettings = /^[A-Z0-9]+$/i.test(serialNumber) ? parseAssignment(assignment, profiles) : null;
+        if (!deviceSettings) return null;
+        parsed[serialNumber] = deviceSettings;
+    }
+    return parsed;
+}
+
+/**
+ * Get Device Profile
+ * Merges the global settings, the assigned profile and the device settings
+ * @param {Object} config - Configuration
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object} Effective encoder settings (name null for the global settings)
+ */
+function getDeviceProfile(config, serialNumber) {
+    const profiles = parseProfiles(config.TRANSCODING_PROFILES || {}) || {};
+    const assignment = parseAssignment((config.DEVICE_PROFILES || {})[serialNumber] || {}, profiles) || parseAssignment({}, profiles);
+    const profile = assignment.profile ? profiles[assignment.profile] : parseProfile({});
+
+    return {
+        name: assignment.profile,
+        preset: profile.preset !== undefined ? profile.preset : config.TRANSCODING_PRESET,
+        crf: String(profile.crf !== undefined ? profile.crf : config.TRANSCODING_CRF),
+        scale: profile.scale !== undefined ? profile.scale : config.VIDEO_SCALE,
+        shortKeyframes: profile.shortKeyframes !== undefined ? profile.shortKeyframes : !!config.FFMPEG_SHORT_KEYFRAMES,
+        bitrateMode: profile.bitrateMode,
+        bitrate: profile.bitrate,
+        maxFps: profile.maxFps,
+        rotation: assignment.rotation,
+        crop: assignment.crop
+    };
+}
+
+/**
+ * Needs Filters
+ * @param {Object} deviceProfile - Settings from getDeviceProfile
+ * @returns {boolean} True if the profile changes the picture or frame rate (not possible when remuxing)
+ */
+function needsFilters(deviceProfile) {
+    return getProfileFilters(deviceProfile).length > 0;
+}
+
+/**
+ * Get Profile Filters
+ * Crop, rotation and fps cap, applied before the overlay and scaling
+ * @param {Object} deviceProfile - Settings from getDeviceProfile
+ * @returns {Array<string>} FFmpeg video filters
+ */
+function getProfileFilters(deviceProfile) {
+    const filters = [];
+    const crop = deviceProfile.crop;
+    if (crop) {
+        // Even size for 4:2:0 chroma
+        filters.push(`crop=trunc(iw*${crop.width}/2)*2:trunc(ih*${crop.height}/2)*2:iw*${crop.x}:ih*${crop.y}`);
+    }
+    filters.push(...(ROTATION_FILTERS[deviceProfile.rotation] || []));
+    if (deviceProfile.maxFps) {
+        filters.push(`fps=${deviceProfile.maxFps}`);
+    }
+    return filters;
+}
+
+/**
+ * Get Rate Control Args
+ * @param {Object} deviceProfile - Settings from getDeviceProfile
+ * @param {number} [maxBitrate] - Bitrate cap in kbit/s of a rendition
+ * @returns {Array<string>} FFmpeg libx264 rate control arguments
+ */
+function getRateControlArgs(deviceProfile, maxBitrate) {
+    const bitrate = deviceProfile.bitrate && maxBitrate ? Math.min(deviceProfile.bitrate, maxBitrate) : deviceProfile.bitrate || maxBitrate;
+
+    if (deviceProfile.bitrateMode === 'cbr') {
+        return ['-b:v', `${bitrate}k`, '-minrate', `${bitrate}k`, '-maxrate', `${bitrate}k`, '-bufsize', `${bitrate}k`];
+    }
+    return [
+        '-crf', deviceProfile.crf,         // Constant Rate Factor (quality)
+        ...(bitrate ? ['-maxrate', `${bitrate}k`, '-bufsize', `${bitrate * 2}k`] : [])  // vbr or rendition bitrate cap
+    ];
+}
+
+/**
+ * Is Object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a plain object
+ */
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Is Integer
+ * @param {*} value - Value to check
+ * @param {Object} limits - Accepted range (min, max)
+ * @returns {boolean} True for an integer within the limits
+ */
+function isInteger(value, limits) {
+    return Number.isInteger(value) && value >= limits.min && value <= limits.max;
+}
+
+/**
+ * Module Exports
+ * Exposes profile functions
+ */
+module.exports = {
+    parseProfiles,
+    parseAssignments,
+    getDeviceProfile,
+    needsFilters,
+    getProfileFilters,
+    getRateControlArgs
+};
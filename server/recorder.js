@@ -0,0 +1,571 @@
+/**
+ * Recorder Module
+ *
+ * Continuous recording (DVR) of the transcoded fMP4 stream to disk:
+ * - Holds the livestream of every device listed in RECORDING_DEVICES
+ * - Writes time-bucketed files to DATA_DIR/recordings/<SN>/<YYYY-MM-DD>/<HH-MM-SS>.mp4 (UTC)
+ * - Each file starts with the init segment and a keyframe and is playable on its own
+ * - Respects write backpressure: while the disk is behind, fragments are dropped up to the next keyframe
+ * - Restarts stalled livestreams (cameras end livestreams after a while)
+ * - Deletes old recordings by age (RECORDING_RETENTION_DAYS) and total size (RECORDING_MAX_SIZE_GB)
+ * - Lists recordings and timelines for playback
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const utils = require('./utils');
+const eufy = require('./eufy-client');
+const transcode = require('./transcode');
+const streams = require('./streams');
+
+// Livestream hold and stall checks
+const WATCHDOG_INTERVAL = 10000;
+// Livestreams without fragments for this period are restarted
+const STALL_TIMEOUT = 30000;
+// Retention is applied periodically and whenever a file is finished
+const RETENTION_INTERVAL = 60000;
+// Recordings closer than this are merged into one timeline range
+const TIMELINE_GAP = 10000;
+// Buffered bytes of a recording file before fragments are dropped up to the next keyframe
+const WRITE_HIGH_WATER = 4 * 1024 * 1024;
+
+// Recording IDs: <SN>_<YYYYMMDD>T<HHMMSS>[_<n>] for <SN>/<YYYY-MM-DD>/<HH-MM-SS>[_<n>].mp4
+const RECORDING_ID = /^([A-Za-z0-9]+)_(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(_\d+)?$/;
+const RECORDING_FILE = /^(\d{4})-(\d{2})-(\d{2})\/(\d{2})-(\d{2})-(\d{2})(_\d+)?\.mp4$/;
+
+let CONFIG = utils.loadConfig();
+const recorders = new Map();           // Device serial number -> recorder state
+let watchdogTimer = null;
+let retentionTimer = null;
+let retentionRunning = false;
+let diskUsage = 0;                     // Total size of all recordings (bytes, last retention run)
+
+/**
+ * Initialize Recorder
+ * (Re)loads the recording configuration, starts recorders of newly listed
+ * devices and stops recorders of devices no longer listed
+ */
+function initRecorder() {
+    CONFIG = utils.loadConfig();
+    const devices = getRecordingDevices();
+
+    Array.from(recorders.keys())
+        .filter(serialNumber => !devices.includes(serialNumber))
+        .forEach(serialNumber => stopRecorder(serialNumber));
+    devices
+        .filter(serialNumber => !recorders.has(serialNumber))
+        .forEach(serialNumber => recorders.set(serialNumber, createRecorder(serialNumber)));
+
+    clearInterval(watchdogTimer);
+    clearInterval(retentionTimer);
+    watchdogTimer = null;
+    retentionTimer = null;
+
+    if (recorders.size > 0) {
+        watchdogTimer = setInterval(checkRecorders, WATCHDOG_INTERVAL);
+        checkRecorders();
+    }
+    retentionTimer = setInterval(applyRetention, RETENTION_INTERVAL);
+    applyRetention();
+
+    utils.log(`⏺️ Recorder initialized (${devices.length > 0 ? devices.join(', ') : 'no devices'}, ${getSegmentDuration()}s files, ${getRetentionDays() || 'unlimited'} days, ${getMaxSizeGb() || 'unlimited'} GB)`, 'debug');
+}
+
+/**
+ * Get Recording Devices
+ * @returns {Array<string>} Serial numbers from RECORDING_DEVICES (comma-separated)
+ */
+function getRecordingDevices() {
+    return Array.from(new Set(String(CONFIG.RECORDING_DEVICES || '')
+        .split(',')
+        .map(serialNumber => serialNumber.trim())
+        .filter(serialNumber => /^[A-Za-z0-9]+$/.test(serialNumber))));
+}
+
+/**
+ * Get Segment Duration
+ * @returns {number} Target duration of a recording file in seconds
+ */
+function getSegmentDuration() {
+    const duration = parseInt(CONFIG.RECORDING_SEGMENT_DURATION, 10);
+    return Number.isNaN(duration) || duration < 10 ? 600 : duration;
+}
+
+/**
+ * Get Retention Days
+ * @returns {number} Maximum age of recordings in days (0 = unlimited)
+ */
+function getRetentionDays() {
+    const days = parseFloat(CONFIG.RECORDING_RETENTION_DAYS);
+    return Number.isNaN(days) || days < 0 ? 7 : days;
+}
+
+/**
+ * Get Max Size
+ * @returns {number} Maximum total size of all recordings in GB (0 = unlimited)
+ */
+function getMaxSizeGb() {
+    const size = parseFloat(CONFIG.RECORDING_MAX_SIZE_GB);
+    return Number.isNaN(size) || size < 0 ? 10 : size;
+}
+
+/**
+ * Create Recorder
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object} Recorder state
+ */
+function createRecorder(serialNumber) {
+    const recorder = {
+        serialNumber: serialNumber,
+        client: null,                  // Stream hold while recording
+        initSegment: null,             // Current init segment
+        file: null,                    // Open recording file
+        lastDataAt: 0,                 // Last fragment (or hold) time, for stall detection
+        droppedFragments: 0            // Fragments dropped while the disk was behind
+    };
+    utils.log(`⏺️ Recording enabled for ${serialNumber}`, 'info');
+    return recorder;
+}
+
+/**
+ * Stop Recorder
+ * Finishes the open file and releases the livestream of a device
+ * @param {string} serialNumber - Device serial number
+ */
+function stopRecorder(serialNumber) {
+    const recorder = recorders.get(serialNumber);
+    if (!recorder) return;
+    recorders.delete(serialNumber);
+
+    finishFile(recorder);
+    if (recorder.client) {
+        const client = recorder.client;
+        recorder.client = null;
+        streams.releaseStream(serialNumber, client);
+    }
+    utils.log(`⏺️ Recording disabled for ${serialNumber}`, 'info');
+}
+
+/**
+ * Check Recorders
+ * Holds the livestream of every recording device and restarts stalled livestreams
+ */
+function checkRecorders() {
+    if (!eufy.isConnected()) return;
+
+    recorders.forEach(recorder => {
+        const serialNumber = recorder.serialNumber;
+        if (!eufy.hasDevice(serialNumber)) {
+            utils.log(`⏺️ Recording device ${serialNumber} not found (yet)`, 'debug');
+            return;
+        }
+
+        if (!recorder.client) {
+            holdStream(recorder);
+        } else if (Date.now() - recorder.lastDataAt > STALL_TIMEOUT) {
+            utils.log(`⚠️ No video from ${serialNumber} for ${STALL_TIMEOUT / 1000}s, restarting livestream for recording`, 'warn');
+            recorder.lastDataAt = Date.now();
+            eufy.restartStreamForDevice(serialNumber).catch(e => {
+                utils.log(`❌ Failed to restart livestream of ${serialNumber} for recording: ${e.message}`, 'error');
+            });
+        }
+    });
+}
+
+/**
+ * Hold Stream
+ * Registers the recorder as stream client of its device
+ * @param {Object} recorder - Recorder state
+ */
+function holdStream(recorder) {
+    const client = {
+        type: 'recorder',
+        active: true,
+        close: () => {
+            // Transcode session closed (e.g. restart), the watchdog acquires the stream again
+            client.active = false;
+            if (recorder.client === client) recorder.client = null;
+            finishFile(recorder);
+        }
+    };
+
+    if (!streams.acquireStream(recorder.serialNumber, client)) {
+        utils.log(`⚠️ Recording of ${recorder.serialNumber} waits for a free stream slot`, 'warn');
+        return;
+    }
+    recorder.client = client;
+    recorder.lastDataAt = Date.now();
+    utils.log(`⏺️ Recording stream acquired for ${recorder.serialNumber}`, 'debug');
+
+    // Stream may already be running for other clients, start with its latest GOP
+    const session = transcode.getSession(recorder.serialNumber);
+    if (session && session.initSegment) {
+        setInitSegment(recorder, session.initSegment);
+        session.gop.forEach((fragment, index) => writeFragment(recorder, fragment, index === 0));
+    }
+}
+
+/**
+ * Set Init Segment
+ * Files are bound to one init segment; a new one finishes the open file
+ * @param {Object} recorder - Recorder state
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ */
+function setInitSegment(recorder, initSegment) {
+    finishFile(recorder);
+    recorder.initSegment = initSegment;
+}
+
+/**
+ * Write Fragment
+ * Appends a fragment to the open file; files are started and rotated at keyframes.
+ * While the file stream holds more than WRITE_HIGH_WATER bytes, fragments are dropped
+ * and writing continues with the first keyframe after the stream drained.
+ * @param {Object} recorder - Recorder state
+ * @param {Buffer} fragment - Media fragment (moof + mdat)
+ * @param {boolean|null} isKeyframe - Fragment starts with a sync sample (null if unknown)
+ */
+function writeFragment(recorder, fragment, isKeyframe) {
+    if (!recorder.client || !recorder.initSegment) return;
+    recorder.lastDataAt = Date.now();
+
+    // Fragments without sample flags can not be checked and are treated as keyframes
+    const keyframe = isKeyframe !== false;
+    const duration = getSegmentDuration() * 1000;
+
+    if (recorder.file) {
+        const age = Date.now() - recorder.file.startedAt;
+        if ((keyframe && age >= duration) || age >= 2 * duration) {
+            finishFile(recorder);
+        }
+    }
+    if (!recorder.file) {
+        if (!keyframe) return;         // Wait for a decodable start
+        openFile(recorder);
+    }
+
+    const file = recorder.file;
+    if (file.blocked) {
+        if (!file.skipping) {
+            file.skipping = true;
+            utils.log(`⚠️ Recording of ${recorder.serialNumber} falls behind (disk too slow), skipping to the next keyframe`, 'warn');
+        }
+        recorder.droppedFragments++;
+        return;
+    }
+    if (file.skipping) {
+        if (!keyframe) {
+            recorder.droppedFragments++;
+            return;
+        }
+        file.skipping = false;
+    }
+
+    if (!file.stream.write(fragment)) {
+        file.blocked = true;
+        file.stream.once('drain', () => { file.blocked = false; });
+    }
+    file.bytes += fragment.length;
+}
+
+/**
+ * Open File
+ * Creates the next recording file and writes the init segment
+ * @param {Object} recorder - Recorder state
+ */
+function openFile(recorder) {
+    const startedAt = Date.now();
+    const iso = new Date(startedAt).toISOString();   // YYYY-MM-DDTHH:MM:SS.sssZ
+    const dir = path.join(utils.recordingDir, recorder.serialNumber, iso.slice(0, 10));
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Files of a restarted stream may start within the same second
+    const name = iso.slice(11, 19).replace(/:/g, '-');
+    let filePath = path.join(dir, `${name}.mp4`);
+    for (let i = 1; fs.existsSync(filePath); i++) {
+        filePath = path.join(dir, `${name}_${i}.mp4`);
+    }
+
+    const stream = fs.createWriteStream(filePath, { highWaterMark: WRITE_HIGH_WATER });
+    const file = {
+        path: filePath,
+        stream: stream,
+        startedAt: startedAt,
+        bytes: 0,
+        blocked: false,                // Stream buffer above WRITE_HIGH_WATER, waiting for 'drain'
+        skipping: false                // Fragments are dropped until the next keyframe
+    };
+    stream.on('error', (err) => {
+        utils.log(`❌ Recording write error for ${recorder.serialNumber} (${filePath}): ${err.message}`, 'error');
+        if (recorder.file === file) recorder.file = null;
+    });
+
+    stream.write(recorder.initSegment);
+    file.bytes += recorder.initSegment.length;
+    recorder.file = file;
+    utils.log(`⏺️ Recording ${recorder.serialNumber} to ${path.relative(utils.recordingDir, filePath)}`, 'debug');
+}
+
+/**
+ * Finish File
+ * Closes the open recording file of a device
+ * @param {Object} recorder - Recorder state
+ */
+function finishFile(recorder) {
+    if (!recorder.file) return;
+    const file = recorder.file;
+    recorder.file = null;
+
+    file.stream.end();
+    utils.log(`⏺️ Recording file finished: ${path.relative(utils.recordingDir, file.path)} (${Math.round((Date.now() - file.startedAt) / 1000)}s, ${file.bytes} bytes)`, 'debug');
+    applyRetention();
+}
+
+/**
+ * List Recording Files
+ * @param {string} [baseDir] - Directory to search, defaults to all recordings
+ * @returns {Promise<Array<Object>>} Files with path, size and mtimeMs
+ */
+async function listRecordingFiles(baseDir = utils.recordingDir) {
+    const files = [];
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (e) {
+            return;                    // Directory does not exist (yet)
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await walk(entryPath);
+            } else if (entry.name.endsWith('.mp4')) {
+                try {
+                    const stat = await fs.promises.stat(entryPath);
+                    files.push({ path: entryPath, size: stat.size, mtimeMs: stat.mtimeMs });
+                } catch (e) {
+                    // File removed meanwhile
+                }
+            }
+        }
+    };
+    await walk(baseDir);
+    return files;
+}
+
+/**
+ * List Recordings
+ * @param {Object} [filter] - Optional filter
+ * @param {string} [filter.serialNumber] - Only recordings of this device
+ * @param {number} [filter.from] - Only recordings ending after this time (ms)
+ * @param {number} [filter.to] - Only recordings starting before this time (ms)
+ * @returns {Promise<Array<Object>>} Recordings (id, serialNumber, start, end, duration, size, recording, url), oldest first
+ */
+async function listRecordings(filter = {}) {
+    const baseDir = filter.serialNumber ? path.join(utils.recordingDir, filter.serialNumber) : utils.recordingDir;
+    const openFiles = new Set(Array.from(recorders.values())
+        .filter(recorder => recorder.file)
+        .map(recorder => recorder.file.path));
+
+    return (await listRecordingFiles(baseDir))
+        .map(file => {
+            const [serialNumber, ...rest] = path.relative(utils.recordingDir, file.path).split(path.sep);
+            const match = RECORDING_FILE.exec(rest.join('/'));
+            if (!match) return null;
+
+            const [, year, month, day, hours, minutes, seconds, suffix] = match;
+            const start = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+            const recording = openFiles.has(file.path);
+            const end = Math.max(recording ? Date.now() : file.mtimeMs, start);
+            const id = `${serialNumber}_${year}${month}${day}T${hours}${minutes}${seconds}${suffix || ''}`;
+
+            return {
+                id: id,
+                serialNumber: serialNumber,
+                start: new Date(start).toISOString(),
+                end: new Date(end).toISOString(),
+                duration: Math.round((end - start) / 1000),
+                size: file.size,
+                recording: recording,
+                url: `/recordings/${id}.mp4`
+            };
+        })
+        .filter(entry => entry !== null)
+        .filter(entry => filter.from === undefined || Date.parse(entry.end) > filter.from)
+        .filter(entry => filter.to === undefined || Date.parse(entry.start) < filter.to)
+        .sort((a, b) => a.start.localeCompare(b.start) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Get Recording Path
+ * @param {string} id - Recording ID
+ * @returns {string|null} Absolute path of the recording file or null if the ID is invalid or unknown
+ */
+function getRecordingPath(id) {
+    const match = RECORDING_ID.exec(id);
+    if (!match) return null;
+
+    const [, serialNumber, year, month, day, hours, minutes, seconds, suffix] = match;
+    const filePath = path.join(utils.recordingDir, serialNumber, `${year}-${month}-${day}`, `${hours}-${minutes}-${seconds}${suffix || ''}.mp4`);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Get Timeline
+ * Summarizes the recordings of a device as contiguous time ranges
+ * @param {string} serialNumber - Device serial number
+ * @param {number} [from] - Start of the period (ms)
+ * @param {number} [to] - End of the period (ms)
+ * @returns {Promise<Object>} Timeline with totals and ranges ({ start, end, recordings })
+ */
+async function getTimeline(serialNumber, from, to) {
+    const recordings = await listRecordings({ serialNumber, from, to });
+    const ranges = [];
+
+    recordings.forEach(entry => {
+        const start = Date.parse(entry.start);
+        const end = Date.parse(entry.end);
+        const last = ranges[ranges.length - 1];
+        if (last && start - last.end <= TIMELINE_GAP) {
+            last.end = Math.max(last.end, end);
+            last.recordings++;
+        } else {
+            ranges.push({ start, end, recordings: 1 });
+        }
+    });
+
+    return {
+        serialNumber: serialNumber,
+        from: from !== undefined ? new Date(from).toISOString() : null,
+        to: to !== undefined ? new Date(to).toISOString() : null,
+        recordings: recordings.length,
+        duration: recordings.reduce((sum, entry) => sum + entry.duration, 0),
+        size: recordings.reduce((sum, entry) => sum + entry.size, 0),
+        ranges: ranges.map(range => ({
+            start: new Date(range.start).toISOString(),
+            end: new Date(range.end).toISOString(),
+            recordings: range.recordings
+        }))
+    };
+}
+
+/**
+ * Apply Retention
+ * Deletes recordings older than the retention period, then the oldest
+ * recordings until the total size is below the limit (open files are kept)
+ * @returns {Promise<void>}
+ */
+async function applyRetention() {
+    if (retentionRunning) return;
+    retentionRunning = true;
+
+    try {
+        const openFiles = new Set(Array.from(recorders.values())
+            .filter(recorder => recorder.file)
+            .map(recorder => recorder.file.path));
+        const files = (await listRecordingFiles())
+            .filter(file => !openFiles.has(file.path))
+            .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+        const maxAge = getRetentionDays() * 24 * 3600 * 1000;
+        const maxBytes = getMaxSizeGb() * 1024 * 1024 * 1024;
+        let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+        let deleted = 0;
+
+        for (const file of files) {
+            const expired = maxAge > 0 && Date.now() - file.mtimeMs > maxAge;
+            const oversize = maxBytes > 0 && totalBytes > maxBytes;
+            if (!expired && !oversize) break;
+
+            try {
+                await fs.promises.unlink(file.path);
+                totalBytes -= file.size;
+                deleted++;
+                await removeEmptyDirs(path.dirname(file.path));
+            } catch (err) {
+                utils.log(`⚠️ Failed to delete recording ${file.path}: ${err.message}`, 'warn');
+            }
+        }
+
+        diskUsage = totalBytes;
+        if (deleted > 0) {
+            utils.log(`🧹 Recording retention deleted ${deleted} files (${Math.round(totalBytes / 1024 / 1024)} MB kept)`, 'info');
+        }
+    } catch (err) {
+        utils.log(`❌ Recording retention failed: ${err.message}`, 'error');
+    } finally {
+        retentionRunning = false;
+    }
+}
+
+/**
+ * Remove Empty Dirs
+ * Removes empty date and device directories below the recordings directory
+ * @param {string} dir - Directory of a deleted file
+ * @returns {Promise<void>}
+ */
+async function removeEmptyDirs(dir) {
+    while (dir.startsWith(utils.recordingDir + path.sep)) {
+        try {
+            await fs.promises.rmdir(dir);          // Fails if not empty
+        } catch (e) {
+            return;
+        }
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Get Recording Status
+ * @returns {Array<Object>} Status of each recording device
+ */
+function getRecordingStatus() {
+    return Array.from(recorders.values()).map(recorder => ({
+        serialNumber: recorder.serialNumber,
+        streaming: recorder.client !== null,
+        recording: recorder.file !== null,
+        file: recorder.file ? path.relative(utils.recordingDir, recorder.file.path) : null,
+        fileBytes: recorder.file ? recorder.file.bytes : 0,
+        fileStartedAt: recorder.file ? new Date(recorder.file.startedAt).toISOString() : null,
+        droppedFragments: recorder.droppedFragments
+    }));
+}
+
+/**
+ * Transcode Event Handlers
+ * Record the fragments of the main stream of every recording device
+ */
+transcode.event.on('initSegment', (serialNumber, initSegment) => {
+    const recorder = recorders.get(serialNumber);
+    if (recorder && recorder.client) setInitSegment(recorder, initSegment);
+});
+
+transcode.event.on('fragment', (serialNumber, fragment, keyframe) => {
+    const recorder = recorders.get(serialNumber);
+    if (recorder) writeFragment(recorder, fragment, keyframe);
+});
+
+transcode.event.on('sessionClosed', (serialNumber) => {
+    const recorder = recorders.get(serialNumber);
+    if (recorder) {
+        finishFile(recorder);
+        recorder.initSegment = null;
+    }
+});
+
+/**
+ * Module Exports
+ * Exposes recorder functions and getters
+ */
+module.exports = {
+    initRecorder,
+    applyRetention,
+    getRecordingStatus,
+    listRecordings,
+    getRecordingPath,
+    getTimeline,
+
+    get recordingDevices() { return Array.from(recorders.keys()); },
+    get diskUsage() { return diskUsage; },
+};
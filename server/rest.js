@@ -2,7 +2,17 @@
  * REST API Server Module
  * 
  * Provides HTTP endpoints for:
- * - Live video streaming via fMP4 format
+ * - Live video streaming via fMP4 format (per-client queues, slow clients skip ahead to the next keyframe)
+ * - Live video streaming via HLS (fMP4 segments)
+ * - Live video streaming via MPEG-DASH (fMP4 segments)
+ * - Adaptive bitrate renditions (fMP4, HLS master playlist, DASH representations)
+ * - Live video streaming via WebRTC (WHEP)
+ * - Live MJPEG streaming for legacy dashboards
+ * - On-demand JPEG snapshots (cached or fresh, resized)
+ * - Recordings, event clips and timelapse videos
+ * - Snapshot history of each device
+ * - Per-device overlays (text and privacy masks)
+ * - Transcoding profiles, changes restart only the streams of affected devices
  * - Configuration management (GET/POST)
  * - Health status monitoring
  * - Static file serving for web UI
@@ -15,6 +25,21 @@ const path = require('path');
 const utils = require('./utils');
 const eufy = require('./eufy-client');
 const transcode = require('./transcode');
+const streams = require('./streams');
+const segmenter = require('./segmenter');
+const hls = require('./hls');
+const dash = require('./dash');
+const whep = require('./whep');
+const mjpeg = require('./mjpeg');
+const snapshot = require('./snapshot');
+const rtsp = require('./rtsp');
+const recorder = require('./recorder');
+const clips = require('./clips');
+const timelapse = require('./timelapse');
+const snapshotHistory = require('./snapshot-history');
+const overlay = require('./overlay');
+const profiles = require('./profiles');
+const fanout = require('./fanout');
 const wsApi = require('./ws-api');
 
 // Directory for static files (HTML, CSS, JS)
@@ -23,15 +48,18 @@ const STATIC_DIR = process.env.STATIC_DIR || path.join(require.main.path, 'publi
 const app = express();
 const PORT = 3001;
 
-// Currently active streaming device (only one device can stream at a time)
-let currentDevice = null;
-
 /**
  * Initialize REST API Server
  * Sets up all HTTP endpoints, middleware, and WebSocket integration
  */
 function initRestServer() {
     utils.log(`📺 Stream URL: http://localhost:${PORT}/<SERIAL_NUMBER>.mp4`, 'info');
+    utils.log(`📺 HLS URL: http://localhost:${PORT}/<SERIAL_NUMBER>/index.m3u8`, 'info');
+    utils.log(`📺 HLS master URL: http://localhost:${PORT}/<SERIAL_NUMBER>/master.m3u8`, 'info');
+    utils.log(`📺 DASH URL: http://localhost:${PORT}/<SERIAL_NUMBER>/manifest.mpd`, 'info');
+    utils.log(`📺 WHEP URL: http://localhost:${PORT}/whep/<SERIAL_NUMBER>`, 'info');
+    utils.log(`📺 MJPEG URL: http://localhost:${PORT}/<SERIAL_NUMBER>.mjpeg`, 'info');
+    utils.log(`📸 Snapshot URL: http://localhost:${PORT}/<SERIAL_NUMBER>.jpg`, 'info');
     utils.log(`📁 Static files from: ${STATIC_DIR}`, 'info');
 
     // Enable JSON body parsing for POST requests
@@ -40,20 +68,24 @@ function initRestServer() {
     // Enable CORS for cross-origin requests from web clients
     app.use((req, res, next) => {
         res.header('Access-Control-Allow-Origin', '*');
-        res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
         res.header('Access-Control-Allow-Headers', 'Content-Type, Range');
+        res.header('Access-Control-Expose-Headers', 'Location');
         next();
     });
 
     /**
      * fMP4 Live Stream Endpoint
      * Route: GET /:serialNumber.mp4
+     * Route: GET /:serialNumber/:rendition.mp4 (e.g. /T8410P11234567890/720p.mp4)
      * 
      * Streams live video from a Eufy device in fMP4 format.
-     * Only one device can stream at a time to prevent resource conflicts.
+     * Several devices can stream at the same time, each in its own
+     * transcode session, up to the configured maximum.
      */
-    app.get('/:serialNumber.mp4', (req, res) => {
+    app.get(['/:serialNumber.mp4', '/:serialNumber/:rendition(\\d+p).mp4'], (req, res) => {
         const requestedDevice = req.params.serialNumber;
+        const rendition = req.params.rendition || null;
 
         // Validate serial number format (must be alphanumeric)
         if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
@@ -63,18 +95,33 @@ function initRestServer() {
             });
         }
 
-        // Prevent multiple simultaneous streams (resource limitation)
-        if (currentDevice && currentDevice !== requestedDevice) {
-            utils.log(`❌ Request for ${requestedDevice} denied - ${currentDevice} is already streaming`, 'warn');
+        if (!isKnownRendition(rendition)) {
+            return sendUnknownRendition(res, rendition);
+        }
+
+        // Create client stream object to track this connection
+        const clientStream = {
+            response: res,
+            queue: null,
+            active: true,
+            device: requestedDevice,
+            rendition: rendition,
+            hasReceivedInit: false,
+            listenerRegistered: false,
+            close: () => res.end()
+        };
+
+        // Register client and start the Eufy stream (limited number of concurrent devices)
+        if (!streams.acquireStream(requestedDevice, clientStream)) {
             return res.status(409).json({
-                error: 'Device already streaming',
-                message: `Another device (${currentDevice}) is currently streaming. Please wait until it's finished.`,
-                currentDevice: currentDevice,
+                error: 'Too many concurrent streams',
+                message: `The maximum of ${streams.maxStreams} concurrently streaming devices is reached. Please wait until another stream has finished.`,
+                activeDevices: transcode.activeDevices,
                 requestedDevice: requestedDevice
             });
         }
 
-        utils.log(`👁️ New stream client for ${requestedDevice} (${utils.getActiveStreamClients().size + 1} active)`, 'info');
+        utils.log(`👁️ New stream client for ${requestedDevice}${rendition ? ` (${rendition})` : ''} (${transcode.getClientCount(requestedDevice)} active)`, 'info');
 
         // Set HTTP headers optimized for live fMP4 streaming
         res.writeHead(200, {
@@ -84,41 +131,29 @@ function initRestServer() {
             'Transfer-Encoding': 'chunked'
         });
 
-        // Set this device as the active streaming device
-        if (!currentDevice) {
-            currentDevice = requestedDevice;
-            utils.log(`📹 Device set: ${currentDevice}`, 'info');
-        }
-
-        // Initialize Eufy stream and transcoding for this device
-        eufy.startStreamForDevice(requestedDevice);
-        transcode.currentDevice = requestedDevice;
-
-        // Create client stream object to track this connection
-        const clientStream = {
-            response: res,
-            active: true,
-            device: requestedDevice,
-            hasReceivedInit: false,
-            listenerRegistered: false
-        };
-        utils.addActiveStreamClient(clientStream);
+        // Per-client queue: a slow client skips ahead to the next keyframe instead of buffering without limit
+        clientStream.queue = fanout.createClientQueue(res, {
+            serialNumber: requestedDevice,
+            rendition: rendition,
+            address: req.socket.remoteAddress
+        });
 
         /**
-         * Stream data handler
-         * Forwards transcoded video chunks to the HTTP client.
-         * Registered immediately to ensure no data is missed.
+         * Stream fragment handler
+         * Forwards complete fragments (moof + mdat) of the requested output to the HTTP client.
+         * Registered before the live start is sent to ensure no fragment is missed.
          */
-        const streamDataHandler = (chunk) => {
+        const fragmentHandler = (serialNumber, fragment, keyframe) => {
+            if (serialNumber !== requestedDevice) return;
             if (clientStream.active && !res.writableEnded && clientStream.hasReceivedInit) {
-                try {
-                    res.write(chunk);
-                } catch (e) {
-                    utils.log(`Stream write error: ${e}`, 'error');
-                    clientStream.active = false;
-                }
+                clientStream.queue.sendFragment(fragment, keyframe);
             }
         };
+        const renditionFragmentHandler = (serialNumber, name, fragment, keyframe) => {
+            if (name === rendition) fragmentHandler(serialNumber, fragment, keyframe);
+        };
+        const fragmentEvent = rendition ? 'renditionFragment' : 'fragment';
+        const fragmentListener = rendition ? renditionFragmentHandler : fragmentHandler;
 
         /**
          * Wait for transcoding to start and init segment to be ready
@@ -126,21 +161,24 @@ function initRestServer() {
          * sent before any media data
          */
         const waitForStream = setInterval(() => {
-            const outputStream = transcode.getOutputStream;
-            if (outputStream && transcode.isTranscoding) {
-                // Register stream listener (only once per client)
+            const session = transcode.getSession(requestedDevice);
+            const output = transcode.getOutput(requestedDevice, rendition);
+            if (session && output && session.isTranscoding) {
+                // Register fragment listener (only once per client)
                 if (!clientStream.listenerRegistered) {
-                    outputStream.on('data', streamDataHandler);
+                    transcode.event.on(fragmentEvent, fragmentListener);
                     clientStream.listenerRegistered = true;
                     utils.log(`🎧 Registered stream listener for client`, 'debug');
                 }
 
-                // Send fMP4 init segment to client (contains codec info, timescale, etc.)
-                const initSegment = transcode.getInitSegment;
+                // Send fMP4 init segment (codec info, timescale, etc.) followed by the
+                // buffered GOP, so playback starts at once on an already running stream
+                const initSegment = output.initSegment;
                 if (initSegment && !clientStream.hasReceivedInit) {
-                    utils.log(`📦 Sending init segment to client (${initSegment.length} bytes)`, 'debug');
+                    const liveStart = transcode.getLiveStart(requestedDevice, rendition);
+                    utils.log(`📦 Sending init segment and ${output.gop.length} buffered fragments to client (${liveStart.length} bytes)`, 'debug');
                     try {
-                        res.write(initSegment);
+                        clientStream.queue.send(liveStart);
                         clientStream.hasReceivedInit = true;
                         clearInterval(waitForStream);
                     } catch (e) {
@@ -148,6 +186,9 @@ function initRestServer() {
                         clientStream.active = false;
                         clearInterval(waitForStream);
                     }
+                } else if (clientStream.hasReceivedInit) {
+                    // Init segment was already pushed by the transcoder
+                    clearInterval(waitForStream);
                 } else if (!initSegment) {
                     utils.log(`⏳ Waiting for init segment...`, 'debug');
                 }
@@ -169,42 +210,764 @@ function initRestServer() {
         req.on('close', () => {
             clearInterval(waitForStream);
 
-            // Cleanup stream listener to prevent memory leaks
-            const outputStream = transcode.getOutputStream;
-            if (clientStream.listenerRegistered && outputStream) {
-                outputStream.removeListener('data', streamDataHandler);
+            // Cleanup fragment listener to prevent memory leaks
+            if (clientStream.listenerRegistered) {
+                transcode.event.removeListener(fragmentEvent, fragmentListener);
             }
 
-            // Remove this client from active clients list
-            for (let client of utils.getActiveStreamClients()) {
-                if (client.response === res) {
-                    client.active = false;
-                    utils.removeActiveStreamClient(client);
-                    break;
-                }
+            // Remove this client and stop the device stream if it was the last one
+            streams.releaseStream(requestedDevice, clientStream);
+
+            utils.log(`👁️ Stream client lost for ${requestedDevice} (${transcode.getClientCount(requestedDevice)} active)`, 'info');
+        });
+    });
+
+    /**
+     * Stream Info Endpoint
+     * Route: GET /:serialNumber/info
+     *
+     * Describes the running fMP4 stream of a device: RFC 6381 codecs and
+     * MIME type for MSE SourceBuffers (main stream and renditions),
+     * video size and audio presence, read from the init segments.
+     */
+    app.get('/:serialNumber/info', (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        const info = transcode.getStreamInfo(requestedDevice);
+        if (!info) {
+            return res.status(404).json({
+                error: 'Stream not running',
+                message: `No init segment is available for ${requestedDevice}. Start the stream first.`
+            });
+        }
+
+        res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.json(info);
+    });
+
+    /**
+     * JPEG Snapshot Endpoint
+     * Route: GET /:serialNumber.jpg?width=640&quality=75&fresh=1
+     *
+     * Serves the latest snapshot of a device, optionally resized and
+     * re-encoded. With fresh=1 the next keyframe of the livestream is
+     * saved first (the livestream is started briefly if not running).
+     * ETag and Last-Modified follow the snapshot datetime.
+     */
+    app.get('/:serialNumber.jpg', async (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        const options = snapshot.parseOptions(req.query);
+        if (!options) {
+            return res.status(400).json({
+                error: 'Invalid snapshot options',
+                message: 'width must be 160-3840 and quality 1-100'
+            });
+        }
+
+        if (options.fresh) {
+            const captured = await snapshot.captureSnapshot(requestedDevice);
+            if (captured === null) {
+                return res.status(409).json({
+                    error: 'Too many concurrent streams',
+                    message: `The maximum of ${streams.maxStreams} concurrently streaming devices is reached. Please wait until another stream has finished.`,
+                    activeDevices: transcode.activeDevices,
+                    requestedDevice: requestedDevice
+                });
+            }
+            if (!captured) {
+                utils.log(`⚠️ Fresh snapshot of ${requestedDevice} failed, serving the cached snapshot`, 'warn');
             }
+        }
 
-            utils.log(`👁️ Stream client lost (${utils.getActiveStreamClients().size} active)`, 'info');
-
-            // Stop streaming if all clients have disconnected (with grace period)
-            if (utils.getActiveStreamClients().size === 0) {
-                // Wait 5 seconds before stopping (allows quick reconnections)
-                setTimeout(() => {
-                    if (utils.getActiveStreamClients().size === 0) {
-                        eufy.stopStreamForDevice(requestedDevice);
-                        transcode.stopTranscoding();
-
-                        // Release device after additional 2 second delay
-                        setTimeout(() => {
-                            if (utils.getActiveStreamClients().size === 0) {
-                                utils.log(`📹 Device released: ${currentDevice}`, 'info');
-                                currentDevice = null;
-                            }
-                        }, 2000);
-                    }
-                }, 5000);
+        const info = await snapshot.getSnapshotInfo(requestedDevice);
+        if (!info) {
+            return res.status(404).json({
+                error: 'Snapshot not found',
+                message: `No snapshot is available for ${requestedDevice}. Request one with fresh=1.`
+            });
+        }
+
+        res.set({
+            'Cache-Control': 'no-cache',
+            'ETag': snapshot.getETag(requestedDevice, info, options),
+            'Last-Modified': info.modified.toUTCString()
+        });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        try {
+            const jpeg = await snapshot.readSnapshot(info, options);
+            res.type('image/jpeg').send(jpeg);
+        } catch (err) {
+            utils.log(`❌ Snapshot of ${requestedDevice} could not be served: ${err.message}`, 'error');
+            res.status(500).json({
+                error: 'Snapshot failed',
+                message: err.message
+            });
+        }
+    });
+
+    /**
+     * MJPEG Live Stream Endpoint
+     * Route: GET /:serialNumber.mjpeg?fps=5&width=640&quality=75
+     *
+     * Streams live JPEG frames as multipart/x-mixed-replace for dashboards
+     * and e-ink panels without video support. Frames are dropped while
+     * the client is still receiving the previous one.
+     */
+    app.get('/:serialNumber.mjpeg', (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        const options = mjpeg.parseOptions(req.query);
+        if (!options) {
+            return res.status(400).json({
+                error: 'Invalid MJPEG options',
+                message: 'fps must be 1-30, width 160-1920 and quality 1-100'
+            });
+        }
+
+        const client = {
+            type: 'mjpeg',
+            active: true,
+            close: () => res.end()
+        };
+
+        // Register client and start the Eufy stream (limited number of concurrent devices)
+        if (!streams.acquireStream(requestedDevice, client)) {
+            return res.status(409).json({
+                error: 'Too many concurrent streams',
+                message: `The maximum of ${streams.maxStreams} concurrently streaming devices is reached. Please wait until another stream has finished.`,
+                activeDevices: transcode.activeDevices,
+                requestedDevice: requestedDevice
+            });
+        }
+
+        utils.log(`👁️ New MJPEG client for ${requestedDevice} (${options.fps} fps, ${options.width}px)`, 'info');
+
+        res.writeHead(200, {
+            'Content-Type': 'multipart/x-mixed-replace; boundary=frame',
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Connection': 'keep-alive',
+            'Pragma': 'no-cache'
+        });
+
+        const tap = mjpeg.acquireTap(requestedDevice, options);
+        const frameHandler = (jpeg) => {
+            if (!client.active || res.writableEnded || res.writableLength > 0) return;
+            res.write(`--frame\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpeg.length}\r\n\r\n`);
+            res.write(jpeg);
+            res.write('\r\n');
+        };
+        tap.event.on('frame', frameHandler);
+
+        /**
+         * Handle client disconnection
+         * Release the tap and stop the device stream if it was the last client
+         */
+        req.on('close', () => {
+            tap.event.removeListener('frame', frameHandler);
+            mjpeg.releaseTap(tap);
+            streams.releaseStream(requestedDevice, client);
+            utils.log(`👁️ MJPEG client lost for ${requestedDevice}`, 'info');
+        });
+    });
+
+    /**
+     * HLS Master Playlist Endpoint
+     * Route: GET /:serialNumber/master.m3u8
+     *
+     * Serves a multivariant playlist listing the main stream and every
+     * configured rendition (VIDEO_RENDITIONS) for adaptive bitrate players.
+     */
+    app.get('/:serialNumber/master.m3u8', async (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        // Register viewer for all variants and start the Eufy stream (limited number of concurrent devices)
+        if (!touchAllVariants(requestedDevice)) {
+            return res.status(409).json({
+                error: 'Too many concurrent streams',
+                message: `The maximum of ${streams.maxStreams} concurrently streaming devices is reached. Please wait until another stream has finished.`,
+                activeDevices: transcode.activeDevices,
+                requestedDevice: requestedDevice
+            });
+        }
+
+        const playlist = await hls.waitForMasterPlaylist(requestedDevice, 15000);
+        if (!playlist) {
+            return res.status(503).send('Stream not ready');
+        }
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+        });
+        res.send(playlist);
+    });
+
+    /**
+     * HLS Playlist Endpoint
+     * Route: GET /:serialNumber/index.m3u8
+     * Route: GET /:serialNumber/:rendition/index.m3u8 (rendition variant)
+     *
+     * Serves a live HLS media playlist with rolling fMP4 segments
+     * (for iOS Safari, TVs and set-top players without MSE support).
+     * The stream is held while viewers keep reloading the playlist.
+     * Low-Latency HLS clients may block on the next segment or part
+     * with the _HLS_msn and _HLS_part query parameters.
+     */
+    app.get(['/:serialNumber/index.m3u8', '/:serialNumber/:rendition(\\d+p)/index.m3u8'], async (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+        const rendition = req.params.rendition || null;
+        const streamId = segmenter.getStreamId(requestedDevice, rendition);
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        if (!isKnownRendition(rendition)) {
+            return sendUnknownRendition(res, rendition);
+        }
+
+        // Register viewer and start the Eufy stream (limited number of concurrent devices)
+        if (!segmenter.touchViewer(requestedDevice, rendition)) {
+            return res.status(409).json({
+                error: 'Too many concurrent streams',
+                message: `The maximum of ${streams.maxStreams} concurrently streaming devices is reached. Please wait until another stream has finished.`,
+                activeDevices: transcode.activeDevices,
+                requestedDevice: requestedDevice
+            });
+        }
+
+        // LL-HLS blocking playlist reload: wait until the requested segment/part is published
+        if (req.query._HLS_msn !== undefined) {
+            const msn = parseInt(req.query._HLS_msn, 10);
+            const part = req.query._HLS_part !== undefined ? parseInt(req.query._HLS_part, 10) : undefined;
+            if (Number.isNaN(msn) || msn < 0 || Number.isNaN(part) || part < 0) {
+                return res.status(400).send('Invalid _HLS_msn or _HLS_part');
+            }
+            if (hls.isTooFarAhead(streamId, msn)) {
+                return res.status(400).send('Requested media sequence is too far ahead');
             }
+            if (!await hls.waitForPlaylistUpdate(streamId, msn, part)) {
+                return res.status(503).send('Playlist update not available');
+            }
+        }
+
+        // First segment takes at least one segment duration after stream start
+        const playlist = await hls.waitForPlaylist(streamId, 15000);
+        if (!playlist) {
+            return res.status(503).send('Stream not ready');
+        }
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
         });
+        res.send(playlist);
+    });
+
+    /**
+     * LL-HLS Partial Segment Endpoint
+     * Route: GET /:serialNumber[/:rendition]/part<sequence>.<index>.m4s
+     * Returns a partial segment; the part announced by the preload hint
+     * is delivered as soon as the transcoder produced it
+     */
+    app.get(['/:serialNumber/part:sequence(\\d+).:index(\\d+).m4s', '/:serialNumber/:rendition(\\d+p)/part:sequence(\\d+).:index(\\d+).m4s'], async (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+        const rendition = req.params.rendition || null;
+        const streamId = segmenter.getStreamId(requestedDevice, rendition);
+        if (!isKnownRendition(rendition)) {
+            return res.status(404).send('Part not found');
+        }
+        if (!segmenter.touchViewer(requestedDevice, rendition)) {
+            return res.status(409).send('Too many concurrent streams');
+        }
+
+        const sequence = parseInt(req.params.sequence, 10);
+        if (hls.isTooFarAhead(streamId, sequence)) {
+            return res.status(404).send('Part not found');
+        }
+
+        const part = await hls.waitForPart(streamId, sequence, parseInt(req.params.index, 10));
+        if (!part) {
+            return res.status(404).send('Part not found');
+        }
+
+        res.set({
+            'Content-Type': 'video/iso.segment',
+            'Cache-Control': 'max-age=60'
+        });
+        res.send(part);
+    });
+
+    /**
+     * HLS/DASH Init Segment Endpoint
+     * Route: GET /:serialNumber[/:rendition]/init<version>.mp4
+     * Returns the fMP4 init segment referenced by EXT-X-MAP or the DASH SegmentTemplate
+     */
+    app.get(['/:serialNumber/init:version(\\d+).mp4', '/:serialNumber/:rendition(\\d+p)/init:version(\\d+).mp4'], (req, res) => {
+        const streamId = segmenter.getStreamId(req.params.serialNumber, req.params.rendition);
+        const initSegment = segmenter.getInitSegment(streamId, parseInt(req.params.version, 10));
+        if (!initSegment) {
+            return res.status(404).send('Init segment not found');
+        }
+
+        segmenter.touchViewer(req.params.serialNumber, req.params.rendition);
+        res.set({
+            'Content-Type': 'video/mp4',
+            'Cache-Control': 'max-age=3600'
+        });
+        res.send(initSegment);
+    });
+
+    /**
+     * HLS/DASH Media Segment Endpoint
+     * Route: GET /:serialNumber[/:rendition]/segment<sequence>.m4s
+     * Returns a media segment of the sliding window
+     */
+    app.get(['/:serialNumber/segment:sequence(\\d+).m4s', '/:serialNumber/:rendition(\\d+p)/segment:sequence(\\d+).m4s'], (req, res) => {
+        const streamId = segmenter.getStreamId(req.params.serialNumber, req.params.rendition);
+        const segment = segmenter.getSegment(streamId, parseInt(req.params.sequence, 10));
+        if (!segment) {
+            return res.status(404).send('Segment not found');
+        }
+
+        segmenter.touchViewer(req.params.serialNumber, req.params.rendition);
+        res.set({
+            'Content-Type': 'video/iso.segment',
+            'Cache-Control': 'max-age=60'
+        });
+        res.send(segment.data);
+    });
+
+    /**
+     * DASH Manifest Endpoint
+     * Route: GET /:serialNumber/manifest.mpd
+     *
+     * Serves a dynamic MPEG-DASH manifest for the same rolling fMP4
+     * segments as the HLS playlist (for Android TV and Shaka based players).
+     * Renditions are listed as additional representations.
+     */
+    app.get('/:serialNumber/manifest.mpd', async (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        // Register viewer for all representations and start the Eufy stream (limited number of concurrent devices)
+        if (!touchAllVariants(requestedDevice)) {
+            return res.status(409).json({
+                error: 'Too many concurrent streams',
+                message: `The maximum of ${streams.maxStreams} concurrently streaming devices is reached. Please wait until another stream has finished.`,
+                activeDevices: transcode.activeDevices,
+                requestedDevice: requestedDevice
+            });
+        }
+
+        // First segment takes at least one segment duration after stream start
+        const manifest = await dash.waitForManifest(requestedDevice, 15000);
+        if (!manifest) {
+            return res.status(503).send('Stream not ready');
+        }
+
+        res.set({
+            'Content-Type': 'application/dash+xml',
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+        });
+        res.send(manifest);
+    });
+
+    /**
+     * WHEP Endpoint (WebRTC playback)
+     * Route: POST /whep/:serialNumber
+     *
+     * Accepts a WHEP SDP offer (application/sdp) and answers with
+     * H.264/Opus tracks of the live stream. The created WHEP resource
+     * is returned in the Location header and ends with DELETE.
+     */
+    app.post('/whep/:serialNumber', express.text({ type: 'application/sdp' }), async (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        if (!req.is('application/sdp') || typeof req.body !== 'string' || req.body.length === 0) {
+            return res.status(415).json({
+                error: 'Unsupported media type',
+                message: 'Expected an SDP offer with Content-Type application/sdp'
+            });
+        }
+
+        try {
+            const session = await whep.createSession(requestedDevice, req.body);
+            if (!session) {
+                return res.status(409).json({
+                    error: 'Too many concurrent streams',
+                    message: `The maximum of ${streams.maxStreams} concurrently streaming devices is reached. Please wait until another stream has finished.`,
+                    activeDevices: transcode.activeDevices,
+                    requestedDevice: requestedDevice
+                });
+            }
+
+            res.status(201).set({
+                'Content-Type': 'application/sdp',
+                'Location': `/whep/${requestedDevice}/${session.id}`
+            }).send(session.answer);
+        } catch (e) {
+            utils.log(`❌ WHEP offer for ${requestedDevice} failed: ${e.message}`, 'warn');
+            res.status(e.status || 400).json({
+                error: e.status === 503 ? 'Stream not available' : 'Invalid SDP offer',
+                message: e.message
+            });
+        }
+    });
+
+    /**
+     * WHEP Resource Endpoint
+     * Route: DELETE /whep/:serialNumber/:id
+     * Ends a WebRTC playback session
+     */
+    app.delete('/whep/:serialNumber/:id', (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+
+        // Validate serial number format (must be alphanumeric)
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        // Resource URLs of another device do not end the session
+        const session = whep.getSession(req.params.id);
+        if (!session || session.serialNumber !== requestedDevice) {
+            return res.status(404).send('WHEP session not found');
+        }
+
+        whep.closeSession(session.id);
+        res.sendStatus(200);
+    });
+
+    /**
+     * WHEP Resource Endpoint
+     * Route: PATCH /whep/:serialNumber/:id
+     * Trickle ICE and ICE restarts are not supported (all candidates are in the answer)
+     */
+    app.patch('/whep/:serialNumber/:id', (req, res) => {
+        res.status(405).set('Allow', 'DELETE').send('Trickle ICE is not supported');
+    });
+
+    /**
+     * Recording List Endpoint
+     * Route: GET /recordings?device=<SERIAL_NUMBER>&from=<TIME>&to=<TIME>
+     * Returns the recordings overlapping the period (ISO 8601 or epoch milliseconds)
+     */
+    app.get('/recordings', async (req, res) => {
+        const device = req.query.device;
+        if (device !== undefined && !/^[A-Z0-9]+$/i.test(device)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        const period = parsePeriod(req.query);
+        if (!period) return sendInvalidPeriod(res);
+
+        res.json(await recorder.listRecordings({ serialNumber: device, ...period }));
+    });
+
+    /**
+     * Recording Timeline Endpoint
+     * Route: GET /recordings/:serialNumber/timeline?from=<TIME>&to=<TIME>
+     * Returns the recorded time ranges of a device with totals
+     */
+    app.get('/recordings/:serialNumber/timeline', async (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        const period = parsePeriod(req.query);
+        if (!period) return sendInvalidPeriod(res);
+
+        res.json(await recorder.getTimeline(requestedDevice, period.from, period.to));
+    });
+
+    /**
+     * Recording File Endpoint
+     * Route: GET /recordings/:id.mp4
+     * Serves a recording with byte range support for seeking
+     */
+    app.get('/recordings/:id.mp4', (req, res) => {
+        const recordingPath = recorder.getRecordingPath(req.params.id);
+        if (!recordingPath) {
+            return res.status(404).json({
+                error: 'Recording not found',
+                message: `No recording with ID ${req.params.id}`
+            });
+        }
+        res.sendFile(recordingPath, { headers: { 'Content-Type': 'video/mp4' } });
+    });
+
+    /**
+     * Clip Index Endpoint
+     * Route: GET /clips?device=<SERIAL_NUMBER>
+     * Returns the metadata of saved event clips (newest first)
+     */
+    app.get('/clips', (req, res) => {
+        const device = req.query.device;
+        if (device !== undefined && !/^[A-Z0-9]+$/i.test(device)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+        res.json(clips.getClips(device));
+    });
+
+    /**
+     * Clip File Endpoint
+     * Route: GET /clips/:id.mp4
+     * Serves an event clip (byte ranges supported)
+     */
+    app.get('/clips/:id.mp4', (req, res) => {
+        const clipPath = /^[A-Z0-9_]+$/i.test(req.params.id) ? clips.getClipPath(req.params.id) : null;
+        if (!clipPath) {
+            return res.status(404).json({
+                error: 'Clip not found',
+                message: `No clip with ID ${req.params.id}`
+            });
+        }
+        res.sendFile(clipPath, { headers: { 'Content-Type': 'video/mp4' } });
+    });
+
+    /**
+     * Snapshot History Endpoint
+     * Route: GET /snapshots/:serialNumber
+     * Returns the picture history of a device (newest first) with the event that produced each picture
+     */
+    app.get('/snapshots/:serialNumber', (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+        res.set('Cache-Control', 'no-cache');
+        res.json(snapshotHistory.getPictures(requestedDevice));
+    });
+
+    /**
+     * Snapshot History Picture Endpoint
+     * Route: GET /snapshots/:serialNumber/:id.:ext
+     * Serves a picture of the snapshot history
+     */
+    app.get('/snapshots/:serialNumber/:id.:ext', (req, res) => {
+        const picturePath = snapshotHistory.getPicturePath(req.params.serialNumber, req.params.id);
+        if (!picturePath || path.extname(picturePath) !== `.${req.params.ext}`) {
+            return res.status(404).json({
+                error: 'Picture not found',
+                message: `No picture with ID ${req.params.id}`
+            });
+        }
+        res.sendFile(picturePath, { maxAge: '1d', immutable: true });
+    });
+
+    /**
+     * Overlay GET Endpoint
+     * Route: GET /overlays/:serialNumber
+     * Returns the overlay settings of a device (text, position, font size, masks)
+     */
+    app.get('/overlays/:serialNumber', (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        const settings = (utils.loadConfig().DEVICE_OVERLAYS || {})[requestedDevice];
+        res.json(overlay.parseOverlay(settings || {}) || overlay.parseOverlay({}));
+    });
+
+    /**
+     * Overlay PUT Endpoint
+     * Route: PUT /overlays/:serialNumber
+     * Saves the overlay settings of a device (JSON body, see overlay.parseOverlay)
+     * and re-initializes only the stream of this device
+     */
+    app.put('/overlays/:serialNumber', (req, res) => {
+        const requestedDevice = req.params.serialNumber;
+        if (!/^[A-Z0-9]+$/i.test(requestedDevice)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+
+        const deviceOverlay = overlay.parseOverlay(req.body);
+        if (!deviceOverlay) {
+            return res.status(400).json({
+                error: 'Invalid overlay',
+                message: 'Expected text (up to 200 characters), position (top-left, top-right, bottom-left, bottom-right), ' +
+                    'fontSize (8-400) and up to 32 masks (rect: x, y, width, height; polygon: 3-64 points; coordinates 0-1)'
+            });
+        }
+
+        const CONFIG = utils.loadConfig();
+        const deviceOverlays = { ...(CONFIG.DEVICE_OVERLAYS || {}) };
+        if (overlay.hasOverlay(deviceOverlay)) {
+            deviceOverlays[requestedDevice] = deviceOverlay;
+        } else {
+            delete deviceOverlays[requestedDevice];
+        }
+        CONFIG.DEVICE_OVERLAYS = deviceOverlays;
+        const saved = utils.saveConfig(CONFIG);
+
+        utils.log(`🖍️ Overlay of ${requestedDevice} updated (${deviceOverlay.masks.length} masks${deviceOverlay.text ? ', text' : ''})`, 'info');
+        transcode.reloadDevice(requestedDevice, 'overlay changed');
+
+        res.json({
+            success: true,
+            saved: saved,
+            overlay: deviceOverlay
+        });
+    });
+
+    /**
+     * Timelapse List Endpoint
+     * Route: GET /timelapses?device=<SERIAL_NUMBER>
+     * Returns the rendered timelapse videos (newest day first)
+     */
+    app.get('/timelapses', async (req, res) => {
+        const device = req.query.device;
+        if (device !== undefined && !/^[A-Z0-9]+$/i.test(device)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+        res.json(await timelapse.listTimelapses(device));
+    });
+
+    /**
+     * Timelapse Jobs Endpoint
+     * Route: GET /timelapses/jobs
+     * Returns queued, running and recently finished render jobs
+     */
+    app.get('/timelapses/jobs', (req, res) => {
+        res.json(timelapse.getJobs());
+    });
+
+    /**
+     * Timelapse Render Endpoint
+     * Route: POST /timelapses
+     * Body: { device, date (YYYY-MM-DD, UTC, default yesterday), source ('snapshots' or 'recordings') }
+     * Queues the render of a timelapse video, progress is broadcast as 'timelapse progress' event
+     */
+    app.post('/timelapses', (req, res) => {
+        const body = req.body || {};
+        const device = body.device;
+        const date = body.date || new Date(Date.now() - 24 * 3600 * 1000).toISOString().slice(0, 10);
+        const source = body.source || 'snapshots';
+
+        if (typeof device !== 'string' || !/^[A-Z0-9]+$/i.test(device)) {
+            return res.status(400).json({
+                error: 'Invalid serial number format',
+                message: 'Serial number must be alphanumeric'
+            });
+        }
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+            return res.status(400).json({
+                error: 'Invalid date',
+                message: 'date must be a day in the format YYYY-MM-DD'
+            });
+        }
+        if (source !== 'snapshots' && source !== 'recordings') {
+            return res.status(400).json({
+                error: 'Invalid source',
+                message: "source must be 'snapshots' or 'recordings'"
+            });
+        }
+
+        const job = timelapse.createJob(device, date, source);
+        if (!job) {
+            return res.status(409).json({
+                error: 'Timelapse already in progress',
+                message: `The timelapse of ${device} for ${date} (${source}) is already queued or rendering`
+            });
+        }
+        res.status(202).json(job);
+    });
+
+    /**
+     * Timelapse File Endpoint
+     * Route: GET /timelapses/:id.mp4
+     * Serves a rendered timelapse video (byte ranges supported)
+     */
+    app.get('/timelapses/:id.mp4', (req, res) => {
+        const videoPath = timelapse.getTimelapsePath(req.params.id);
+        if (!videoPath) {
+            return res.status(404).json({
+                error: 'Timelapse not found',
+                message: `No timelapse with ID ${req.params.id}`
+            });
+        }
+        res.sendFile(videoPath, { headers: { 'Content-Type': 'video/mp4' } });
     });
 
     /**
@@ -220,14 +983,29 @@ function initRestServer() {
      * Configuration POST Endpoint
      * Route: POST /config
      * Updates server configuration dynamically
-     * Restarts affected services automatically
+     * Restarts affected services automatically (device settings only the streams of changed devices)
      */
     app.post('/config', (req, res) => {
         const newConfig = req.body;
         utils.log(`📝 Config update requested: ${JSON.stringify(newConfig)}`, 'debug');
 
+        // Transcoding profiles and device assignments are validated together (assigned profiles must exist)
+        if (newConfig.TRANSCODING_PROFILES !== undefined || newConfig.DEVICE_PROFILES !== undefined) {
+            const current = utils.loadConfig();
+            const transcodingProfiles = profiles.parseProfiles(newConfig.TRANSCODING_PROFILES !== undefined ? newConfig.TRANSCODING_PROFILES : current.TRANSCODING_PROFILES);
+            const deviceProfiles = transcodingProfiles && profiles.parseAssignments(newConfig.DEVICE_PROFILES !== undefined ? newConfig.DEVICE_PROFILES : current.DEVICE_PROFILES, transcodingProfiles);
+            if (!deviceProfiles) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid transcoding profiles or device profiles (unknown profile, invalid value or profile still assigned)'
+                });
+            }
+            if (newConfig.TRANSCODING_PROFILES !== undefined) newConfig.TRANSCODING_PROFILES = transcodingProfiles;
+            if (newConfig.DEVICE_PROFILES !== undefined) newConfig.DEVICE_PROFILES = deviceProfiles;
+        }
+
         // Whitelist of allowed configuration keys for security
-        const allowedKeys = ['EUFY_CONFIG', 'TRANSCODING_PRESET', 'TRANSCODING_CRF', 'VIDEO_SCALE', 'FFMPEG_THREADS', 'FFMPEG_SHORT_KEYFRAMES'];
+        const allowedKeys = ['EUFY_CONFIG', 'TRANSCODING_MODE', 'DEVICE_TRANSCODING_MODES', 'DEVICE_OVERLAYS', 'TRANSCODING_PROFILES', 'DEVICE_PROFILES', 'TRANSCODING_PRESET', 'TRANSCODING_CRF', 'VIDEO_SCALE', 'VIDEO_RENDITIONS', 'FFMPEG_THREADS', 'FFMPEG_SHORT_KEYFRAMES', 'MISSING_AUDIO', 'MAX_CONCURRENT_STREAMS', 'HLS_SEGMENT_DURATION', 'HLS_LIST_SIZE', 'WEBRTC_PORT_RANGE', 'RTSP_PORT', 'RTSP_UDP_PORT', 'RECORDING_DEVICES', 'RECORDING_SEGMENT_DURATION', 'RECORDING_RETENTION_DAYS', 'RECORDING_MAX_SIZE_GB', 'CLIP_EVENTS', 'CLIP_DEVICES', 'CLIP_PRE_ROLL', 'CLIP_POST_ROLL', 'CLIP_MAX_DURATION', 'CLIP_RETENTION_DAYS', 'CLIP_MAX_SIZE_GB', 'TIMELAPSE_DEVICES', 'TIMELAPSE_INTERVAL', 'TIMELAPSE_FPS', 'TIMELAPSE_RETENTION_DAYS', 'SNAPSHOT_HISTORY_MAX', 'SNAPSHOT_HISTORY_RETENTION_DAYS'];
         const updatedFields = [];
 
         let CONFIG = utils.loadConfig();
@@ -254,16 +1032,56 @@ function initRestServer() {
             const saved = utils.saveConfig(CONFIG);
 
             // Determine which services need to be restarted based on changed fields
-            const transcodingFields = ['TRANSCODING_PRESET', 'TRANSCODING_CRF', 'VIDEO_SCALE', 'FFMPEG_THREADS', 'FFMPEG_SHORT_KEYFRAMES'];
+            const transcodingFields = ['TRANSCODING_MODE', 'VIDEO_RENDITIONS', 'FFMPEG_THREADS', 'FFMPEG_SHORT_KEYFRAMES', 'MISSING_AUDIO'];
+            const deviceTranscodingFields = ['DEVICE_TRANSCODING_MODES', 'DEVICE_OVERLAYS', 'TRANSCODING_PROFILES', 'DEVICE_PROFILES', 'TRANSCODING_PRESET', 'TRANSCODING_CRF', 'VIDEO_SCALE'];
             const eufyFields = ['EUFY_CONFIG'];
+            const recordingFields = ['RECORDING_DEVICES', 'RECORDING_SEGMENT_DURATION', 'RECORDING_RETENTION_DAYS', 'RECORDING_MAX_SIZE_GB'];
+            const clipFields = ['CLIP_EVENTS', 'CLIP_DEVICES', 'CLIP_PRE_ROLL', 'CLIP_POST_ROLL', 'CLIP_MAX_DURATION', 'CLIP_RETENTION_DAYS', 'CLIP_MAX_SIZE_GB'];
+            const timelapseFields = ['TIMELAPSE_DEVICES', 'TIMELAPSE_INTERVAL', 'TIMELAPSE_FPS', 'TIMELAPSE_RETENTION_DAYS'];
+            const snapshotHistoryFields = ['SNAPSHOT_HISTORY_MAX', 'SNAPSHOT_HISTORY_RETENTION_DAYS'];
 
             const needsTranscodeRestart = updatedFields.some(field => transcodingFields.includes(field));
             const needsEufyRestart = updatedFields.some(field => eufyFields.includes(field));
 
+            if (updatedFields.includes('MAX_CONCURRENT_STREAMS')) {
+                streams.initStreams();
+            }
+
+            if (updatedFields.includes('HLS_SEGMENT_DURATION') || updatedFields.includes('HLS_LIST_SIZE')) {
+                segmenter.initSegmenter();
+            }
+
+            if (updatedFields.includes('WEBRTC_PORT_RANGE')) {
+                whep.initWhep();
+            }
+
+            if (updatedFields.includes('RTSP_PORT') || updatedFields.includes('RTSP_UDP_PORT')) {
+                rtsp.initRtspServer();
+            }
+
+            if (updatedFields.some(field => recordingFields.includes(field))) {
+                recorder.initRecorder();
+            }
+
+            if (updatedFields.some(field => clipFields.includes(field))) {
+                clips.initClips();
+            }
+
+            if (updatedFields.some(field => timelapseFields.includes(field))) {
+                timelapse.initTimelapse();
+            }
+
+            if (updatedFields.some(field => snapshotHistoryFields.includes(field))) {
+                snapshotHistory.initSnapshotHistory();
+            }
+
             if (needsTranscodeRestart) {
                 utils.log('🔄 Restarting transcoding due to config changes', 'debug');
-                transcode.stopTranscoding();
+                transcode.stopAllTranscoding();
                 transcode.initTranscode();
+            } else if (updatedFields.some(field => deviceTranscodingFields.includes(field))) {
+                utils.log('🔄 Re-initializing streams with changed transcoding settings', 'debug');
+                transcode.applyConfig();
             }
 
             if (needsEufyRestart) {
@@ -297,14 +1115,27 @@ function initRestServer() {
         res.json({
             status: 'ok',
             eufyConnected: eufy.isConnected(),
-            eufyVideo: transcode.videoMetadata,
-            eufyAudio: transcode.audioMetadata,
-            streamClients: utils.getActiveStreamClients().size,
+            streamClients: transcode.getClientCount(),
+            fmp4Clients: fanout.getClientsStatus(),
             transcoding: transcode.isTranscoding,
-            currentDevice: currentDevice,
+            transcodingMode: transcode.transcodingMode,
+            renditions: transcode.renditions,
+            activeDevices: transcode.activeDevices,
+            maxStreams: streams.maxStreams,
+            segmentViewers: segmenter.viewerCount,
+            webrtcSessions: whep.sessionCount,
+            rtspSessions: rtsp.sessionCount,
+            recordings: {
+                devices: recorder.getRecordingStatus(),
+                diskUsage: recorder.diskUsage
+            },
+            activeClips: clips.activeClips,
+            timelapse: {
+                devices: timelapse.timelapseDevices,
+                jobs: timelapse.activeJobs
+            },
             transcodeScale: transcode.videoScale,
-            hasInitSegment: transcode.hasInitSegment,
-            hasKeyframeSegment: transcode.hasKeyframeSegment
+            streams: transcode.getSessionsStatus()
         });
     });
 
@@ -316,7 +1147,7 @@ function initRestServer() {
     app.get('/quit', (req, res) => {
         res.json({ status: 'shutting down' });
         utils.log('🛑 Shutting down...', 'warn');
-        transcode.stopTranscoding();
+        transcode.stopAllTranscoding();
         process.exit(0);
     });
 
@@ -335,6 +1166,68 @@ function initRestServer() {
     wsApi.initWebSocketServer(server, PORT, getServerStatus);
 }
 
+/**
+ * Is Known Rendition
+ * @param {string|null} rendition - Rendition name from the request path, null for the main stream
+ * @returns {boolean} True for the main stream and configured renditions
+ */
+function isKnownRendition(rendition) {
+    return !rendition || transcode.renditions.some(r => r.name === rendition);
+}
+
+/**
+ * Send Unknown Rendition
+ * @param {Object} res - Express response
+ * @param {string} rendition - Requested rendition name
+ */
+function sendUnknownRendition(res, rendition) {
+    res.status(404).json({
+        error: 'Unknown rendition',
+        message: `Rendition ${rendition} is not configured (VIDEO_RENDITIONS)`,
+        renditions: transcode.renditions.map(r => r.name)
+    });
+}
+
+/**
+ * Parse Period
+ * Reads the optional from/to query parameters (ISO 8601 or epoch milliseconds)
+ * @param {Object} query - Request query parameters
+ * @returns {Object|null} Period with from/to in milliseconds (undefined if not given), null if invalid
+ */
+function parsePeriod(query) {
+    const period = {};
+    for (const name of ['from', 'to']) {
+        if (query[name] === undefined) continue;
+
+        const value = /^\d+$/.test(query[name]) ? Number(query[name]) : Date.parse(query[name]);
+        if (Number.isNaN(value)) return null;
+        period[name] = value;
+    }
+    return period;
+}
+
+/**
+ * Send Invalid Period
+ * @param {Object} res - Express response
+ */
+function sendInvalidPeriod(res) {
+    res.status(400).json({
+        error: 'Invalid period',
+        message: 'from and to must be ISO 8601 dates or epoch milliseconds'
+    });
+}
+
+/**
+ * Touch All Variants
+ * Registers segment viewer activity for the main stream and all renditions of a device
+ * @param {string} serialNumber - Device serial number
+ * @returns {boolean} False if the concurrent stream limit is reached
+ */
+function touchAllVariants(serialNumber) {
+    return segmenter.touchViewer(serialNumber) &&
+        transcode.renditions.every(rendition => segmenter.touchViewer(serialNumber, rendition.name));
+}
+
 /**
  * Get Server Status
  * Returns current operational status for WebSocket API and monitoring
@@ -343,12 +1236,11 @@ function initRestServer() {
 function getServerStatus() {
     return {
         eufyConnected: eufy.isConnected(),
-        streamClients: utils.getActiveStreamClients().size,
+        streamClients: transcode.getClientCount(),
         transcoding: transcode.isTranscoding,
-        currentDevice: currentDevice,
+        activeDevices: transcode.activeDevices,
         wsClients: wsApi.getClientCount(),
-        videoMetadata: transcode.videoMetadata,
-        audioMetadata: transcode.audioMetadata
+        streams: transcode.getSessionsStatus()
     };
 }
 
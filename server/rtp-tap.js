@@ -0,0 +1,332 @@
+/**
+ * RTP Tap Module
+ *
+ * Repackages the fMP4 output of a transcode session as RTP packets:
+ * - Feeds init segment and fragments into a secondary FFmpeg process
+ * - FFmpeg copies H.264 video and sends RTP to local UDP sockets
+ * - Audio is either copied (AAC) or transcoded (e.g. Opus for WebRTC)
+ * - One tap per device and audio codec, shared by all consumers
+ * - Keyframe requests of receivers restart the tap at the latest keyframe
+ */
+
+const { spawn } = require('child_process');
+const dgram = require('dgram');
+const eventEmitter = require('events');
+
+const utils = require('./utils');
+const mp4 = require('./mp4');
+const transcode = require('./transcode');
+
+// Environment configuration
+const FFMPEG_MINLOGLEVEL = process.env.FFMPEG_MINLOGLEVEL || 'warning';
+
+// RTP payload types used by the tap outputs
+const VIDEO_PAYLOAD_TYPE = 96;
+const AUDIO_PAYLOAD_TYPE = 97;
+
+// Minimum interval between tap restarts on keyframe requests (ms)
+const KEYFRAME_REQUEST_INTERVAL = 2000;
+
+// Bytes buffered for the FFmpeg input before fragments are dropped up to the next keyframe
+const INPUT_HIGH_WATER = 2 * 1024 * 1024;
+// Time the input may stay above INPUT_HIGH_WATER before FFmpeg is restarted (ms)
+const INPUT_STALL_TIMEOUT = 10000;
+
+// Audio encoder settings per tap audio codec
+const AUDIO_CODECS = {
+    aac: ['-c:a', 'copy'],
+    opus: ['-c:a', 'libopus', '-ar', '48000', '-ac', '2', '-b:a', '48k', '-application', 'lowdelay']
+};
+
+const taps = new Map();                // "<serial number>:<audio codec>" -> tap
+
+/**
+ * Bind Socket
+ * Opens a UDP socket on a random local port
+ * @returns {Promise<dgram.Socket>} Bound socket
+ */
+function bindSocket() {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', reject);
+        socket.bind(0, '127.0.0.1', () => {
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+    });
+}
+
+/**
+ * Acquire Tap
+ * Returns the RTP tap of a device, creating it on first use
+ * Taps emit 'rtp' and 'rtcp' events with the track kind ('video'/'audio') and the packet,
+ * and 'started' with the tracks whenever FFmpeg (re)starts (new SSRC, sequence numbers and timestamps)
+ * @param {string} serialNumber - Device serial number
+ * @param {string} audioCodec - Audio codec of the RTP output ('aac' or 'opus')
+ * @returns {Promise<Object>} Tap
+ */
+async function acquireTap(serialNumber, audioCodec) {
+    const key = `${serialNumber}:${audioCodec}`;
+    let tap = taps.get(key);
+    if (tap) {
+        tap.refs++;
+        return tap;
+    }
+
+    tap = {
+        key: key,
+        serialNumber: serialNumber,
+        audioCodec: audioCodec,
+        refs: 1,
+        event: new eventEmitter(),
+        sockets: {},
+        ffmpegProcess: null,
+        ready: false,                  // Sockets bound
+        tracks: [],                    // Tracks of the current init segment
+        keyframeRequestedAt: 0,        // Time of the last restart on a keyframe request
+        blockedAt: 0,                  // Time the input exceeded INPUT_HIGH_WATER (0 = below)
+        skipping: false                // Fragments are dropped until the next keyframe
+    };
+    tap.event.setMaxListeners(0);
+    taps.set(key, tap);
+
+    // Receive RTP and RTCP sender reports (same port) from FFmpeg
+    try {
+        for (const kind of ['video', 'audio']) {
+            const socket = await bindSocket();
+            socket.on('message', (packet) => {
+                if (packet.length < 2) return;
+                const payloadType = packet.readUInt8(1);
+                const isRtcp = payloadType >= 200 && payloadType <= 204;
+                tap.event.emit(isRtcp ? 'rtcp' : 'rtp', kind, packet);
+            });
+            tap.sockets[kind] = socket;
+        }
+    } catch (e) {
+        taps.delete(key);
+        Object.values(tap.sockets).forEach(socket => socket.close());
+        throw e;
+    }
+
+    // Released while the sockets were being bound
+    if (taps.get(key) !== tap) {
+        Object.values(tap.sockets).forEach(socket => socket.close());
+        return tap;
+    }
+
+    tap.ready = true;
+    utils.log(`📡 RTP tap opened for ${serialNumber} (${audioCodec})`, 'debug');
+
+    // Stream may already be running for other clients, start at its latest keyframe
+    const liveStart = transcode.getLiveStart(serialNumber);
+    if (liveStart) {
+        startTapProcess(tap, liveStart);
+    }
+
+    return tap;
+}
+
+/**
+ * Release Tap
+ * Drops a reference to a tap and closes it when unused
+ * @param {Object} tap - Tap returned by acquireTap
+ */
+function releaseTap(tap) {
+    if (--tap.refs > 0) return;
+
+    taps.delete(tap.key);
+    stopTapProcess(tap);
+    Object.values(tap.sockets).forEach(socket => socket.close());
+    tap.event.removeAllListeners();
+    utils.log(`📡 RTP tap closed for ${tap.serialNumber} (${tap.audioCodec})`, 'debug');
+}
+
+/**
+ * Request Keyframe
+ * Restarts the FFmpeg process of a tap with the init segment and the fragments since the
+ * latest keyframe, so a receiver that lost packets (RTCP PLI/FIR) can decode again at once.
+ * The keyframe interval of the encoder is not changed; every consumer of the tap sees the restart.
+ * @param {Object} tap - Tap returned by acquireTap
+ * @returns {boolean} True if the tap was restarted, false if not running or throttled
+ */
+function requestKeyframe(tap) {
+    const now = Date.now();
+    if (!tap.ffmpegProcess || now - tap.keyframeRequestedAt < KEYFRAME_REQUEST_INTERVAL) return false;
+
+    const liveStart = transcode.getLiveStart(tap.serialNumber);
+    if (!liveStart) return false;
+
+    tap.keyframeRequestedAt = now;
+    utils.log(`🔑 Keyframe requested for RTP tap of ${tap.serialNumber}, restarting at the latest keyframe`, 'debug');
+    startTapProcess(tap, liveStart);
+    return true;
+}
+
+/**
+ * Start Tap Process
+ * Spawns the FFmpeg process that turns fMP4 into RTP
+ * @param {Object} tap - Tap
+ * @param {Buffer} startData - fMP4 init segment of the transcode session, optionally followed by fragments
+ */
+function startTapProcess(tap, startData) {
+    stopTapProcess(tap);
+
+    tap.tracks = mp4.getTracks(startData);
+    const hasAudio = tap.tracks.some(track => track.handler === 'soun');
+    const rtpUrl = (socket) => {
+        const port = socket.address().port;
+        return `rtp://127.0.0.1:${port}?rtcpport=${port}&pkt_size=1200`;
+    };
+
+    const ffmpegArgs = [
+        '-hide_banner',
+        '-loglevel', FFMPEG_MINLOGLEVEL,
+
+        // fMP4 input from the transcode session (pipe:0 = stdin)
+        '-fflags', 'nobuffer',
+        '-flags', 'low_delay',
+        '-analyzeduration', '0',
+        '-f', 'mp4',
+        '-i', 'pipe:0',
+
+        // Video: copy H.264, SPS/PPS in-band before every keyframe
+        '-map', '0:v:0',
+        '-c:v', 'copy',
+        '-bsf:v', 'h264_mp4toannexb',
+        '-payload_type', String(VIDEO_PAYLOAD_TYPE),
+        '-f', 'rtp', rtpUrl(tap.sockets.video),
+
+        // Audio (only if the transcoder produced an audio track)
+        ...(hasAudio ? [
+            '-map', '0:a:0',
+            ...AUDIO_CODECS[tap.audioCodec],
+            '-payload_type', String(AUDIO_PAYLOAD_TYPE),
+            '-f', 'rtp', rtpUrl(tap.sockets.audio)
+        ] : [])
+    ];
+
+    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
+        stdio: ['pipe', 'ignore', 'pipe']
+    });
+    tap.ffmpegProcess = ffmpegProcess;
+    tap.blockedAt = 0;
+    tap.skipping = false;
+
+    ffmpegProcess.stdin.on('error', (err) => {
+        utils.log(`RTP tap input error for ${tap.serialNumber}: ${err.message}`, 'debug');
+    });
+
+    ffmpegProcess.stderr.on('data', (data) => {
+        utils.log(`ffmpeg rtp ${tap.serialNumber}: ${data.toString().trim()}`, 'debug');
+    });
+
+    ffmpegProcess.on('error', (err) => {
+        utils.log(`❌ RTP tap ffmpeg error for ${tap.serialNumber}: ${err}`, 'error');
+    });
+
+    ffmpegProcess.on('close', (code) => {
+        utils.log(`ℹ️ RTP tap ffmpeg for ${tap.serialNumber} exited with code ${code}`, 'debug');
+        if (tap.ffmpegProcess === ffmpegProcess) {
+            tap.ffmpegProcess = null;
+        }
+    });
+
+    ffmpegProcess.stdin.write(startData);
+    utils.log(`📡 RTP tap ffmpeg started for ${tap.serialNumber} (audio: ${hasAudio ? tap.audioCodec : 'none'})`, 'debug');
+    tap.event.emit('started', tap.tracks);
+}
+
+/**
+ * Stop Tap Process
+ * Terminates the FFmpeg process of a tap
+ * @param {Object} tap - Tap
+ */
+function stopTapProcess(tap) {
+    if (tap.ffmpegProcess) {
+        const ffmpegProcess = tap.ffmpegProcess;
+        tap.ffmpegProcess = null;
+        ffmpegProcess.stdin.end();
+        ffmpegProcess.kill('SIGKILL');
+    }
+}
+
+/**
+ * Write Fragment
+ * Feeds a fragment into the FFmpeg process of a tap. While its input holds more than
+ * INPUT_HIGH_WATER bytes, fragments are dropped and feeding continues with the next keyframe;
+ * FFmpeg is restarted at the latest keyframe if the input stays full for INPUT_STALL_TIMEOUT.
+ * @param {Object} tap - Tap
+ * @param {Buffer} fragment - Media fragment (moof + mdat)
+ * @param {boolean|null} keyframe - Fragment starts with a sync sample (null if unknown)
+ */
+function writeFragment(tap, fragment, keyframe) {
+    const stdin = tap.ffmpegProcess.stdin;
+
+    if (stdin.writableLength > INPUT_HIGH_WATER) {
+        if (!tap.blockedAt) {
+            tap.blockedAt = Date.now();
+            utils.log(`⚠️ RTP tap of ${tap.serialNumber} falls behind, skipping to the next keyframe`, 'warn');
+        } else if (Date.now() - tap.blockedAt > INPUT_STALL_TIMEOUT) {
+            utils.log(`⚠️ RTP tap ffmpeg for ${tap.serialNumber} stopped reading, restarting at the latest keyframe`, 'warn');
+            const liveStart = transcode.getLiveStart(tap.serialNumber);
+            if (liveStart) {
+                startTapProcess(tap, liveStart);
+            } else {
+                stopTapProcess(tap);
+            }
+            return;
+        }
+        tap.skipping = true;
+        return;
+    }
+    tap.blockedAt = 0;
+
+    // Fragments without sample flags can not be checked and end the skip
+    if (tap.skipping) {
+        if (keyframe === false) return;
+        tap.skipping = false;
+    }
+    stdin.write(fragment);
+}
+
+/**
+ * Get Device Taps
+ * @param {string} serialNumber - Device serial number
+ * @returns {Array<Object>} Open (ready) taps of the device
+ */
+function getDeviceTaps(serialNumber) {
+    return Array.from(taps.values()).filter(tap => tap.serialNumber === serialNumber && tap.ready);
+}
+
+/**
+ * Transcode Event Handlers
+ * (Re)start taps with every new init segment and feed them with fragments
+ */
+transcode.event.on('initSegment', (serialNumber, initSegment) => {
+    getDeviceTaps(serialNumber).forEach(tap => startTapProcess(tap, initSegment));
+});
+
+transcode.event.on('fragment', (serialNumber, fragment, keyframe) => {
+    getDeviceTaps(serialNumber).forEach(tap => {
+        if (tap.ffmpegProcess && tap.ffmpegProcess.stdin.writable) {
+            writeFragment(tap, fragment, keyframe);
+        }
+    });
+});
+
+transcode.event.on('sessionClosed', (serialNumber) => {
+    getDeviceTaps(serialNumber).forEach(tap => stopTapProcess(tap));
+});
+
+/**
+ * Module Exports
+ * Exposes RTP tap functions
+ */
+module.exports = {
+    acquireTap,
+    releaseTap,
+    requestKeyframe,
+
+    VIDEO_PAYLOAD_TYPE,
+    AUDIO_PAYLOAD_TYPE,
+};
@@ -0,0 +1,768 @@
+/**
+ * RTSP Server Module
+ *
+ * Re-publishes live streams over RTSP for NVRs and media players:
+ * - rtsp://<host>:8554/<SERIAL_NUMBER> with H.264 video and AAC audio
+ * - RTP over UDP or interleaved in the RTSP TCP connection
+ * - Packets are taken from the device's RTP tap (AAC copied) and renumbered per session,
+ *   so restarts of the tap do not change SSRC, sequence numbers and timestamps
+ * - Holds the device stream from DESCRIBE until TEARDOWN or disconnect
+ */
+
+const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+const utils = require('./utils');
+const mp4 = require('./mp4');
+const transcode = require('./transcode');
+const streams = require('./streams');
+const rtpTap = require('./rtp-tap');
+
+// UDP sessions without requests or receiver reports are closed after this period
+const SESSION_TIMEOUT = 60;            // seconds
+// Maximum time DESCRIBE waits for the first init segment of a device
+const DESCRIBE_TIMEOUT = 15000;
+// Interleaved packets are dropped while a TCP client has this much unsent data
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+// Maximum size of a request header block
+const MAX_REQUEST_SIZE = 64 * 1024;
+
+// Track kinds by control URL index (trackID=0/1)
+const TRACKS = ['video', 'audio'];
+
+const METHODS = ['OPTIONS', 'DESCRIBE', 'SETUP', 'PLAY', 'PAUSE', 'TEARDOWN', 'GET_PARAMETER'];
+
+const STATUS_TEXT = {
+    200: 'OK',
+    400: 'Bad Request',
+    404: 'Not Found',
+    454: 'Session Not Found',
+    455: 'Method Not Valid in This State',
+    459: 'Aggregate Operation Not Allowed',
+    461: 'Unsupported Transport',
+    501: 'Not Implemented',
+    503: 'Service Unavailable'
+};
+
+let CONFIG = utils.loadConfig();
+let server = null;
+let udpSockets = null;                 // { rtp, rtcp } shared by all UDP sessions
+let udpPort = 0;                       // Port RTP packets are sent from (RTCP: udpPort + 1)
+const connections = new Set();         // Open RTSP connections
+const sessions = new Map();            // RTSP session ID -> session
+
+/**
+ * Initialize RTSP Server
+ * (Re)starts the RTSP listener on the configured port (RTSP_PORT, 0 disables it)
+ * and the UDP transport on RTSP_UDP_PORT and the next port (0 offers TCP only)
+ */
+function initRtspServer() {
+    CONFIG = utils.loadConfig();
+    closeRtspServer();
+
+    const port = parseInt(CONFIG.RTSP_PORT, 10);
+    if (!port) {
+        utils.log('📡 RTSP server disabled', 'info');
+        return;
+    }
+
+    server = net.createServer(handleConnection);
+    server.on('error', (err) => {
+        utils.log(`❌ RTSP server error: ${err.message}`, 'error');
+    });
+    server.listen(port, () => {
+        utils.log(`📺 RTSP URL: rtsp://localhost:${port}/<SERIAL_NUMBER>`, 'info');
+    });
+
+    udpPort = parseInt(CONFIG.RTSP_UDP_PORT, 10) || 0;
+    if (udpPort > 0 && udpPort < 65535) {
+        bindUdpSockets();
+    } else {
+        utils.log('📡 RTSP UDP transport disabled, RTP is sent over TCP only', 'info');
+    }
+}
+
+/**
+ * Close RTSP Server
+ * Stops the listener and closes all sessions and connections
+ */
+function closeRtspServer() {
+    Array.from(sessions.keys()).forEach(id => closeSession(id));
+    connections.forEach(connection => connection.socket.destroy());
+
+    if (server) {
+        server.close();
+        server = null;
+    }
+    if (udpSockets) {
+        udpSockets.rtp.close();
+        udpSockets.rtcp.close();
+        udpSockets = null;
+    }
+}
+
+/**
+ * Bind UDP Sockets
+ * Opens the RTP/RTCP sockets of the UDP transport. If the ports are taken,
+ * only TCP interleaved transport is offered.
+ */
+function bindUdpSockets() {
+    const sockets = {
+        rtp: dgram.createSocket('udp4'),
+        rtcp: dgram.createSocket('udp4')
+    };
+    udpSockets = sockets;
+
+    // Bind errors disable the UDP transport, later send errors are only logged
+    const onError = (socket) => (err) => {
+        if (socket.bound) {
+            utils.log(`RTSP UDP send error: ${err.message}`, 'debug');
+            return;
+        }
+        utils.log(`⚠️ RTSP UDP transport unavailable (ports ${udpPort}-${udpPort + 1}): ${err.message}`, 'warn');
+        Object.values(sockets).forEach(s => {
+            try { s.close(); } catch (e) { /* Already closed */ }
+        });
+        if (udpSockets === sockets) udpSockets = null;
+    };
+
+    // Receiver reports keep UDP sessions alive
+    sockets.rtcp.on('message', (packet, remote) => {
+        sessions.forEach(session => {
+            const fromClient = Object.values(session.tracks).some(track =>
+                track.address === remote.address && track.clientPorts[1] === remote.port);
+            if (fromClient) touchSession(session);
+        });
+    });
+
+    [[sockets.rtp, udpPort], [sockets.rtcp, udpPort + 1]].forEach(([socket, port]) => {
+        socket.on('error', onError(socket));
+        socket.bind(port, () => { socket.bound = true; });
+    });
+}
+
+/**
+ * Handle Connection
+ * Reads RTSP requests (and interleaved client packets) from a TCP connection
+ * @param {net.Socket} socket - Client connection
+ */
+function handleConnection(socket) {
+    const connection = {
+        socket: socket,
+        buffer: Buffer.alloc(0),
+        holds: new Map()               // Device serial number -> stream client held since DESCRIBE
+    };
+    connections.add(connection);
+    utils.log(`📡 RTSP connection from ${socket.remoteAddress}`, 'debug');
+
+    socket.setNoDelay(true);
+
+    socket.on('data', (chunk) => {
+        connection.buffer = Buffer.concat([connection.buffer, chunk]);
+        processBuffer(connection);
+    });
+
+    socket.on('error', (err) => {
+        utils.log(`RTSP connection error: ${err.message}`, 'debug');
+    });
+
+    socket.on('close', () => {
+        connections.delete(connection);
+        connection.holds.forEach((client, serialNumber) => streams.releaseStream(serialNumber, client));
+        connection.holds.clear();
+
+        // Interleaved sessions can not outlive their connection
+        sessions.forEach(session => {
+            if (session.connection === connection && session.interleaved) {
+                closeSession(session.id);
+            }
+        });
+        utils.log(`📡 RTSP connection from ${socket.remoteAddress} closed`, 'debug');
+    });
+}
+
+/**
+ * Process Buffer
+ * Extracts complete requests and interleaved frames from the connection buffer
+ * @param {Object} connection - RTSP connection
+ */
+function processBuffer(connection) {
+    while (connection.buffer.length > 0) {
+        const buffer = connection.buffer;
+
+        // Interleaved frame ('$', channel, 16-bit length), e.g. receiver reports
+        if (buffer[0] === 0x24) {
+            if (buffer.length < 4) return;
+            const frameSize = 4 + buffer.readUInt16BE(2);
+            if (buffer.length < frameSize) return;
+            connection.buffer = buffer.subarray(frameSize);
+            continue;
+        }
+
+        const headerEnd = buffer.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+            if (buffer.length > MAX_REQUEST_SIZE) {
+                utils.log('⚠️ RTSP request too large, closing connection', 'warn');
+                connection.socket.destroy();
+            }
+            return;
+        }
+
+        const request = parseRequest(buffer.toString('utf8', 0, headerEnd));
+        const contentLength = parseInt(request.headers['content-length'] || '0', 10) || 0;
+        if (buffer.length < headerEnd + 4 + contentLength) return;
+
+        connection.buffer = buffer.subarray(headerEnd + 4 + contentLength);
+        handleRequest(connection, request).catch((err) => {
+            utils.log(`❌ RTSP ${request.method} failed: ${err.message}`, 'error');
+            sendResponse(connection, request, 503);
+        });
+    }
+}
+
+/**
+ * Parse Request
+ * @param {string} text - Request line and headers
+ * @returns {Object} Request with method, url and lower-cased headers
+ */
+function parseRequest(text) {
+    const [requestLine, ...headerLines] = text.split('\r\n');
+    const [method, url] = requestLine.split(' ');
+    const headers = {};
+
+    headerLines.forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+
+    return { method: method, url: url || '', headers: headers };
+}
+
+/**
+ * Parse URL
+ * Extracts serial number and track index from a presentation or control URL
+ * @param {string} url - Request URL (rtsp://host:port/<SERIAL_NUMBER>[/trackID=N])
+ * @returns {Object|null} Serial number and track index (null for the aggregate URL), or null if invalid
+ */
+function parseUrl(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (e) {
+        return null;
+    }
+
+    const parts = pathname.split('/').filter(part => part.length > 0);
+    if (parts.length === 0 || parts.length > 2 || !/^[A-Z0-9]+$/i.test(parts[0])) return null;
+
+    const track = parts.length === 2 ? parts[1].match(/^trackID=(\d+)$/) : null;
+    if (parts.length === 2 && !track) return null;
+
+    return { serialNumber: parts[0], track: track ? parseInt(track[1], 10) : null };
+}
+
+/**
+ * Parse Transport
+ * Picks the first supported unicast transport of a SETUP request
+ * @param {string} header - Transport header
+ * @returns {Object|null} Transport (interleaved channels or client ports), or null if unsupported
+ */
+function parseTransport(header) {
+    for (const spec of (header || '').split(',')) {
+        const [protocol, ...params] = spec.trim().split(';');
+        if (params.includes('multicast')) continue;
+
+        const values = {};
+        params.forEach(param => {
+            const [key, value] = param.split('=');
+            values[key] = value;
+        });
+        const range = (value) => {
+            const ports = (value || '').split('-').map(port => parseInt(port, 10));
+            if (Number.isNaN(ports[0])) return null;
+            return [ports[0], Number.isNaN(ports[1]) || ports[1] === undefined ? ports[0] + 1 : ports[1]];
+        };
+
+        if (protocol === 'RTP/AVP/TCP') {
+            return { interleaved: true, channels: range(values.interleaved) };
+        }
+        if ((protocol === 'RTP/AVP' || protocol === 'RTP/AVP/UDP') && range(values.client_port)) {
+            return { interleaved: false, clientPorts: range(values.client_port) };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Send Response
+ * @param {Object} connection - RTSP connection
+ * @param {Object} request - Request being answered
+ * @param {number} status - RTSP status code
+ * @param {Object} [headers={}] - Additional headers
+ * @param {string} [body=''] - Response body
+ */
+function sendResponse(connection, request, status, headers = {}, body = '') {
+    if (connection.socket.destroyed) return;
+
+    const lines = [
+        `RTSP/1.0 ${status} ${STATUS_TEXT[status] || 'Error'}`,
+        `CSeq: ${request.headers.cseq || '0'}`,
+        'Server: eufy-security-webclient'
+    ];
+    Object.entries(headers).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+    if (body) {
+        lines.push(`Content-Length: ${Buffer.byteLength(body)}`);
+    }
+
+    connection.socket.write(lines.join('\r\n') + '\r\n\r\n' + body);
+}
+
+/**
+ * Handle Request
+ * Dispatches an RTSP request to its method handler
+ * @param {Object} connection - RTSP connection
+ * @param {Object} request - Parsed request
+ */
+async function handleRequest(connection, request) {
+    utils.log(`📡 RTSP ${request.method} ${request.url}`, 'debug');
+
+    // Requests with a session header keep the session alive
+    const session = getRequestSession(request);
+    if (session) touchSession(session);
+
+    switch (request.method) {
+        case 'OPTIONS':
+        case 'GET_PARAMETER':
+            return sendResponse(connection, request, 200, { Public: METHODS.join(', ') });
+        case 'DESCRIBE':
+            return handleDescribe(connection, request);
+        case 'SETUP':
+            return handleSetup(connection, request);
+        case 'PLAY':
+            return handlePlay(connection, request, session);
+        case 'PAUSE':
+            if (!session) return sendResponse(connection, request, 454);
+            session.playing = false;
+            return sendResponse(connection, request, 200, { Session: session.id });
+        case 'TEARDOWN':
+            if (session) closeSession(session.id);
+            return sendResponse(connection, request, 200);
+        default:
+            return sendResponse(connection, request, 501, { Public: METHODS.join(', ') });
+    }
+}
+
+/**
+ * Get Request Session
+ * @param {Object} request - Parsed request
+ * @returns {Object|undefined} Session referenced by the Session header
+ */
+function getRequestSession(request) {
+    if (!request.headers.session) return undefined;
+    return sessions.get(request.headers.session.split(';')[0].trim());
+}
+
+/**
+ * Hold Stream
+ * Starts the device stream for a connection that described it
+ * @param {Object} connection - RTSP connection
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object|null} Stream client, null if the stream limit is reached
+ */
+function holdStream(connection, serialNumber) {
+    if (connection.holds.has(serialNumber)) {
+        return connection.holds.get(serialNumber);
+    }
+
+    const client = {
+        type: 'rtsp',
+        active: true,
+        close: () => connection.socket.destroy()
+    };
+    if (!streams.acquireStream(serialNumber, client)) {
+        return null;
+    }
+
+    connection.holds.set(serialNumber, client);
+    return client;
+}
+
+/**
+ * Build SDP
+ * Describes the H.264 and AAC tracks of an init segment as sent by the RTP tap
+ * @param {string} serialNumber - Device serial number
+ * @param {Buffer} initSegment - fMP4 init segment
+ * @returns {string} Session description
+ */
+function buildSdp(serialNumber, initSegment) {
+    const lines = [
+        'v=0',
+        `o=- ${Date.now()} 1 IN IP4 0.0.0.0`,
+        `s=${serialNumber}`,
+        'c=IN IP4 0.0.0.0',
+        't=0 0',
+        'a=control:*',
+        'a=range:npt=0-'
+    ];
+
+    // Video: parameter sets are also sent in-band before every keyframe
+    const avc = mp4.getAvcConfig(initSegment);
+    const videoParams = ['packetization-mode=1'];
+    if (avc && avc.sps.length > 0 && avc.pps.length > 0) {
+        const profileLevelId = mp4.getProfileLevelId(initSegment);
+        const parameterSets = [...avc.sps, ...avc.pps].map(nal => nal.toString('base64')).join(',');
+        videoParams.push(`profile-level-id=${profileLevelId}`, `sprop-parameter-sets=${parameterSets}`);
+    }
+    lines.push(
+        `m=video 0 RTP/AVP ${rtpTap.VIDEO_PAYLOAD_TYPE}`,
+        `a=rtpmap:${rtpTap.VIDEO_PAYLOAD_TYPE} H264/90000`,
+        `a=fmtp:${rtpTap.VIDEO_PAYLOAD_TYPE} ${videoParams.join(';')}`,
+        'a=control:trackID=0'
+    );
+
+    // Audio: AAC in RFC 3640 high bitrate mode, as packetized by FFmpeg
+    const audio = mp4.getAudioConfig(initSegment);
+    if (audio && audio.sampleRate > 0) {
+        lines.push(
+            `m=audio 0 RTP/AVP ${rtpTap.AUDIO_PAYLOAD_TYPE}`,
+            `a=rtpmap:${rtpTap.AUDIO_PAYLOAD_TYPE} MPEG4-GENERIC/${audio.sampleRate}/${audio.channels || 1}`,
+            `a=fmtp:${rtpTap.AUDIO_PAYLOAD_TYPE} profile-level-id=1;mode=AAC-hbr;sizelength=13;indexlength=3;indexdeltalength=3;config=${audio.config.toString('hex')}`,
+            'a=control:trackID=1'
+        );
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Handle DESCRIBE
+ * Starts the device stream and answers with the SDP of its tracks
+ * @param {Object} connection - RTSP connection
+ * @param {Object} request - Parsed request
+ */
+async function handleDescribe(connection, request) {
+    const target = parseUrl(request.url);
+    if (!target || target.track !== null) {
+        return sendResponse(connection, request, 404);
+    }
+
+    if (!holdStream(connection, target.serialNumber)) {
+        return sendResponse(connection, request, 503);
+    }
+
+    const initSegment = await transcode.waitForInitSegment(target.serialNumber, DESCRIBE_TIMEOUT);
+    if (!initSegment) {
+        utils.log(`⚠️ RTSP DESCRIBE for ${target.serialNumber}: stream not ready in time`, 'warn');
+        return sendResponse(connection, request, 503);
+    }
+
+    const baseUrl = request.url.endsWith('/') ? request.url : `${request.url}/`;
+    sendResponse(connection, request, 200, {
+        'Content-Type': 'application/sdp',
+        'Content-Base': baseUrl
+    }, buildSdp(target.serialNumber, initSegment));
+}
+
+/**
+ * Handle SETUP
+ * Creates a session (or adds a track to it) with the requested transport
+ * @param {Object} connection - RTSP connection
+ * @param {Object} request - Parsed request
+ */
+function handleSetup(connection, request) {
+    const target = parseUrl(request.url);
+    const kind = target ? TRACKS[target.track === null ? 0 : target.track] : undefined;
+    if (!kind) {
+        return sendResponse(connection, request, 404);
+    }
+
+    // UDP transport is IPv4 only (IPv4-mapped addresses of the dual-stack listener are unwrapped)
+    const address = connection.socket.remoteAddress.replace(/^::ffff:/, '');
+    const transport = parseTransport(request.headers.transport);
+    if (!transport || (!transport.interleaved && (!udpSockets || !net.isIPv4(address)))) {
+        return sendResponse(connection, request, 461);
+    }
+
+    let session;
+    if (request.headers.session) {
+        session = getRequestSession(request);
+        if (!session) return sendResponse(connection, request, 454);
+        if (session.serialNumber !== target.serialNumber) return sendResponse(connection, request, 459);
+        if (session.interleaved !== transport.interleaved) return sendResponse(connection, request, 461);
+    } else {
+        session = createSession(connection, target.serialNumber, transport.interleaved);
+        if (!session) return sendResponse(connection, request, 503);
+    }
+
+    let transportHeader;
+    if (transport.interleaved) {
+        const channels = transport.channels || [target.track * 2, target.track * 2 + 1];
+        session.tracks[kind] = { channels: channels };
+        transportHeader = `RTP/AVP/TCP;unicast;interleaved=${channels[0]}-${channels[1]}`;
+    } else {
+        session.tracks[kind] = { address: address, clientPorts: transport.clientPorts };
+        transportHeader = `RTP/AVP;unicast;client_port=${transport.clientPorts[0]}-${transport.clientPorts[1]};server_port=${udpPort}-${udpPort + 1}`;
+    }
+
+    sendResponse(connection, request, 200, {
+        Transport: transportHeader,
+        Session: `${session.id};timeout=${SESSION_TIMEOUT}`
+    });
+}
+
+/**
+ * Handle PLAY
+ * Starts forwarding the RTP tap packets of the device to the session
+ * @param {Object} connection - RTSP connection
+ * @param {Object} request - Parsed request
+ * @param {Object} [session] - Session referenced by the request
+ */
+async function handlePlay(connection, request, session) {
+    if (!session) {
+        return sendResponse(connection, request, 454);
+    }
+    if (Object.keys(session.tracks).length === 0) {
+        return sendResponse(connection, request, 455);
+    }
+
+    if (!session.tap) {
+        const tap = await rtpTap.acquireTap(session.serialNumber, 'aac');
+
+        // Session closed while the tap was being opened
+        if (!sessions.has(session.id)) {
+            rtpTap.releaseTap(tap);
+            return sendResponse(connection, request, 454);
+        }
+
+        session.tap = tap;
+        session.rtpHandler = (kind, packet) => sendPacket(session, kind, packet, false);
+        session.rtcpHandler = (kind, packet) => sendPacket(session, kind, packet, true);
+        tap.event.on('rtp', session.rtpHandler);
+        tap.event.on('rtcp', session.rtcpHandler);
+    }
+
+    session.playing = true;
+    sendResponse(connection, request, 200, {
+        Session: session.id,
+        Range: 'npt=0.000-'
+    });
+    utils.log(`👁️ RTSP client playing ${session.serialNumber} (session ${session.id})`, 'info');
+}
+
+/**
+ * Send Packet
+ * Forwards an RTP or RTCP packet over the session's transport
+ * @param {Object} session - RTSP session
+ * @param {string} kind - Track kind ('video'/'audio')
+ * @param {Buffer} packet - RTP or RTCP packet
+ * @param {boolean} isRtcp - True for RTCP packets
+ */
+function sendPacket(session, kind, packet, isRtcp) {
+    const track = session.tracks[kind];
+    if (!session.playing || !track) return;
+
+    packet = isRtcp ? rewriteRtcp(session, kind, packet) : rewriteRtp(session, kind, packet);
+    if (!packet) return;
+
+    if (session.interleaved) {
+        const socket = session.connection.socket;
+        if (socket.destroyed || socket.writableLength > MAX_BUFFERED_BYTES) return;
+
+        const header = Buffer.alloc(4);
+        header.writeUInt8(0x24, 0);
+        header.writeUInt8(track.channels[isRtcp ? 1 : 0], 1);
+        header.writeUInt16BE(packet.length, 2);
+        socket.write(Buffer.concat([header, packet]));
+    } else if (udpSockets) {
+        const socket = isRtcp ? udpSockets.rtcp : udpSockets.rtp;
+        socket.send(packet, track.clientPorts[isRtcp ? 1 : 0], track.address);
+    }
+}
+
+/**
+ * Rewrite RTP
+ * Maps an RTP packet of the tap onto the continuous stream of the session: the packets of a
+ * restarted tap process (new SSRC) continue after the last sent sequence number, with the
+ * timestamp advanced by the elapsed time, and are sent with the SSRC of the session.
+ * @param {Object} session - RTSP session
+ * @param {string} kind - Track kind ('video'/'audio')
+ * @param {Buffer} packet - RTP packet of the tap (shared by all consumers, not modified)
+ * @returns {Buffer|null} Rewritten copy, null to drop the packet
+ */
+function rewriteRtp(session, kind, packet) {
+    if (packet.length < 12) return null;
+
+    const source = getSource(session, kind);
+    const ssrc = packet.readUInt32BE(8);
+    const sequenceNumber = packet.readUInt16BE(2);
+    const timestamp = packet.readUInt32BE(4);
+
+    if (ssrc !== source.ssrc) {
+        // Late packet of the replaced tap process
+        if (ssrc === source.previousSsrc) return null;
+
+        if (source.sentAt) {
+            const elapsed = Math.max(Math.round((Date.now() - source.sentAt) * getClockRate(session, kind) / 1000), 1);
+            source.sequenceOffset = (source.sequenceNumber + 1 - sequenceNumber) & 0xffff;
+            source.timestampOffset = (source.timestamp + elapsed - timestamp) >>> 0;
+        }
+        source.previousSsrc = source.ssrc;
+        source.ssrc = ssrc;
+    }
+
+    source.sequenceNumber = (sequenceNumber + source.sequenceOffset) & 0xffff;
+    source.timestamp = (timestamp + source.timestampOffset) >>> 0;
+    source.sentAt = Date.now();
+
+    const rewritten = Buffer.from(packet);
+    rewritten.writeUInt16BE(source.sequenceNumber, 2);
+    rewritten.writeUInt32BE(source.timestamp, 4);
+    rewritten.writeUInt32BE(source.sessionSsrc, 8);
+    return rewritten;
+}
+
+/**
+ * Rewrite RTCP
+ * Replaces the SSRC of the current tap process in a (compound) RTCP packet with the SSRC of
+ * the session and maps the RTP timestamp of sender reports like the RTP packets
+ * @param {Object} session - RTSP session
+ * @param {string} kind - Track kind ('video'/'audio')
+ * @param {Buffer} packet - RTCP packet of the tap (shared by all consumers, not modified)
+ * @returns {Buffer|null} Rewritten copy, null for reports of another tap process
+ */
+function rewriteRtcp(session, kind, packet) {
+    const source = session.sources[kind];
+    if (!source || packet.length < 8 || packet.readUInt32BE(4) !== source.ssrc) return null;
+
+    const rewritten = Buffer.from(packet);
+    for (let offset = 0; offset + 8 <= rewritten.length; offset += (rewritten.readUInt16BE(offset + 2) + 1) * 4) {
+        if (rewritten.readUInt32BE(offset + 4) !== source.ssrc) continue;
+
+        rewritten.writeUInt32BE(source.sessionSsrc, offset + 4);
+        if (rewritten.readUInt8(offset + 1) === 200 && offset + 20 <= rewritten.length) {
+            rewritten.writeUInt32BE((rewritten.readUInt32BE(offset + 16) + source.timestampOffset) >>> 0, offset + 16);
+        }
+    }
+    return rewritten;
+}
+
+/**
+ * Get Source
+ * @param {Object} session - RTSP session
+ * @param {string} kind - Track kind ('video'/'audio')
+ * @returns {Object} Mapping of the tap's RTP stream onto the session's stream of the track
+ */
+function getSource(session, kind) {
+    if (!session.sources[kind]) {
+        session.sources[kind] = {
+            sessionSsrc: crypto.randomBytes(4).readUInt32BE(0),   // SSRC sent to the client
+            ssrc: null,                // SSRC of the current tap process
+            previousSsrc: null,        // SSRC of the replaced tap process
+            sequenceOffset: 0,
+            timestampOffset: 0,
+            sequenceNumber: 0,         // Last sent sequence number and timestamp
+            timestamp: 0,
+            sentAt: 0                  // Time of the last sent packet
+        };
+    }
+    return session.sources[kind];
+}
+
+/**
+ * Get Clock Rate
+ * @param {Object} session - RTSP session
+ * @param {string} kind - Track kind ('video'/'audio')
+ * @returns {number} RTP clock rate (90 kHz for H.264, the sample rate for AAC)
+ */
+function getClockRate(session, kind) {
+    const audio = kind === 'audio' && session.tap.tracks.find(track => track.handler === 'soun');
+    return audio ? audio.timescale : 90000;
+}
+
+/**
+ * Create Session
+ * Takes over the stream held by DESCRIBE, or starts the stream if DESCRIBE was skipped
+ * @param {Object} connection - RTSP connection
+ * @param {string} serialNumber - Device serial number
+ * @param {boolean} interleaved - True for TCP interleaved transport
+ * @returns {Object|null} Session, null if the stream limit is reached
+ */
+function createSession(connection, serialNumber, interleaved) {
+    const client = connection.holds.get(serialNumber) || holdStream(connection, serialNumber);
+    if (!client) return null;
+    connection.holds.delete(serialNumber);
+
+    const session = {
+        id: crypto.randomBytes(8).toString('hex'),
+        serialNumber: serialNumber,
+        connection: connection,
+        interleaved: interleaved,
+        client: client,
+        tracks: {},                    // Track kind -> transport (channels or address and client ports)
+        sources: {},                   // Track kind -> mapping of the tap's RTP stream (see getSource)
+        playing: false,
+        tap: null,
+        rtpHandler: null,
+        rtcpHandler: null,
+        timeoutTimer: null
+    };
+    client.close = () => closeSession(session.id);
+
+    sessions.set(session.id, session);
+    touchSession(session);
+    utils.log(`👁️ New RTSP client for ${serialNumber} (session ${session.id}, ${interleaved ? 'TCP' : 'UDP'})`, 'info');
+    return session;
+}
+
+/**
+ * Touch Session
+ * Restarts the timeout of a UDP session
+ * @param {Object} session - RTSP session
+ */
+function touchSession(session) {
+    if (session.interleaved) return;
+
+    clearTimeout(session.timeoutTimer);
+    session.timeoutTimer = setTimeout(() => {
+        utils.log(`⏱️ RTSP session ${session.id} for ${session.serialNumber} timed out`, 'info');
+        closeSession(session.id);
+    }, SESSION_TIMEOUT * 1000);
+}
+
+/**
+ * Close Session
+ * Stops forwarding and releases tap and device stream
+ * @param {string} id - RTSP session ID
+ * @returns {boolean} False if the session does not exist
+ */
+function closeSession(id) {
+    const session = sessions.get(id);
+    if (!session) return false;
+    sessions.delete(id);
+
+    clearTimeout(session.timeoutTimer);
+    if (session.tap) {
+        session.tap.event.removeListener('rtp', session.rtpHandler);
+        session.tap.event.removeListener('rtcp', session.rtcpHandler);
+        rtpTap.releaseTap(session.tap);
+    }
+
+    streams.releaseStream(session.serialNumber, session.client);
+    utils.log(`👁️ RTSP client lost for ${session.serialNumber} (session ${id})`, 'info');
+    return true;
+}
+
+/**
+ * Module Exports
+ * Exposes RTSP server functions and getters
+ */
+module.exports = {
+    initRtspServer,
+    closeRtspServer,
+
+    get sessionCount() { return sessions.size; },
+};
@@ -0,0 +1,518 @@
+/**
+ * Media Segmenter Module
+ *
+ * Builds rolling media segments from the fMP4 fragments of a transcode session:
+ * - Groups moof/mdat fragments into segments of the configured duration, starting at keyframes
+ * - Keeps every fragment as a partial segment (LL-HLS parts)
+ * - Keeps a sliding window of segments in memory (segment ring)
+ * - Versions init segments and marks discontinuities on encoder restarts
+ * - Segments the main stream and each rendition independently (stream IDs)
+ * - Holds the device stream while segment viewers keep polling
+ * - Shared by the HLS and DASH output modules
+ */
+
+const eventEmitter = require('events');
+
+const utils = require('./utils');
+const mp4 = require('./mp4');
+const transcode = require('./transcode');
+const streams = require('./streams');
+
+// HLS and DASH players are stateless HTTP clients; a device is considered watched
+// as long as playlists, manifests or segments are requested within this period
+const VIEWER_IDLE_TIMEOUT = 15000;
+
+const ev = new eventEmitter();
+ev.setMaxListeners(0);                 // Blocked LL-HLS requests wait on segmenter events
+
+// Segmenter state
+let CONFIG = utils.loadConfig();
+const segmenters = new Map();          // Stream ID -> segmenter state
+const viewers = new Map();             // Device serial number -> viewer state
+
+/**
+ * Initialize Segmenter
+ * (Re)loads segment duration and window size from configuration
+ */
+function initSegmenter() {
+    CONFIG = utils.loadConfig();
+    utils.log(`🎞️ Segmenter initialized (${getSegmentDuration()}s segments, window of ${getWindowSize()})`, 'debug');
+}
+
+/**
+ * Get Segment Duration
+ * @returns {number} Target segment duration in seconds
+ */
+function getSegmentDuration() {
+    const duration = parseFloat(CONFIG.HLS_SEGMENT_DURATION);
+    return Number.isNaN(duration) || duration <= 0 ? 2 : duration;
+}
+
+/**
+ * Get Window Size
+ * @returns {number} Number of segments in the sliding window
+ */
+function getWindowSize() {
+    const size = parseInt(CONFIG.HLS_LIST_SIZE, 10);
+    return Number.isNaN(size) || size < 3 ? 6 : size;
+}
+
+/**
+ * Get Stream ID
+ * Segmenters are keyed by device and rendition
+ * @param {string} serialNumber - Device serial number
+ * @param {string|null} [rendition] - Rendition name (e.g. '720p'), omit for the main stream
+ * @returns {string} Stream ID ("<serial number>" or "<serial number>/<rendition>")
+ */
+function getStreamId(serialNumber, rendition) {
+    return rendition ? `${serialNumber}/${rendition}` : serialNumber;
+}
+
+/**
+ * Start Segmenter
+ * Begins segmenting a transcoded stream (no-op if already running)
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @returns {Object} Segmenter state
+ */
+function startSegmenter(streamId) {
+    let state = segmenters.get(streamId);
+    if (state) return state;
+
+    const [serialNumber, rendition] = streamId.split('/');
+    state = {
+        streamId: streamId,
+        serialNumber: serialNumber,
+        rendition: rendition || null,
+        inits: new Map(),              // Init segment version -> init segment
+        anchors: new Map(),            // Init segment version -> wall clock / media time of its first segment
+        initVersion: 0,                // Current init segment version
+        videoTrackId: null,            // Track used for timing
+        timescale: 1000,               // Timescale of segment start times and durations
+        segments: [],                  // Completed segments (oldest first)
+        current: null,                 // Segment currently being built
+        pendingFragment: null,         // Latest fragment, duration not yet known
+        nextSequence: 0,               // Media sequence number of the next segment
+        discontinuitySequence: 0,      // Discontinuities dropped from the window
+        pendingDiscontinuity: false,   // Next segment follows an init segment change
+        maxSegmentDuration: 0,         // Longest segment seen (seconds)
+        maxPartDuration: 0,            // Longest part seen (seconds)
+        createdAt: Date.now()          // Start of the segment timeline
+    };
+    segmenters.set(streamId, state);
+    utils.log(`🎞️ Segmenter started for ${streamId}`, 'debug');
+
+    // Stream may already be running for other clients
+    const output = transcode.getOutput(serialNumber, state.rendition);
+    if (output && output.initSegment) {
+        handleInitSegment(state, output.initSegment);
+    }
+
+    return state;
+}
+
+/**
+ * Stop Segmenter
+ * Drops all segments of a stream
+ * @param {string} streamId - Stream ID (see getStreamId)
+ */
+function stopSegmenter(streamId) {
+    if (segmenters.delete(streamId)) {
+        utils.log(`🎞️ Segmenter stopped for ${streamId}, segments released`, 'debug');
+        ev.emit('stopped', streamId);
+    }
+}
+
+/**
+ * Stop Device Segmenters
+ * Drops the segments of the main stream and all renditions of a device
+ * @param {string} serialNumber - Device serial number
+ */
+function stopDeviceSegmenters(serialNumber) {
+    Array.from(segmenters.values())
+        .filter(state => state.serialNumber === serialNumber)
+        .forEach(state => stopSegmenter(state.streamId));
+}
+
+/**
+ * Touch Viewer
+ * Registers HLS/DASH activity for a device and starts its stream and the segmenter of the
+ * requested stream if required (the device stream is held once for all renditions)
+ * @param {string} serialNumber - Device serial number
+ * @param {string|null} [rendition] - Rendition name, omit for the main stream
+ * @returns {boolean} False if the concurrent stream limit is reached
+ */
+function touchViewer(serialNumber, rendition) {
+    let viewer = viewers.get(serialNumber);
+
+    if (!viewer) {
+        viewer = {
+            type: 'segments',
+            active: true,
+            idleTimer: null,
+            close: () => closeViewer(serialNumber, viewer)
+        };
+
+        if (!streams.acquireStream(serialNumber, viewer)) {
+            return false;
+        }
+
+        viewers.set(serialNumber, viewer);
+        utils.log(`👁️ New segment viewer for ${serialNumber}`, 'info');
+    }
+    startSegmenter(getStreamId(serialNumber, rendition));
+
+    // Restart idle timer
+    clearTimeout(viewer.idleTimer);
+    viewer.idleTimer = setTimeout(() => {
+        utils.log(`👁️ Segment viewers gone for ${serialNumber}`, 'info');
+        closeViewer(serialNumber, viewer);
+        streams.releaseStream(serialNumber, viewer);
+    }, VIEWER_IDLE_TIMEOUT);
+
+    return true;
+}
+
+/**
+ * Close Viewer
+ * Forgets the segment viewer of a device and drops the segments of all its streams
+ * Called on idle timeout and when the transcode session is closed
+ * @param {string} serialNumber - Device serial number
+ * @param {Object} viewer - Viewer state
+ */
+function closeViewer(serialNumber, viewer) {
+    clearTimeout(viewer.idleTimer);
+    viewer.active = false;
+    if (viewers.get(serialNumber) === viewer) {
+        viewers.delete(serialNumber);
+        stopDeviceSegmenters(serialNumber);
+    }
+}
+
+/**
+ * Get Segmenter
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @returns {Object|undefined} Segmenter state or undefined if not running
+ */
+function getSegmenter(streamId) {
+    return segmenters.get(streamId);
+}
+
+/**
+ * Handle Init Segment
+ * Registers a new init segment version and closes the running segment
+ * @param {Object} state - Segmenter state
+ * @param {Buffer} initSegment - fMP4 init segment (ftyp + moov)
+ */
+function handleInitSegment(state, initSegment) {
+    // Finish what was produced by the previous encoder
+    if (state.pendingFragment) {
+        const parts = state.current ? state.current.parts : [];
+        const lastDuration = parts.length > 0 ? parts[parts.length - 1].duration : 0;
+        completePart(state, state.pendingFragment, lastDuration);
+        state.pendingFragment = null;
+    }
+    closeSegment(state);
+
+    state.initVersion++;
+    state.inits.set(state.initVersion, initSegment);
+    state.pendingDiscontinuity = state.segments.length > 0;
+
+    const videoTrack = mp4.getVideoTrack(initSegment);
+    state.videoTrackId = videoTrack ? videoTrack.trackId : null;
+    state.timescale = videoTrack ? videoTrack.timescale : 1000;
+
+    utils.log(`🎞️ Init segment v${state.initVersion} for ${state.streamId} (timescale ${state.timescale})`, 'debug');
+}
+
+/**
+ * Handle Fragment
+ * Adds a media fragment (moof + mdat) to the running segment
+ * The duration of a fragment is known once the next fragment arrives
+ * @param {Object} state - Segmenter state
+ * @param {Buffer} fragment - Media fragment
+ * @param {boolean|null} keyframe - Fragment starts with a sync sample (null if unknown)
+ */
+function handleFragment(state, fragment, keyframe) {
+    if (state.inits.size === 0) return;
+
+    // The first segment has to start with a decodable frame
+    if (!state.current && !state.pendingFragment && keyframe === false) return;
+
+    // Use decode time of the video track, fall back to wall clock
+    let startTime = state.videoTrackId !== null ? mp4.getBaseMediaDecodeTime(fragment, state.videoTrackId) : null;
+    if (startTime === null) {
+        startTime = Math.round((Date.now() - state.createdAt) * state.timescale / 1000);
+    }
+
+    if (state.pendingFragment) {
+        const duration = Math.max(0, startTime - state.pendingFragment.startTime);
+        completePart(state, state.pendingFragment, duration);
+
+        // Close segment once the target duration is reached, so the next one starts
+        // with this fragment's keyframe (forced at twice the duration without keyframes)
+        const current = state.current;
+        const segmentDuration = current ? current.duration / state.timescale : 0;
+        if (current && ((keyframe !== false && segmentDuration >= getSegmentDuration()) || segmentDuration >= 2 * getSegmentDuration())) {
+            closeSegment(state);
+        }
+    }
+
+    // Remember where the fragment will end up (used for preload hints)
+    state.pendingFragment = {
+        data: fragment,
+        startTime: startTime,
+        keyframe: keyframe === true,
+        sequence: state.current ? state.current.sequence : state.nextSequence,
+        partIndex: state.current ? state.current.parts.length : 0
+    };
+    ev.emit('preload', state.streamId, state.pendingFragment);
+}
+
+/**
+ * Complete Part
+ * Appends a fragment with known duration to the running segment
+ * @param {Object} state - Segmenter state
+ * @param {Object} fragment - Pending fragment (data and start time)
+ * @param {number} duration - Fragment duration in timescale units
+ */
+function completePart(state, fragment, duration) {
+    if (!state.current) {
+        state.current = {
+            sequence: state.nextSequence++,
+            initVersion: state.initVersion,
+            discontinuity: state.pendingDiscontinuity,
+            timescale: state.timescale,
+            startTime: fragment.startTime,
+            duration: 0,
+            parts: []
+        };
+        state.pendingDiscontinuity = false;
+    }
+
+    const part = {
+        data: fragment.data,
+        startTime: fragment.startTime,
+        duration: duration,
+        independent: fragment.keyframe     // Starts with a keyframe
+    };
+    state.current.parts.push(part);
+    state.current.duration += duration;
+    state.maxPartDuration = Math.max(state.maxPartDuration, duration / state.timescale);
+    ev.emit('part', state.streamId, state.current, part);
+}
+
+/**
+ * Close Segment
+ * Moves the running segment into the window and trims old segments
+ * @param {Object} state - Segmenter state
+ */
+function closeSegment(state) {
+    const segment = state.current;
+    state.current = null;
+    if (!segment || segment.parts.length === 0) return;
+
+    segment.data = Buffer.concat(segment.parts.map(part => part.data));
+    segment.createdAt = Date.now();
+    state.segments.push(segment);
+
+    // Map media time of a new init segment version to wall clock time
+    // (never before the end of the previous version's timeline)
+    if (!state.anchors.has(segment.initVersion)) {
+        let wallClock = Math.max(state.createdAt, segment.createdAt - Math.round(segment.duration * 1000 / segment.timescale));
+        const previous = state.segments[state.segments.length - 2];
+        const previousAnchor = previous ? state.anchors.get(previous.initVersion) : null;
+        if (previousAnchor) {
+            const previousEnd = previous.startTime + previous.duration - previousAnchor.startTime;
+            wallClock = Math.max(wallClock, previousAnchor.wallClock + Math.round(previousEnd * 1000 / previous.timescale));
+        }
+        state.anchors.set(segment.initVersion, { wallClock: wallClock, startTime: segment.startTime });
+    }
+    state.maxSegmentDuration = Math.max(state.maxSegmentDuration, segment.duration / segment.timescale);
+
+    // Keep two segments beyond the window for clients still loading them
+    while (state.segments.length > getWindowSize() + 2) {
+        const removed = state.segments.shift();
+        if (removed.discontinuity) state.discontinuitySequence++;
+    }
+
+    // Drop init segments no longer referenced
+    const oldestInit = state.segments[0].initVersion;
+    Array.from(state.inits.keys())
+        .filter(version => version < oldestInit)
+        .forEach(version => {
+            state.inits.delete(version);
+            state.anchors.delete(version);
+        });
+
+    utils.log(`🎞️ Segment #${segment.sequence} for ${state.streamId}: ${(segment.duration / segment.timescale).toFixed(2)}s, ${segment.data.length} bytes`, 'trace');
+    ev.emit('segment', state.streamId, segment);
+}
+
+/**
+ * Get Window
+ * Returns the segments that belong to the advertised sliding window
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @returns {Array<Object>} Segments (oldest first)
+ */
+function getWindow(streamId) {
+    const state = segmenters.get(streamId);
+    if (!state) return [];
+    return state.segments.slice(-getWindowSize());
+}
+
+/**
+ * Get Segment
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @param {number} sequence - Media sequence number
+ * @returns {Object|null} Segment or null if not (or no longer) available
+ */
+function getSegment(streamId, sequence) {
+    const state = segmenters.get(streamId);
+    if (!state) return null;
+    return state.segments.find(segment => segment.sequence === sequence) || null;
+}
+
+/**
+ * Get Part
+ * Looks up a partial segment, including the fragment whose duration is not yet known
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @param {number} sequence - Media sequence number of the parent segment
+ * @param {number} partIndex - Index of the part within the segment
+ * @returns {Buffer|null} Part data or null if not (yet) available
+ */
+function getPart(streamId, sequence, partIndex) {
+    const state = segmenters.get(streamId);
+    if (!state) return null;
+
+    const pending = state.pendingFragment;
+    if (pending && pending.sequence === sequence && pending.partIndex === partIndex) {
+        return pending.data;
+    }
+
+    const segment = state.current && state.current.sequence === sequence
+        ? state.current
+        : state.segments.find(s => s.sequence === sequence);
+    const part = segment ? segment.parts[partIndex] : null;
+    return part ? part.data : null;
+}
+
+/**
+ * Get Next Part Position
+ * Returns the position of the next part not yet listed in a playlist
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @returns {Object|null} Sequence and part index, or null if not running
+ */
+function getNextPartPosition(streamId) {
+    const state = segmenters.get(streamId);
+    if (!state) return null;
+
+    if (state.pendingFragment) {
+        return { sequence: state.pendingFragment.sequence, partIndex: state.pendingFragment.partIndex };
+    }
+    if (state.current) {
+        return { sequence: state.current.sequence, partIndex: state.current.parts.length };
+    }
+    return { sequence: state.nextSequence, partIndex: 0 };
+}
+
+/**
+ * Get Init Segment
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @param {number} version - Init segment version
+ * @returns {Buffer|null} Init segment or null
+ */
+function getInitSegment(streamId, version) {
+    const state = segmenters.get(streamId);
+    if (!state) return null;
+    return state.inits.get(version) || null;
+}
+
+/**
+ * Wait For
+ * Resolves once the segmenter of a stream satisfies a condition
+ * @param {string} streamId - Stream ID (see getStreamId)
+ * @param {Function} check - Condition to wait for
+ * @param {number} timeout - Maximum wait time in milliseconds
+ * @returns {Promise<boolean>} False on timeout or when the segmenter stopped
+ */
+function waitFor(streamId, check, timeout) {
+    return new Promise((resolve) => {
+        if (check()) return resolve(true);
+
+        const onUpdate = (id) => {
+            if (id === streamId && check()) finish(true);
+        };
+        const onStopped = (id) => {
+            if (id === streamId) finish(false);
+        };
+        const finish = (result) => {
+            clearTimeout(timer);
+            ev.removeListener('preload', onUpdate);
+            ev.removeListener('part', onUpdate);
+            ev.removeListener('segment', onUpdate);
+            ev.removeListener('stopped', onStopped);
+            resolve(result);
+        };
+        const timer = setTimeout(() => finish(false), timeout);
+
+        ev.on('preload', onUpdate);
+        ev.on('part', onUpdate);
+        ev.on('segment', onUpdate);
+        ev.on('stopped', onStopped);
+    });
+}
+
+/**
+ * Transcode Event Handlers
+ * Feed init segments and fragments of segmented streams into their state
+ */
+transcode.event.on('initSegment', (serialNumber, initSegment) => {
+    const state = segmenters.get(serialNumber);
+    if (state) handleInitSegment(state, initSegment);
+});
+
+transcode.event.on('fragment', (serialNumber, fragment, keyframe) => {
+    const state = segmenters.get(serialNumber);
+    if (state) handleFragment(state, fragment, keyframe);
+});
+
+transcode.event.on('renditionInitSegment', (serialNumber, rendition, initSegment) => {
+    const state = segmenters.get(getStreamId(serialNumber, rendition));
+    if (state) handleInitSegment(state, initSegment);
+});
+
+transcode.event.on('renditionFragment', (serialNumber, rendition, fragment, keyframe) => {
+    const state = segmenters.get(getStreamId(serialNumber, rendition));
+    if (state) handleFragment(state, fragment, keyframe);
+});
+
+transcode.event.on('sessionClosed', (serialNumber) => {
+    stopDeviceSegmenters(serialNumber);
+});
+
+/**
+ * Module Exports
+ * Exposes segmenter functions, getters and event emitter
+ */
+module.exports = {
+    initSegmenter,
+    getStreamId,
+    startSegmenter,
+    stopSegmenter,
+    touchViewer,
+    getSegmenter,
+    getWindow,
+    getSegment,
+    getPart,
+    getNextPartPosition,
+    getInitSegment,
+    waitFor,
+
+    // Event emitter for preload, part, segment and stop notifications
+    event: ev,
+
+    // Read-only property getters
+    get segmentDuration() { return getSegmentDuration(); },
+    get windowSize() { return getWindowSize(); },
+    get viewerCount() { return viewers.size; },
+};
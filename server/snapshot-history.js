@@ -0,0 +1,280 @@
+/**
+ * Snapshot History Module
+ *
+ * Keeps a history of the pictures of every device for the gallery:
+ * - Copies every saved snapshot and every new cloud picture (picture property)
+ * - Files in DATA_DIR/snapshots/history/<SN>/<id>.<ext>, metadata in DATA_DIR/snapshots/history/index.json
+ * - Tags each picture with the device event that produced it (motion, person, doorbell, ...)
+ *   or with its trigger (livestream, on demand, cloud)
+ * - Deletes pictures beyond SNAPSHOT_HISTORY_MAX per device and older than SNAPSHOT_HISTORY_RETENTION_DAYS
+ * - Announces new pictures ('snapshot added')
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const utils = require('./utils');
+const eufy = require('./eufy-client');
+const transcode = require('./transcode');
+const wsApi = require('./ws-api');
+
+// Pictures within this period after a device event are attributed to it
+const EVENT_WINDOW = 120000;
+// Triggers of pictures that a device event may have caused (on demand snapshots keep their trigger)
+const EVENT_TRIGGERS = ['livestream', 'cloud'];
+// Age limit is applied periodically and whenever a picture is added
+const RETENTION_INTERVAL = 3600000;
+
+// Picture IDs: <SN>_<YYYYMMDD>T<HHMMSS>[_<n>]
+const PICTURE_ID = /^[A-Za-z0-9]+_\d{8}T\d{6}(_\d+)?$/;
+
+const HISTORY_DIR = path.join(utils.snapshotDir, 'history');
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+
+let CONFIG = utils.loadConfig();
+const lastEvents = new Map();          // Device serial number -> latest device event ({ event, time })
+let retentionTimer = null;
+
+/**
+ * Initialize Snapshot History
+ * (Re)loads the history limits and applies them
+ */
+function initSnapshotHistory() {
+    CONFIG = utils.loadConfig();
+
+    clearInterval(retentionTimer);
+    retentionTimer = setInterval(() => applyRetention(), RETENTION_INTERVAL);
+    applyRetention();
+
+    utils.log(`🖼️ Snapshot history initialized (${getMaxPictures() || 'unlimited'} pictures per device, ${getRetentionDays() || 'unlimited'} days)`, 'debug');
+}
+
+/**
+ * Get Max Pictures
+ * @returns {number} Pictures kept per device (0 = unlimited)
+ */
+function getMaxPictures() {
+    const count = parseInt(CONFIG.SNAPSHOT_HISTORY_MAX, 10);
+    return Number.isNaN(count) || count < 0 ? 100 : count;
+}
+
+/**
+ * Get Retention Days
+ * @returns {number} Maximum age of pictures in days (0 = unlimited)
+ */
+function getRetentionDays() {
+    const days = parseFloat(CONFIG.SNAPSHOT_HISTORY_RETENTION_DAYS);
+    return Number.isNaN(days) || days < 0 ? 30 : days;
+}
+
+/**
+ * Get Picture Event
+ * @param {string} serialNumber - Device serial number
+ * @param {string} trigger - What produced the picture (livestream, on demand, cloud)
+ * @returns {string} Device event that produced the picture, or the trigger
+ */
+function getPictureEvent(serialNumber, trigger) {
+    const last = lastEvents.get(serialNumber);
+    return last && EVENT_TRIGGERS.includes(trigger) && Date.now() - last.time <= EVENT_WINDOW ? last.event : trigger;
+}
+
+/**
+ * Add Picture
+ * Stores a picture in the history of a device and applies the limits of the device
+ * @param {string} serialNumber - Device serial number
+ * @param {Buffer} data - Image data
+ * @param {Object} options - Picture details
+ * @param {string} options.source - 'snapshot' (from the livestream) or 'cloud' (picture property)
+ * @param {string} options.trigger - What produced the picture, used as event if no device event happened recently
+ * @param {string} [options.ext='jpg'] - File extension of the image type
+ * @returns {Object|null} History entry or null if the picture could not be saved
+ */
+function addPicture(serialNumber, data, options) {
+    const now = Date.now();
+    const ext = /^[a-z]{3,4}$/.test(options.ext || '') ? options.ext : 'jpg';
+    const index = loadIndex();
+    const id = getPictureId(index, serialNumber, now);
+    const filePath = path.join(HISTORY_DIR, serialNumber, `${id}.${ext}`);
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, data);
+    } catch (err) {
+        utils.log(`❌ Failed to save picture ${id}: ${err.message}`, 'error');
+        return null;
+    }
+
+    const entry = {
+        id: id,
+        serialNumber: serialNumber,
+        deviceName: eufy.getDeviceName(serialNumber),
+        source: options.source,
+        event: getPictureEvent(serialNumber, options.trigger),
+        datetime: new Date(now).toISOString(),
+        size: data.length,
+        file: path.relative(HISTORY_DIR, filePath),
+        url: `/snapshots/${serialNumber}/${id}.${ext}`
+    };
+    index.push(entry);
+    saveIndex(applyLimits(index, serialNumber));
+    utils.log(`🖼️ Picture ${id} added to the history (${entry.source}, ${entry.event})`, 'debug');
+
+    wsApi.wsBroadcast({
+        type: 'event',
+        event: {
+            source: 'device',
+            event: 'snapshot added',
+            serialNumber: serialNumber,
+            picture: entry
+        }
+    });
+
+    return entry;
+}
+
+/**
+ * Get Picture ID
+ * @param {Array<Object>} index - History index
+ * @param {string} serialNumber - Device serial number
+ * @param {number} time - Time of the picture
+ * @returns {string} Unique picture ID ("<SN>_<YYYYMMDD>T<HHMMSS>[_<n>]", UTC)
+ */
+function getPictureId(index, serialNumber, time) {
+    const base = `${serialNumber}_${new Date(time).toISOString().replace(/[-:]/g, '').slice(0, 15)}`;
+    const ids = new Set(index.map(entry => entry.id));
+    let id = base;
+    for (let i = 1; ids.has(id); i++) {
+        id = `${base}_${i}`;
+    }
+    return id;
+}
+
+/**
+ * Apply Limits
+ * Deletes the pictures of a device beyond the count limit and older than the retention period
+ * @param {Array<Object>} index - History index (oldest first)
+ * @param {string} [serialNumber] - Only check this device, omit for all devices
+ * @returns {Array<Object>} Remaining index entries
+ */
+function applyLimits(index, serialNumber) {
+    const maxPictures = getMaxPictures();
+    const maxAge = getRetentionDays() * 24 * 3600 * 1000;
+    const counts = new Map();           // Device serial number -> pictures kept (newest first)
+    const expired = new Set();
+
+    for (let i = index.length - 1; i >= 0; i--) {
+        const entry = index[i];
+        if (serialNumber && entry.serialNumber !== serialNumber) continue;
+
+        const count = (counts.get(entry.serialNumber) || 0) + 1;
+        counts.set(entry.serialNumber, count);
+        if ((maxPictures > 0 && count > maxPictures) || (maxAge > 0 && Date.now() - Date.parse(entry.datetime) > maxAge)) {
+            expired.add(entry);
+        }
+    }
+    if (expired.size === 0) return index;
+
+    expired.forEach(entry => {
+        try {
+            fs.unlinkSync(path.join(HISTORY_DIR, entry.file));
+        } catch (err) {
+            if (err.code !== 'ENOENT') utils.log(`⚠️ Failed to delete picture ${entry.id}: ${err.message}`, 'warn');
+        }
+    });
+    utils.log(`🧹 Snapshot history deleted ${expired.size} pictures`, 'debug');
+
+    return index.filter(entry => !expired.has(entry));
+}
+
+/**
+ * Apply Retention
+ * Applies the count and age limits to the pictures of all devices
+ */
+function applyRetention() {
+    const index = loadIndex();
+    const kept = applyLimits(index);
+    if (kept.length !== index.length) saveIndex(kept);
+}
+
+/**
+ * Load Index
+ * @returns {Array<Object>} Metadata of all pictures (oldest first)
+ */
+function loadIndex() {
+    try {
+        if (fs.existsSync(INDEX_FILE)) {
+            return JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+        }
+    } catch (err) {
+        utils.log(`⚠️ Failed to load snapshot history: ${err.message}`, 'warn');
+    }
+    return [];
+}
+
+/**
+ * Save Index
+ * @param {Array<Object>} index - Metadata of all pictures
+ */
+function saveIndex(index) {
+    try {
+        fs.mkdirSync(HISTORY_DIR, { recursive: true });
+        fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2), 'utf8');
+    } catch (err) {
+        utils.log(`❌ Failed to save snapshot history: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * Get Pictures
+ * @param {string} serialNumber - Device serial number
+ * @returns {Array<Object>} Picture metadata of the device (newest first)
+ */
+function getPictures(serialNumber) {
+    return loadIndex()
+        .filter(entry => entry.serialNumber === serialNumber)
+        .reverse();
+}
+
+/**
+ * Get Picture Path
+ * @param {string} serialNumber - Device serial number
+ * @param {string} id - Picture ID
+ * @returns {string|null} Absolute path of the picture file or null if unknown
+ */
+function getPicturePath(serialNumber, id) {
+    if (!PICTURE_ID.test(id)) return null;
+
+    const entry = loadIndex().find(entry => entry.id === id && entry.serialNumber === serialNumber);
+    return entry ? path.join(HISTORY_DIR, entry.file) : null;
+}
+
+/**
+ * Device Event Handler
+ * Remembers the latest event of each device to tag the pictures it produces
+ */
+eufy.event.on('deviceEvent', (event) => {
+    if (event.state) lastEvents.set(event.serialNumber, { event: event.event, time: Date.now() });
+});
+
+/**
+ * Picture Handlers
+ * Add saved snapshots and new cloud pictures to the history
+ */
+transcode.event.on('snapshotSaved', (serialNumber, trigger) => {
+    const jpg = utils.loadSnapshotFromDisk(serialNumber);
+    if (jpg) addPicture(serialNumber, jpg, { source: 'snapshot', trigger: trigger || 'livestream', ext: 'jpg' });
+});
+
+eufy.event.on('pictureChanged', (serialNumber, data, type) => {
+    addPicture(serialNumber, data, { source: 'cloud', trigger: 'cloud', ext: type && type.ext });
+});
+
+/**
+ * Module Exports
+ * Exposes snapshot history functions
+ */
+module.exports = {
+    initSnapshotHistory,
+    getPictures,
+    getPicturePath
+};
@@ -0,0 +1,235 @@
+/**
+ * Snapshot Module
+ *
+ * Serves JPEG snapshots of devices on demand (GET /:serialNumber.jpg):
+ * - Cached snapshot from DATA_DIR/snapshots/<SN>.jpg with its snapshot datetime
+ * - Fresh snapshot from the next keyframe of the livestream (started briefly if not running)
+ * - Optional resizing and JPEG quality
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const utils = require('./utils');
+const eufy = require('./eufy-client');
+const transcode = require('./transcode');
+const streams = require('./streams');
+const mjpeg = require('./mjpeg');
+
+// Time to wait for a keyframe after requesting a fresh snapshot
+const CAPTURE_TIMEOUT = 30000;
+
+// Accepted ranges of the output settings (omitted = original snapshot)
+const OPTION_LIMITS = {
+    width: { min: 160, max: 3840 },
+    quality: { min: 1, max: 100 }
+};
+
+// JPEG quality of resized snapshots without a quality parameter
+const DEFAULT_QUALITY = 85;
+
+const captures = new Map();            // Device serial number -> running fresh capture (Promise)
+
+/**
+ * Parse Options
+ * Validates width, quality and fresh query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object|null} Options (width and quality null if omitted), null if a value is invalid
+ */
+function parseOptions(query) {
+    const options = {
+        width: null,
+        quality: null,
+        fresh: query.fresh === '1' || query.fresh === 'true'
+    };
+
+    for (const [name, limits] of Object.entries(OPTION_LIMITS)) {
+        if (query[name] === undefined) continue;
+
+        const value = Number(query[name]);
+        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+            return null;
+        }
+        options[name] = value;
+    }
+
+    // Even width for the chroma subsampled JPEG encoder
+    if (options.width) options.width -= options.width % 2;
+    return options;
+}
+
+/**
+ * Get Snapshot Info
+ * @param {string} serialNumber - Device serial number
+ * @returns {Promise<Object|null>} Snapshot file (path, modified) or null if there is none
+ */
+async function getSnapshotInfo(serialNumber) {
+    const snapshotPath = path.join(utils.snapshotDir, `${serialNumber}.jpg`);
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(snapshotPath);
+    } catch (err) {
+        return null;
+    }
+
+    // Snapshots saved before their datetime was recorded fall back to the file time
+    const datetime = utils.loadSnapshotDatetime(serialNumber);
+    const modified = datetime ? new Date(datetime) : stats.mtime;
+
+    return {
+        path: snapshotPath,
+        modified: isNaN(modified) ? stats.mtime : modified
+    };
+}
+
+/**
+ * Get ETag
+ * @param {string} serialNumber - Device serial number
+ * @param {Object} info - Snapshot info from getSnapshotInfo
+ * @param {Object} options - Output options from parseOptions
+ * @returns {string} Strong ETag of the snapshot in the requested size and quality
+ */
+function getETag(serialNumber, info, options) {
+    return `"${serialNumber}-${info.modified.getTime()}-${options.width || 0}-${options.quality || 0}"`;
+}
+
+/**
+ * Read Snapshot
+ * Loads the snapshot and scales or re-encodes it if requested
+ * @param {Object} info - Snapshot info from getSnapshotInfo
+ * @param {Object} options - Output options from parseOptions
+ * @returns {Promise<Buffer>} JPEG image
+ */
+async function readSnapshot(info, options) {
+    const jpeg = await fs.promises.readFile(info.path);
+    if (!options.width && !options.quality) return jpeg;
+
+    const args = [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-f', 'jpeg_pipe',
+        '-i', 'pipe:0',
+        ...(options.width ? ['-vf', `scale=${options.width}:-2`] : []),
+        '-c:v', 'mjpeg',
+        '-q:v', String(mjpeg.getQscale(options.quality || DEFAULT_QUALITY)),
+        '-frames:v', '1',
+        '-f', 'image2pipe',
+        'pipe:1'
+    ];
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', args);
+        const chunks = [];
+        let stderr = '';
+
+        ffmpeg.stdin.on('error', (err) => {
+            utils.log(`⚠️ Snapshot ffmpeg stdin: ${err.message}`, 'debug');
+        });
+        ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+        ffmpeg.stderr.on('data', (data) => {
+            stderr = (stderr + data.toString()).slice(-1000);
+        });
+
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code === 0 && chunks.length > 0) {
+                resolve(Buffer.concat(chunks));
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+            }
+        });
+
+        ffmpeg.stdin.end(jpeg);
+    });
+}
+
+/**
+ * Capture Snapshot
+ * Saves the next keyframe of the livestream as the device snapshot. A livestream
+ * that is not running is started and released again once the snapshot is saved.
+ * Concurrent requests for the same device share one capture.
+ * @param {string} serialNumber - Device serial number
+ * @returns {Promise<boolean|null>} True if a snapshot was saved, false if no keyframe
+ *                                  arrived in time, null if the stream limit is reached
+ */
+function captureSnapshot(serialNumber) {
+    let capture = captures.get(serialNumber);
+    if (!capture) {
+        capture = runCapture(serialNumber).finally(() => captures.delete(serialNumber));
+        captures.set(serialNumber, capture);
+    }
+    return capture;
+}
+
+/**
+ * Run Capture
+ * @param {string} serialNumber - Device serial number
+ * @returns {Promise<boolean|null>} See captureSnapshot
+ */
+async function runCapture(serialNumber) {
+    if (!eufy.isConnected() || !eufy.hasDevice(serialNumber)) return false;
+
+    const client = { type: 'snapshot', active: true, close: () => { client.active = false; } };
+    if (!streams.acquireStream(serialNumber, client)) {
+        utils.log(`⚠️ No snapshot of ${serialNumber}, stream limit reached`, 'warn');
+        return null;
+    }
+    utils.log(`📸 Capturing snapshot of ${serialNumber}...`, 'debug');
+
+    let snapshotBuffer = null;
+    try {
+        snapshotBuffer = await waitForKeyframe(serialNumber);
+    } finally {
+        if (client.active) streams.releaseStream(serialNumber, client);
+    }
+
+    if (!snapshotBuffer) {
+        utils.log(`⚠️ No snapshot of ${serialNumber}, no keyframe received`, 'warn');
+        return false;
+    }
+    return transcode.saveSnapshotToDisk(serialNumber, snapshotBuffer, 'on demand');
+}
+
+/**
+ * Wait for Keyframe
+ * @param {string} serialNumber - Device serial number
+ * @returns {Promise<Buffer|null>} Init segment and keyframe fragment, null on timeout or closed stream
+ */
+function waitForKeyframe(serialNumber) {
+    return new Promise((resolve) => {
+        const done = (snapshotBuffer) => {
+            clearTimeout(timer);
+            transcode.event.removeListener('fragment', fragmentHandler);
+            transcode.event.removeListener('sessionClosed', closeHandler);
+            resolve(snapshotBuffer);
+        };
+
+        const fragmentHandler = (sn, fragment, keyframe) => {
+            const session = transcode.getSession(serialNumber);
+            if (sn === serialNumber && keyframe && session && session.initSegment) {
+                done(Buffer.concat([session.initSegment, fragment]));
+            }
+        };
+        const closeHandler = (sn) => {
+            if (sn === serialNumber) done(null);
+        };
+        const timer = setTimeout(() => done(null), CAPTURE_TIMEOUT);
+
+        transcode.event.on('fragment', fragmentHandler);
+        transcode.event.on('sessionClosed', closeHandler);
+    });
+}
+
+/**
+ * Module Exports
+ * Exposes snapshot functions
+ */
+module.exports = {
+    parseOptions,
+    getSnapshotInfo,
+    getETag,
+    readSnapshot,
+    captureSnapshot
+};
@@ -0,0 +1,124 @@
+/**
+ * Stream Lifecycle Module
+ *
+ * Starts and stops Eufy livestreams on demand for all stream consumers:
+ * - Opens a transcode session when the first client of a device connects
+ * - Enforces the maximum number of concurrently streaming devices
+ * - Stops the livestream after a grace period once the last client left
+ */
+
+const utils = require('./utils');
+const eufy = require('./eufy-client');
+const transcode = require('./transcode');
+
+// Grace periods before a device without clients is stopped and released
+const STOP_GRACE_PERIOD = 5000;        // Allows quick reconnections
+const RELEASE_GRACE_PERIOD = 2000;     // Additional delay before the device slot is freed
+
+let CONFIG = utils.loadConfig();
+const stopTimers = new Map();          // Device serial number -> pending stop timeout
+const releasingDevices = new Set();    // Stopped devices whose slot is not yet free
+
+/**
+ * Initialize Stream Lifecycle
+ * (Re)loads configuration, e.g. after the concurrent stream limit changed
+ */
+function initStreams() {
+    CONFIG = utils.loadConfig();
+    utils.log(`📹 Stream lifecycle initialized (max ${getMaxStreams()} concurrent devices)`, 'debug');
+}
+
+/**
+ * Get Max Streams
+ * @returns {number} Maximum number of devices that may stream at the same time
+ */
+function getMaxStreams() {
+    const max = parseInt(CONFIG.MAX_CONCURRENT_STREAMS, 10);
+    return Number.isNaN(max) || max < 1 ? 1 : max;
+}
+
+/**
+ * Acquire Stream
+ * Registers a client for a device and starts the livestream if required
+ * @param {string} serialNumber - Device serial number
+ * @param {Object} client - Client object (may provide a close() function)
+ * @returns {boolean} False if the concurrent stream limit is reached
+ */
+function acquireStream(serialNumber, client) {
+    // Cancel a pending stop from a previous client
+    cancelStop(serialNumber);
+
+    // Reject new devices once all stream slots are taken
+    const usedSlots = transcode.sessionCount + releasingDevices.size;
+    if (!transcode.getSession(serialNumber) && usedSlots >= getMaxStreams()) {
+        utils.log(`❌ Request for ${serialNumber} denied - ${usedSlots} devices already streaming (${transcode.activeDevices.join(', ')})`, 'warn');
+        return false;
+    }
+
+    if (!transcode.getSession(serialNumber)) {
+        utils.log(`📹 Device set: ${serialNumber}`, 'info');
+    }
+    transcode.addClient(serialNumber, client);
+
+    // Initialize Eufy stream for this device
+    eufy.startStreamForDevice(serialNumber);
+    return true;
+}
+
+/**
+ * Release Stream
+ * Unregisters a client and stops the livestream if no clients remain
+ * @param {string} serialNumber - Device serial number
+ * @param {Object} client - Client object to remove
+ */
+function releaseStream(serialNumber, client) {
+    client.active = false;
+    transcode.removeClient(serialNumber, client);
+
+    // Stop streaming if all clients have disconnected (with grace period)
+    if (transcode.getClientCount(serialNumber) === 0 && !stopTimers.has(serialNumber)) {
+        const timer = setTimeout(() => {
+            if (transcode.getClientCount(serialNumber) !== 0) {
+                stopTimers.delete(serialNumber);
+                return;
+            }
+
+            eufy.stopStreamForDevice(serialNumber);
+            transcode.stopTranscoding(serialNumber);
+
+            // Release device after additional delay
+            releasingDevices.add(serialNumber);
+            stopTimers.set(serialNumber, setTimeout(() => {
+                stopTimers.delete(serialNumber);
+                releasingDevices.delete(serialNumber);
+                utils.log(`📹 Device released: ${serialNumber}`, 'info');
+            }, RELEASE_GRACE_PERIOD));
+        }, STOP_GRACE_PERIOD);
+        stopTimers.set(serialNumber, timer);
+    }
+}
+
+/**
+ * Cancel Stop
+ * Clears a pending stop or release timer of a device
+ * @param {string} serialNumber - Device serial number
+ */
+function cancelStop(serialNumber) {
+    if (stopTimers.has(serialNumber)) {
+        clearTimeout(stopTimers.get(serialNumber));
+        stopTimers.delete(serialNumber);
+    }
+    releasingDevices.delete(serialNumber);
+}
+
+/**
+ * Module Exports
+ * Exposes stream lifecycle functions
+ */
+module.exports = {
+    initStreams,
+    acquireStream,
+    releaseStream,
+
+    get maxStreams() { return getMaxStreams(); },
+};
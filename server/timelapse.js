@@ -0,0 +1,639 @@
+/**
+ * Timelapse Module
+ *
+ * Renders timelapse videos of cameras, e.g. for construction sites and gardens:
+ * - Samples a frame of every device in TIMELAPSE_DEVICES each TIMELAPSE_INTERVAL seconds
+ *   (from the running livestream, otherwise the livestream is started briefly)
+ * - Frames in DATA_DIR/timelapse/<SN>/frames/<YYYY-MM-DD>/<HH-MM-SS>.jpg (UTC)
+ * - Renders the frames of each finished day, or on request the recordings of a day
+ * - Videos in DATA_DIR/timelapse/<SN>/<YYYY-MM-DD>_<source>.mp4
+ * - Render jobs run one at a time and report their progress ('timelapse progress')
+ * - Deletes frames and videos older than TIMELAPSE_RETENTION_DAYS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const utils = require('./utils');
+const eufy = require('./eufy-client');
+const transcode = require('./transcode');
+const streams = require('./streams');
+const recorder = require('./recorder');
+const wsApi = require('./ws-api');
+
+// Daily renders and retention are checked periodically
+const SCHEDULE_INTERVAL = 60000;
+// Time to wait for a keyframe after starting a livestream for a frame
+const CAPTURE_TIMEOUT = 30000;
+// Minimum time between two progress events of a job
+const PROGRESS_INTERVAL = 1000;
+// Number of finished jobs kept for the job list
+const MAX_FINISHED_JOBS = 50;
+
+// Timelapse IDs: <SN>_<YYYYMMDD>_<source> for <SN>/<YYYY-MM-DD>_<source>.mp4
+const TIMELAPSE_ID = /^([A-Za-z0-9]+)_(\d{4})(\d{2})(\d{2})_(snapshots|recordings)$/;
+const TIMELAPSE_FILE = /^(\d{4}-\d{2}-\d{2})_(snapshots|recordings)\.mp4$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+let CONFIG = utils.loadConfig();
+const jobs = new Map();                // Timelapse ID -> render job (queued, running and finished)
+const queue = [];                      // Queued render jobs
+const captures = new Set();            // Devices with a frame capture in progress
+let frameTimer = null;
+let scheduleTimer = null;
+let runningJob = null;
+
+/**
+ * Initialize Timelapse
+ * (Re)loads the timelapse configuration and restarts frame sampling
+ */
+function initTimelapse() {
+    CONFIG = utils.loadConfig();
+    const devices = getTimelapseDevices();
+
+    clearInterval(frameTimer);
+    clearInterval(scheduleTimer);
+    frameTimer = null;
+
+    if (devices.length > 0) {
+        frameTimer = setInterval(captureFrames, getInterval() * 1000);
+    }
+    scheduleTimer = setInterval(checkSchedule, SCHEDULE_INTERVAL);
+    checkSchedule();
+
+    utils.log(`🎞️ Timelapse initialized (${devices.length > 0 ? devices.join(', ') : 'no devices'}, frame every ${getInterval()}s, ${getFps()} fps, ${getRetentionDays() || 'unlimited'} days)`, 'debug');
+}
+
+/**
+ * Get Timelapse Devices
+ * @returns {Array<string>} Serial numbers from TIMELAPSE_DEVICES (comma-separated)
+ */
+function getTimelapseDevices() {
+    return Array.from(new Set(String(CONFIG.TIMELAPSE_DEVICES || '')
+        .split(',')
+        .map(serialNumber => serialNumber.trim())
+        .filter(serialNumber => /^[A-Za-z0-9]+$/.test(serialNumber))));
+}
+
+/**
+ * Get Interval
+ * @returns {number} Seconds between two frames (also used to sample recordings)
+ */
+function getInterval() {
+    const interval = parseInt(CONFIG.TIMELAPSE_INTERVAL, 10);
+    return Number.isNaN(interval) || interval < 10 ? 300 : interval;
+}
+
+/**
+ * Get FPS
+ * @returns {number} Frame rate of rendered videos
+ */
+function getFps() {
+    const fps = parseInt(CONFIG.TIMELAPSE_FPS, 10);
+    return Number.isNaN(fps) || fps < 1 || fps > 60 ? 25 : fps;
+}
+
+/**
+ * Get Retention Days
+ * @returns {number} Maximum age of frames and videos in days (0 = unlimited)
+ */
+function getRetentionDays() {
+    const days = parseFloat(CONFIG.TIMELAPSE_RETENTION_DAYS);
+    return Number.isNaN(days) || days < 0 ? 30 : days;
+}
+
+/**
+ * Get Frames Dir
+ * @param {string} serialNumber - Device serial number
+ * @param {string} [date] - Day (YYYY-MM-DD), omitted for the frames root of the device
+ * @returns {string} Frame directory
+ */
+function getFramesDir(serialNumber, date) {
+    const dir = path.join(utils.timelapseDir, serialNumber, 'frames');
+    return date ? path.join(dir, date) : dir;
+}
+
+/**
+ * Get Video Path
+ * @param {string} serialNumber - Device serial number
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @param {string} source - 'snapshots' or 'recordings'
+ * @returns {string} Path of the timelapse video
+ */
+function getVideoPath(serialNumber, date, source) {
+    return path.join(utils.timelapseDir, serialNumber, `${date}_${source}.mp4`);
+}
+
+// ============================================================================
+// Frame Sampling
+// ============================================================================
+
+/**
+ * Capture Frames
+ * Saves the current frame of every timelapse device
+ */
+function captureFrames() {
+    getTimelapseDevices()
+        .filter(serialNumber => !captures.has(serialNumber))
+        .forEach(serialNumber => {
+            captures.add(serialNumber);
+            captureFrame(serialNumber)
+                .catch(err => utils.log(`❌ Timelapse frame of ${serialNumber} failed: ${err.message}`, 'error'))
+                .finally(() => captures.delete(serialNumber));
+        });
+}
+
+/**
+ * Capture Frame
+ * Decodes a frame of the livestream and saves it as JPEG; a livestream that
+ * is not running is started and released again once a keyframe arrived
+ * @param {string} serialNumber - Device serial number
+ * @returns {Promise<void>}
+ */
+async function captureFrame(serialNumber) {
+    let liveStart = transcode.getLiveStart(serialNumber);
+
+    if (!liveStart) {
+        if (!eufy.isConnected() || !eufy.hasDevice(serialNumber)) return;
+
+        const client = { type: 'timelapse', active: true, close: () => { client.active = false; } };
+        if (!streams.acquireStream(serialNumber, client)) {
+            utils.log(`⚠️ No timelapse frame of ${serialNumber}, stream limit reached`, 'warn');
+            return;
+        }
+
+        try {
+            const deadline = Date.now() + CAPTURE_TIMEOUT;
+            while (!liveStart && client.active && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                liveStart = transcode.getLiveStart(serialNumber);
+            }
+        } finally {
+            if (client.active) streams.releaseStream(serialNumber, client);
+        }
+
+        if (!liveStart) {
+            utils.log(`⚠️ No timelapse frame of ${serialNumber}, no keyframe received`, 'warn');
+            return;
+        }
+    }
+
+    const iso = new Date().toISOString();   // YYYY-MM-DDTHH:MM:SS.sssZ
+    const dir = getFramesDir(serialNumber, iso.slice(0, 10));
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const framePath = path.join(dir, `${iso.slice(11, 19).replace(/:/g, '-')}.jpg`);
+    await runFfmpeg([
+        '-y',
+        '-f', 'mp4',
+        '-i', 'pipe:0',
+        '-frames:v', '1',               // First frame (GOP starts with a keyframe)
+        '-pix_fmt', 'yuvj420p',         // Full-range YUV for JPEG
+        '-q:v', '3',
+        framePath
+    ], (stdin) => stdin.end(liveStart));
+    utils.log(`🎞️ Timelapse frame saved: ${path.relative(utils.timelapseDir, framePath)}`, 'debug');
+}
+
+// ============================================================================
+// Render Jobs
+// ============================================================================
+
+/**
+ * Check Schedule
+ * Queues the renders of finished days and applies the retention
+ */
+function checkSchedule() {
+    const today = new Date().toISOString().slice(0, 10);
+
+    getTimelapseDevices().forEach(serialNumber => {
+        let days;
+        try {
+            days = fs.readdirSync(getFramesDir(serialNumber));
+        } catch (e) {
+            return;                    // No frames yet
+        }
+
+        days.filter(date => DATE.test(date) && date < today)
+            .filter(date => !jobs.has(getTimelapseId(serialNumber, date, 'snapshots')))
+            .filter(date => !fs.existsSync(getVideoPath(serialNumber, date, 'snapshots')))
+            .forEach(date => createJob(serialNumber, date, 'snapshots'));
+    });
+
+    applyRetention();
+}
+
+/**
+ * Get Timelapse ID
+ * @param {string} serialNumber - Device serial number
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @param {string} source - 'snapshots' or 'recordings'
+ * @returns {string} Timelapse ID ("<SN>_<YYYYMMDD>_<source>")
+ */
+function getTimelapseId(serialNumber, date, source) {
+    return `${serialNumber}_${date.replace(/-/g, '')}_${source}`;
+}
+
+/**
+ * Create Job
+ * Queues the render of a timelapse video (replaces an existing video of the same day and source)
+ * @param {string} serialNumber - Device serial number
+ * @param {string} date - Day (YYYY-MM-DD, UTC)
+ * @param {string} source - 'snapshots' (sampled frames) or 'recordings' (continuous recordings)
+ * @returns {Object|null} Job status or null if the timelapse is already queued or rendering
+ */
+function createJob(serialNumber, date, source) {
+    const id = getTimelapseId(serialNumber, date, source);
+    const existing = jobs.get(id);
+    if (existing && (existing.state === 'queued' || existing.state === 'running')) return null;
+
+    const job = {
+        id: id,
+        serialNumber: serialNumber,
+        date: date,
+        source: source,
+        state: 'queued',               // queued, running, done or failed
+        frames: 0,                     // Encoded frames
+        totalFrames: 0,                // Expected frames (known once running)
+        progress: 0,
+        error: null,
+        createdAt: Date.now(),
+        finishedAt: null,
+        lastProgressAt: 0
+    };
+
+    jobs.delete(id);
+    jobs.set(id, job);
+    pruneJobs();
+    queue.push(job);
+    utils.log(`🎞️ Timelapse ${id} queued`, 'info');
+    broadcastProgress(job);
+
+    runNextJob();
+    return getJobStatus(job);
+}
+
+/**
+ * Prune Jobs
+ * Forgets the oldest finished jobs
+ */
+function pruneJobs() {
+    const finished = Array.from(jobs.values()).filter(job => job.state === 'done' || job.state === 'failed');
+    finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0)).forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Run Next Job
+ * Renders the queued jobs one after another
+ */
+function runNextJob() {
+    if (runningJob || queue.length === 0) return;
+
+    const job = queue.shift();
+    runningJob = job;
+    job.state = 'running';
+    utils.log(`🎞️ Rendering timelapse ${job.id}`, 'info');
+    broadcastProgress(job);
+
+    const render = job.source === 'recordings' ? renderRecordings : renderSnapshots;
+    render(job)
+        .then(() => {
+            job.state = 'done';
+            job.progress = 1;
+            utils.log(`✅ Timelapse ${job.id} rendered (${job.frames} frames)`, 'info');
+        })
+        .catch(err => {
+            job.state = 'failed';
+            job.error = err.message;
+            utils.log(`❌ Timelapse ${job.id} failed: ${err.message}`, 'error');
+        })
+        .finally(() => {
+            job.finishedAt = Date.now();
+            runningJob = null;
+            broadcastProgress(job);
+            runNextJob();
+        });
+}
+
+/**
+ * Render Snapshots
+ * Encodes the sampled frames of a day
+ * @param {Object} job - Render job
+ * @returns {Promise<void>}
+ */
+async function renderSnapshots(job) {
+    const dir = getFramesDir(job.serialNumber, job.date);
+    let frames;
+    try {
+        frames = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.jpg')).sort();
+    } catch (e) {
+        frames = [];
+    }
+    if (frames.length === 0) throw new Error('No frames for this day');
+    job.totalFrames = frames.length;
+
+    await renderVideo(job, [
+        '-f', 'image2pipe',
+        '-framerate', String(getFps()),
+        '-i', 'pipe:0'
+    ], [], async (stdin) => {
+        for (const name of frames) {
+            if (stdin.destroyed) break;            // ffmpeg exited
+            const data = await fs.promises.readFile(path.join(dir, name));
+            if (!stdin.write(data)) {
+                await new Promise(resolve => {
+                    stdin.once('drain', resolve);
+                    stdin.once('close', resolve);
+                });
+            }
+        }
+        stdin.end();
+    });
+}
+
+/**
+ * Render Recordings
+ * Samples one frame per TIMELAPSE_INTERVAL from the finished recordings of a day
+ * @param {Object} job - Render job
+ * @returns {Promise<void>}
+ */
+async function renderRecordings(job) {
+    const from = Date.parse(`${job.date}T00:00:00Z`);
+    const recordings = (await recorder.listRecordings({ serialNumber: job.serialNumber, from: from, to: from + 24 * 3600 * 1000 }))
+        .filter(entry => !entry.recording);
+    if (recordings.length === 0) throw new Error('No recordings for this day');
+
+    const interval = getInterval();
+    const duration = recordings.reduce((sum, entry) => sum + entry.duration, 0);
+    job.totalFrames = Math.max(Math.ceil(duration / interval), 1);
+
+    // Concat demuxer list of the recording files
+    const listPath = path.join(utils.timelapseDir, job.serialNumber, `${job.date}_recordings.txt`);
+    await fs.promises.mkdir(path.dirname(listPath), { recursive: true });
+    await fs.promises.writeFile(listPath, recordings
+        .map(entry => `file '${recorder.getRecordingPath(entry.id).replace(/'/g, "'\\''")}'\n`)
+        .join(''));
+
+    try {
+        await renderVideo(job, [
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', listPath
+        ], [
+            `select='isnan(prev_selected_t)+gte(t-prev_selected_t,${interval})'`,
+            `setpts=N/(${getFps()}*TB)`
+        ], (stdin) => stdin.end());
+    } finally {
+        await fs.promises.unlink(listPath).catch(() => { });
+    }
+}
+
+/**
+ * Render Video
+ * Encodes a timelapse video with ffmpeg and tracks the progress of the job
+ * @param {Object} job - Render job
+ * @param {Array<string>} inputArgs - ffmpeg input arguments
+ * @param {Array<string>} filters - Video filters applied before scaling
+ * @param {Function} feed - Called with ffmpeg's stdin to provide the input
+ * @returns {Promise<void>}
+ */
+async function renderVideo(job, inputArgs, filters, feed) {
+    const videoPath = getVideoPath(job.serialNumber, job.date, job.source);
+    const partPath = `${videoPath}.part`;
+
+    await runFfmpeg([
+        '-y',
+        ...inputArgs,
+        '-an',
+        '-vf', [...filters, 'scale=trunc(iw/2)*2:trunc(ih/2)*2'].join(','),   // Even size for yuv420p
+        '-r', String(getFps()),
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', '23',
+        '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart',      // Playable while downloading
+        '-progress', 'pipe:1',
+        '-nostats',
+        '-f', 'mp4',
+        partPath
+    ], feed, (key, value) => {
+        if (key !== 'frame') return;
+        job.frames = parseInt(value, 10) || 0;
+        job.progress = Math.min(job.frames / job.totalFrames, 0.99);
+        if (Date.now() - job.lastProgressAt >= PROGRESS_INTERVAL) broadcastProgress(job);
+    });
+
+    await fs.promises.rename(partPath, videoPath);
+}
+
+/**
+ * Run FFmpeg
+ * @param {Array<string>} args - ffmpeg arguments
+ * @param {Function} feed - Called with ffmpeg's stdin to provide the input
+ * @param {Function} [onProgress] - Called with key and value of each -progress line on stdout
+ * @returns {Promise<void>} Resolves when ffmpeg exited successfully
+ */
+function runFfmpeg(args, feed, onProgress) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args]);
+        let stderr = '';
+        let stdout = '';
+
+        ffmpeg.stdin.on('error', (err) => {
+            utils.log(`⚠️ Timelapse ffmpeg stdin: ${err.message}`, 'debug');
+        });
+        ffmpeg.stderr.on('data', (data) => {
+            stderr = (stderr + data.toString()).slice(-1000);
+        });
+        ffmpeg.stdout.on('data', (data) => {
+            stdout += data.toString();
+            const lines = stdout.split('\n');
+            stdout = lines.pop();
+            if (!onProgress) return;
+            lines.forEach(line => {
+                const separator = line.indexOf('=');
+                if (separator > 0) onProgress(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+            });
+        });
+
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+            }
+        });
+
+        Promise.resolve(feed(ffmpeg.stdin)).catch(err => {
+            utils.log(`⚠️ Timelapse input error: ${err.message}`, 'warn');
+            ffmpeg.stdin.destroy();
+        });
+    });
+}
+
+/**
+ * Broadcast Progress
+ * Sends the state of a job to all WebSocket clients
+ * @param {Object} job - Render job
+ */
+function broadcastProgress(job) {
+    job.lastProgressAt = Date.now();
+    wsApi.wsBroadcast({
+        type: 'event',
+        event: {
+            source: 'device',
+            event: 'timelapse progress',
+            serialNumber: job.serialNumber,
+            timelapse: getJobStatus(job)
+        }
+    });
+}
+
+/**
+ * Get Job Status
+ * @param {Object} job - Render job
+ * @returns {Object} Public job status (with the video URL once done)
+ */
+function getJobStatus(job) {
+    return {
+        id: job.id,
+        serialNumber: job.serialNumber,
+        date: job.date,
+        source: job.source,
+        state: job.state,
+        frames: job.frames,
+        totalFrames: job.totalFrames,
+        progress: Math.round(job.progress * 1000) / 1000,
+        error: job.error,
+        createdAt: new Date(job.createdAt).toISOString(),
+        finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        url: job.state === 'done' ? `/timelapses/${job.id}.mp4` : null
+    };
+}
+
+/**
+ * Get Jobs
+ * @returns {Array<Object>} Status of queued, running and recently finished jobs (newest first)
+ */
+function getJobs() {
+    return Array.from(jobs.values()).map(getJobStatus).reverse();
+}
+
+// ============================================================================
+// Videos and Retention
+// ============================================================================
+
+/**
+ * List Timelapses
+ * @param {string} [serialNumber] - Only videos of this device
+ * @returns {Promise<Array<Object>>} Rendered videos (id, serialNumber, date, source, size, createdAt, url), newest day first
+ */
+async function listTimelapses(serialNumber) {
+    let devices;
+    try {
+        devices = serialNumber ? [serialNumber] : await fs.promises.readdir(utils.timelapseDir);
+    } catch (e) {
+        return [];
+    }
+
+    const videos = [];
+    for (const device of devices) {
+        let names;
+        try {
+            names = await fs.promises.readdir(path.join(utils.timelapseDir, device));
+        } catch (e) {
+            continue;
+        }
+        for (const name of names) {
+            const match = TIMELAPSE_FILE.exec(name);
+            if (!match) continue;
+            try {
+                const stat = await fs.promises.stat(path.join(utils.timelapseDir, device, name));
+                const id = getTimelapseId(device, match[1], match[2]);
+                videos.push({
+                    id: id,
+                    serialNumber: device,
+                    date: match[1],
+                    source: match[2],
+                    size: stat.size,
+                    createdAt: stat.mtime.toISOString(),
+                    url: `/timelapses/${id}.mp4`
+                });
+            } catch (e) {
+                // File removed meanwhile
+            }
+        }
+    }
+
+    return videos.sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Get Timelapse Path
+ * @param {string} id - Timelapse ID
+ * @returns {string|null} Absolute path of the video or null if the ID is invalid or unknown
+ */
+function getTimelapsePath(id) {
+    const match = TIMELAPSE_ID.exec(id);
+    if (!match) return null;
+
+    const [, serialNumber, year, month, day, source] = match;
+    const videoPath = getVideoPath(serialNumber, `${year}-${month}-${day}`, source);
+    return fs.existsSync(videoPath) ? videoPath : null;
+}
+
+/**
+ * Apply Retention
+ * Deletes frame days and videos older than the retention period
+ * @returns {Promise<void>}
+ */
+async function applyRetention() {
+    const days = getRetentionDays();
+    if (days === 0) return;
+
+    const cutoff = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+    let deleted = 0;
+
+    try {
+        for (const device of await fs.promises.readdir(utils.timelapseDir)) {
+            const framesDir = getFramesDir(device);
+            const frameDays = await fs.promises.readdir(framesDir).catch(() => []);
+            for (const date of frameDays.filter(date => DATE.test(date) && date < cutoff)) {
+                await fs.promises.rm(path.join(framesDir, date), { recursive: true, force: true });
+                deleted++;
+            }
+
+            const names = await fs.promises.readdir(path.join(utils.timelapseDir, device)).catch(() => []);
+            for (const name of names) {
+                const match = TIMELAPSE_FILE.exec(name);
+                if (match && match[1] < cutoff && !(runningJob && runningJob.serialNumber === device && runningJob.date === match[1])) {
+                    await fs.promises.unlink(path.join(utils.timelapseDir, device, name));
+                    deleted++;
+                }
+            }
+        }
+    } catch (err) {
+        if (err.code !== 'ENOENT') utils.log(`❌ Timelapse retention failed: ${err.message}`, 'error');
+    }
+
+    if (deleted > 0) {
+        utils.log(`🧹 Timelapse retention deleted ${deleted} frame days and videos`, 'info');
+    }
+}
+
+/**
+ * Module Exports
+ * Exposes timelapse functions and getters
+ */
+module.exports = {
+    initTimelapse,
+    createJob,
+    getJobs,
+    listTimelapses,
+    getTimelapsePath,
+
+    get timelapseDevices() { return getTimelapseDevices(); },
+    get activeJobs() { return getJobs().filter(job => job.state === 'queued' || job.state === 'running'); },
+};
@@ -3,9 +3,18 @@
  * 
  * Handles real-time video transcoding from Eufy devices:
  * - H.264/H.265 to H.264 conversion via FFmpeg
+ * - Passthrough (remux without re-encoding) for compatible H.264 cameras
+ * - Additional lower resolution renditions for adaptive bitrate playback
+ * - Per-device transcoding profiles (encoder settings, rotation, crop, fps cap), hot-swapped per device
+ * - Per-device overlays: burned-in text and privacy masks
+ * - Independent transcode sessions per device serial number
+ * - Video-only or silent audio track for cameras without (or with late) audio
+ * - Supervised FFmpeg: restarts with backoff while the camera keeps sending, live encoder statistics
+ * - Encoder re-initialization on resolution, codec or livestream changes (clients get the new init segment)
  * - fMP4 container for HTTP streaming
  * - Init segment management for fragmented MP4
- * - Keyframe detection and snapshot extraction
+ * - Keyframe detection from fMP4 sample flags and snapshot extraction
+ * - GOP pre-buffer so new clients start playback at the latest keyframe
  * - Low-latency streaming optimization
  */
 
@@ -16,69 +25,392 @@ const path = require('path');
 const eventEmitter = require('events');
 
 const utils = require('./utils');
+const mp4 = require('./mp4');
+const boxParser = require('./box-parser');
+const h264 = require('./h264');
+const overlay = require('./overlay');
+const profiles = require('./profiles');
 
 // Environment configuration
 const LOGGINGLEVEL = process.env.LOGGINGLEVEL || '2';
 const FFMPEG_MINLOGLEVEL = process.env.FFMPEG_MINLOGLEVEL || 'warning';
 
+// Video chunks a passthrough session waits for an SPS before falling back to transcoding
+const SPS_WAIT_CHUNKS = 100;
+
+// Time (ms) a session buffers video waiting for the first audio chunk before starting without camera audio
+const AUDIO_WAIT = 2000;
+
+// Silent audio source for cameras without audio (MISSING_AUDIO = 'silence')
+const SILENCE_SOURCE = 'anullsrc=channel_layout=mono:sample_rate=16000';
+
+// Encoder restarts after an unexpected FFmpeg exit (delay doubles from RESTART_DELAY up to MAX_RESTART_DELAY)
+const RESTART_DELAY = 1000;
+const MAX_RESTART_DELAY = 30000;
+const MAX_RESTARTS = 5;                // Consecutive restarts before the session is given up
+const STABLE_RUNTIME = 60000;          // Encoder runtime (ms) after which the restart counter is reset
+const INPUT_TIMEOUT = 5000;            // The camera counts as sending while video arrived within this time (ms)
+
+// Minimum time (ms) between two 'stats' events of a session
+const STATS_EVENT_INTERVAL = 1000;
+
+// Upper limit of a GOP pre-buffer; longer GOPs are not buffered
+const MAX_GOP_BYTES = 8 * 1024 * 1024;
+
+// First file descriptor of the rendition outputs (after stdin, stdout, stderr and audio)
+const RENDITION_FD = 4;
+
+// Maximum video bitrates (kbit/s) of renditions, by minimum height
+const RENDITION_BITRATES = [
+    [2160, 12000],
+    [1440, 8000],
+    [1080, 4500],
+    [720, 2500],
+    [540, 1600],
+    [480, 1200],
+    [360, 800],
+    [0, 400]
+];
+
 const ev = new eventEmitter();
+ev.setMaxListeners(0);                 // Output modules, fMP4 clients and snapshot captures listen to fragment events
 
 // Transcoding state
 let CONFIG = utils.loadConfig();
-let ffmpegProcess = null;              // FFmpeg process instance
-let inputStream = null;                // Video input stream (H.264/H.265)
-let aacInputStream = null;             // Audio input stream (AAC)
-let outputStream = null;               // fMP4 output stream
-let isTranscoding = false;             // Transcoding active flag
-let videoMetadata = null;              // Video codec, resolution, FPS
-let audioMetadata = null;              // Audio codec info
-let currentDevice = 'unknown';         // Currently streaming device serial
-
-// fMP4 segment management
-let initSegment = null;                // fMP4 init segment (ftyp + moov)
-let isCapturingInit = true;            // Flag for init segment capture
-let lastKeyframeSegment = null;        // Latest keyframe segment (moof + mdat)
-
-// Snapshot management
-let lastSnapshotBuffer = null;         // In-memory snapshot buffer
-let segmentCounter = 0;                // Segment counter for keyframe detection
-let segmentSizes = [];                 // Track segment sizes for adaptive threshold
-let largestSegmentSize = 0;            // Largest segment size seen
+const sessions = new Map();            // Device serial number -> transcode session
 
 function initTranscode() {
     CONFIG = utils.loadConfig();
     utils.log('🎬 Transcode module initialized', 'info');
 }
 
+/**
+ * Get Fragment Duration
+ * @returns {number} Target duration of a moof/mdat fragment in seconds
+ */
+function getFragmentDuration() {
+    return CONFIG.FFMPEG_SHORT_KEYFRAMES ? 0.5 : 1;
+}
+
+/**
+ * Get Renditions
+ * Parses the additional rendition heights of VIDEO_RENDITIONS (e.g. "720,360")
+ * @returns {Array<Object>} Renditions with name, height and maximum bitrate (highest first)
+ */
+function getRenditions() {
+    return String(CONFIG.VIDEO_RENDITIONS || '').split(',')
+        .map(value => parseInt(value, 10))
+        .filter((height, index, heights) => height >= 144 && height <= 2160 && height % 2 === 0 && heights.indexOf(height) === index)
+        .sort((a, b) => b - a)
+        .map(height => ({
+            name: `${height}p`,
+            height: height,
+            bitrate: RENDITION_BITRATES.find(([minHeight]) => height >= minHeight)[1]
+        }));
+}
+
+/**
+ * Get Configured Mode
+ * Per-device setting (DEVICE_TRANSCODING_MODES) overrides the global TRANSCODING_MODE
+ * @param {string} serialNumber - Device serial number
+ * @returns {string} 'passthrough' or 'transcode'
+ */
+function getConfiguredMode(serialNumber) {
+    const deviceModes = CONFIG.DEVICE_TRANSCODING_MODES || {};
+    const mode = deviceModes[serialNumber] || CONFIG.TRANSCODING_MODE;
+    return mode === 'passthrough' ? 'passthrough' : 'transcode';
+}
+
+/**
+ * Get Device Profile
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object} Effective encoder settings of the device (TRANSCODING_PROFILES, DEVICE_PROFILES, global settings)
+ */
+function getDeviceProfile(serialNumber) {
+    return profiles.getDeviceProfile(CONFIG, serialNumber);
+}
+
+/**
+ * Get Device Overlay
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object|null} Overlay settings of the device (DEVICE_OVERLAYS), null if none or invalid
+ */
+function getDeviceOverlay(serialNumber) {
+    const settings = (CONFIG.DEVICE_OVERLAYS || {})[serialNumber];
+    if (!settings) return null;
+
+    const deviceOverlay = overlay.parseOverlay(settings);
+    if (!deviceOverlay) {
+        utils.log(`⚠️ Invalid overlay settings for ${serialNumber} ignored`, 'error');
+    }
+    return deviceOverlay;
+}
+
+/**
+ * Select Mode
+ * Decides whether a session can remux the camera video or has to re-encode it
+ * @param {Object} session - Session object
+ * @returns {Object} Chosen mode ('passthrough'/'transcode') and the reason
+ */
+function selectMode(session) {
+    if (getConfiguredMode(session.serialNumber) !== 'passthrough') {
+        return { mode: 'transcode', reason: 'configured' };
+    }
+    if (overlay.hasOverlay(session.overlay)) {
+        return { mode: 'transcode', reason: 'overlay' };
+    }
+    if (profiles.needsFilters(session.profile)) {
+        return { mode: 'transcode', reason: 'profile' };
+    }
+    if (session.videoMetadata.videoCodec !== 'H264') {
+        return { mode: 'transcode', reason: `${session.videoMetadata.videoCodec} input` };
+    }
+    if (session.passthroughFailed) {
+        return { mode: 'transcode', reason: 'passthrough failed' };
+    }
+    if (!session.sps) {
+        return { mode: 'transcode', reason: 'no SPS found' };
+    }
+
+    const incompatibility = h264.getIncompatibility(session.sps);
+    if (incompatibility) {
+        return { mode: 'transcode', reason: incompatibility };
+    }
+    return { mode: 'passthrough', reason: `H.264 profile ${session.sps.profileIdc} level ${session.sps.levelIdc}` };
+}
+
+/**
+ * Select Audio Source
+ * Decides where the audio track of a session comes from
+ * @param {Object} session - Session object
+ * @returns {string} 'camera' (audio data received), 'silence' (generated silent track) or 'none' (video only)
+ */
+function selectAudioSource(session) {
+    if (session.audioMetadata) return 'camera';
+    return CONFIG.MISSING_AUDIO === 'none' ? 'none' : 'silence';
+}
+
+/**
+ * Is Waiting For Audio
+ * Checks whether a session should hold back its start until the first audio chunk arrives.
+ * Not the case if audio was received, the livestream has no audio codec or AUDIO_WAIT has passed.
+ * @param {Object} session - Session object
+ * @returns {boolean} True while the start should be delayed
+ */
+function isWaitingForAudio(session) {
+    if (session.audioMetadata || session.videoMetadata.audioCodec === 'NONE') return false;
+    return Date.now() - session.firstVideoAt < AUDIO_WAIT;
+}
+
+/**
+ * Create Session
+ * Builds an empty transcode session for a single device.
+ * Every session owns its FFmpeg process, streams, init segment,
+ * snapshot state and set of connected clients.
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object} New session object
+ */
+function createSession(serialNumber) {
+    return {
+        serialNumber: serialNumber,    // Device serial number
+        clients: new Set(),            // Connected stream clients
+        ffmpegProcess: null,           // FFmpeg process instance
+        inputStream: null,             // Video input stream (H.264/H.265)
+        aacInputStream: null,          // Audio input stream (AAC)
+        renditions: [],                // Rendition outputs (init segment and GOP each)
+        isTranscoding: false,          // Transcoding active flag
+        videoMetadata: null,           // Video codec, resolution, FPS, announced audio codec
+        audioMetadata: null,           // Audio codec info (set once audio data was received)
+        audioSource: null,             // 'camera', 'silence' or 'none' (chosen at start)
+        firstVideoAt: 0,               // Arrival of the first video chunk (audio wait)
+        pendingVideo: [],              // Video chunks buffered while waiting for audio
+        lateAudioLogged: false,        // Audio arrived after a start without camera audio
+
+        // Transcoding mode
+        mode: null,                    // 'passthrough' or 'transcode' (chosen at start)
+        modeReason: null,              // Why the mode was chosen
+        sps: null,                     // Parsed SPS of the H.264 input
+        spsWaitChunks: 0,              // Video chunks received while waiting for an SPS
+        passthroughFailed: false,      // Passthrough FFmpeg failed, always transcode
+        profile: null,                 // Encoder settings of the device (chosen at start)
+        overlay: null,                 // Text and privacy masks of the device (chosen at start)
+
+        // fMP4 segment management
+        initSegment: null,             // fMP4 init segment (ftyp + moov)
+        isCapturingInit: true,         // Flag for init segment capture
+        pendingMoof: null,             // moof box waiting for its mdat
+        videoTrackId: null,            // Video track of the init segment (keyframe flags)
+        videoSampleFlags: null,        // Default sample flags of the video track (trex)
+        gop: [],                       // Fragments since the latest keyframe (GOP pre-buffer)
+        gopBytes: 0,                   // Size of the GOP pre-buffer
+
+        // Encoder supervision
+        startedAt: 0,                  // Start of the current FFmpeg process
+        lastVideoAt: 0,                // Arrival of the latest video chunk
+        restartCount: 0,               // Consecutive encoder restarts
+        restartAt: 0,                  // Earliest time of the next encoder start (backoff)
+        restartTimer: null,            // Gives up the session if the camera stops sending during a restart
+        lastStderr: null,              // Latest FFmpeg error output line
+        encoderStats: null,            // Latest FFmpeg -progress statistics
+        statsEmittedAt: 0,             // Time of the latest 'stats' event
+        resetReason: null,             // Why the encoder was re-initialized ('streamReset' with the next init segment)
+
+        // Snapshot management
+        lastSnapshotBuffer: null       // In-memory snapshot buffer (init segment + latest keyframe fragment)
+    };
+}
+
+/**
+ * Open Session
+ * Returns the session for a device, creating it if necessary
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object} Session object
+ */
+function openSession(serialNumber) {
+    let session = sessions.get(serialNumber);
+    if (!session) {
+        session = createSession(serialNumber);
+        sessions.set(serialNumber, session);
+        utils.log(`🎬 Transcode session opened for ${serialNumber} (${sessions.size} active)`, 'debug');
+    }
+    return session;
+}
+
+/**
+ * Get Session
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object|undefined} Session object or undefined if none is open
+ */
+function getSession(serialNumber) {
+    return sessions.get(serialNumber);
+}
+
+/**
+ * Get Output
+ * Returns the fMP4 output of a device: the session itself for the main
+ * stream, or a rendition output (both provide initSegment and gop)
+ * @param {string} serialNumber - Device serial number
+ * @param {string|null} [rendition] - Rendition name (e.g. '720p'), omit for the main stream
+ * @returns {Object|undefined} Session or rendition output, undefined if not available
+ */
+function getOutput(serialNumber, rendition) {
+    const session = sessions.get(serialNumber);
+    if (!session || !rendition) return session;
+    return session.renditions.find(output => output.name === rendition);
+}
+
+/**
+ * Add Client
+ * Registers a stream client with the session of its device
+ * @param {string} serialNumber - Device serial number
+ * @param {Object} client - Client object (may provide a close() function)
+ */
+function addClient(serialNumber, client) {
+    openSession(serialNumber).clients.add(client);
+}
+
+/**
+ * Remove Client
+ * Unregisters a stream client from the session of its device
+ * @param {string} serialNumber - Device serial number
+ * @param {Object} client - Client object to remove
+ */
+function removeClient(serialNumber, client) {
+    const session = sessions.get(serialNumber);
+    if (session) session.clients.delete(client);
+}
+
+/**
+ * Get Client Count
+ * @param {string} [serialNumber] - Device serial number, omit for all devices
+ * @returns {number} Number of connected clients
+ */
+function getClientCount(serialNumber) {
+    if (serialNumber) {
+        const session = sessions.get(serialNumber);
+        return session ? session.clients.size : 0;
+    }
+
+    let count = 0;
+    sessions.forEach(session => count += session.clients.size);
+    return count;
+}
+
 /**
  * Handle Video Data
  * Receives H.264/H.265 video data from Eufy device and forwards to FFmpeg
  * Stores metadata on first frame and starts transcoding if needed
+ * @param {string} serialNumber - Device serial number
  * @param {Buffer} buffer - Video data buffer
  * @param {Object} metadata - Video metadata (codec, resolution, FPS)
  */
-function handleVideoData(buffer, metadata) {
-    utils.log(`📹 Video chunk received - Size: ${buffer.length} bytes`, 'trace');
+function handleVideoData(serialNumber, buffer, metadata) {
+    utils.log(`📹 Video chunk received for ${serialNumber} - Size: ${buffer.length} bytes`, 'trace');
+
+    // Ignore data for devices nobody is watching
+    const session = sessions.get(serialNumber);
+    if (!session) {
+        utils.log(`⏭️ No transcode session for ${serialNumber}, dropping video chunk`, 'trace');
+        return;
+    }
+    session.lastVideoAt = Date.now();
 
     // Store metadata on first frame received
-    if (!videoMetadata && metadata) {
-        videoMetadata = metadata;
-        utils.log(`📹 Video: ${metadata.videoCodec} ${metadata.videoWidth}x${metadata.videoHeight} @ ${metadata.videoFPS}fps`, 'info');
-    } else if (metadata && (videoMetadata.videoWidth !== metadata.videoWidth || videoMetadata.videoHeight !== metadata.videoHeight)) {
-        // Resolution changed mid-stream!
-        utils.log(`🔄 Video resolution changed: ${videoMetadata.videoWidth}x${videoMetadata.videoHeight} => ${metadata.videoWidth}x${metadata.videoHeight}`, 'warn');
-        videoMetadata = metadata;
+    if (!session.videoMetadata && metadata) {
+        session.videoMetadata = metadata;
+        session.firstVideoAt = Date.now();
+        utils.log(`📹 Video ${serialNumber}: ${metadata.videoCodec} ${metadata.videoWidth}x${metadata.videoHeight} @ ${metadata.videoFPS}fps (audio: ${metadata.audioCodec || 'unknown'})`, 'info');
+    } else if (metadata && (session.videoMetadata.videoCodec !== metadata.videoCodec ||
+        session.videoMetadata.videoWidth !== metadata.videoWidth || session.videoMetadata.videoHeight !== metadata.videoHeight)) {
+        // Codec or resolution changed mid-stream: the running ffmpeg can not follow
+        const previous = session.videoMetadata;
+        utils.log(`🔄 Video changed for ${serialNumber}: ${previous.videoCodec} ${previous.videoWidth}x${previous.videoHeight} => ${metadata.videoCodec} ${metadata.videoWidth}x${metadata.videoHeight}`, 'warn');
+        session.videoMetadata = metadata;
+        if (session.isTranscoding) {
+            reinitEncoder(session, `video changed to ${metadata.videoCodec} ${metadata.videoWidth}x${metadata.videoHeight}`);
+        }
     }
 
-    // Initialize transcoding on first video data
-    if (!isTranscoding) {
-        startTranscoding();
+    // In-band resolution change of H.264 (the announced metadata stays the same within a livestream)
+    if (session.isTranscoding && session.sps && session.videoMetadata.videoCodec === 'H264') {
+        const sps = h264.findSps(buffer);
+        if (sps && (sps.width !== session.sps.width || sps.height !== session.sps.height)) {
+            utils.log(`🔄 Video resolution changed for ${serialNumber}: ${session.sps.width}x${session.sps.height} => ${sps.width}x${sps.height}`, 'warn');
+            reinitEncoder(session, `resolution changed to ${sps.width}x${sps.height}`);
+            session.sps = sps;         // This chunk starts the new encoder
+        }
+    }
+
+    // Initialize transcoding on first video data (after the backoff of an encoder restart)
+    if (!session.isTranscoding) {
+        if (Date.now() < session.restartAt) return;
+
+        if (session.videoMetadata.videoCodec === 'H264' && !session.sps) {
+            session.sps = h264.findSps(buffer);
+        }
+
+        // Passthrough output has to start with a keyframe (SPS/PPS + IDR)
+        const waitForSps = getConfiguredMode(serialNumber) === 'passthrough' && session.videoMetadata.videoCodec === 'H264' &&
+            !session.sps && !session.passthroughFailed && ++session.spsWaitChunks < SPS_WAIT_CHUNKS;
+        if (waitForSps) {
+            utils.log(`⏳ Waiting for SPS of ${serialNumber} before passthrough...`, 'trace');
+            return;
+        }
+
+        // Keep the video until the audio layout is known, ffmpeg would stall on a silent audio pipe
+        if (isWaitingForAudio(session)) {
+            utils.log(`⏳ Waiting for audio of ${serialNumber}...`, 'trace');
+            session.pendingVideo.push(buffer);
+            return;
+        }
+
+        startTranscoding(serialNumber);
     }
 
     // Forward H.264/H.265 data to FFmpeg input stream
-    if (inputStream && buffer) {
+    if (session.inputStream && buffer) {
         try {
-            inputStream.write(buffer);
+            session.inputStream.write(buffer);
         } catch (e) {
             utils.log(`Video stream write error: ${e}`, 'error');
         }
@@ -88,28 +420,48 @@ function handleVideoData(buffer, metadata) {
 /**
  * Handle Audio Data
  * Receives AAC audio data from Eufy device and forwards to FFmpeg
- * Stores metadata on first audio frame and starts transcoding if needed
+ * Stores metadata on first audio frame; transcoding is started by the video data.
+ * Audio of a session started without camera audio is dropped until the stream restarts.
+ * @param {string} serialNumber - Device serial number
  * @param {Buffer} buffer - Audio data buffer
  * @param {Object} metadata - Audio metadata (codec)
  */
-function handleAudioData(buffer, metadata) {
-    utils.log(`🎵 Audio chunk received - Size: ${buffer.length} bytes`, 'trace');
+function handleAudioData(serialNumber, buffer, metadata) {
+    utils.log(`🎵 Audio chunk received for ${serialNumber} - Size: ${buffer.length} bytes`, 'trace');
+
+    // Ignore data for devices nobody is watching
+    const session = sessions.get(serialNumber);
+    if (!session) {
+        utils.log(`⏭️ No transcode session for ${serialNumber}, dropping audio chunk`, 'trace');
+        return;
+    }
 
     // Store metadata on first audio frame received
-    if (!audioMetadata && metadata) {
-        audioMetadata = metadata;
-        utils.log(`🔊 Audio: ${metadata.audioCodec}`, 'info');
+    if (!session.audioMetadata && metadata) {
+        session.audioMetadata = metadata;
+        utils.log(`🔊 Audio ${serialNumber}: ${metadata.audioCodec}`, 'info');
     }
 
-    // Initialize transcoding on first audio data
-    if (!isTranscoding) {
-        startTranscoding();
+    // Late audio replacing the silent track: restart the encoder with the camera audio input
+    // (same video + AAC layout, the next video chunk starts it)
+    if (session.isTranscoding && session.audioSource === 'silence' && session.audioMetadata) {
+        reinitEncoder(session, 'camera audio arrived');
+        return;
+    }
+
+    // Late audio on a video-only stream: the running ffmpeg has no audio input to add it to
+    if (session.isTranscoding && session.audioSource !== 'camera') {
+        if (!session.lateAudioLogged) {
+            session.lateAudioLogged = true;
+            utils.log(`🔇 Audio for ${serialNumber} arrived after the stream started (${session.audioSource} audio kept until the stream restarts)`, 'info');
+        }
+        return;
     }
 
     // Forward AAC data to FFmpeg audio input stream
-    if (aacInputStream && buffer) {
+    if (session.aacInputStream && buffer) {
         try {
-            aacInputStream.write(buffer);
+            session.aacInputStream.write(buffer);
         } catch (e) {
             utils.log(`Audio stream write error: ${e}`, 'error');
         }
@@ -120,32 +472,60 @@ function handleAudioData(buffer, metadata) {
  * Start Transcoding
  * Initializes FFmpeg process with optimized settings for low-latency streaming
  * Sets up input/output streams and MP4 box parsing for fMP4 segments
+ * @param {string} serialNumber - Device serial number
  */
-function startTranscoding() {
+function startTranscoding(serialNumber) {
+    const session = sessions.get(serialNumber);
+    if (!session) return;
+
     // Prevent duplicate transcoding processes
-    if (isTranscoding) return;
+    if (session.isTranscoding) return;
 
     // Require video metadata before starting
+    const videoMetadata = session.videoMetadata;
     if (!videoMetadata || !videoMetadata.videoCodec) {
-        utils.log('❌ Cannot start transcoding - missing video metadata', 'warn');
+        utils.log(`❌ Cannot start transcoding for ${serialNumber} - missing video metadata`, 'warn');
         return;
     }
 
-    utils.log('🎬 Starting ffmpeg transcoding...', 'debug');
-    isTranscoding = true;
+    session.profile = getDeviceProfile(serialNumber);
+    session.overlay = getDeviceOverlay(serialNumber);
+    const { mode, reason } = selectMode(session);
+    session.mode = mode;
+    session.modeReason = reason;
+    const passthrough = mode === 'passthrough';
+    const videoFilters = passthrough ? [] : [
+        ...profiles.getProfileFilters(session.profile),
+        ...overlay.getOverlayFilters(session.overlay, videoMetadata.deviceName || serialNumber)
+    ];
+    const audioSource = selectAudioSource(session);
+    session.audioSource = audioSource;
+    session.lateAudioLogged = false;
+
+    utils.log(`🎬 Starting ffmpeg ${passthrough ? 'passthrough' : 'transcoding'} for ${serialNumber} (${reason}, audio: ${audioSource}, profile: ${session.profile.name || 'default'})...`, 'info');
+    session.isTranscoding = true;
 
     // Reset segment tracking for new transcoding session
-    initSegment = null;
-    isCapturingInit = true;
-    lastKeyframeSegment = null;
-    segmentCounter = 0;
-    segmentSizes = [];
-    largestSegmentSize = 0;
-
-    // Create pass-through streams for FFmpeg
-    inputStream = new PassThrough();        // Video input
-    aacInputStream = new PassThrough();     // Audio input
-    outputStream = new PassThrough();       // fMP4 output
+    session.initSegment = null;
+    session.isCapturingInit = true;
+    session.pendingMoof = null;
+    clearGop(session);
+
+    // Create pass-through streams for FFmpeg input
+    session.inputStream = new PassThrough();        // Video input
+    session.aacInputStream = new PassThrough();     // Audio input
+    session.renditions = getRenditions().map(rendition => ({
+        ...rendition,
+        initSegment: null,
+        isCapturingInit: true,
+        pendingMoof: null,
+        videoTrackId: null,
+        videoSampleFlags: null,
+        gop: [],
+        gopBytes: 0
+    }));
+    const hasRenditions = session.renditions.length > 0;
+    const progressFd = RENDITION_FD + session.renditions.length;
 
     /**
      * FFmpeg Arguments
@@ -155,149 +535,145 @@ function startTranscoding() {
         // Logging level (conditional debug output)
         ...(LOGGINGLEVEL > 2 ? ['-loglevel', 'debug', '-report'] : ['-loglevel', FFMPEG_MINLOGLEVEL]),
 
+        // Encoder statistics as key=value blocks on their own file descriptor
+        '-nostats',
+        '-progress', `pipe:${progressFd}`,
+
         // Video input configuration (pipe:0 = stdin)
         '-f', (videoMetadata.videoCodec === 'H264' ? 'h264' : 'hevc'),  // Input format
         '-flags', '+bsf_extract',          // Extract bitstream
-        '-fflags', 'nobuffer+discardcorrupt',  // Low latency flags
+        '-fflags', passthrough ? 'nobuffer+discardcorrupt+genpts' : 'nobuffer+discardcorrupt',  // Low latency flags (copied video needs generated timestamps)
+        ...(passthrough ? ['-framerate', String(videoMetadata.videoFPS || 15)] : []),  // Raw H.264 carries no timestamps
         '-flags', 'low_delay',             // Minimize buffering
         '-probesize', '32',                // Minimal probing for faster startup
         '-analyzeduration', '0',           // No analysis delay
         '-i', 'pipe:0',                    // Read from stdin
         '-thread_queue_size', '512',       // Input thread queue size
 
-        // Audio input configuration (pipe:3 = file descriptor 3)
-        '-f', 'aac',                       // AAC audio format
-        '-fflags', 'nobuffer',             // Low latency
-        '-i', 'pipe:3',                    // Read from fd 3
-        '-thread_queue_size', '512',       // Input thread queue size
+        // Audio input configuration: camera AAC (pipe:3 = file descriptor 3), generated silence or none
+        ...getAudioInputArgs(audioSource),
 
-        // Map both inputs to output
-        '-map', '0:v',                     // Video from first input
-        '-map', '1:a',                     // Audio from second input
+        // Decode once, split into main video and renditions
+        ...(hasRenditions ? ['-filter_complex', getFilterGraph(session.renditions, passthrough, videoFilters, session.profile.scale)] : []),
 
-        // Video encoding settings - optimized for low-latency streaming
-        '-c:v', 'libx264',                 // H.264 encoder
-        ...(CONFIG.VIDEO_SCALE ? ['-vf', `scale=${CONFIG.VIDEO_SCALE}`] : []),  // Optional scaling
-        '-preset', CONFIG.TRANSCODING_PRESET,  // Encoding speed preset
-        '-tune', 'zerolatency',            // Zero-latency tuning
-        '-crf', CONFIG.TRANSCODING_CRF,    // Constant Rate Factor (quality)
-        '-profile:v', 'main',              // H.264 profile
-        '-level', '3.1',                   // H.264 level
-        '-g', CONFIG.FFMPEG_SHORT_KEYFRAMES ? '15' : '30',  // GOP size (keyframe interval)
-        '-keyint_min', CONFIG.FFMPEG_SHORT_KEYFRAMES ? '15' : '30',
-        '-sc_threshold', '0',              // Disable scene change detection
-        '-pix_fmt', 'yuv420p',             // Pixel format for compatibility
-        '-x264-params', 'nal-hrd=cbr:force-cfr=1',  // CBR for consistent bitrate
-
-        // Audio encoding settings
-        '-c:a', 'aac',                     // AAC audio codec
-        '-ac', '1',                        // Mono audio
-
-        // fMP4 container configuration for live streaming
-        '-f', 'mp4',                       // MP4 container
-        '-movflags', 'frag_keyframe+empty_moov+default_base_moof+faststart',  // Fragmented MP4
-        '-frag_duration', CONFIG.FFMPEG_SHORT_KEYFRAMES ? '500000' : '1000000',  // Fragment duration
-        '-min_frag_duration', CONFIG.FFMPEG_SHORT_KEYFRAMES ? '500000' : '1000000',
-        '-muxdelay', '0',                  // No mux delay
-        '-muxpreload', '0',                // No preload
-
-        '-threads', CONFIG.FFMPEG_THREADS, // Encoding threads
-
-        'pipe:1'                           // Output to stdout
+        // Map both inputs to output
+        '-map', hasRenditions && !passthrough ? '[main]' : '0:v',  // Video from first input
+        ...(audioSource !== 'none' ? ['-map', '1:a'] : []),  // Audio from second input
+
+        // Video settings - copied in passthrough mode, otherwise optimized for low-latency streaming
+        ...(passthrough ? ['-c:v', 'copy'] : getEncoderArgs(session.profile, hasRenditions ? null : getVideoFilter(videoFilters, session.profile.scale))),
+
+        ...getOutputArgs(),
+        'pipe:1',                          // Output to stdout
+
+        // Renditions: one more fMP4 output per file descriptor
+        ...session.renditions.flatMap((rendition, index) => [
+            '-map', `[r${index}]`,
+            ...(audioSource !== 'none' ? ['-map', '1:a'] : []),
+            ...getEncoderArgs(session.profile, null, rendition.bitrate),
+            ...getOutputArgs(),
+            `pipe:${RENDITION_FD + index}`
+        ])
     ];
 
-    // Spawn FFmpeg process with 4 file descriptors
-    // stdio[0] = stdin (video), stdio[1] = stdout (output), stdio[2] = stderr, stdio[3] = audio
-    ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
-        stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+    // Spawn FFmpeg process with 4 file descriptors plus one per rendition and the progress output
+    // stdio[0] = stdin (video), stdio[1] = stdout (output), stdio[2] = stderr, stdio[3] = audio, stdio[4+] = renditions, last = progress
+    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
+        stdio: ['pipe', 'pipe', 'pipe', 'pipe', ...session.renditions.map(() => 'pipe'), 'pipe']
     });
+    session.ffmpegProcess = ffmpegProcess;
+    session.startedAt = Date.now();
+    session.lastStderr = null;
+    session.encoderStats = null;
 
     // Connect video stream to stdin (pipe:0)
-    inputStream.pipe(ffmpegProcess.stdio[0]);
+    session.inputStream.pipe(ffmpegProcess.stdio[0]);
 
     // Connect audio stream to file descriptor 3 (pipe:3)
-    aacInputStream.pipe(ffmpegProcess.stdio[3]);
+    session.aacInputStream.pipe(ffmpegProcess.stdio[3]);
+
+    // Video received while waiting for audio
+    session.pendingVideo.forEach(chunk => session.inputStream.write(chunk));
+    session.pendingVideo = [];
 
     /**
      * MP4 Box Parsing
      * Parse stdout to extract fMP4 boxes (ftyp, moov, moof, mdat)
      * Handles init segment capture and keyframe detection
      */
-    let chunkBuffer = Buffer.alloc(0);
-
-    ffmpegProcess.stdout.on('data', (chunk) => {
-        utils.log(`📦 ffmpeg output chunk received - Size: ${chunk.length} bytes`, 'trace');
-
-        // Accumulate incoming data
-        chunkBuffer = Buffer.concat([chunkBuffer, chunk]);
-
-        // Process all complete MP4 boxes in buffer
-        while (chunkBuffer.length >= 8) {  // Minimum box header size
-            const boxSize = chunkBuffer.readUInt32BE(0);     // Read box size (4 bytes)
-            const boxType = chunkBuffer.slice(4, 8).toString('ascii');  // Read box type (4 bytes)
+    readBoxStream(ffmpegProcess.stdout, serialNumber, (boxType, box) => {
+        // Output still buffered from a replaced encoder
+        if (session.ffmpegProcess !== ffmpegProcess) return;
 
-            // Wait for more data if box is incomplete
-            if (chunkBuffer.length < boxSize) {
-                break;
+        /**
+         * Init Segment Capture
+         * Capture ftyp and moov boxes to build init segment
+         * Init segment is required before streaming any media data
+         */
+        if (session.isCapturingInit) {
+            if (boxType === 'ftyp') {
+                session.initSegment = box; // Start with ftyp
+                utils.log(`📦 Captured ftyp box: ${box.length} bytes`, 'debug');
+            } else if (boxType === 'moov' && session.initSegment) {
+                session.initSegment = Buffer.concat([session.initSegment, box]); // Add moov
+                session.isCapturingInit = false;
+                setVideoTrack(session, session.initSegment);
+                utils.log(`✅ Init segment complete for ${serialNumber}: ${session.initSegment.length} bytes (ftyp + moov)`, 'info');
+                ev.emit('initSegment', serialNumber, session.initSegment);
+
+                // Send to all HTTP clients waiting for init
+                sendInitSegment(session, null, session.initSegment);
+
+                // Players reset their SourceBuffer for the init segment of a re-initialized encoder
+                if (session.resetReason) {
+                    const reason = session.resetReason;
+                    session.resetReason = null;
+                    ev.emit('streamReset', serialNumber, reason);
+                }
             }
-
-            // Extract complete box and update buffer
-            const box = chunkBuffer.slice(0, boxSize);
-            chunkBuffer = chunkBuffer.slice(boxSize);
-
+        } else {
             /**
-             * Init Segment Capture
-             * Capture ftyp and moov boxes to build init segment
-             * Init segment is required before streaming any media data
+             * Media Segment Processing
+             * After init segment: publish complete fragments (moof + mdat) for live playback
+             * and segmenting, detect keyframes for the GOP pre-buffer and snapshots
              */
-            if (isCapturingInit) {
-                if (boxType === 'ftyp') {
-                    initSegment = box; // Start with ftyp
-                    utils.log(`📦 Captured ftyp box: ${boxSize} bytes`, 'debug');
-                } else if (boxType === 'moov' && initSegment) {
-                    initSegment = Buffer.concat([initSegment, box]); // Add moov
-                    isCapturingInit = false;
-                    utils.log(`✅ Init segment complete: ${initSegment.length} bytes (ftyp + moov)`, 'info');
-
-                    // Send to all clients waiting for init
-                    utils.getActiveStreamClients().forEach(client => {
-                        if (client.active && !client.hasReceivedInit && !client.response.writableEnded) {
-                            try {
-                                client.response.write(initSegment);
-                                client.hasReceivedInit = true;
-                                utils.log(`📤 Sent init to client`, 'debug');
-                            } catch (e) {
-                                utils.log(`Init segment send error: ${e}`, 'error');
-                                client.active = false;
-                            }
-                        }
-                    });
+            if (boxType === 'moof') {
+                session.pendingMoof = box;
+            } else if (boxType === 'mdat' && session.pendingMoof) {
+                const fragment = Buffer.concat([session.pendingMoof, box]);
+                session.pendingMoof = null;
+
+                const keyframe = isKeyframe(session, fragment);
+                trackGop(session, fragment, keyframe);
+                if (keyframe) {
+                    // Keyframe fragment with init segment is a complete playable snapshot
+                    session.lastSnapshotBuffer = Buffer.concat([session.initSegment, fragment]);
                 }
-            } else {
-                /**
-                 * Media Segment Processing
-                 * After init segment: process moof/mdat boxes for keyframe detection
-                 * Forward all boxes to output stream for live playback
-                 */
-
-                // Capture keyframe segments for snapshot generation
-                captureSnapshot(boxType, box);
-
-                // Forward media data to all active streaming clients
-                outputStream.write(box);
+                ev.emit('fragment', serialNumber, fragment, keyframe);
             }
         }
+    }, () => failEncoder(session, ffmpegProcess));
+
+    // Rendition outputs carry the same boxes without snapshot detection
+    session.renditions.forEach((output, index) => {
+        readBoxStream(ffmpegProcess.stdio[RENDITION_FD + index], `${serialNumber}/${output.name}`, (boxType, box) => {
+            if (session.ffmpegProcess !== ffmpegProcess) return;
+            handleRenditionBox(session, output, boxType, box);
+        }, () => failEncoder(session, ffmpegProcess));
     });
 
+    // Encoder statistics (-progress output)
+    readEncoderStats(session, ffmpegProcess.stdio[progressFd]);
+
     /**
      * FFmpeg Error Output Handler
-     * Logs FFmpeg stderr for debugging
+     * Logs FFmpeg warnings and errors, the latest line is reported when FFmpeg exits
      */
     ffmpegProcess.stderr.on('data', (data) => {
-        const line = data.toString();
-        if (line.includes('frame=') || line.includes('speed=')) {
-            utils.log(`ffmpeg: ${line.trim()}`, 'debug');
-        }
+        data.toString().split(/\r?\n/).map(line => line.trim()).filter(line => line).forEach(line => {
+            session.lastStderr = line;
+            utils.log(`ffmpeg ${serialNumber}: ${line}`, 'debug');
+        });
     });
 
     /**
@@ -305,9 +681,11 @@ function startTranscoding() {
      * Logs errors and stops transcoding on failure
      */
     ffmpegProcess.on('error', (err) => {
-        utils.log(`❌ ffmpeg error: ${err}`, 'error');
-        currentDevice = 'unknown';
-        stopTranscoding();
+        utils.log(`❌ ffmpeg error for ${serialNumber}: ${err}`, 'error');
+        session.lastSnapshotBuffer = null;
+        if (session.ffmpegProcess === ffmpegProcess) {
+            stopTranscoding(serialNumber);
+        }
     });
 
     /**
@@ -315,134 +693,629 @@ function startTranscoding() {
      * Saves final snapshot to disk when stream ends
      * Cleans up transcoding state
      */
-    ffmpegProcess.on('close', (code) => {
-        utils.log(`ℹ️ ffmpeg exited with code ${code}`, 'info');
+    ffmpegProcess.on('close', (code, signal) => {
+        utils.log(`ℹ️ ffmpeg for ${serialNumber} exited with ${signal ? `signal ${signal}` : `code ${code}`}`, 'info');
 
         // Save final snapshot before cleanup
-        if (lastSnapshotBuffer && currentDevice && currentDevice !== 'unknown') {
-            saveSnapshotToDisk();
+        if (session.lastSnapshotBuffer) {
+            saveSnapshotToDisk(serialNumber, session.lastSnapshotBuffer);
+        }
+
+        // Reset state (only if this process still belongs to the session)
+        session.lastSnapshotBuffer = null;
+        if (session.ffmpegProcess !== ffmpegProcess) return;
+
+        // Passthrough failed before any output: retry with re-encoding on the next video chunk
+        if (session.mode === 'passthrough' && code !== 0 && !session.initSegment) {
+            utils.log(`⚠️ Passthrough failed for ${serialNumber}, falling back to transcoding`, 'warn');
+            session.passthroughFailed = true;
+            stopEncoder(session);
+            return;
         }
 
-        // Reset state
-        currentDevice = 'unknown';
-        lastSnapshotBuffer = null;
-        stopTranscoding();
+        // Unexpected exit: restart while the camera keeps sending, otherwise drop the viewers
+        const reason = signal ? `signal ${signal}` : `code ${code}${session.lastStderr ? `: ${session.lastStderr}` : ''}`;
+        if (!restartEncoder(session, reason)) {
+            stopTranscoding(serialNumber);
+        }
     });
 
-    utils.log('✅ ffmpeg ready', 'info');
+    utils.log(`✅ ffmpeg ready for ${serialNumber}`, 'info');
 }
 
 /**
- * Stop Transcoding
- * Gracefully stops FFmpeg process and cleans up all resources
- * Closes active client connections and resets state
+ * Restart Encoder
+ * Supervises an unexpectedly exited FFmpeg process: stops the encoder and lets the next
+ * video chunk after the backoff delay start a new one. Clients stay connected and receive
+ * the new init segment. Gives up after MAX_RESTARTS consecutive restarts or if the camera
+ * stopped sending.
+ * @param {Object} session - Session object
+ * @param {string} reason - Exit reason for logging
+ * @returns {boolean} True if a restart is scheduled
+ */
+function restartEncoder(session, reason) {
+    const serialNumber = session.serialNumber;
+    const now = Date.now();
+
+    if (now - session.startedAt >= STABLE_RUNTIME) {
+        session.restartCount = 0;
+    }
+    if (now - session.lastVideoAt > INPUT_TIMEOUT) {
+        utils.log(`❌ ffmpeg for ${serialNumber} stopped (${reason}) and the camera stopped sending`, 'error');
+        return false;
+    }
+    if (session.restartCount >= MAX_RESTARTS) {
+        utils.log(`❌ ffmpeg for ${serialNumber} stopped (${reason}), giving up after ${MAX_RESTARTS} restarts`, 'error');
+        return false;
+    }
+
+    const delay = Math.min(RESTART_DELAY * 2 ** session.restartCount, MAX_RESTART_DELAY);
+    session.restartCount++;
+    utils.log(`🔁 ffmpeg for ${serialNumber} stopped (${reason}), restarting in ${delay / 1000}s (attempt ${session.restartCount}/${MAX_RESTARTS})`, 'warn');
+
+    resetEncoder(session);
+    session.restartAt = now + delay;
+
+    // Give up if no video arrives to start the new encoder
+    clearTimeout(session.restartTimer);
+    session.restartTimer = setTimeout(() => {
+        session.restartTimer = null;
+        if (sessions.get(serialNumber) === session && !session.isTranscoding) {
+            utils.log(`❌ No video from ${serialNumber} to restart ffmpeg`, 'error');
+            stopTranscoding(serialNumber);
+        }
+    }, delay + INPUT_TIMEOUT);
+
+    return true;
+}
+
+/**
+ * Fail Encoder
+ * Ends an FFmpeg process producing invalid output (its output can not be resynchronized)
+ * and restarts it like an unexpected exit, or drops the viewers if that is not possible
+ * @param {Object} session - Session object
+ * @param {ChildProcess} ffmpegProcess - Failed FFmpeg process
+ */
+function failEncoder(session, ffmpegProcess) {
+    if (session.ffmpegProcess !== ffmpegProcess) return;
+
+    if (!restartEncoder(session, 'invalid fMP4 output')) {
+        stopTranscoding(session.serialNumber);
+    }
+}
+
+/**
+ * Reinit Encoder
+ * Replaces the FFmpeg process of a running session after the input changed (resolution,
+ * codec or a restarted livestream): the next video chunk starts a new encoder right away.
+ * Clients stay connected, receive the new init segment and a 'streamReset' event is
+ * emitted with it so players can reset their SourceBuffer.
+ * @param {Object} session - Session object
+ * @param {string} reason - Reason of the change
+ */
+function reinitEncoder(session, reason) {
+    utils.log(`🔄 Re-initializing ffmpeg for ${session.serialNumber} (${reason})`, 'info');
+
+    resetEncoder(session);
+    clearTimeout(session.restartTimer);
+    session.restartTimer = null;
+    session.restartAt = 0;
+    session.restartCount = 0;
+    session.resetReason = reason;
+}
+
+/**
+ * Reset Encoder
+ * Stops the encoder for a restart with the same clients and outputs
+ * @param {Object} session - Session object
+ */
+function resetEncoder(session) {
+    stopEncoder(session);
+    session.sps = null;                // Passthrough waits for the next SPS again
+    session.spsWaitChunks = 0;
+
+    // FMP4 clients get the init segment of the new encoder before its data
+    session.clients.forEach(client => {
+        if (client.queue) client.hasReceivedInit = false;
+    });
+}
+
+/**
+ * Read Encoder Stats
+ * Parses the -progress output of FFmpeg (key=value lines, one block per report)
+ * and emits a throttled 'stats' event
+ * @param {Object} session - Session object
+ * @param {Readable} readable - FFmpeg progress output
  */
-function stopTranscoding() {
-    if (!isTranscoding) return;
+function readEncoderStats(session, readable) {
+    let pending = '';
+    let values = {};
+
+    readable.on('data', (data) => {
+        const lines = (pending + data.toString()).split('\n');
+        pending = lines.pop();
+
+        lines.forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator < 0) return;
+            const key = line.slice(0, separator).trim();
+            values[key] = line.slice(separator + 1).trim();
+
+            // "progress" ends a block
+            if (key !== 'progress') return;
+            session.encoderStats = parseEncoderStats(values);
+            values = {};
+
+            const now = Date.now();
+            if (now - session.statsEmittedAt >= STATS_EVENT_INTERVAL) {
+                session.statsEmittedAt = now;
+                ev.emit('stats', session.serialNumber, session.encoderStats);
+            }
+        });
+    });
+}
+
+/**
+ * Parse Encoder Stats
+ * @param {Object} values - Key/value pairs of one -progress block
+ * @returns {Object} Frames, fps, bitrate (kbit/s), speed, dropped/duplicated frames, output time (s), size and update time
+ */
+function parseEncoderStats(values) {
+    const number = (value) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    return {
+        frame: number(values.frame),
+        fps: number(values.fps),
+        bitrate: number(values.bitrate),               // "1234.5kbits/s" or "N/A"
+        speed: number(values.speed),                   // "1.01x" or "N/A"
+        droppedFrames: number(values.drop_frames) || 0,
+        duplicatedFrames: number(values.dup_frames) || 0,
+        outputTime: values.out_time_us ? Math.max(number(values.out_time_us) || 0, 0) / 1000000 : null,
+        totalSize: number(values.total_size),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Read Box Stream
+ * Splits an FFmpeg fMP4 output into complete MP4 boxes. After invalid output the rest
+ * of the stream is discarded (an unread pipe would block FFmpeg) and onError is called.
+ * @param {Readable} readable - FFmpeg output (stdout or rendition pipe)
+ * @param {string} label - Output name for logging
+ * @param {Function} onBox - Called with box type and box data for every complete box
+ * @param {Function} onError - Called with the parser error on invalid output
+ */
+function readBoxStream(readable, label, onBox, onError) {
+    const parser = boxParser.createBoxParser();
 
-    utils.log('ℹ️ Stopping transcoding...', 'debug');
+    parser.on('data', (box) => {
+        utils.log(`📦 ffmpeg output box received for ${label} - Type: ${box.type}, Size: ${box.size} bytes`, 'trace');
+        onBox(box.type, box.data);
+    });
+    parser.on('error', (err) => {
+        utils.log(`⚠️ Invalid fMP4 output of ffmpeg for ${label}: ${err.message}`, 'warn');
+        readable.unpipe(parser);
+        readable.resume();
+        onError(err);
+    });
+
+    readable.pipe(parser);
+}
 
-    // Close all active HTTP streaming clients
-    utils.getActiveStreamClients().forEach(client => {
-        if (client.active && !client.response.writableEnded) {
+/**
+ * Send Init Segment
+ * Queues a new init segment for the HTTP clients still waiting for it
+ * @param {Object} session - Session object
+ * @param {string|null} rendition - Rendition name, null for the main stream
+ * @param {Buffer} initSegment - fMP4 init segment
+ */
+function sendInitSegment(session, rendition, initSegment) {
+    session.clients.forEach(client => {
+        if ((client.rendition || null) !== rendition) return;
+        if (client.queue && client.active && !client.hasReceivedInit && !client.response.writableEnded) {
             try {
-                client.response.end();
+                client.queue.send(initSegment);
+                client.hasReceivedInit = true;
+                utils.log(`📤 Sent init to client`, 'debug');
             } catch (e) {
-                // Ignore errors during cleanup
+                utils.log(`Init segment send error: ${e}`, 'error');
+                client.active = false;
             }
         }
     });
-    utils.clearActiveStreamClients();
+}
+
+/**
+ * Handle Rendition Box
+ * Captures the init segment of a rendition output and publishes its fragments
+ * @param {Object} session - Session object
+ * @param {Object} output - Rendition output
+ * @param {string} boxType - MP4 box type
+ * @param {Buffer} box - MP4 box data
+ */
+function handleRenditionBox(session, output, boxType, box) {
+    if (output.isCapturingInit) {
+        if (boxType === 'ftyp') {
+            output.initSegment = box;
+        } else if (boxType === 'moov' && output.initSegment) {
+            output.initSegment = Buffer.concat([output.initSegment, box]);
+            output.isCapturingInit = false;
+            setVideoTrack(output, output.initSegment);
+            utils.log(`✅ Init segment complete for ${session.serialNumber}/${output.name}: ${output.initSegment.length} bytes (ftyp + moov)`, 'debug');
+            ev.emit('renditionInitSegment', session.serialNumber, output.name, output.initSegment);
+            sendInitSegment(session, output.name, output.initSegment);
+        }
+        return;
+    }
+
+    if (boxType === 'moof') {
+        output.pendingMoof = box;
+    } else if (boxType === 'mdat' && output.pendingMoof) {
+        const fragment = Buffer.concat([output.pendingMoof, box]);
+        output.pendingMoof = null;
+        const keyframe = isKeyframe(output, fragment);
+        trackGop(output, fragment, keyframe);
+        ev.emit('renditionFragment', session.serialNumber, output.name, fragment, keyframe);
+    }
+}
+
+/**
+ * Set Video Track
+ * Remembers the video track of a new init segment for keyframe detection
+ * @param {Object} output - Session or rendition output
+ * @param {Buffer} initSegment - fMP4 init segment
+ */
+function setVideoTrack(output, initSegment) {
+    const videoTrack = mp4.getVideoTrack(initSegment);
+    output.videoTrackId = videoTrack ? videoTrack.trackId : null;
+    output.videoSampleFlags = videoTrack ? mp4.getDefaultSampleFlags(initSegment, videoTrack.trackId) : null;
+}
+
+/**
+ * Is Keyframe
+ * Checks the sample flags of a fragment's first video sample
+ * @param {Object} output - Session or rendition output
+ * @param {Buffer} fragment - Complete media fragment (moof + mdat)
+ * @returns {boolean|null} True if the fragment starts with a sync sample, null if it carries no sample flags
+ */
+function isKeyframe(output, fragment) {
+    if (output.videoTrackId === null) return null;
+    return mp4.isKeyframeFragment(fragment, output.videoTrackId, output.videoSampleFlags);
+}
 
+/**
+ * Track GOP
+ * Keeps the fragments since the latest keyframe of an output (session or rendition)
+ * @param {Object} output - Session or rendition output
+ * @param {Buffer} fragment - Complete media fragment (moof + mdat)
+ * @param {boolean|null} keyframe - Fragment starts with a sync sample
+ */
+function trackGop(output, fragment, keyframe) {
+    if (keyframe) {
+        clearGop(output);
+    } else if (output.gop.length === 0) {
+        return;                        // Wait for the first keyframe
+    }
+
+    output.gop.push(fragment);
+    output.gopBytes += fragment.length;
+    if (output.gopBytes > MAX_GOP_BYTES) {
+        utils.log(`⚠️ GOP exceeds ${MAX_GOP_BYTES} bytes, pre-buffer disabled until the next keyframe`, 'debug');
+        clearGop(output);
+    }
+}
+
+/**
+ * Clear GOP
+ * @param {Object} output - Session or rendition output
+ */
+function clearGop(output) {
+    output.gop = [];
+    output.gopBytes = 0;
+}
+
+/**
+ * Get Live Start
+ * Returns what a new fMP4 client needs to start playback immediately:
+ * the init segment and the fragments since the latest keyframe
+ * @param {string} serialNumber - Device serial number
+ * @param {string|null} [rendition] - Rendition name, omit for the main stream
+ * @returns {Buffer|null} Start data or null if no init segment is available yet
+ */
+function getLiveStart(serialNumber, rendition) {
+    const output = getOutput(serialNumber, rendition);
+    if (!output || !output.initSegment) return null;
+
+    return Buffer.concat([output.initSegment, ...output.gop]);
+}
+
+/**
+ * Wait For Init Segment
+ * @param {string} serialNumber - Device serial number
+ * @param {number} timeout - Maximum wait time in milliseconds
+ * @returns {Promise<Buffer|null>} Init segment of the main output or null on timeout
+ */
+function waitForInitSegment(serialNumber, timeout) {
+    return new Promise((resolve) => {
+        const session = sessions.get(serialNumber);
+        if (session && session.initSegment) return resolve(session.initSegment);
+
+        const onInitSegment = (sn, initSegment) => {
+            if (sn !== serialNumber) return;
+            cleanup();
+            resolve(initSegment);
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            resolve(null);
+        }, timeout);
+        const cleanup = () => {
+            clearTimeout(timer);
+            ev.removeListener('initSegment', onInitSegment);
+        };
+
+        ev.on('initSegment', onInitSegment);
+    });
+}
+
+/**
+ * Get Video Filter
+ * @param {Array<string>} videoFilters - Profile and overlay filters of the device
+ * @param {string} scale - Scaling of the main output (e.g. "1280:-2"), empty for none
+ * @returns {string|null} Filter chain of the main output without renditions (profile, overlay, then scaling), null if none
+ */
+function getVideoFilter(videoFilters, scale) {
+    const filters = [...videoFilters, ...(scale ? [`scale=${scale}`] : [])];
+    return filters.length > 0 ? filters.join(',') : null;
+}
+
+/**
+ * Get Filter Graph
+ * Splits the decoded video into the main output and one scaled stream per rendition
+ * (labels [main] and [r0], [r1], ...; passthrough copies the main video unfiltered).
+ * Profile filters and overlay are applied once before the split and appear in every output.
+ * @param {Array<Object>} renditions - Renditions from getRenditions
+ * @param {boolean} passthrough - Main video is remuxed
+ * @param {Array<string>} [videoFilters] - Profile and overlay filters of the device
+ * @param {string} [scale] - Scaling of the main output, empty for none
+ * @returns {string} FFmpeg filter_complex graph
+ */
+function getFilterGraph(renditions, passthrough, videoFilters = [], scale = '') {
+    const mainLabel = scale ? '[unscaled]' : '[main]';
+    const splitLabels = renditions.map((rendition, index) => `[s${index}]`);
+    if (!passthrough) splitLabels.unshift(mainLabel);
+
+    const filters = [`[0:v]${[...videoFilters, `split=${splitLabels.length}`].join(',')}${splitLabels.join('')}`];
+    if (!passthrough && scale) {
+        filters.push(`[unscaled]scale=${scale}[main]`);
+    }
+    renditions.forEach((rendition, index) => {
+        filters.push(`[s${index}]scale=-2:${rendition.height}[r${index}]`);
+    });
+    return filters.join(';');
+}
+
+/**
+ * Get Encoder Args
+ * @param {Object} deviceProfile - Encoder settings of the device (getDeviceProfile)
+ * @param {string|null} [videoFilter] - Simple video filter (not used for filter graph outputs)
+ * @param {number} [maxBitrate] - Maximum bitrate in kbit/s (renditions)
+ * @returns {Array<string>} FFmpeg libx264 arguments of the transcode mode
+ */
+function getEncoderArgs(deviceProfile, videoFilter, maxBitrate) {
+    return [
+        '-c:v', 'libx264',                 // H.264 encoder
+        ...(videoFilter ? ['-vf', videoFilter] : []),  // Optional profile filters, overlay and scaling
+        '-preset', deviceProfile.preset,   // Encoding speed preset
+        '-tune', 'zerolatency',            // Zero-latency tuning
+        ...profiles.getRateControlArgs(deviceProfile, maxBitrate),  // CRF or bitrate (rendition bitrate cap)
+        '-profile:v', 'main',              // H.264 profile (level chosen by x264 from resolution, frame rate and bitrate)
+        '-g', deviceProfile.shortKeyframes ? '15' : '30',  // GOP size (keyframe interval)
+        '-keyint_min', deviceProfile.shortKeyframes ? '15' : '30',
+        '-sc_threshold', '0',              // Disable scene change detection
+        '-pix_fmt', 'yuv420p',             // Pixel format for compatibility
+        '-x264-params', 'nal-hrd=cbr:force-cfr=1'  // CBR for consistent bitrate
+    ];
+}
+
+/**
+ * Get Audio Input Args
+ * @param {string} audioSource - 'camera', 'silence' or 'none'
+ * @returns {Array<string>} FFmpeg arguments of the audio input (second input)
+ */
+function getAudioInputArgs(audioSource) {
+    if (audioSource === 'camera') {
+        return [
+            '-f', 'aac',                   // AAC audio format
+            '-fflags', 'nobuffer',         // Low latency
+            '-i', 'pipe:3',                // Read from fd 3
+            '-thread_queue_size', '512'    // Input thread queue size
+        ];
+    }
+    if (audioSource === 'silence') {
+        return ['-f', 'lavfi', '-i', SILENCE_SOURCE];
+    }
+    return [];
+}
+
+/**
+ * Get Output Args
+ * @returns {Array<string>} FFmpeg audio and fMP4 container arguments of one output
+ */
+function getOutputArgs() {
+    return [
+        // Audio encoding settings
+        '-c:a', 'aac',                     // AAC audio codec
+        '-ac', '1',                        // Mono audio
+
+        // fMP4 container configuration for live streaming
+        '-f', 'mp4',                       // MP4 container
+        '-movflags', 'frag_keyframe+empty_moov+default_base_moof+faststart',  // Fragmented MP4
+        '-frag_duration', String(getFragmentDuration() * 1000000),  // Fragment duration
+        '-min_frag_duration', String(getFragmentDuration() * 1000000),
+        '-muxdelay', '0',                  // No mux delay
+        '-muxpreload', '0',                // No preload
+
+        '-threads', CONFIG.FFMPEG_THREADS  // Encoding threads
+    ];
+}
+
+/**
+ * Stop Encoder
+ * Terminates the FFmpeg process of a session and closes its input streams
+ * Connected clients and the output streams they listen to are left untouched
+ * @param {Object} session - Session object
+ */
+function stopEncoder(session) {
     // Terminate FFmpeg process
-    if (ffmpegProcess) {
+    if (session.ffmpegProcess) {
+        const ffmpegProcess = session.ffmpegProcess;
+        session.ffmpegProcess = null;
         ffmpegProcess.kill('SIGKILL');
-        ffmpegProcess = null;
     }
 
     // Close and cleanup all streams
-    if (inputStream) {
-        inputStream.end();
-        inputStream = null;
+    if (session.inputStream) {
+        session.inputStream.end();
+        session.inputStream = null;
     }
 
-    if (aacInputStream) {
-        aacInputStream.end();
-        aacInputStream = null;
+    if (session.aacInputStream) {
+        session.aacInputStream.end();
+        session.aacInputStream = null;
     }
 
-    if (outputStream) {
-        outputStream.end();
-        outputStream = null;
-    }
+    session.isTranscoding = false;
+    session.initSegment = null;
+    session.pendingMoof = null;
+    session.encoderStats = null;
+    clearGop(session);
+    session.renditions.forEach(output => {
+        output.initSegment = null;
+        clearGop(output);
+    });
+}
+
+/**
+ * Stop Transcoding
+ * Gracefully stops FFmpeg process of a device and cleans up all resources
+ * Closes active client connections and removes the session
+ * @param {string} serialNumber - Device serial number
+ */
+function stopTranscoding(serialNumber) {
+    const session = sessions.get(serialNumber);
+    if (!session) return;
+
+    utils.log(`ℹ️ Stopping transcoding for ${serialNumber}...`, 'debug');
+    sessions.delete(serialNumber);
+
+    // Close all active streaming clients
+    session.clients.forEach(client => {
+        if (client.active && typeof client.close === 'function') {
+            try {
+                client.close();
+            } catch (e) {
+                // Ignore errors during cleanup
+            }
+        }
+    });
+    session.clients.clear();
+
+    clearTimeout(session.restartTimer);
+    session.restartTimer = null;
+    stopEncoder(session);
+    session.renditions = [];
+    ev.emit('sessionClosed', serialNumber);
 
     // Reset state variables
-    isTranscoding = false;
-    videoMetadata = null;
-    audioMetadata = null;
-    initSegment = null;
-    lastKeyframeSegment = null;
+    session.videoMetadata = null;
+    session.audioMetadata = null;
+    session.firstVideoAt = 0;
+    session.pendingVideo = [];
+    session.sps = null;
+}
+
+/**
+ * Stop All Transcoding
+ * Stops every open transcode session (used during shutdown and restarts)
+ */
+function stopAllTranscoding() {
+    Array.from(sessions.keys()).forEach(serialNumber => stopTranscoding(serialNumber));
 }
 
 /**
  * Clear Metadata
  * Resets video and audio metadata (used when restarting stream)
+ * @param {string} serialNumber - Device serial number
  */
-function clearMetadata() {
-    videoMetadata = null;
-    audioMetadata = null;
+function clearMetadata(serialNumber) {
+    const session = sessions.get(serialNumber);
+    if (!session) return;
+
+    session.videoMetadata = null;
+    session.audioMetadata = null;
+    session.firstVideoAt = 0;
+    session.pendingVideo = [];
+    session.lateAudioLogged = false;
+    session.sps = null;
 }
 
 /**
- * Capture Snapshot
- * Detects keyframe segments (moof + mdat pairs) using adaptive size thresholding
- * Stores complete keyframe segments for snapshot extraction
- * @param {string} boxType - MP4 box type ('moof' or 'mdat')
- * @param {Buffer} box - MP4 box data
+ * Handle Stream Start
+ * Called for every started livestream of a device. A livestream restarted while
+ * transcoding (e.g. stopped by the station for a resolution change) may bring new
+ * video parameters and audio: the metadata is collected again and the encoder
+ * re-initialized with the first chunks of the new livestream.
+ * @param {string} serialNumber - Device serial number
  */
-function captureSnapshot(boxType, box) {
-    if (boxType === 'moof') {
-        // Start collecting new segment (moof header)
-        lastKeyframeSegment = box;
-        segmentCounter++;
-    } else if (boxType === 'mdat' && lastKeyframeSegment) {
-        // Complete segment by adding mdat (media data)
-        lastKeyframeSegment = Buffer.concat([lastKeyframeSegment, box]);
-        const segmentSize = lastKeyframeSegment.length;
-
-        // Track segment sizes for adaptive keyframe detection
-        segmentSizes.push(segmentSize);
-        if (segmentSizes.length > 20) segmentSizes.shift();  // Keep sliding window of last 20
-
-        // Update largest segment size seen
-        if (segmentSize > largestSegmentSize) {
-            largestSegmentSize = segmentSize;
-        }
+function handleStreamStart(serialNumber) {
+    const session = sessions.get(serialNumber);
+    if (!session || !session.videoMetadata) return;
 
-        /**
-         * Adaptive Keyframe Detection
-         * Keyframes contain I-frames and are significantly larger than P/B-frames
-         * Initial phase: Use fixed 300KB threshold
-         * After calibration: Use 70% of largest segment as threshold
-         */
-        let isLikelyKeyframe = false;
-        if (segmentSizes.length < 5) {
-            // Initial phase: simple threshold (300KB minimum)
-            isLikelyKeyframe = segmentSize > 300000;
-        } else {
-            // Adaptive phase: keyframe is 70%+ of largest segment
-            const threshold = largestSegmentSize * 0.7;
-            isLikelyKeyframe = segmentSize >= threshold;
-        }
+    if (session.isTranscoding) {
+        reinitEncoder(session, 'livestream restarted');
+    }
+    clearMetadata(serialNumber);
+}
 
-        if (isLikelyKeyframe) {
-            utils.log(`🔑 Keyframe segment #${segmentCounter}: ${segmentSize} bytes (threshold: ${segmentSizes.length < 5 ? '300KB' : Math.round(largestSegmentSize * 0.7 / 1024) + 'KB'})`, 'debug');
+/**
+ * Apply Config
+ * Reloads the configuration and re-initializes only the encoders whose device settings
+ * changed (transcoding profile, device mode, overlay); other streams keep running
+ */
+function applyConfig() {
+    const getDeviceSettings = (serialNumber) => JSON.stringify({
+        mode: getConfiguredMode(serialNumber),
+        profile: getDeviceProfile(serialNumber),
+        overlay: (CONFIG.DEVICE_OVERLAYS || {})[serialNumber] || null
+    });
 
-            // Store keyframe segment with init segment for complete playable snapshot
-            lastSnapshotBuffer = Buffer.concat([initSegment, lastKeyframeSegment]);
-        } else {
-            utils.log(`⏭️ Skipping small segment #${segmentCounter}: ${segmentSize} bytes`, 'debug');
+    const previous = new Map(Array.from(sessions.keys()).map(serialNumber => [serialNumber, getDeviceSettings(serialNumber)]));
+    CONFIG = utils.loadConfig();
+
+    sessions.forEach((session, serialNumber) => {
+        if (session.isTranscoding && previous.get(serialNumber) !== getDeviceSettings(serialNumber)) {
+            reinitEncoder(session, 'transcoding settings changed');
         }
+    });
+}
+
+/**
+ * Reload Device
+ * Reloads the configuration and re-initializes the encoder of one device, so changed
+ * per-device settings (e.g. the overlay) apply without interrupting other streams
+ * @param {string} serialNumber - Device serial number
+ * @param {string} reason - Changed setting for logging and the 'streamReset' event
+ */
+function reloadDevice(serialNumber, reason) {
+    CONFIG = utils.loadConfig();
+
+    const session = sessions.get(serialNumber);
+    if (session && session.isTranscoding) {
+        reinitEncoder(session, reason);
     }
 }
 
@@ -451,80 +1324,147 @@ function captureSnapshot(boxType, box) {
  * Extracts first frame from fMP4 buffer and saves as JPEG
  * Uses FFmpeg to decode video and extract single frame
  * Emits 'snapshotSaved' event on success
+ * @param {string} deviceSN - Device serial number
+ * @param {Buffer} snapshotBuffer - fMP4 buffer (init segment + keyframe segment)
+ * @param {string} [trigger='livestream'] - What produced the snapshot (passed on with the event)
+ * @returns {Promise<boolean>} Resolves with true once the snapshot is saved
  */
-function saveSnapshotToDisk() {
+function saveSnapshotToDisk(deviceSN, snapshotBuffer, trigger = 'livestream') {
     // Validate prerequisites
-    if (!lastSnapshotBuffer || !currentDevice || currentDevice === 'unknown') {
+    if (!snapshotBuffer || !deviceSN) {
         utils.log('⚠️ Cannot save snapshot - no buffer or device name', 'warn');
-        return;
+        return Promise.resolve(false);
     }
 
-    const snapshotPath = path.join(utils.snapshotDir, `${currentDevice}.jpg`);
+    const snapshotPath = path.join(utils.snapshotDir, `${deviceSN}.jpg`);
 
     // Ensure snapshots directory exists
     if (!fs.existsSync(utils.snapshotDir)) {
         fs.mkdirSync(utils.snapshotDir, { recursive: true });
     }
 
-    try {
-        // Store device SN for async callback
-        const deviceSN = currentDevice;
-
-        /**
-         * FFmpeg Snapshot Extraction
-         * Decodes fMP4 buffer and extracts first frame as high-quality JPEG
-         */
-        const ffmpeg = spawn('ffmpeg', [
-            '-y',                           // Overwrite output file
-            '-f', 'mp4',                    // Input format
-            '-i', 'pipe:0',                 // Read from stdin
-            '-vframes', '1',                // Extract only first frame
-            '-pix_fmt', 'yuvj420p',         // Full-range YUV for JPEG
-            '-q:v', '2',                    // High quality JPEG (2-5 is best)
-            snapshotPath
-        ]);
-
-        // Write fMP4 buffer to FFmpeg stdin
-        ffmpeg.stdin.write(lastSnapshotBuffer, (err) => {
-            if (err) {
-                utils.log(`⚠️ Error writing to FFmpeg stdin: ${err}`, 'warn');
-            }
-            ffmpeg.stdin.end();
-        });
-
-        // Log FFmpeg output for debugging
-        ffmpeg.stderr.on('data', (data) => {
-            utils.log(`FFmpeg snapshot: ${data.toString().trim()}`, 'debug');
-        });
-
-        // Handle successful snapshot extraction
-        ffmpeg.on('close', (code) => {
-            if (code === 0) {
-                utils.log(`✅ Snapshot saved to disk: ${snapshotPath}`, 'debug');
-                // Update snapshot timestamp and emit event
-                utils.saveSnapshotDatetime(deviceSN);
-                ev.emit('snapshotSaved', deviceSN);
-            } else {
-                utils.log(`❌ Snapshot save failed with code ${code}`, 'error');
-            }
-        });
-
-        // Handle FFmpeg errors
-        ffmpeg.on('error', (err) => {
-            utils.log(`❌ Snapshot save error: ${err}`, 'error');
-        });
-    } catch (err) {
-        utils.log(`❌ Snapshot write error: ${err}`, 'error');
-    }
+    return new Promise((resolve) => {
+        try {
+            /**
+             * FFmpeg Snapshot Extraction
+             * Decodes fMP4 buffer and extracts first frame as high-quality JPEG
+             */
+            const ffmpeg = spawn('ffmpeg', [
+                '-y',                           // Overwrite output file
+                '-f', 'mp4',                    // Input format
+                '-i', 'pipe:0',                 // Read from stdin
+                '-vframes', '1',                // Extract only first frame
+                '-pix_fmt', 'yuvj420p',         // Full-range YUV for JPEG
+                '-q:v', '2',                    // High quality JPEG (2-5 is best)
+                snapshotPath
+            ]);
+
+            // Write fMP4 buffer to FFmpeg stdin
+            ffmpeg.stdin.write(snapshotBuffer, (err) => {
+                if (err) {
+                    utils.log(`⚠️ Error writing to FFmpeg stdin: ${err}`, 'warn');
+                }
+                ffmpeg.stdin.end();
+            });
+
+            // Log FFmpeg output for debugging
+            ffmpeg.stderr.on('data', (data) => {
+                utils.log(`FFmpeg snapshot: ${data.toString().trim()}`, 'debug');
+            });
+
+            // Handle successful snapshot extraction
+            ffmpeg.on('close', (code) => {
+                if (code === 0) {
+                    utils.log(`✅ Snapshot saved to disk: ${snapshotPath}`, 'debug');
+                    // Update snapshot timestamp and emit event
+                    utils.saveSnapshotDatetime(deviceSN);
+                    ev.emit('snapshotSaved', deviceSN, trigger);
+                } else {
+                    utils.log(`❌ Snapshot save failed with code ${code}`, 'error');
+                }
+                resolve(code === 0);
+            });
+
+            // Handle FFmpeg errors
+            ffmpeg.on('error', (err) => {
+                utils.log(`❌ Snapshot save error: ${err}`, 'error');
+                resolve(false);
+            });
+        } catch (err) {
+            utils.log(`❌ Snapshot write error: ${err}`, 'error');
+            resolve(false);
+        }
+    });
 }
 
 /**
  * Get Latest Snapshot
  * Returns in-memory snapshot buffer for live preview
+ * @param {string} serialNumber - Device serial number
  * @returns {Buffer|null} fMP4 snapshot buffer or null
  */
-function getLatestSnapshot() {
-    return lastSnapshotBuffer;
+function getLatestSnapshot(serialNumber) {
+    const session = sessions.get(serialNumber);
+    return session ? session.lastSnapshotBuffer : null;
+}
+
+/**
+ * Get Stream Info
+ * Describes the fMP4 output of a device for MSE players (codecs of the main stream and renditions)
+ * @param {string} serialNumber - Device serial number
+ * @returns {Object|null} Stream info, or null while no init segment is available
+ */
+function getStreamInfo(serialNumber) {
+    const session = sessions.get(serialNumber);
+    if (!session || !session.initSegment) return null;
+
+    const describe = (initSegment) => {
+        const codecs = mp4.getCodecs(initSegment);
+        const videoTrack = mp4.getVideoTrack(initSegment);
+        return {
+            codecs: codecs,
+            mimeType: `video/mp4; codecs="${codecs}"`,
+            width: videoTrack ? videoTrack.width : null,
+            height: videoTrack ? videoTrack.height : null,
+            hasAudio: mp4.getTracks(initSegment).some(track => track.handler === 'soun')
+        };
+    };
+
+    return {
+        serialNumber: serialNumber,
+        mode: session.mode,
+        audioSource: session.audioSource,
+        ...describe(session.initSegment),
+        renditions: session.renditions
+            .filter(output => output.initSegment)
+            .map(output => ({ name: output.name, ...describe(output.initSegment) }))
+    };
+}
+
+/**
+ * Get Sessions Status
+ * Summarizes all open transcode sessions for health and status reporting
+ * @returns {Array<Object>} One status entry per device
+ */
+function getSessionsStatus() {
+    return Array.from(sessions.values()).map(session => ({
+        serialNumber: session.serialNumber,
+        transcoding: session.isTranscoding,
+        mode: session.mode,
+        modeReason: session.modeReason,
+        profile: session.profile,
+        renditions: session.renditions.map(output => output.name),
+        clients: session.clients.size,
+        video: session.videoMetadata,
+        audio: session.audioMetadata,
+        audioSource: session.audioSource,
+        codecs: session.initSegment ? mp4.getCodecs(session.initSegment) : null,
+        hasInitSegment: session.initSegment !== null,
+        hasKeyframeSegment: session.lastSnapshotBuffer !== null,
+        gopFragments: session.gop.length,
+        encoderRestarts: session.restartCount,
+        encoderStats: session.encoderStats
+    }));
 }
 
 /**
@@ -536,24 +1476,37 @@ module.exports = {
     initTranscode,
     startTranscoding,
     stopTranscoding,
+    stopAllTranscoding,
     handleVideoData,
     handleAudioData,
+    handleStreamStart,
+    reloadDevice,
+    applyConfig,
     clearMetadata,
+    saveSnapshotToDisk,
     getLatestSnapshot,
 
-    // Event emitter for snapshot notifications
+    // Session and client management
+    openSession,
+    getSession,
+    getOutput,
+    getLiveStart,
+    waitForInitSegment,
+    addClient,
+    removeClient,
+    getClientCount,
+    getStreamInfo,
+    getSessionsStatus,
+
+    // Event emitter for snapshot, init segment, fragment (main and renditions), stream reset, encoder stats and session notifications
     event: ev,
 
     // Read-only property getters
-    get videoMetadata() { return videoMetadata; },
-    get audioMetadata() { return audioMetadata; },
-    get getOutputStream() { return outputStream; },
-    get getInitSegment() { return initSegment; },
     get videoScale() { return CONFIG.VIDEO_SCALE; },
-    get isTranscoding() { return isTranscoding; },
-    get hasInitSegment() { return initSegment !== null; },
-    get hasKeyframeSegment() { return lastKeyframeSegment !== null; },
-
-    // Writable property setter
-    set currentDevice(name) { currentDevice = name; },
+    get transcodingMode() { return CONFIG.TRANSCODING_MODE; },
+    get renditions() { return getRenditions(); },
+    get fragmentDuration() { return getFragmentDuration(); },
+    get sessionCount() { return sessions.size; },
+    get activeDevices() { return Array.from(sessions.keys()); },
+    get isTranscoding() { return Array.from(sessions.values()).some(session => session.isTranscoding); },
 };
\ No newline at end of file
@@ -4,7 +4,6 @@
  * Provides shared utility functions for:
  * - Configuration management (load/save)
  * - Logging with severity levels
- * - Active stream client tracking
  * - Snapshot and picture hash persistence
  * - File system operations
  */
@@ -19,6 +18,9 @@ const isDev = process.env.NODE_ENV === 'development' || process.env.DEV === 'tru
 // Directory for persistent data (config, snapshots, hashes)
 const DATA_DIR = process.env.DATA_DIR || path.join(require.main.path, 'data');
 const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const RECORDING_DIR = path.join(DATA_DIR, 'recordings');
+const CLIP_DIR = path.join(DATA_DIR, 'clips');
+const TIMELAPSE_DIR = path.join(DATA_DIR, 'timelapse');
 const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
 const PICTURE_HASH_FILE = path.join(DATA_DIR, 'picture-hashes.json');
 // Logging level: 0=error, 1=warn, 2=info, 3=debug
@@ -36,16 +38,43 @@ const DEFAULT_CONFIG = {
         country: 'DE',             // Country code for Eufy API
         language: 'en'             // Language for Eufy API responses
     },
+    TRANSCODING_MODE: process.env.TRANSCODING_MODE || 'transcode',    // 'transcode' or 'passthrough' (remux compatible H.264)
+    DEVICE_TRANSCODING_MODES: {},                                     // Per-device mode overrides (serial number -> mode)
+    DEVICE_OVERLAYS: {},                                              // Per-device text and privacy masks (serial number -> overlay)
+    TRANSCODING_PROFILES: {},                                         // Named encoder settings (name -> profile)
+    DEVICE_PROFILES: {},                                              // Per-device profile, rotation and crop (serial number -> assignment)
     TRANSCODING_PRESET: process.env.TRANSCODING_PRESET || 'ultrafast',  // FFmpeg encoding speed
     TRANSCODING_CRF: process.env.TRANSCODING_CRF || '23',              // Constant Rate Factor (quality)
     VIDEO_SCALE: process.env.VIDEO_SCALE || '1280:-2',                // Video resolution scaling
+    VIDEO_RENDITIONS: process.env.VIDEO_RENDITIONS || '',             // Additional rendition heights for adaptive bitrate (e.g. 720,360)
     FFMPEG_THREADS: process.env.FFMPEG_THREADS || '4',                // Number of encoding threads
     FFMPEG_SHORT_KEYFRAMES: process.env.FFMPEG_SHORT_KEYFRAMES === 'true' || false,  // Use shorter GOP
+    MISSING_AUDIO: process.env.MISSING_AUDIO || 'silence',            // Cameras without audio: 'silence' (silent AAC track) or 'none' (video only)
+    MAX_CONCURRENT_STREAMS: process.env.MAX_CONCURRENT_STREAMS || '2',  // Devices that may stream at the same time
+    HLS_SEGMENT_DURATION: process.env.HLS_SEGMENT_DURATION || '2',    // Target HLS segment duration (seconds)
+    HLS_LIST_SIZE: process.env.HLS_LIST_SIZE || '6',                  // Segments in the HLS sliding window
+    WEBRTC_PORT_RANGE: process.env.WEBRTC_PORT_RANGE || '',           // ICE UDP port range for WebRTC (e.g. 50000-50100)
+    RTSP_PORT: process.env.RTSP_PORT || '8554',                       // RTSP server port (0 disables the RTSP server)
+    RTSP_UDP_PORT: process.env.RTSP_UDP_PORT || '8000',               // RTP port of the RTSP UDP transport, RTCP uses the next port (0 = TCP only)
+    RECORDING_DEVICES: process.env.RECORDING_DEVICES || '',           // Devices recorded continuously (comma-separated serial numbers)
+    RECORDING_SEGMENT_DURATION: process.env.RECORDING_SEGMENT_DURATION || '600',  // Duration of a recording file (seconds)
+    RECORDING_RETENTION_DAYS: process.env.RECORDING_RETENTION_DAYS || '7',        // Maximum age of recordings (0 = unlimited)
+    RECORDING_MAX_SIZE_GB: process.env.RECORDING_MAX_SIZE_GB || '10',             // Maximum total size of recordings (0 = unlimited)
+    CLIP_EVENTS: process.env.CLIP_EVENTS || '',                       // Device events that trigger a clip (e.g. motion detected,rings)
+    CLIP_DEVICES: process.env.CLIP_DEVICES || '',                     // Devices with event clips (comma-separated, empty = all)
+    CLIP_PRE_ROLL: process.env.CLIP_PRE_ROLL || '5',                  // Seconds before the event (if already streaming)
+    CLIP_POST_ROLL: process.env.CLIP_POST_ROLL || '10',               // Seconds after the last event
+    CLIP_MAX_DURATION: process.env.CLIP_MAX_DURATION || '120',        // Maximum clip duration (seconds)
+    CLIP_RETENTION_DAYS: process.env.CLIP_RETENTION_DAYS || '30',     // Maximum age of clips (0 = unlimited)
+    CLIP_MAX_SIZE_GB: process.env.CLIP_MAX_SIZE_GB || '5',            // Maximum total size of clips (0 = unlimited)
+    TIMELAPSE_DEVICES: process.env.TIMELAPSE_DEVICES || '',           // Devices with daily timelapses (comma-separated serial numbers)
+    TIMELAPSE_INTERVAL: process.env.TIMELAPSE_INTERVAL || '300',      // Seconds between timelapse frames
+    TIMELAPSE_FPS: process.env.TIMELAPSE_FPS || '25',                 // Frame rate of timelapse videos
+    TIMELAPSE_RETENTION_DAYS: process.env.TIMELAPSE_RETENTION_DAYS || '30',  // Maximum age of frames and timelapses (0 = unlimited)
+    SNAPSHOT_HISTORY_MAX: process.env.SNAPSHOT_HISTORY_MAX || '100',  // Pictures kept in the history of each device (0 = unlimited)
+    SNAPSHOT_HISTORY_RETENTION_DAYS: process.env.SNAPSHOT_HISTORY_RETENTION_DAYS || '30',  // Maximum age of history pictures (0 = unlimited)
 };
 
-// Set of currently active streaming HTTP clients
-let activeStreamClients = new Set();
-
 log('🔧 Utils module initialized', 'debug');
 log(`🔧 Development mode: ${isDev}`, 'info');
 
@@ -120,40 +149,6 @@ function loadSnapshotFromDisk(deviceSN) {
     }
 }
 
-/**
- * Add Active Stream Client
- * Registers a new HTTP client connection for stream tracking
- * @param {Object} client - Client object containing response stream and metadata
- */
-function addActiveStreamClient(client) {
-    activeStreamClients.add(client);
-}
-
-/**
- * Remove Active Stream Client
- * Unregisters a disconnected HTTP client
- * @param {Object} client - Client object to remove
- */
-function removeActiveStreamClient(client) {
-    activeStreamClients.delete(client);
-}
-
-/**
- * Get Active Stream Clients
- * @returns {Set} Set of currently active streaming clients
- */
-function getActiveStreamClients() {
-    return activeStreamClients;
-}
-
-/**
- * Clear Active Stream Clients
- * Removes all active clients (used during shutdown)
- */
-function clearActiveStreamClients() {
-    activeStreamClients.clear();
-}
-
 /**
  * Central Logging Function
  * Provides severity-based logging with configurable levels
@@ -331,16 +326,13 @@ module.exports = {
     saveSnapshotDatetime,
     loadSnapshotDatetime,
 
-    // Stream client tracking
-    addActiveStreamClient,
-    removeActiveStreamClient,
-    clearActiveStreamClients,
-    getActiveStreamClients,
-
     // Read-only properties
     get isDev() { return isDev; },
     get dataDir() { return DATA_DIR; },
     get snapshotDir() { return SNAPSHOT_DIR; },
+    get recordingDir() { return RECORDING_DIR; },
+    get clipDir() { return CLIP_DIR; },
+    get timelapseDir() { return TIMELAPSE_DIR; },
 
     // Logging
     log
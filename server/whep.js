@@ -0,0 +1,337 @@
+/**
+ * WHEP (WebRTC-HTTP Egress Protocol) Module
+ *
+ * Serves live streams over WebRTC for sub-second playback:
+ * - Answers WHEP SDP offers with H.264 video and Opus audio tracks
+ * - Negotiates the H.264 profile of the device stream (the video is not re-encoded)
+ * - Forwards RTP packets of the device's RTP tap to every peer
+ * - Turns keyframe requests of peers (RTCP PLI/FIR) into tap restarts at the latest keyframe
+ * - Holds the device stream for the lifetime of each peer connection
+ */
+
+const crypto = require('crypto');
+const {
+    RTCPeerConnection,
+    RTCRtpCodecParameters,
+    MediaStreamTrack,
+    RtpPacket,
+    RtcpPayloadSpecificFeedback,
+    PictureLossIndication
+} = require('werift');
+
+const utils = require('./utils');
+const mp4 = require('./mp4');
+const streams = require('./streams');
+const transcode = require('./transcode');
+const rtpTap = require('./rtp-tap');
+
+// Peers that do not connect within this period are dropped
+const CONNECT_TIMEOUT = 30000;
+// Maximum time spent gathering ICE candidates before answering
+const ICE_GATHERING_TIMEOUT = 3000;
+// Maximum wait for the init segment of the device stream
+const INIT_TIMEOUT = 15000;
+// profile-level-id if the init segment has no avcC (libx264 main profile of transcode.js)
+const DEFAULT_PROFILE_LEVEL_ID = '4d401f';
+// Feedback message type of RTCP full intra requests (RFC 5104)
+const FIR_FORMAT = 4;
+
+let CONFIG = utils.loadConfig();
+const sessions = new Map();            // WHEP resource ID -> WHEP session
+
+/**
+ * Initialize WHEP
+ * (Re)loads the WebRTC configuration
+ */
+function initWhep() {
+    CONFIG = utils.loadConfig();
+    utils.log(`📡 WHEP initialized (ICE ports: ${CONFIG.WEBRTC_PORT_RANGE || 'any'})`, 'debug');
+}
+
+/**
+ * Create Peer Connection
+ * Builds a peer connection limited to the codecs produced by the RTP tap
+ * @param {string} profileLevelId - H.264 profile-level-id of the device stream
+ * @returns {RTCPeerConnection} Peer connection
+ */
+function createPeerConnection(profileLevelId) {
+    const portRange = (CONFIG.WEBRTC_PORT_RANGE || '').split('-').map(port => parseInt(port, 10));
+
+    return new RTCPeerConnection({
+        codecs: {
+            video: [new RTCRtpCodecParameters({
+                mimeType: 'video/H264',
+                clockRate: 90000,
+                rtcpFeedback: [{ type: 'nack' }, { type: 'nack', parameter: 'pli' }, { type: 'ccm', parameter: 'fir' }],
+                parameters: `profile-level-id=${profileLevelId};packetization-mode=1;level-asymmetry-allowed=1`
+            })],
+            audio: [new RTCRtpCodecParameters({
+                mimeType: 'audio/opus',
+                clockRate: 48000,
+                channels: 2
+            })]
+        },
+        icePortRange: portRange.length === 2 && !portRange.some(Number.isNaN) ? portRange : undefined
+    });
+}
+
+/**
+ * Select Video Codecs
+ * Removes the H.264 formats of the offered video section whose profile differs from the device stream.
+ * werift matches codecs by MIME type only and sends with the first remaining one, so this decides
+ * the payload type and profile-level-id of the answer. Offers without a format of the stream's
+ * profile (and packetization mode 1) are returned unchanged.
+ * @param {string} offer - SDP offer
+ * @param {string} profileLevelId - H.264 profile-level-id of the device stream
+ * @returns {string} SDP offer
+ */
+function selectVideoCodecs(offer, profileLevelId) {
+    const lines = offer.split(/\r?\n/);
+    const start = lines.findIndex(line => line.startsWith('m=video '));
+    if (start < 0) return offer;
+    let end = lines.findIndex((line, index) => index > start && line.startsWith('m='));
+    if (end < 0) end = lines.length;
+    const section = lines.slice(start, end);
+
+    // Formats by payload type
+    const rtpmap = {};
+    const fmtp = {};
+    section.forEach(line => {
+        const match = line.match(/^a=(rtpmap|fmtp):(\d+) (.*)$/);
+        if (match) (match[1] === 'rtpmap' ? rtpmap : fmtp)[match[2]] = match[3];
+    });
+    const getParameters = (payloadType) => Object.fromEntries((fmtp[payloadType] || '')
+        .split(';').map(parameter => parameter.trim().split('=')));
+
+    const h264 = Object.keys(rtpmap).filter(payloadType => /^H264\//i.test(rtpmap[payloadType]));
+    const matching = h264.filter(payloadType => {
+        const parameters = getParameters(payloadType);
+        return parameters['packetization-mode'] === '1' &&
+            (parameters['profile-level-id'] || '').slice(0, 2).toLowerCase() === profileLevelId.slice(0, 2);
+    });
+    if (matching.length === 0) return offer;
+
+    // Other H.264 formats and their retransmission (RTX) formats
+    const removed = new Set(h264.filter(payloadType => !matching.includes(payloadType)));
+    Object.keys(rtpmap)
+        .filter(payloadType => /^rtx\//i.test(rtpmap[payloadType]) && removed.has(getParameters(payloadType).apt))
+        .forEach(payloadType => removed.add(payloadType));
+
+    const filtered = section.filter(line => {
+        const match = line.match(/^a=(?:rtpmap|fmtp|rtcp-fb):(\d+) /);
+        return !match || !removed.has(match[1]);
+    });
+    filtered[0] = filtered[0].split(' ').filter((field, index) => index < 3 || !removed.has(field)).join(' ');
+
+    return [...lines.slice(0, start), ...filtered, ...lines.slice(end)].join('\r\n');
+}
+
+/**
+ * Wait For ICE Gathering
+ * WHEP answers carry all candidates (no trickle ICE)
+ * @param {RTCPeerConnection} pc - Peer connection
+ * @returns {Promise<void>} Resolves when gathering completed or timed out
+ */
+function waitForIceGathering(pc) {
+    return new Promise((resolve) => {
+        if (pc.iceGatheringState === 'complete') return resolve();
+        const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+        pc.iceGatheringStateChange.subscribe((state) => {
+            if (state === 'complete') {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Unavailable Error
+ * @param {string} message - Error message
+ * @returns {Error} Error with HTTP status 503
+ */
+function unavailableError(message) {
+    const error = new Error(message);
+    error.status = 503;
+    return error;
+}
+
+/**
+ * Assert Open
+ * A session can be closed (DELETE, stream limit) while its offer is being answered
+ * @param {Object} session - WHEP session
+ * @throws {Error} If the session was closed
+ */
+function assertOpen(session) {
+    if (sessions.get(session.id) !== session) {
+        throw unavailableError('Session was closed while answering the offer');
+    }
+}
+
+/**
+ * Create Session
+ * Answers a WHEP offer and starts forwarding the device stream
+ * @param {string} serialNumber - Device serial number
+ * @param {string} offer - SDP offer of the WHEP client
+ * @returns {Promise<Object|null>} Session with id and SDP answer, null if the stream limit is reached
+ * @throws {Error} If the offer can not be negotiated, or with status 503 if the stream is not available
+ */
+async function createSession(serialNumber, offer) {
+    const session = {
+        id: crypto.randomUUID(),
+        serialNumber: serialNumber,
+        pc: null,
+        tap: null,
+        rtpHandler: null,
+        startedHandler: null,
+        connectTimer: null,
+        client: null
+    };
+
+    session.client = {
+        type: 'webrtc',
+        active: true,
+        close: () => closeSession(session.id)
+    };
+
+    if (!streams.acquireStream(serialNumber, session.client)) {
+        return null;
+    }
+    sessions.set(session.id, session);
+
+    try {
+        const tap = await rtpTap.acquireTap(serialNumber, 'opus');
+        if (sessions.get(session.id) !== session) {
+            rtpTap.releaseTap(tap);    // Closed while the tap was opened, closeSession did not see it
+        }
+        assertOpen(session);
+        session.tap = tap;
+
+        const initSegment = await transcode.waitForInitSegment(serialNumber, INIT_TIMEOUT);
+        assertOpen(session);
+        if (!initSegment) {
+            throw unavailableError('Stream not ready in time');
+        }
+        const profileLevelId = mp4.getProfileLevelId(initSegment) || DEFAULT_PROFILE_LEVEL_ID;
+
+        const pc = createPeerConnection(profileLevelId);
+        session.pc = pc;
+
+        const tracks = {
+            video: new MediaStreamTrack({ kind: 'video' }),
+            audio: new MediaStreamTrack({ kind: 'audio' })
+        };
+
+        await pc.setRemoteDescription({ type: 'offer', sdp: selectVideoCodecs(offer, profileLevelId) });
+        const transceivers = pc.getTransceivers().filter(transceiver => tracks[transceiver.kind]);
+        if (transceivers.length === 0) {
+            throw new Error('Offer contains no audio or video media');
+        }
+        const senders = {};
+        transceivers.forEach(transceiver => {
+            transceiver.setDirection('sendonly');
+            transceiver.sender.replaceTrack(tracks[transceiver.kind]);
+            senders[transceiver.kind] = transceiver.sender;
+        });
+        await pc.setLocalDescription(await pc.createAnswer());
+        await waitForIceGathering(pc);
+        assertOpen(session);
+
+        // Forward RTP packets of the tap, continuing sequence numbers and timestamps across tap restarts
+        const restarted = new Set();
+        session.startedHandler = () => Object.keys(senders).forEach(kind => restarted.add(kind));
+        session.rtpHandler = (kind, packet) => {
+            if (!senders[kind]) return;
+            if (restarted.delete(kind)) {
+                senders[kind].replaceRTP(RtpPacket.deSerialize(packet).header, true);
+            }
+            tracks[kind].writeRtp(packet);
+        };
+        session.tap.event.on('started', session.startedHandler);
+        session.tap.event.on('rtp', session.rtpHandler);
+
+        // Keyframe requests of the peer for the video track. Taken from the transport, werift routes
+        // feedback by the sender SSRC of the peer first, which may be the SSRC of a local receiver.
+        if (senders.video) {
+            senders.video.dtlsTransport.onRtcp.subscribe((packet) => {
+                if (packet.type !== RtcpPayloadSpecificFeedback.type || !packet.feedback) return;
+                if (![PictureLossIndication.count, FIR_FORMAT].includes(packet.feedback.count)) return;
+                const targets = [packet.feedback.mediaSsrc, ...(packet.feedback.fir || []).map(entry => entry.ssrc)];
+                if (!targets.includes(senders.video.ssrc)) return;
+                if (rtpTap.requestKeyframe(session.tap)) {
+                    utils.log(`🔑 WHEP session ${session.id} for ${serialNumber} requested a keyframe`, 'debug');
+                }
+            });
+        }
+
+        pc.connectionStateChange.subscribe((state) => {
+            utils.log(`📡 WHEP session ${session.id} for ${serialNumber}: ${state}`, 'debug');
+            if (state === 'connected') {
+                clearTimeout(session.connectTimer);
+            } else if (state === 'failed' || state === 'closed') {
+                closeSession(session.id);
+            }
+        });
+
+        session.connectTimer = setTimeout(() => {
+            if (pc.connectionState !== 'connected') {
+                utils.log(`📡 WHEP session ${session.id} for ${serialNumber} did not connect`, 'warn');
+                closeSession(session.id);
+            }
+        }, CONNECT_TIMEOUT);
+
+        utils.log(`👁️ New WebRTC client for ${serialNumber} (session ${session.id})`, 'info');
+        return { id: session.id, answer: pc.localDescription.sdp };
+    } catch (e) {
+        closeSession(session.id);
+        throw e;
+    }
+}
+
+/**
+ * Close Session
+ * Closes the peer connection and releases tap and device stream
+ * @param {string} id - WHEP resource ID
+ * @returns {boolean} False if the session does not exist
+ */
+function closeSession(id) {
+    const session = sessions.get(id);
+    if (!session) return false;
+    sessions.delete(id);
+
+    clearTimeout(session.connectTimer);
+    if (session.tap) {
+        if (session.rtpHandler) session.tap.event.removeListener('rtp', session.rtpHandler);
+        if (session.startedHandler) session.tap.event.removeListener('started', session.startedHandler);
+        rtpTap.releaseTap(session.tap);
+    }
+    if (session.pc) {
+        session.pc.close().catch(() => { /* Ignore errors during cleanup */ });
+    }
+
+    streams.releaseStream(session.serialNumber, session.client);
+    utils.log(`👁️ WebRTC client lost for ${session.serialNumber} (session ${id})`, 'info');
+    return true;
+}
+
+/**
+ * Get Session
+ * @param {string} id - WHEP resource ID
+ * @returns {Object|undefined} Session or undefined
+ */
+function getSession(id) {
+    return sessions.get(id);
+}
+
+/**
+ * Module Exports
+ * Exposes WHEP functions and getters
+ */
+module.exports = {
+    initWhep,
+    createSession,
+    closeSession,
+    getSession,
+
+    get sessionCount() { return sessions.size; },
+};
@@ -0,0 +1,173 @@
+/**
+ * Box Parser Tests
+ *
+ * Fixtures (test/fixtures):
+ * - init.mp4: ftyp + moov of one H.264 track (avc1/avcC, mvex/trex)
+ * - fragments.m4s: two fragments (moof + mdat), the first starting with a sync sample
+ * - largesize.m4s: one fragment whose mdat uses a 64-bit largesize (size == 1)
+ * - open-ended.m4s: two fragments, the last mdat with size == 0 (extends to the end of the stream)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const boxParser = require('../server/box-parser');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Load Fixture
+ * @param {string} name - File name in test/fixtures
+ * @returns {Buffer} File content
+ */
+function loadFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+/**
+ * Parse
+ * Writes chunks into a new parser and collects the emitted boxes
+ * @param {Array<Buffer>} chunks - Input chunks
+ * @param {Object} [options] - Parser options
+ * @returns {Promise<Object>} Emitted boxes and the error of the parser (null if none)
+ */
+function parse(chunks, options) {
+    return new Promise((resolve) => {
+        const parser = boxParser.createBoxParser(options);
+        const boxes = [];
+        parser.on('data', box => boxes.push(box));
+        parser.on('error', error => resolve({ boxes, error }));
+        parser.on('end', () => resolve({ boxes, error: null }));
+        chunks.forEach(chunk => parser.write(chunk));
+        parser.end();
+    });
+}
+
+/**
+ * Split
+ * @param {Buffer} data - Data to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Buffer>} Chunks of at most size bytes
+ */
+function split(data, size) {
+    const chunks = [];
+    for (let offset = 0; offset < data.length; offset += size) {
+        chunks.push(data.subarray(offset, offset + size));
+    }
+    return chunks;
+}
+
+describe('box parser', () => {
+    it('emits the top-level boxes of an init segment', async () => {
+        const init = loadFixture('init.mp4');
+        const { boxes, error } = await parse([init]);
+
+        assert.equal(error, null);
+        assert.deepEqual(boxes.map(box => box.type), ['ftyp', 'moov']);
+        assert.deepEqual(Buffer.concat(boxes.map(box => box.data)), init);
+        assert.ok(boxes.every(box => box.headerSize === 8 && box.size === box.data.length));
+    });
+
+    it('adds the tree of nested container boxes', async () => {
+        const { boxes } = await parse([loadFixture('init.mp4')], { nested: true });
+        const moov = boxes.find(box => box.type === 'moov');
+
+        assert.deepEqual(boxes.find(box => box.type === 'ftyp').children, []);
+        assert.deepEqual(moov.children.map(child => child.type), ['mvhd', 'trak', 'mvex']);
+
+        const trak = moov.children.find(child => child.type === 'trak');
+        const mdia = trak.children.find(child => child.type === 'mdia');
+        const minf = mdia.children.find(child => child.type === 'minf');
+        const stbl = minf.children.find(child => child.type === 'stbl');
+        assert.deepEqual(stbl.children.map(child => child.type), ['stsd', 'stts', 'stsc', 'stsz', 'stco']);
+        assert.equal(stbl.children[0].children, undefined);    // stsd is not a container
+        assert.deepEqual(moov.children[2].children.map(child => child.type), ['trex']);
+    });
+
+    it('reads fragments split across chunks', async () => {
+        const fragments = loadFixture('fragments.m4s');
+        const whole = await parse([fragments], { nested: true });
+
+        for (const size of [1, 3, 7, 64, 101]) {
+            const { boxes, error } = await parse(split(fragments, size), { nested: true });
+            assert.equal(error, null);
+            assert.deepEqual(boxes.map(box => box.type), ['moof', 'mdat', 'moof', 'mdat']);
+            assert.deepEqual(boxes.map(box => box.data), whole.boxes.map(box => box.data));
+            assert.deepEqual(boxes[0].children.map(child => child.type), ['mfhd', 'traf']);
+            assert.deepEqual(boxes[0].children[1].children.map(child => child.type), ['tfhd', 'tfdt', 'trun']);
+        }
+    });
+
+    it('does not copy boxes contained in one chunk', async () => {
+        const fragments = loadFixture('fragments.m4s');
+        const { boxes } = await parse([fragments]);
+
+        assert.ok(boxes.every(box => box.data.buffer === fragments.buffer));
+    });
+
+    it('reads a 64-bit largesize box', async () => {
+        const data = loadFixture('largesize.m4s');
+
+        for (const chunks of [[data], split(data, 5)]) {
+            const { boxes, error } = await parse(chunks);
+            assert.equal(error, null);
+            assert.deepEqual(boxes.map(box => box.type), ['moof', 'mdat']);
+            assert.equal(boxes[1].headerSize, 16);
+            assert.equal(boxes[1].size, Number(data.readBigUInt64BE(boxes[0].size + 8)));
+            assert.equal(boxes[0].size + boxes[1].size, data.length);
+        }
+    });
+
+    it('emits a size 0 box with the rest of the stream at the end', async () => {
+        const data = loadFixture('open-ended.m4s');
+        const { boxes, error } = await parse(split(data, 16));
+
+        assert.equal(error, null);
+        assert.deepEqual(boxes.map(box => box.type), ['moof', 'mdat', 'moof', 'mdat']);
+        const last = boxes[3];
+        assert.equal(data.readUInt32BE(data.length - last.size), 0);
+        assert.equal(last.size, data.length - boxes.slice(0, 3).reduce((sum, box) => sum + box.size, 0));
+    });
+
+    it('fails on a stream ending within a box', async () => {
+        const fragments = loadFixture('fragments.m4s');
+        const { boxes, error } = await parse([fragments.subarray(0, fragments.length - 5)]);
+
+        assert.deepEqual(boxes.map(box => box.type), ['moof', 'mdat', 'moof']);
+        assert.match(error.message, /Stream ended within box 'mdat'/);
+    });
+
+    it('fails on a truncated largesize header', async () => {
+        const data = loadFixture('largesize.m4s');
+        const mdatStart = data.readUInt32BE(0);
+        const { error } = await parse([data.subarray(0, mdatStart + 12)]);
+
+        assert.match(error.message, /Stream ended within box 'unknown'/);
+    });
+
+    it('fails on a size smaller than the box header', async () => {
+        const fragments = Buffer.from(loadFixture('fragments.m4s'));
+        fragments.writeUInt32BE(4, fragments.readUInt32BE(0));     // mdat size
+
+        const { boxes, error } = await parse([fragments]);
+        assert.deepEqual(boxes.map(box => box.type), ['moof']);
+        assert.match(error.message, /Invalid size 4 of box 'mdat'/);
+    });
+
+    it('fails on a box exceeding the maximum size', async () => {
+        const data = loadFixture('largesize.m4s');
+        const { error } = await parse([data], { maxBoxSize: 64 });
+
+        assert.match(error.message, /Box 'moof' exceeds 64 bytes/);
+    });
+
+    it('fails on a size 0 box exceeding the maximum size', async () => {
+        const data = loadFixture('open-ended.m4s');
+        const mdatStart = data.length - 30;
+        const { error } = await parse([data.subarray(0, mdatStart), data.subarray(mdatStart), Buffer.alloc(100)], { maxBoxSize: 128 });
+
+        assert.match(error.message, /Box 'mdat' exceeds 128 bytes/);
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * RTSP Tests
+ *
+ * Plays a stream over TCP interleaved transport from the RTSP server on a free local port.
+ * Device stream, init segment and RTP tap are replaced by mocks, the tap is an event emitter
+ * fed with RTP and RTCP packets.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const eventEmitter = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Modules below load the configuration from DATA_DIR
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rtsp-test-'));
+process.env.DATA_DIR = DATA_DIR;
+
+const rtsp = require('../server/rtsp');
+const streams = require('../server/streams');
+const transcode = require('../server/transcode');
+const rtpTap = require('../server/rtp-tap');
+
+const SERIAL_NUMBER = 'T8000TEST0001';
+const INIT_SEGMENT = fs.readFileSync(path.join(__dirname, 'fixtures', 'init.mp4'));
+
+/**
+ * Get Free Port
+ * @returns {Promise<number>} Local TCP port that was free a moment ago
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Create RTP Packet
+ * @param {number} ssrc - SSRC of the tap process
+ * @param {number} sequenceNumber - Sequence number
+ * @param {number} timestamp - RTP timestamp
+ * @returns {Buffer} H.264 RTP packet as sent by the tap
+ */
+function createRtpPacket(ssrc, sequenceNumber, timestamp) {
+    const packet = Buffer.alloc(16);
+    packet.writeUInt8(0x80, 0);
+    packet.writeUInt8(0x80 | rtpTap.VIDEO_PAYLOAD_TYPE, 1);
+    packet.writeUInt16BE(sequenceNumber, 2);
+    packet.writeUInt32BE(timestamp, 4);
+    packet.writeUInt32BE(ssrc, 8);
+    packet.writeUInt32BE(0x65888400, 12);
+    return packet;
+}
+
+/**
+ * Create Sender Report
+ * @param {number} ssrc - SSRC of the tap process
+ * @param {number} timestamp - RTP timestamp
+ * @returns {Buffer} RTCP sender report without report blocks
+ */
+function createSenderReport(ssrc, timestamp) {
+    const packet = Buffer.alloc(28);
+    packet.writeUInt8(0x80, 0);
+    packet.writeUInt8(200, 1);
+    packet.writeUInt16BE(6, 2);
+    packet.writeUInt32BE(ssrc, 4);
+    packet.writeUInt32BE(timestamp, 16);
+    return packet;
+}
+
+/**
+ * Connect
+ * Opens an RTSP connection that separates responses and interleaved frames
+ * @param {number} port - RTSP server port
+ * @returns {Promise<Object>} Client with request(method, url, headers) and nextFrame()
+ */
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        const responses = [];
+        const frames = [];
+        const waiters = { response: null, frame: null };
+        let buffer = Buffer.alloc(0);
+        let cseq = 0;
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (;;) {
+                if (buffer.length > 0 && buffer[0] === 0x24) {
+                    if (buffer.length < 4 || buffer.length < 4 + buffer.readUInt16BE(2)) break;
+                    frames.push({ channel: buffer[1], packet: buffer.subarray(4, 4 + buffer.readUInt16BE(2)) });
+                    buffer = buffer.subarray(4 + buffer.readUInt16BE(2));
+                    continue;
+                }
+                const headerEnd = buffer.indexOf('\r\n\r\n');
+                if (headerEnd === -1) break;
+                const head = buffer.toString('utf8', 0, headerEnd);
+                const length = parseInt((head.match(/Content-Length: (\d+)/i) || [])[1] || '0', 10);
+                if (buffer.length < headerEnd + 4 + length) break;
+                responses.push({ head: head, status: parseInt(head.split(' ')[1], 10) });
+                buffer = buffer.subarray(headerEnd + 4 + length);
+            }
+            if (waiters.response && responses.length > 0) waiters.response(responses.shift());
+            if (waiters.frame && frames.length > 0) waiters.frame(frames.shift());
+        });
+        socket.once('error', reject);
+        socket.once('connect', () => resolve({
+            socket: socket,
+            request: (method, url, headers = {}) => new Promise((resolveResponse) => {
+                const lines = [`${method} ${url} RTSP/1.0`, `CSeq: ${++cseq}`];
+                Object.entries(headers).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+                waiters.response = (response) => {
+                    waiters.response = null;
+                    resolveResponse(response);
+                };
+                socket.write(lines.join('\r\n') + '\r\n\r\n');
+            }),
+            nextFrame: () => new Promise((resolveFrame) => {
+                if (frames.length > 0) return resolveFrame(frames.shift());
+                waiters.frame = (frame) => {
+                    waiters.frame = null;
+                    resolveFrame(frame);
+                };
+            })
+        }));
+    });
+}
+
+describe('rtsp', () => {
+    let url;
+    let tap;
+    let client;
+
+    before(async () => {
+        const port = await getFreePort();
+        fs.writeFileSync(path.join(DATA_DIR, 'config.json'), JSON.stringify({ RTSP_PORT: String(port), RTSP_UDP_PORT: '0' }));
+        rtsp.initRtspServer();
+        url = `rtsp://127.0.0.1:${port}/${SERIAL_NUMBER}`;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    after(() => {
+        rtsp.closeRtspServer();
+        fs.rmSync(DATA_DIR, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        tap = { serialNumber: SERIAL_NUMBER, event: new eventEmitter(), tracks: [] };
+        mock.method(streams, 'acquireStream', () => true);
+        mock.method(streams, 'releaseStream', () => {});
+        mock.method(transcode, 'waitForInitSegment', async () => INIT_SEGMENT);
+        mock.method(rtpTap, 'acquireTap', async () => tap);
+        mock.method(rtpTap, 'releaseTap', () => {});
+        client = await connect(Number(new URL(url).port));
+    });
+
+    afterEach(async () => {
+        // The server closes the session of the connection before the mocks are restored
+        client.socket.destroy();
+        while (rtsp.sessionCount > 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        mock.restoreAll();
+    });
+
+    it('keeps SSRC, sequence numbers and timestamps continuous across tap restarts', async () => {
+        assert.equal((await client.request('DESCRIBE', url, { Accept: 'application/sdp' })).status, 200);
+        const setup = await client.request('SETUP', `${url}/trackID=0`, { Transport: 'RTP/AVP/TCP;unicast;interleaved=0-1' });
+        assert.equal(setup.status, 200);
+        const sessionId = setup.head.match(/Session: ([0-9a-f]+)/)[1];
+        assert.equal((await client.request('PLAY', url, { Session: sessionId })).status, 200);
+
+        tap.event.emit('rtp', 'video', createRtpPacket(0x1111, 65535, 1000));
+        tap.event.emit('rtp', 'video', createRtpPacket(0x1111, 0, 4000));
+        const first = await client.nextFrame();
+        const second = await client.nextFrame();
+        assert.equal(first.channel, 0);
+        const ssrc = first.packet.readUInt32BE(8);
+        assert.equal(second.packet.readUInt32BE(8), ssrc);
+        assert.equal(second.packet.readUInt16BE(2), (first.packet.readUInt16BE(2) + 1) & 0xffff);
+        assert.equal(second.packet.readUInt32BE(4) - first.packet.readUInt32BE(4), 3000);
+
+        // Restarted tap process: new SSRC, sequence numbers and timestamps
+        tap.event.emit('rtp', 'video', createRtpPacket(0x2222, 40000, 900000));
+        tap.event.emit('rtp', 'video', createRtpPacket(0x1111, 1, 7000));     // Late packet of the replaced process
+        tap.event.emit('rtp', 'video', createRtpPacket(0x2222, 40001, 903000));
+        tap.event.emit('rtcp', 'video', createSenderReport(0x1111, 7000));
+        tap.event.emit('rtcp', 'video', createSenderReport(0x2222, 903000));
+        const third = await client.nextFrame();
+        const fourth = await client.nextFrame();
+        const report = await client.nextFrame();
+
+        assert.equal(third.packet.readUInt32BE(8), ssrc);
+        assert.equal(third.packet.readUInt16BE(2), (second.packet.readUInt16BE(2) + 1) & 0xffff);
+        assert.ok(third.packet.readUInt32BE(4) > second.packet.readUInt32BE(4));
+        assert.equal(fourth.packet.readUInt16BE(2), (third.packet.readUInt16BE(2) + 1) & 0xffff);
+        assert.equal(fourth.packet.readUInt32BE(4) - third.packet.readUInt32BE(4), 3000);
+
+        assert.equal(report.channel, 1);
+        assert.equal(report.packet.readUInt32BE(4), ssrc);
+        assert.equal(report.packet.readUInt32BE(16), fourth.packet.readUInt32BE(4));
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Transcode Tests
+ *
+ * Runs the encoder supervision of transcode.js against a fake ffmpeg (shell script on PATH)
+ * that writes the given output and then keeps reading its input like a stalled encoder.
+ */
+
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Modules below load the configuration from DATA_DIR
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.PATH = `${DATA_DIR}${path.delimiter}${process.env.PATH}`;
+
+const transcode = require('../server/transcode');
+
+const SERIAL_NUMBER = 'T8000TEST0001';
+const VIDEO_METADATA = { videoCodec: 'H264', videoWidth: 1920, videoHeight: 1080, videoFPS: 15, audioCodec: 'NONE' };
+
+/**
+ * Install Fake FFmpeg
+ * @param {Buffer} output - Data written to stdout before the process blocks on its input
+ */
+function installFakeFfmpeg(output) {
+    const escaped = Array.from(output).map(byte => `\\${byte.toString(8).padStart(3, '0')}`).join('');
+    fs.writeFileSync(path.join(DATA_DIR, 'ffmpeg'), `#!/bin/sh\nprintf '${escaped}'\nexec cat > /dev/null\n`, { mode: 0o755 });
+}
+
+describe('transcode', () => {
+    after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+    afterEach(() => transcode.stopAllTranscoding());
+
+    it('ends an encoder with invalid output and schedules its restart', async () => {
+        // Box size smaller than its header
+        installFakeFfmpeg(Buffer.from([0x00, 0x00, 0x00, 0x04, 0x66, 0x74, 0x79, 0x70]));
+
+        const session = transcode.openSession(SERIAL_NUMBER);
+        transcode.handleVideoData(SERIAL_NUMBER, Buffer.from([0x00, 0x00, 0x00, 0x01, 0x09, 0xf0]), VIDEO_METADATA);
+        const ffmpegProcess = session.ffmpegProcess;
+        assert.ok(ffmpegProcess);
+
+        const [, signal] = await new Promise(resolve => ffmpegProcess.once('close', (...args) => resolve(args)));
+        assert.equal(signal, 'SIGKILL');
+        assert.equal(session.isTranscoding, false);
+        assert.equal(session.restartCount, 1);
+        assert.ok(session.restartAt > Date.now());
+        assert.equal(transcode.getSession(SERIAL_NUMBER), session);
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * WHEP Tests
+ *
+ * Loopback between a werift offerer (the WHEP client) and the answerer of whep.js. Device stream,
+ * init segment and RTP tap are replaced by mocks, the tap is an event emitter fed with RTP packets.
+ */
+
+const { describe, it, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const eventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RTCPeerConnection, RTCRtpCodecParameters, RtpPacket, RtpHeader } = require('werift');
+
+// Modules below load the configuration from DATA_DIR
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'whep-test-'));
+process.env.DATA_DIR = DATA_DIR;
+
+const whep = require('../server/whep');
+const streams = require('../server/streams');
+const transcode = require('../server/transcode');
+const rtpTap = require('../server/rtp-tap');
+
+const SERIAL_NUMBER = 'T8000TEST0001';
+const INIT_SEGMENT = fs.readFileSync(path.join(__dirname, 'fixtures', 'init.mp4'));   // avc1.4D401F
+
+/**
+ * Create Offerer
+ * WHEP client offering receive-only H.264 (constrained baseline and main profile) and Opus
+ * @returns {RTCPeerConnection} Peer connection with its transceivers added
+ */
+function createOfferer() {
+    const h264 = (profileLevelId) => new RTCRtpCodecParameters({
+        mimeType: 'video/H264',
+        clockRate: 90000,
+        rtcpFeedback: [{ type: 'nack' }, { type: 'nack', parameter: 'pli' }],
+        parameters: `level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=${profileLevelId}`
+    });
+    const pc = new RTCPeerConnection({
+        codecs: {
+            video: [h264('42e01f'), h264('4d001f')],
+            audio: [new RTCRtpCodecParameters({ mimeType: 'audio/opus', clockRate: 48000, channels: 2 })]
+        },
+        iceServers: [],
+        bundlePolicy: 'max-bundle'     // One shared transport (BUNDLE) for both tracks
+    });
+    pc.addTransceiver('video', { direction: 'recvonly' });
+    pc.addTransceiver('audio', { direction: 'recvonly' });
+    return pc;
+}
+
+/**
+ * Create Offer
+ * @param {RTCPeerConnection} pc - Offerer
+ * @returns {Promise<string>} SDP offer with all ICE candidates
+ */
+async function createOffer(pc) {
+    await pc.setLocalDescription(await pc.createOffer());
+    if (pc.iceGatheringState !== 'complete') {
+        await new Promise(resolve => pc.iceGatheringStateChange.subscribe(state => state === 'complete' && resolve()));
+    }
+    return pc.localDescription.sdp;
+}
+
+/**
+ * Create RTP Packet
+ * @param {number} sequenceNumber - Sequence number
+ * @param {number} timestamp - RTP timestamp
+ * @returns {Buffer} Serialized H.264 RTP packet (single IDR NAL unit) as sent by the tap
+ */
+function createRtpPacket(sequenceNumber, timestamp) {
+    const header = new RtpHeader({
+        payloadType: rtpTap.VIDEO_PAYLOAD_TYPE,
+        sequenceNumber: sequenceNumber,
+        timestamp: timestamp,
+        ssrc: 0x1234,
+        marker: true
+    });
+    return new RtpPacket(header, Buffer.from([0x65, 0x88, 0x84, 0x00, 0x33])).serialize();
+}
+
+/**
+ * Feed Until Received
+ * Writes video packets into the tap until the offerer receives one (packets are dropped until DTLS is up)
+ * @param {Object} tap - Mocked tap
+ * @param {Object} received - Receiver of the offerer's packets ({ waiter })
+ * @param {number} sequenceNumber - Sequence number of the first packet
+ * @returns {Promise<RtpPacket>} First received packet
+ */
+function feedUntilReceived(tap, received, sequenceNumber) {
+    return new Promise((resolve, reject) => {
+        let next = sequenceNumber;
+        const timer = setInterval(() => {
+            tap.event.emit('rtp', 'video', createRtpPacket(next, next * 3000));
+            next = (next + 1) & 0xffff;
+        }, 50);
+        const timeout = setTimeout(() => done(new Error('No RTP packet received')), 20000);
+        const done = (error, packet) => {
+            clearInterval(timer);
+            clearTimeout(timeout);
+            error ? reject(error) : resolve(packet);
+        };
+        received.waiter = packet => done(null, packet);
+    });
+}
+
+describe('whep', () => {
+    let tap;
+    let client;
+    let offerer;
+    let session;
+
+    after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+    beforeEach(() => {
+        tap = { serialNumber: SERIAL_NUMBER, event: new eventEmitter() };
+        client = null;
+        offerer = null;
+        session = null;
+        mock.method(streams, 'acquireStream', (serialNumber, streamClient) => {
+            client = streamClient;
+            return true;
+        });
+        mock.method(streams, 'releaseStream', () => {});
+        mock.method(transcode, 'waitForInitSegment', async () => INIT_SEGMENT);
+        mock.method(rtpTap, 'acquireTap', async () => tap);
+        mock.method(rtpTap, 'releaseTap', () => {});
+        mock.method(rtpTap, 'requestKeyframe', () => true);
+    });
+
+    afterEach(async () => {
+        if (session) whep.closeSession(session.id);
+        mock.restoreAll();
+        if (offerer) await offerer.close();
+    });
+
+    it('answers with the H.264 profile of the stream and forwards RTP of the tap', async () => {
+        offerer = createOfferer();
+        const received = { waiter: null };
+        offerer.getTransceivers().find(transceiver => transceiver.kind === 'video').onTrack.subscribe(track => {
+            track.onReceiveRtp.subscribe(packet => received.waiter && received.waiter(packet));
+        });
+
+        session = await whep.createSession(SERIAL_NUMBER, await createOffer(offerer));
+        assert.ok(session);
+        assert.match(session.answer, /profile-level-id=4d001f/);
+        assert.doesNotMatch(session.answer, /profile-level-id=42e01f/);
+
+        await offerer.setRemoteDescription({ type: 'answer', sdp: session.answer });
+        const first = await feedUntilReceived(tap, received, 100);
+        const payloadType = Number(session.answer.match(/a=rtpmap:(\d+) H264\/90000/)[1]);
+        assert.equal(first.header.payloadType, payloadType);
+        assert.deepEqual(first.payload, Buffer.from([0x65, 0x88, 0x84, 0x00, 0x33]));
+
+        // Restarted tap (new sequence numbers and timestamps) continues the sequence of the peer
+        tap.event.emit('started', []);
+        const afterRestart = await feedUntilReceived(tap, received, 40000);
+        const gap = (afterRestart.header.sequenceNumber - first.header.sequenceNumber + 0x10000) & 0xffff;
+        assert.ok(gap > 0 && gap < 1000, `sequence number gap ${gap}`);
+
+        // PLI of the peer restarts the tap at the latest keyframe
+        const videoReceiver = offerer.getTransceivers().find(transceiver => transceiver.kind === 'video').receiver;
+        await videoReceiver.sendRtcpPLI(first.header.ssrc);
+        await new Promise((resolve, reject) => {
+            const timer = setInterval(() => {
+                if (rtpTap.requestKeyframe.mock.callCount() > 0) done(resolve);
+            }, 20);
+            const timeout = setTimeout(() => done(() => reject(new Error('No keyframe requested'))), 5000);
+            const done = (settle) => {
+                clearInterval(timer);
+                clearTimeout(timeout);
+                settle();
+            };
+        });
+        assert.equal(rtpTap.requestKeyframe.mock.calls[0].arguments[0], tap);
+
+        assert.equal(whep.closeSession(session.id), true);
+        assert.equal(rtpTap.releaseTap.mock.callCount(), 1);
+        assert.equal(streams.releaseStream.mock.callCount(), 1);
+    });
+
+    it('releases the tap of a session closed while the tap is opened', async () => {
+        rtpTap.acquireTap.mock.mockImplementation(async () => {
+            client.close();
+            return tap;
+        });
+
+        await assert.rejects(whep.createSession(SERIAL_NUMBER, 'v=0\r\n'), { status: 503 });
+        assert.equal(rtpTap.releaseTap.mock.callCount(), 1);
+        assert.equal(rtpTap.releaseTap.mock.calls[0].arguments[0], tap);
+        assert.equal(streams.releaseStream.mock.callCount(), 1);
+        assert.equal(whep.sessionCount, 0);
+    });
+
+    it('fails with status 503 if the stream does not start', async () => {
+        transcode.waitForInitSegment.mock.mockImplementation(async () => null);
+
+        await assert.rejects(whep.createSession(SERIAL_NUMBER, 'v=0\r\n'), { status: 503, message: 'Stream not ready in time' });
+        assert.equal(rtpTap.releaseTap.mock.callCount(), 1);
+        assert.equal(streams.releaseStream.mock.callCount(), 1);
+        assert.equal(whep.sessionCount, 0);
+    });
+});